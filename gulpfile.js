@@ -14,6 +14,7 @@ const merge = require('merge-stream');
 gulp.task('build', function() {
 	const gpu = browserify('./src/browser.js')
 		.ignore('gl')
+		.ignore('worker_threads')
 		.bundle()
 		.pipe(source('gpu-browser.js'))
 		.pipe(buffer())
@@ -24,6 +25,7 @@ gulp.task('build', function() {
 
 	const gpuCore = browserify('./src/browser.js')
     .ignore('gl')
+		.ignore('worker_threads')
 		.ignore('acorn')
 		.bundle()
 		.pipe(source('gpu-browser-core.js'))
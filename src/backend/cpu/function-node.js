@@ -8,6 +8,16 @@ const {
  * <p>This handles all the raw state, converted state, etc. Of a single function.</p>
  */
 class CPUFunctionNode extends FunctionNode {
+	constructor(source, settings) {
+		super(source, settings);
+
+		/**
+		 * If the function calls the matrix functions of `matrixSource`
+		 * @type {Boolean}
+		 */
+		this.usesMatrices = false;
+	}
+
 	/**
 	 * @desc Parses the abstract syntax tree for to its *named function*
 	 * @param {Object} ast - the AST object to parse
@@ -58,6 +68,16 @@ class CPUFunctionNode extends FunctionNode {
 	 * @returns {Array} the append retArr
 	 */
 	astReturnStatement(ast, retArr) {
+		switch (this.returnType) {
+			case 'Array(4)':
+			case 'Array(3)':
+			case 'Array(2)': {
+				const type = this.getType(ast.argument);
+				if (type === 'Number' || type === 'Integer' || type === 'LiteralInteger') {
+					throw this.astErrorOutput(`Cannot return ${ type } from function with returnType of ${ this.returnType }`, ast);
+				}
+			}
+		}
 		if (this.isRootKernel) {
 			retArr.push('kernelResult = ');
 			this.astGeneric(ast.argument, retArr);
@@ -103,6 +123,9 @@ class CPUFunctionNode extends FunctionNode {
 	 * @returns {Array} the append retArr
 	 */
 	astBinaryExpression(ast, retArr) {
+		if (this.isMatrixBinaryExpression(ast)) {
+			return this.astMatrixBinaryExpression(ast, retArr);
+		}
 		retArr.push('(');
 		this.astGeneric(ast.left, retArr);
 		retArr.push(ast.operator);
@@ -111,6 +134,47 @@ class CPUFunctionNode extends FunctionNode {
 		return retArr;
 	}
 
+	/**
+	 * @desc Parses the abstract syntax tree for *binary* expression of a matrix, as a call of a matrix function
+	 * @param {Object} ast - the AST object to parse
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astMatrixBinaryExpression(ast, retArr) {
+		const type = this.getMatrixBinaryExpressionType(ast);
+		const leftSize = this.getMatrixTypeSize(this.getType(ast.left));
+		const rightSize = this.getMatrixTypeSize(this.getType(ast.right));
+		const size = leftSize || rightSize;
+		this.usesMatrices = true;
+		if (leftSize && rightSize && ast.operator !== '*') {
+			retArr.push(ast.operator === '+' ? '_matrixAdd(' : '_matrixSubtract(');
+			this.astGeneric(ast.left, retArr);
+			retArr.push(', ');
+			this.astGeneric(ast.right, retArr);
+			retArr.push(')');
+		} else if (leftSize && rightSize) {
+			retArr.push('_matrixMultiply(');
+			this.astGeneric(ast.left, retArr);
+			retArr.push(', ');
+			this.astGeneric(ast.right, retArr);
+			retArr.push(`, ${ size })`);
+		} else if (type === `Array(${ size })`) {
+			retArr.push(leftSize ? '_matrixMultiplyVector(' : '_vectorMultiplyMatrix(');
+			this.astGeneric(ast.left, retArr);
+			retArr.push(', ');
+			this.astGeneric(ast.right, retArr);
+			retArr.push(`, ${ size })`);
+		} else {
+			// numbers scale matrices, from either side
+			retArr.push('_matrixScale(');
+			this.astGeneric(leftSize ? ast.left : ast.right, retArr);
+			retArr.push(ast.operator === '/' ? ', 1 / (' : ', (');
+			this.astGeneric(leftSize ? ast.right : ast.left, retArr);
+			retArr.push('))');
+		}
+		return retArr;
+	}
+
 	/**
 	 * @desc Parses the abstract syntax tree for *identifier* expression
 	 * @param {Object} idtNode - An ast Node
@@ -205,16 +269,24 @@ class CPUFunctionNode extends FunctionNode {
 			retArr.push('}\n');
 		} else {
 			const iVariableName = this.getInternalVariableName('safeI');
+			// variables declared with let or const in the init are in a block with the loop, as they are only in it
+			const isInitScoped = forNode.init && forNode.init.type === 'VariableDeclaration' && forNode.init.kind !== 'var';
+			if (isInitScoped) {
+				retArr.push('{\n');
+			}
 			if (initArr.length > 0) {
 				retArr.push(initArr.join(''), ';\n');
 			}
-			retArr.push(`for (int ${iVariableName}=0;${iVariableName}<LOOP_MAX;${iVariableName}++){\n`);
+			retArr.push(`for (let ${iVariableName}=0;${iVariableName}<LOOP_MAX;${iVariableName}++){\n`);
 			if (testArr.length > 0) {
 				retArr.push(`if (!${testArr.join('')}) break;\n`);
 			}
 			retArr.push(bodyArr.join(''));
 			retArr.push(`\n${updateArr.join('')};`);
 			retArr.push('}\n');
+			if (isInitScoped) {
+				retArr.push('}\n');
+			}
 		}
 		return retArr;
 	}
@@ -273,6 +345,42 @@ class CPUFunctionNode extends FunctionNode {
 
 	}
 
+	/**
+	 * @desc Parses the abstract syntax tree for *switch* statement
+	 * @param {Object} switchNode - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the parsed javascript string
+	 */
+	astSwitchStatement(switchNode, retArr) {
+		if (switchNode.type !== 'SwitchStatement') {
+			throw this.astErrorOutput(
+				'Invalid switch statement',
+				switchNode
+			);
+		}
+
+		retArr.push('switch (');
+		this.astGeneric(switchNode.discriminant, retArr);
+		retArr.push(') {\n');
+		for (let i = 0; i < switchNode.cases.length; i++) {
+			const switchCase = switchNode.cases[i];
+			if (switchCase.test) {
+				retArr.push('case ');
+				this.astGeneric(switchCase.test, retArr);
+				retArr.push(':\n');
+			} else {
+				retArr.push('default:\n');
+			}
+			for (let j = 0; j < switchCase.consequent.length; j++) {
+				this.astGeneric(switchCase.consequent[j], retArr);
+				retArr.push('\n');
+			}
+		}
+		retArr.push('}\n');
+
+		return retArr;
+	}
+
 	/**
 	 * @desc Parses the abstract syntax tree for *Assignment* Expression
 	 * @param {Object} assNode - An ast Node
@@ -293,13 +401,18 @@ class CPUFunctionNode extends FunctionNode {
 	 * @returns {Array} the append retArr
 	 */
 	astBlockStatement(bNode, retArr) {
-		if (!this.isState('loop-body')) {
+		if (this.isState('loop-body')) {
+			// blocks nested in the loop body keep their braces
+			this.pushState('block-body');
+			for (let i = 0; i < bNode.body.length; i++) {
+				this.astGeneric(bNode.body[i], retArr);
+			}
+			this.popState('block-body');
+		} else {
 			retArr.push('{\n');
-		}
-		for (let i = 0; i < bNode.body.length; i++) {
-			this.astGeneric(bNode.body[i], retArr);
-		}
-		if (!this.isState('loop-body')) {
+			for (let i = 0; i < bNode.body.length; i++) {
+				this.astGeneric(bNode.body[i], retArr);
+			}
 			retArr.push('}\n');
 		}
 		return retArr;
@@ -462,6 +575,34 @@ class CPUFunctionNode extends FunctionNode {
 			return retArr;
 		}
 
+		const matrixSize = this.getMatrixTypeSize(type);
+		if (matrixSize) {
+			if (signature === 'this.constants.value') {
+				retArr.push(`constants_${ name }`);
+				return retArr;
+			}
+			if (zProperty) {
+				throw this.astErrorOutput('Matrices have two dimensions', mNode);
+			}
+			// matrices are flat, in column-major order
+			if (yProperty) {
+				this.astGeneric(mNode.object.object, retArr);
+				retArr.push('[(');
+				this.astGeneric(yProperty, retArr);
+				retArr.push(`)*${ matrixSize }+`);
+				this.astGeneric(xProperty, retArr);
+				retArr.push(']');
+			} else {
+				this.usesMatrices = true;
+				retArr.push('_matrixColumn(');
+				this.astGeneric(mNode.object, retArr);
+				retArr.push(', ');
+				this.astGeneric(xProperty, retArr);
+				retArr.push(`, ${ matrixSize })`);
+			}
+			return retArr;
+		}
+
 		// argument may have come from a parent
 		let synonymName;
 		if (this.parent) {
@@ -534,6 +675,11 @@ class CPUFunctionNode extends FunctionNode {
 	 */
 	astCallExpression(ast, retArr) {
 		if (ast.callee) {
+			const plugin = this.getCalledPlugin(ast);
+			if (plugin && plugin.cpuFunctionReplace) {
+				return this.astPluginCallExpression(plugin.cpuFunctionReplace, ast, retArr);
+			}
+
 			// Get the full function call, unrolled
 			let funcName = this.astMemberExpressionUnroll(ast.callee);
 
@@ -593,8 +739,13 @@ class CPUFunctionNode extends FunctionNode {
 	 */
 	astArrayExpression(arrNode, retArr) {
 		const arrLen = arrNode.elements.length;
+		if (this.getMatrixExpressionType(arrNode)) {
+			return this.astMatrixExpression(arrNode, retArr);
+		}
+		// local arrays of more than 4 values hold floats, as they do on the gpu
+		const isLocalArray = arrLen > 4;
 
-		retArr.push('[');
+		retArr.push(isLocalArray ? 'new Float32Array([' : '[');
 		for (let i = 0; i < arrLen; ++i) {
 			if (i > 0) {
 				retArr.push(', ');
@@ -602,8 +753,49 @@ class CPUFunctionNode extends FunctionNode {
 			const subNode = arrNode.elements[i];
 			this.astGeneric(subNode, retArr)
 		}
-		retArr.push(']');
+		retArr.push(isLocalArray ? '])' : ']');
+
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *Array* Expression of columns, which is a matrix of their values
+	 * in column-major order
+	 * @param {Object} arrNode - the AST object to parse
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astMatrixExpression(arrNode, retArr) {
+		retArr.push('new Float32Array([');
+		for (let i = 0; i < arrNode.elements.length; ++i) {
+			if (i > 0) {
+				retArr.push(', ');
+			}
+			const column = arrNode.elements[i];
+			if (column.type === 'ArrayExpression') {
+				for (let j = 0; j < column.elements.length; ++j) {
+					if (j > 0) {
+						retArr.push(', ');
+					}
+					this.astGeneric(column.elements[j], retArr);
+				}
+			} else {
+				retArr.push('...');
+				this.astGeneric(column, retArr);
+			}
+		}
+		retArr.push('])');
+		return retArr;
+	}
 
+	/**
+	 * @desc Parses the abstract syntax tree for *new* Expression, of a local `Float32Array`
+	 * @param {Object} newNode - the AST object to parse
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astNewExpression(newNode, retArr) {
+		retArr.push(`new Float32Array(${ this.getNewArrayLength(newNode) })`);
 		return retArr;
 	}
 
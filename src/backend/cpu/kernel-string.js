@@ -37,6 +37,7 @@ function cpuKernelString(cpuKernel, name) {
         this.argumentTypes = ${ JSON.stringify(cpuKernel.argumentTypes) };
         this.argumentSizes = ${ JSON.stringify(cpuKernel.argumentSizes) };
         this.output = ${ JSON.stringify(cpuKernel.output) };
+        this.precision = '${ cpuKernel.precision }';
         this._kernelString = \`${ cpuKernel._kernelString }\`;
         this.output = ${ JSON.stringify(cpuKernel.output) };
 		    this.run = function() {
@@ -60,6 +61,9 @@ function cpuKernelString(cpuKernel, name) {
       getKernelString() { return this._kernelString; }
       ${ removeFnNoise(cpuKernel.validateSettings.toString()) }
       ${ removeFnNoise(cpuKernel.checkOutput.toString()) }
+      ${ removeFnNoise(cpuKernel.checkPrecision.toString()) }
+      ${ removeFnNoise(cpuKernel.callPluginHook.toString()) }
+      ${ removeFnNoise(cpuKernel.afterRun.toString()) }
     };
     return kernelRunShortcut(new Kernel());
   };`;
@@ -13,6 +13,18 @@ const {
 const {
 	cpuKernelString
 } = require('./kernel-string');
+const {
+	CPUScatterKernel
+} = require('./scatter-kernel');
+const {
+	CPUWorkerPool
+} = require('./worker-pool');
+const {
+	matrixSource
+} = require('./matrix');
+const triangleNoise = require('../../plugins/triangle-noise');
+
+const plugins = [triangleNoise];
 
 /**
  * @desc Kernel Implementation for CPU.
@@ -25,7 +37,8 @@ class CPUKernel extends Kernel {
 	static get features() {
 		return Object.freeze({
 			kernelMap: true,
-			isIntegerDivisionAccurate: true
+			isIntegerDivisionAccurate: true,
+			isAsyncExec: false
 		});
 	}
 	static get isSupported() {
@@ -41,14 +54,37 @@ class CPUKernel extends Kernel {
 		return 'cpu';
 	}
 
+	static get ScatterKernel() {
+		return CPUScatterKernel;
+	}
+
 	constructor(source, settings) {
 		super(source, settings);
 
+		/**
+		 * Workers `exec` splits the outermost dimension of the output across, or null to run on the calling thread
+		 * @type {Number}
+		 */
+		this.cpuWorkers = null;
+
+		/**
+		 * Unused, as there are no textures on the cpu, though kept for WasmKernel to validate
+		 * @type {Boolean}
+		 */
+		this.floatTextures = null;
+
 		this.mergeSettings(source.settings || settings);
 
 		this._imageData = null;
 		this._colorData = null;
 		this._kernelString = null;
+		this.workerPool = null;
+
+		/**
+		 * `[start, end]` of the outermost dimension a run computes, or null for all of it
+		 * @type {Number[]}
+		 */
+		this.outputRange = null;
 		this.thread = {
 			x: 0,
 			y: 0,
@@ -76,7 +112,8 @@ class CPUKernel extends Kernel {
 	}
 
 	initPlugins(settings) {
-		return [];
+		// plugins from settings come before default plugins, so they can replace them
+		return this.filterPlugins((settings.plugins || []).concat(plugins), settings);
 	}
 
 	/**
@@ -100,6 +137,7 @@ class CPUKernel extends Kernel {
 		}
 
 		this.checkOutput();
+		this.checkPrecision();
 	}
 
 	/**
@@ -145,6 +183,165 @@ class CPUKernel extends Kernel {
 		}
 	}
 
+	/**
+	 * @desc Run kernel in async mode. With `cpuWorkers`, the outermost dimension of the output is split across
+	 * workers, which each run the kernel string for their part and write it into shared results.
+	 * @returns {Promise<KernelOutput>}
+	 */
+	exec() {
+		if (!this.cpuWorkers || this.cpuWorkers < 2 || !CPUWorkerPool.isSupported) {
+			return super.exec.apply(this, arguments);
+		}
+		const args = (arguments.length === 1 ? [arguments[0]] : Array.apply(null, arguments));
+		return new Promise((accept, reject) => {
+			if (this._kernelString === null) {
+				this.build.apply(this, args);
+			}
+			if (this.graphical) {
+				throw new Error('cpuWorkers cannot run graphical kernels');
+			}
+			const types = this.argumentTypes.concat(Object.keys(this.constantTypes || {}).map(name => this.constantTypes[name]));
+			if (types.indexOf('HTMLImage') > -1 || types.indexOf('HTMLImageArray') > -1) {
+				throw new Error('cpuWorkers cannot run kernels with HTMLImage arguments or constants');
+			}
+
+			this.callPluginHook('onBeforeRun');
+			const state = this._getWorkerState();
+			const results = this._getWorkerResults();
+			const outer = this.output[this.output.length - 1];
+			const count = Math.min(this.cpuWorkers, outer);
+			const messages = [];
+			for (let i = 0; i < count; i++) {
+				messages.push({
+					kernelString: this._kernelString,
+					state,
+					args,
+					range: [Math.floor(outer * i / count), Math.floor(outer * (i + 1) / count)],
+					results: results.map(result => ({
+						property: result.property,
+						type: result.ArrayType.name,
+						buffer: result.buffer,
+						channels: result.channels
+					}))
+				});
+			}
+			if (this.workerPool === null) {
+				this.workerPool = new CPUWorkerPool();
+			}
+			this.workerPool.run(messages)
+				.then(() => accept(this.afterRun(this._getWorkerOutput(results))))
+				.catch(reject);
+		});
+	}
+
+	/**
+	 * @desc Get what workers need of the kernel to run its kernel string: output, constants and the
+	 * numbers and flags plugins set on it, such as the seed of a run
+	 * @returns {Object} state
+	 */
+	_getWorkerState() {
+		const state = {
+			output: this.output,
+			constants: this.constants
+		};
+		for (const key in this) {
+			if (!this.hasOwnProperty(key)) continue;
+			const type = typeof this[key];
+			if (type === 'number' || type === 'boolean') {
+				state[key] = this[key];
+			}
+		}
+		return state;
+	}
+
+	/**
+	 * @desc Allocate a shared buffer for the result, and each sub kernel result
+	 * @returns {Object[]} results
+	 */
+	_getWorkerResults() {
+		const size = this.output.reduce((size, length) => size * length, 1);
+		const channels = this.getReturnTypeLength();
+		const IntegerArray = channels === 1 ? this.getIntegerResultArrayType() : null;
+		const FloatArray = this.precision === 'double' ? Float64Array : Float32Array;
+		// the result is the output itself, or its `result` property once there are sub kernels
+		const properties = this.subKernels ?
+			['result'].concat(this.subKernels.map(subKernel => subKernel.property)) :
+			[null];
+		return properties.map((property, i) => {
+			const ArrayType = i === 0 ? (IntegerArray || FloatArray) : FloatArray;
+			const resultChannels = i === 0 ? channels : 1;
+			return {
+				property,
+				ArrayType,
+				channels: resultChannels,
+				buffer: new SharedArrayBuffer(size * resultChannels * ArrayType.BYTES_PER_ELEMENT)
+			};
+		});
+	}
+
+	/**
+	 * @desc Shape the shared results of workers as `run` returns them, with rows that are views of the shared buffers
+	 * @param {Object[]} results
+	 * @returns {KernelOutput}
+	 */
+	_getWorkerOutput(results) {
+		const width = this.output[0];
+		const height = this.output[1] || 1;
+		const outputs = results.map(result => {
+			const values = new result.ArrayType(result.buffer);
+			const channels = result.channels;
+			const getRow = (start) => {
+				if (channels === 1) {
+					return values.subarray(start, start + width);
+				}
+				const row = new Array(width);
+				for (let x = 0; x < width; x++) {
+					row[x] = values.subarray((start + x) * channels, (start + x + 1) * channels);
+				}
+				return row;
+			};
+			const getPlane = (start) => {
+				const plane = new Array(height);
+				for (let y = 0; y < height; y++) {
+					plane[y] = getRow(start + y * width);
+				}
+				return plane;
+			};
+			switch (this.output.length) {
+				case 1:
+					return getRow(0);
+				case 2:
+					return getPlane(0);
+				default:
+					const volume = new Array(this.output[2]);
+					for (let z = 0; z < volume.length; z++) {
+						volume[z] = getPlane(z * width * height);
+					}
+					return volume;
+			}
+		});
+		if (!this.subKernels) {
+			return outputs[0];
+		}
+		const output = {
+			result: outputs[0]
+		};
+		for (let i = 0; i < this.subKernels.length; i++) {
+			output[this.subKernels[i].property] = outputs[i + 1];
+		}
+		return output;
+	}
+
+	/**
+	 * @desc Set the amount of workers `exec` splits the output across
+	 * @param {Number} cpuWorkers
+	 * @returns {CPUKernel}
+	 */
+	setCpuWorkers(cpuWorkers) {
+		this.cpuWorkers = cpuWorkers;
+		return this;
+	}
+
 	color(r, g, b, a) {
 		if (typeof a === 'undefined') {
 			a = 1;
@@ -199,14 +396,18 @@ class CPUKernel extends Kernel {
 		const LOOP_MAX = ${ this._getLoopMaxString() }
 		const constants = this.constants;
 		const _this = this;
+		${ this._getPluginsString() }
+		${ this._getMatrixString(functionBuilder) }
+		this.callPluginHook('onBuild');
     return function (${ this.argumentNames.map(argumentName => 'user_' + argumentName).join(', ') }) {
+      this.callPluginHook('onBeforeRun');
       ${ this._processConstants() }
       ${ this._processArguments() }
       ${ this._kernelLoop(kernel) }
       if (this.graphical) {
         this._imageData.data.set(this._colorData);
         this.context.putImageData(this._imageData, 0, 0);
-        return;
+        return this.afterRun();
       }
       ${ this._kernelOutput() }
       ${ prototypes.length > 0 ? prototypes.join('\n') : '' }
@@ -233,6 +434,32 @@ class CPUKernel extends Kernel {
 		);
 	}
 
+	/**
+	 * @desc Get the javascript `cpuSource` of plugins, shared by every run of the kernel.
+	 * @returns {String} result
+	 */
+	_getPluginsString() {
+		if (!this.plugins) return '';
+		return this.plugins.map(plugin => plugin.cpuSource || '').join('\n');
+	}
+
+	/**
+	 * @desc Get the javascript of the matrix functions, when the kernel uses matrices.
+	 * @param {FunctionBuilder} functionBuilder
+	 * @returns {String} result
+	 */
+	_getMatrixString(functionBuilder) {
+		const types = this.argumentTypes.concat(Object.keys(this.constantTypes || {}).map(name => this.constantTypes[name]));
+		const functionNames = Object.keys(functionBuilder.functionMap);
+		if (
+			types.some(type => utils.getMatrixTypeSize(type)) ||
+			functionNames.some(name => functionBuilder.functionMap[name].usesMatrices)
+		) {
+			return matrixSource;
+		}
+		return '';
+	}
+
 	_processConstants() {
 		if (!this.constants) return '';
 
@@ -249,6 +476,16 @@ class CPUKernel extends Kernel {
 				case 'Input':
 					result.push(`  const constants_${p} = this.constants.${p}.value;`);
 					break;
+				case 'Matrix(2)':
+				case 'Matrix(3)':
+				case 'Matrix(4)':
+					result.push(`  const constants_${p} = _matrixFrom(this.constants.${p}, ${ utils.getMatrixTypeSize(type) });`);
+					break;
+				case 'Object':
+					for (let field in this.constantFieldTypes[p]) {
+						result.push(`  const constants_${p}_${field} = this.constants.${p}.${field};`);
+					}
+					break;
 				default:
 					result.push(`  const constants_${p} = this.constants.${p};`);
 			}
@@ -269,6 +506,16 @@ class CPUKernel extends Kernel {
 				case 'Input':
 					result.push(`  user_${this.argumentNames[i]} = user_${this.argumentNames[i]}.value;`);
 					break;
+				case 'Matrix(2)':
+				case 'Matrix(3)':
+				case 'Matrix(4)':
+					result.push(`  user_${this.argumentNames[i]} = _matrixFrom(user_${this.argumentNames[i]}, ${ utils.getMatrixTypeSize(this.argumentTypes[i]) })`);
+					break;
+				case 'Object':
+					for (let field in this.argumentFieldTypes[this.argumentNames[i]]) {
+						result.push(`  const user_${this.argumentNames[i]}_${field} = user_${this.argumentNames[i]}.${field}`);
+					}
+					break;
 			}
 		}
 		return result.join(';\n');
@@ -325,16 +572,17 @@ class CPUKernel extends Kernel {
 		const {
 			output
 		} = this;
-		return `const result = new Float32Array(${ output[0] });
+		return `const result = ${ this._getResultRowString(output[0]) };
     ${ this._mapSubKernels(subKernel => `let subKernelResult_${ subKernel.name };`).join('\n') }
-		${ this._mapSubKernels(subKernel => `const result_${ subKernel.name } = new Float32Array(${ output[0] });\n`).join('') }
-    for (let x = 0; x < ${ output[0] }; x++) {
+		${ this._mapSubKernels(subKernel => `const result_${ subKernel.name } = new ${ this._getResultArrayType() }(${ output[0] });\n`).join('') }
+    const outputRange = this.outputRange || [0, ${ output[0] }];
+    for (let x = outputRange[0]; x < outputRange[1]; x++) {
       this.thread.x = x;
       this.thread.y = 0;
       this.thread.z = 0;
       let kernelResult;
       ${ kernelString }
-      result[x] = kernelResult;
+      result[x] = ${ this._getResultValueString() };
       ${ this._mapSubKernels(subKernel => `result_${ subKernel.name }[x] = subKernelResult_${ subKernel.name };\n`).join('') }
     }`;
 	}
@@ -346,16 +594,17 @@ class CPUKernel extends Kernel {
 		return `const result = new Array(${ output[1] });
     ${ this._mapSubKernels(subKernel => `let subKernelResult_${ subKernel.name };`).join('\n') }
     ${ this._mapSubKernels(subKernel => `const result_${ subKernel.name } = new Array(${ output[1] });\n`).join('') }
-    for (let y = 0; y < ${ output[1] }; y++) {
+    const outputRange = this.outputRange || [0, ${ output[1] }];
+    for (let y = outputRange[0]; y < outputRange[1]; y++) {
       this.thread.z = 0;
       this.thread.y = y;
-      const resultX = result[y] = new Float32Array(${ output[0] });
-      ${ this._mapSubKernels(subKernel => `const result_${ subKernel.name }X = result_${subKernel.name}[y] = new Float32Array(${ output[0] });\n`).join('') }
+      const resultX = result[y] = ${ this._getResultRowString(output[0]) };
+      ${ this._mapSubKernels(subKernel => `const result_${ subKernel.name }X = result_${subKernel.name}[y] = new ${ this._getResultArrayType() }(${ output[0] });\n`).join('') }
       for (let x = 0; x < ${ output[0] }; x++) {
       	this.thread.x = x;
         let kernelResult;
         ${ kernelString }
-        resultX[x] = kernelResult;
+        resultX[x] = ${ this._getResultValueString() };
         ${ this._mapSubKernels(subKernel => `result_${ subKernel.name }X[x] = subKernelResult_${ subKernel.name };\n`).join('') }
       }
     }`;
@@ -368,33 +617,66 @@ class CPUKernel extends Kernel {
 		return `const result = new Array(${ output[2] });
     ${ this._mapSubKernels(subKernel => `let subKernelResult_${ subKernel.name };`).join('\n') }
     ${ this._mapSubKernels(subKernel => `const result_${ subKernel.name } = new Array(${ output[2] });\n`).join('') }
-    for (let z = 0; z < ${ output[2] }; z++) {
+    const outputRange = this.outputRange || [0, ${ output[2] }];
+    for (let z = outputRange[0]; z < outputRange[1]; z++) {
       this.thread.z = z;
       const resultY = result[z] = new Array(${ output[1] });
       ${ this._mapSubKernels(subKernel => `const result_${ subKernel.name }Y = result_${subKernel.name}[z] = new Array(${ output[1] });\n`).join('') }
       for (let y = 0; y < ${ output[1] }; y++) {
         this.thread.y = y;
-        const resultX = resultY[y] = new Float32Array(${ output[0] });
-        ${ this._mapSubKernels(subKernel => `const result_${ subKernel.name }X = result_${subKernel.name}Y[y] = new Float32Array(${ output[0] });\n`).join('') }
+        const resultX = resultY[y] = ${ this._getResultRowString(output[0]) };
+        ${ this._mapSubKernels(subKernel => `const result_${ subKernel.name }X = result_${subKernel.name}Y[y] = new ${ this._getResultArrayType() }(${ output[0] });\n`).join('') }
         for (let x = 0; x < ${ output[0] }; x++) {
         	this.thread.x = x;
           let kernelResult;
           ${ kernelString }
-          resultX[x] = kernelResult;
+          resultX[x] = ${ this._getResultValueString() };
           ${ this._mapSubKernels(subKernel => `result_${ subKernel.name }X[x] = subKernelResult_${ subKernel.name };\n`).join('') }
         }
       }
     }`;
 	}
 
+	/**
+	 * @desc Get the typed array results are stored in, `Float64Array` with `precision: 'double'`, otherwise `Float32Array`
+	 * @returns {String} result
+	 */
+	_getResultArrayType() {
+		return this.precision === 'double' ? 'Float64Array' : 'Float32Array';
+	}
+
+	/**
+	 * @desc Get the allocation String for a row of kernel results.
+	 * Rows of `Array(n)` results hold a typed array per thread, and integer returnTypes are held exactly.
+	 * @param {Number} length - amount of threads in the row
+	 * @returns {String} result
+	 */
+	_getResultRowString(length) {
+		if (this.getReturnTypeLength() > 1) {
+			return `new Array(${ length })`;
+		}
+		const IntegerArray = this.getIntegerResultArrayType();
+		return `new ${ IntegerArray ? IntegerArray.name : this._getResultArrayType() }(${ length })`;
+	}
+
+	/**
+	 * @desc Get the String of a single thread's result, as it is stored in its row
+	 * @returns {String} result
+	 */
+	_getResultValueString() {
+		return this.getReturnTypeLength() === 1 ?
+			'kernelResult' :
+			`new ${ this._getResultArrayType() }(kernelResult)`;
+	}
+
 	_kernelOutput() {
 		if (!this.subKernels) {
-			return 'return result;';
+			return 'return this.afterRun(result);';
 		}
-		return `return {
+		return `return this.afterRun({
       result: result,
       ${ this.subKernels.map(subKernel => `${ subKernel.property }: result_${ subKernel.name }`).join(',\n') }
-    };`;
+    });`;
 	}
 
 	_mapSubKernels(fn) {
@@ -403,6 +685,10 @@ class CPUKernel extends Kernel {
 	}
 
 	destroy(removeCanvasReference) {
+		if (this.workerPool !== null) {
+			this.workerPool.terminate();
+			this.workerPool = null;
+		}
 		if (removeCanvasReference) {
 			delete this.canvas;
 		}
@@ -0,0 +1,86 @@
+/**
+ * @desc Source of the functions javascript kernels use for `Matrix(2)`, `Matrix(3)` and `Matrix(4)` values, which
+ * are Float32Arrays of their values in column-major order, as glsl `mat2`, `mat3` and `mat4` are
+ */
+const matrixSource = `
+function _matrixFrom(value, size) {
+  if (value.length === size * size && typeof value[0] === 'number') {
+    return value.constructor === Float32Array ? value : new Float32Array(value);
+  }
+  const result = new Float32Array(size * size);
+  for (let i = 0; i < size; i++) {
+    result.set(value[i], i * size);
+  }
+  return result;
+}
+
+function _matrixColumn(m, column, size) {
+  return m.slice(column * size, column * size + size);
+}
+
+function _matrixMultiply(a, b, size) {
+  const result = new Float32Array(size * size);
+  for (let column = 0; column < size; column++) {
+    for (let row = 0; row < size; row++) {
+      let sum = 0;
+      for (let i = 0; i < size; i++) {
+        sum += a[i * size + row] * b[column * size + i];
+      }
+      result[column * size + row] = sum;
+    }
+  }
+  return result;
+}
+
+function _matrixMultiplyVector(m, v, size) {
+  const result = new Float32Array(size);
+  for (let row = 0; row < size; row++) {
+    let sum = 0;
+    for (let i = 0; i < size; i++) {
+      sum += m[i * size + row] * v[i];
+    }
+    result[row] = sum;
+  }
+  return result;
+}
+
+function _vectorMultiplyMatrix(v, m, size) {
+  const result = new Float32Array(size);
+  for (let column = 0; column < size; column++) {
+    let sum = 0;
+    for (let i = 0; i < size; i++) {
+      sum += v[i] * m[column * size + i];
+    }
+    result[column] = sum;
+  }
+  return result;
+}
+
+function _matrixAdd(a, b) {
+  const result = new Float32Array(a.length);
+  for (let i = 0; i < a.length; i++) {
+    result[i] = a[i] + b[i];
+  }
+  return result;
+}
+
+function _matrixSubtract(a, b) {
+  const result = new Float32Array(a.length);
+  for (let i = 0; i < a.length; i++) {
+    result[i] = a[i] - b[i];
+  }
+  return result;
+}
+
+function _matrixScale(m, scale) {
+  const result = new Float32Array(m.length);
+  for (let i = 0; i < m.length; i++) {
+    result[i] = m[i] * scale;
+  }
+  return result;
+}
+`;
+
+module.exports = {
+	matrixSource
+};
@@ -0,0 +1,38 @@
+const {
+	ScatterKernel
+} = require('../scatter-kernel');
+const {
+	utils
+} = require('../../utils');
+
+/**
+ * @desc Scatters in javascript, adding in float32 as the gpu does
+ */
+class CPUScatterKernel extends ScatterKernel {
+	run() {
+		const threadResult = this.threadKernel.apply(null, arguments);
+		const length = this.getOutputLength();
+		const result = new Float32Array(length);
+
+		function scatter(values) {
+			for (let i = 0; i < values.length; i++) {
+				const value = values[i];
+				if (utils.isArray(value[0])) {
+					scatter(value);
+					continue;
+				}
+				const index = Math.round(value[0]);
+				if (index >= 0 && index < length) {
+					result[index] += value[1];
+				}
+			}
+		}
+		scatter(threadResult);
+
+		return this._splitOutput(result);
+	}
+}
+
+module.exports = {
+	CPUScatterKernel
+};
@@ -0,0 +1,232 @@
+let NodeWorker = null;
+try {
+	NodeWorker = require('worker_threads').Worker;
+} catch (e) {}
+
+/**
+ * @desc Source of each worker, which runs the kernel string of a CPUKernel for a range of its outermost dimension,
+ * and copies the results of that range into shared buffers
+ */
+const workerSource = `
+const arrayTypes = {
+  Float32Array: Float32Array,
+  Float64Array: Float64Array,
+  Int32Array: Int32Array,
+  Uint32Array: Uint32Array
+};
+const kernels = new Map();
+
+function copyValue(value, target, index, channels) {
+  if (channels === 1) {
+    target[index] = value;
+    return;
+  }
+  for (let channel = 0; channel < channels; channel++) {
+    target[index * channels + channel] = value[channel];
+  }
+}
+
+function copyRange(values, target, output, range, channels) {
+  const width = output[0];
+  const height = output[1] || 1;
+  for (let outer = range[0]; outer < range[1]; outer++) {
+    if (output.length === 1) {
+      copyValue(values[outer], target, outer, channels);
+    } else if (output.length === 2) {
+      const row = values[outer];
+      for (let x = 0; x < width; x++) {
+        copyValue(row[x], target, x + width * outer, channels);
+      }
+    } else {
+      const plane = values[outer];
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          copyValue(plane[y][x], target, x + width * (y + height * outer), channels);
+        }
+      }
+    }
+  }
+}
+
+function run(data) {
+  let entry = kernels.get(data.kernelString);
+  if (!entry) {
+    const kernel = Object.assign({
+      thread: { x: 0, y: 0, z: 0 },
+      callPluginHook: function() {},
+      afterRun: function(result) {
+        return result;
+      }
+    }, data.state);
+    entry = {
+      kernel: kernel,
+      run: new Function([], data.kernelString).bind(kernel)()
+    };
+    kernels.set(data.kernelString, entry);
+  }
+  Object.assign(entry.kernel, data.state, { outputRange: data.range });
+  const output = entry.run.apply(null, data.args);
+  for (let i = 0; i < data.results.length; i++) {
+    const result = data.results[i];
+    const values = result.property === null ? output : output[result.property];
+    copyRange(values, new arrayTypes[result.type](result.buffer), data.state.output, data.range, result.channels);
+  }
+}
+
+function onMessage(data) {
+  try {
+    run(data);
+    return null;
+  } catch (e) {
+    return e.message || String(e);
+  }
+}
+
+if (typeof importScripts === 'function') {
+  self.onmessage = function(event) {
+    self.postMessage(onMessage(event.data));
+  };
+} else {
+  const parentPort = require('worker_threads').parentPort;
+  parentPort.on('message', function(data) {
+    parentPort.postMessage(onMessage(data));
+  });
+}
+`;
+
+/**
+ * @desc Workers which CPUKernels split their output across, as Node `worker_threads` or browser Web Workers
+ */
+class CPUWorkerPool {
+	/**
+	 * @desc TRUE if workers and `SharedArrayBuffer` are available
+	 * @type {Boolean}
+	 */
+	static get isSupported() {
+		return typeof SharedArrayBuffer !== 'undefined' && (NodeWorker !== null || typeof Worker !== 'undefined');
+	}
+
+	constructor() {
+		/**
+		 * Workers, created the first time they are needed, each with the callbacks of the messages it has not
+		 * yet replied to, in the order they were posted
+		 * @type {Object[]}
+		 */
+		this.workers = [];
+
+		/**
+		 * Object URL of the worker source, for Web Workers
+		 * @type {String}
+		 */
+		this.url = null;
+	}
+
+	/**
+	 * @desc Send a message to each of the first workers, and resolve once all of them are done
+	 * @param {Object[]} messages - one for each worker
+	 * @returns {Promise}
+	 */
+	run(messages) {
+		while (this.workers.length < messages.length) {
+			this.workers.push(this._createWorker());
+		}
+		return Promise.all(messages.map((message, i) => this._post(this.workers[i], message)));
+	}
+
+	/**
+	 * @desc Stop all workers
+	 */
+	terminate() {
+		const workers = this.workers;
+		this.workers = [];
+		for (let i = 0; i < workers.length; i++) {
+			this._fail(workers[i], new Error('Worker was terminated'));
+		}
+		if (this.url !== null) {
+			URL.revokeObjectURL(this.url);
+			this.url = null;
+		}
+	}
+
+	/**
+	 * @returns {Object} `{ worker, pending }`
+	 */
+	_createWorker() {
+		const entry = {
+			worker: null,
+			pending: []
+		};
+		if (NodeWorker !== null) {
+			const worker = entry.worker = new NodeWorker(workerSource, { eval: true });
+			// idle workers don't keep node running
+			worker.unref();
+			worker.on('message', (error) => this._reply(entry, error));
+			worker.on('error', (e) => this._fail(entry, e));
+			worker.on('exit', (code) => this._fail(entry, new Error(`Worker stopped with exit code ${ code }`)));
+			return entry;
+		}
+		if (this.url === null) {
+			this.url = URL.createObjectURL(new Blob([workerSource], { type: 'application/javascript' }));
+		}
+		const worker = entry.worker = new Worker(this.url);
+		worker.onmessage = (event) => this._reply(entry, event.data);
+		worker.onerror = (event) => this._fail(entry, new Error(event.message));
+		return entry;
+	}
+
+	/**
+	 * @param {Object} entry - of `_createWorker`
+	 * @param {Object} message
+	 * @returns {Promise}
+	 */
+	_post(entry, message) {
+		return new Promise((accept, reject) => {
+			if (NodeWorker !== null && entry.pending.length === 0) {
+				entry.worker.ref();
+			}
+			entry.pending.push({ accept, reject });
+			entry.worker.postMessage(message);
+		});
+	}
+
+	/**
+	 * @desc Settle the oldest message posted to a worker, with the error it replied, if any
+	 * @param {Object} entry
+	 * @param {String|null} error
+	 */
+	_reply(entry, error) {
+		const callbacks = entry.pending.shift();
+		if (!callbacks) return;
+		if (NodeWorker !== null && entry.pending.length === 0) {
+			entry.worker.unref();
+		}
+		if (error === null) {
+			callbacks.accept();
+		} else {
+			callbacks.reject(new Error(error));
+		}
+	}
+
+	/**
+	 * @desc Remove a worker which errored or stopped, so the next run creates another,
+	 * and reject the messages it has not replied to
+	 * @param {Object} entry
+	 * @param {Error} error
+	 */
+	_fail(entry, error) {
+		const index = this.workers.indexOf(entry);
+		if (index > -1) {
+			this.workers.splice(index, 1);
+		}
+		entry.worker.terminate();
+		const pending = entry.pending;
+		entry.pending = [];
+		for (let i = 0; i < pending.length; i++) {
+			pending[i].reject(error);
+		}
+	}
+}
+
+module.exports = {
+	CPUWorkerPool
+};
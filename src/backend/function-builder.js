@@ -15,14 +15,19 @@ class FunctionBuilder {
 			argumentNames,
 			argumentTypes,
 			argumentSizes,
+			argumentFieldTypes,
 			constants,
 			constantTypes,
+			constantFieldTypes,
 			debug,
 			loopMaxIterations,
 			nativeFunctions,
 			output,
 			plugins,
+			precision,
+			returnType,
 			source,
+			strictTypes,
 			subKernels,
 			functions,
 		} = kernel;
@@ -43,10 +48,13 @@ class FunctionBuilder {
 			lookupReturnType,
 			constants,
 			constantTypes,
+			constantFieldTypes,
 			debug,
 			loopMaxIterations,
 			output,
 			plugins,
+			strictTypes,
+			precision,
 		}, extraNodeOptions || {});
 
 		const rootNodeOptions = Object.assign({}, nodeOptions, {
@@ -55,6 +63,8 @@ class FunctionBuilder {
 			argumentNames,
 			argumentTypes,
 			argumentSizes,
+			argumentFieldTypes,
+			returnType,
 		});
 
 		if (typeof source === 'object' && source.functionNodes) {
@@ -65,14 +75,18 @@ class FunctionBuilder {
 
 		let functionNodes = null;
 		if (functions) {
-			functionNodes = functions.map((fn) => new FunctionNode(fn.source, {
+			functionNodes = functions.map((fn) => new FunctionNode(fn.source, Object.assign({
+				name: fn.name,
 				returnType: fn.returnType,
 				argumentTypes: fn.argumentTypes,
 				output,
 				plugins,
 				constants,
 				constantTypes,
-			}));
+				constantFieldTypes,
+				strictTypes,
+				precision,
+			}, extraNodeOptions || {})));
 		}
 
 		let subKernelNodes = null;
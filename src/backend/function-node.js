@@ -28,11 +28,13 @@ class FunctionNode {
 		this.calledFunctionsArguments = {};
 		this.constants = {};
 		this.constantTypes = {};
+		this.constantFieldTypes = {};
 		this.isRootKernel = false;
 		this.isSubKernel = false;
 		this.parent = null;
 		this.debug = null;
 		this.declarations = {};
+		this.declaredNames = null;
 		this.states = [];
 		this.lookupReturnType = null;
 		this.onNestedFunction = null;
@@ -40,9 +42,12 @@ class FunctionNode {
 		this.argumentNames = (typeof this.source === 'string' ? utils.getArgumentNamesFromString(this.source) : null);
 		this.argumentTypes = [];
 		this.argumentSizes = [];
+		this.argumentFieldTypes = {};
 		this.returnType = null;
 		this.output = [];
 		this.plugins = null;
+		this.strictTypes = false;
+		this.precision = 'single';
 
 		if (settings) {
 			for (const p in settings) {
@@ -160,6 +165,36 @@ class FunctionNode {
 		throw this.astErrorOutput('Unknown astMemberExpressionUnroll', ast);
 	}
 
+	/**
+	 * @desc Find the plugin that replaces a called function, by its `functionMatch`
+	 * @param {Object} ast - the CallExpression AST object
+	 * @returns {IPlugin|null}
+	 */
+	getCalledPlugin(ast) {
+		if (!this.plugins || !ast.callee) return null;
+		const functionName = this.astMemberExpressionUnroll(ast.callee);
+		for (let i = 0; i < this.plugins.length; i++) {
+			const plugin = this.plugins[i];
+			if (plugin.functionMatch && plugin.functionMatch.replace(/\(\)$/, '') === functionName) {
+				return plugin;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * @desc Outputs a plugin's replacement for a called function
+	 * @param {String|Function} functionReplace - replacement String, or a function of the CallExpression AST object and
+	 * this node, that returns the replacement String
+	 * @param {Object} ast - the CallExpression AST object
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astPluginCallExpression(functionReplace, ast, retArr) {
+		retArr.push(typeof functionReplace === 'function' ? functionReplace(ast, this) : functionReplace);
+		return retArr;
+	}
+
 	/**
 	 * @desc Parses the class function JS, and returns its Abstract Syntax Tree object.
 	 * This is used internally to convert to shader code
@@ -187,15 +222,34 @@ class FunctionNode {
 			throw new Error('Failed to parse JS code');
 		}
 
+		if (functionAST.body.type !== 'BlockStatement') {
+			// the body of an arrow function that is an expression returns it
+			const {
+				loc
+			} = functionAST.body;
+			return this.ast = Object.assign({}, functionAST, {
+				body: {
+					type: 'BlockStatement',
+					body: [{
+						type: 'ReturnStatement',
+						argument: functionAST.body,
+						loc
+					}],
+					loc
+				}
+			});
+		}
+
 		return this.ast = functionAST;
 	}
 
 	/**
 	 * @desc Return the type of parameter sent to subKernel/Kernel.
 	 * @param {String} name - Name of the parameter
+	 * @param {Object} [ast] - the AST object the variable is used in, for error output
 	 * @returns {String} Type of the parameter
 	 */
-	getVariableType(name) {
+	getVariableType(name, ast) {
 		let type = null;
 		const argumentIndex = this.argumentNames.indexOf(name);
 		if (argumentIndex === -1) {
@@ -218,9 +272,9 @@ class FunctionNode {
 				}
 			}
 		}
-		if (!type) {
-			// TODO: strict type detection mode?
-			// throw new Error(`Declaration of ${name} not found`);
+		if (!type && this.strictTypes) {
+			const error = `Declaration of ${ name } not found`;
+			throw ast ? this.astErrorOutput(error, ast) : new Error(error);
 		}
 		return type;
 	}
@@ -252,7 +306,7 @@ class FunctionNode {
 		for (let i = 0; i < calledFunctionArguments.length; i++) {
 			const calledFunctionArgument = calledFunctionArguments[i];
 			const argument = calledFunctionArgument[argumentIndex];
-			if (argument && argument.type !== 'Integer' && argument.type !== 'LiteralInteger' && argument.type !== 'Number') {
+			if (argument && argument.type !== 'Integer' && argument.type !== 'LiteralInteger' && argument.type !== 'Number' && !this.getMatrixTypeSize(argument.type)) {
 				return argument.name;
 			}
 		}
@@ -270,6 +324,7 @@ class FunctionNode {
 			name: this.name,
 			constants: this.constants,
 			constantTypes: this.constantTypes,
+			constantFieldTypes: this.constantFieldTypes,
 			isRootKernel: this.isRootKernel,
 			isSubKernel: this.isSubKernel,
 			debug: this.debug,
@@ -278,7 +333,10 @@ class FunctionNode {
 			argumentNames: this.argumentNames,
 			argumentTypes: this.argumentTypes,
 			argumentSizes: this.argumentSizes,
-			returnType: this.returnType
+			argumentFieldTypes: this.argumentFieldTypes,
+			returnType: this.returnType,
+			strictTypes: this.strictTypes,
+			precision: this.precision
 		};
 
 		return {
@@ -288,7 +346,8 @@ class FunctionNode {
 	}
 
 	/**
-	 * Recursively looks up type for ast expression until it's found
+	 * Recursively looks up type for ast expression until it's found.
+	 * With strictTypes, an unknown or ambiguous type throws with the location of the expression
 	 * @param ast
 	 * @returns {string}
 	 */
@@ -296,22 +355,42 @@ class FunctionNode {
 		if (Array.isArray(ast)) {
 			return this.getType(ast[ast.length - 1]);
 		}
+		const type = this.inferType(ast);
+		if (!type && this.strictTypes) {
+			throw this.astErrorOutput(`Unknown type for ${ ast.type }`, ast);
+		}
+		return type;
+	}
+
+	/**
+	 * @desc Infer the type of a single ast expression, null when unknown
+	 * @param {Object} ast
+	 * @returns {String|null}
+	 */
+	inferType(ast) {
 		switch (ast.type) {
 			case 'BlockStatement':
 				return this.getType(ast.body);
 			case 'ArrayExpression':
-				return `Array(${ ast.elements.length })`;
+				return this.getMatrixExpressionType(ast) || `Array(${ ast.elements.length })`;
+			case 'NewExpression':
+				return `Array(${ this.getNewArrayLength(ast) })`;
 			case 'Literal':
 				if (Number.isInteger(ast.value)) {
 					return 'LiteralInteger';
 				} else {
 					return 'Number';
 				}
-			case 'CallExpression':
+			case 'CallExpression': {
+				const plugin = this.getCalledPlugin(ast);
+				if (plugin) {
+					return plugin.functionReturnType || 'Number';
+				}
 				if (this.isAstMathFunction(ast)) {
 					return 'Number';
 				}
 				return ast.callee && ast.callee.name && this.lookupReturnType ? this.lookupReturnType(ast.callee.name) : null;
+			}
 			case 'BinaryExpression':
 				// modulos is Number
 				if (ast.operator === '%') {
@@ -319,6 +398,9 @@ class FunctionNode {
 				} else if (ast.operator === '>' || ast.operator === '<') {
 					return 'Boolean';
 				}
+				if (this.isMatrixBinaryExpression(ast)) {
+					return this.getMatrixBinaryExpressionType(ast);
+				}
 				const type = this.getType(ast.left);
 				return typeLookupMap[type] || type;
 			case 'UpdateExpression':
@@ -334,7 +416,7 @@ class FunctionNode {
 					const signature = this.getVariableSignature(ast);
 					if (signature === 'value') {
 						if (this.argumentNames.indexOf(ast.name) > -1) {
-							return this.getVariableType(ast.name);
+							return this.getVariableType(ast.name, ast);
 						} else if (this.declarations[ast.name]) {
 							return this.declarations[ast.name].type;
 						}
@@ -359,14 +441,18 @@ class FunctionNode {
 					return 'Number';
 				}
 				if (this.isAstVariable(ast)) {
+					const objectField = this.getObjectField(ast);
+					if (objectField) {
+						return objectField.depth === 0 ? objectField.type : lookupType(objectField.type, objectField.depth);
+					}
 					const variableSignature = this.getVariableSignature(ast);
 					switch (variableSignature) {
 						case 'value[]':
-							return typeLookupMap[this.getVariableType(ast.object.name)];
+							return lookupType(this.getVariableType(ast.object.name, ast));
 						case 'value[][]':
-							return typeLookupMap[this.getVariableType(ast.object.object.name)];
+							return lookupType(this.getVariableType(ast.object.object.name, ast), 2);
 						case 'value[][][]':
-							return typeLookupMap[this.getVariableType(ast.object.object.object.name)];
+							return lookupType(this.getVariableType(ast.object.object.object.name, ast));
 						case 'this.thread.value':
 							return 'Integer';
 						case 'this.output.value':
@@ -374,30 +460,30 @@ class FunctionNode {
 						case 'this.constants.value':
 							return this.getConstantType(ast.property.name);
 						case 'this.constants.value[]':
-							return typeLookupMap[this.getConstantType(ast.object.property.name)];
+							return lookupType(this.getConstantType(ast.object.property.name));
 						case 'this.constants.value[][]':
-							return typeLookupMap[this.getConstantType(ast.object.object.property.name)];
+							return lookupType(this.getConstantType(ast.object.object.property.name), 2);
 						case 'this.constants.value[][][]':
-							return typeLookupMap[this.getConstantType(ast.object.object.object.property.name)];
+							return lookupType(this.getConstantType(ast.object.object.object.property.name));
 						case 'fn()[]':
-							return typeLookupMap[this.getType(ast.object)];
+							return lookupType(this.getType(ast.object));
 						case 'fn()[][]':
-							return typeLookupMap[this.getType(ast.object)];
+							return lookupType(this.getType(ast.object));
 						case 'fn()[][][]':
-							return typeLookupMap[this.getType(ast.object)];
+							return lookupType(this.getType(ast.object));
 						case 'value.value':
 							if (this.isAstMathVariable(ast)) {
 								return 'Number';
 							}
 							switch (ast.property.name) {
 								case 'r':
-									return typeLookupMap[this.getVariableType(ast.object.name)];
+									return lookupType(this.getVariableType(ast.object.name, ast));
 								case 'g':
-									return typeLookupMap[this.getVariableType(ast.object.name)];
+									return lookupType(this.getVariableType(ast.object.name, ast));
 								case 'b':
-									return typeLookupMap[this.getVariableType(ast.object.name)];
+									return lookupType(this.getVariableType(ast.object.name, ast));
 								case 'a':
-									return typeLookupMap[this.getVariableType(ast.object.name)];
+									return lookupType(this.getVariableType(ast.object.name, ast));
 							}
 					}
 					throw this.astErrorOutput('Unhandled getType MemberExpression', ast);
@@ -406,6 +492,14 @@ class FunctionNode {
 			case 'FunctionDeclaration':
 				return this.getType(ast.body);
 			case 'ConditionalExpression':
+				if (this.strictTypes) {
+					const consequentType = this.getType(ast.consequent);
+					const alternateType = this.getType(ast.alternate);
+					if (consequentType !== alternateType && !(numberTypes[consequentType] && numberTypes[alternateType])) {
+						throw this.astErrorOutput(`Ambiguous type, "${ consequentType }" or "${ alternateType }"`, ast);
+					}
+					return consequentType;
+				}
 				return this.getType(ast.consequent);
 			default:
 				throw this.astErrorOutput(`Unhandled getType Type "${ ast.type }"`, ast);
@@ -527,6 +621,7 @@ class FunctionNode {
 			case 'VariableDeclaration':
 				return this.getDependencies(ast.declarations, dependencies, isNotSafe);
 			case 'ArrayExpression':
+			case 'NewExpression':
 				dependencies.push({
 					origin: 'declaration',
 					isSafe: true,
@@ -638,6 +733,8 @@ class FunctionNode {
 					return this.astFunctionDeclaration(ast, retArr);
 				case 'FunctionExpression':
 					return this.astFunctionExpression(ast, retArr);
+				case 'ArrowFunctionExpression':
+					return this.astFunctionExpression(ast, retArr);
 				case 'ReturnStatement':
 					return this.astReturnStatement(ast, retArr);
 				case 'Literal':
@@ -653,7 +750,7 @@ class FunctionNode {
 				case 'EmptyStatement':
 					return this.astEmptyStatement(ast, retArr);
 				case 'BlockStatement':
-					return this.astBlockStatement(ast, retArr);
+					return this.astScope(ast, retArr, this.astBlockStatement);
 				case 'IfStatement':
 					return this.astIfStatement(ast, retArr);
 				case 'BreakStatement':
@@ -661,12 +758,17 @@ class FunctionNode {
 				case 'ContinueStatement':
 					return this.astContinueStatement(ast, retArr);
 				case 'ForStatement':
-					return this.astForStatement(ast, retArr);
+					return this.astScope(ast, retArr, this.astForStatement);
 				case 'WhileStatement':
 					return this.astWhileStatement(ast, retArr);
 				case 'DoWhileStatement':
 					return this.astDoWhileStatement(ast, retArr);
+				case 'SwitchStatement':
+					return this.astScope(ast, retArr, this.astSwitchStatement);
 				case 'VariableDeclaration':
+					if (ast.declarations.some(declaration => declaration.id.type !== 'Identifier')) {
+						return this.astDestructuringDeclaration(ast, retArr);
+					}
 					return this.astVariableDeclaration(ast, retArr);
 				case 'VariableDeclarator':
 					return this.astVariableDeclarator(ast, retArr);
@@ -686,6 +788,8 @@ class FunctionNode {
 					return this.astCallExpression(ast, retArr);
 				case 'ArrayExpression':
 					return this.astArrayExpression(ast, retArr);
+				case 'NewExpression':
+					return this.astNewExpression(ast, retArr);
 				case 'DebuggerStatement':
 					return this.astDebuggerStatement(ast, retArr);
 				case 'ConditionalExpression':
@@ -695,6 +799,126 @@ class FunctionNode {
 			throw this.astErrorOutput('Unknown ast type : ' + ast.type, ast);
 		}
 	}
+
+	/**
+	 * @desc Parses the abstract syntax tree of a block, or of a for or switch statement, with the variables declared in it
+	 * known only until its end, as `let` and `const` are
+	 * @param {Object} ast - the AST object to parse
+	 * @param {Array} retArr - return array string
+	 * @param {Function} astStatement - method parsing the statement
+	 * @returns {Array} the append retArr
+	 */
+	astScope(ast, retArr, astStatement) {
+		const declarations = this.declarations;
+		this.declarations = Object.create(declarations);
+		astStatement.call(this, ast, retArr);
+		this.declarations = declarations;
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree of a *Variable Declaration* that destructures values, as the declarations
+	 * of each variable, see `getDestructuredDeclarations`
+	 * @param {Object} varDecNode - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astDestructuringDeclaration(varDecNode, retArr) {
+		if (this.isState('in-for-loop-init')) {
+			throw this.astErrorOutput('Destructuring is not supported in for loops', varDecNode);
+		}
+		const declarations = this.getDestructuredDeclarations(varDecNode);
+		for (let i = 0; i < declarations.length; i++) {
+			if (i > 0) {
+				retArr.push('\n');
+			}
+			this.astVariableDeclaration(declarations[i], retArr);
+		}
+		return retArr;
+	}
+
+	/**
+	 * @desc Get a *Variable Declaration* for each variable of one that destructures values, where `const [x, y] = v`
+	 * declares `x` as `v[0]` and `y` as `v[1]`, and `const { a } = v` declares `a` as `v.a`. A value that is not a
+	 * variable is declared as one first, so it is read once.
+	 * @param {Object} varDecNode - An ast Node
+	 * @returns {Object[]} VariableDeclaration ast Nodes
+	 */
+	getDestructuredDeclarations(varDecNode) {
+		const result = [];
+		const declare = (id, init, loc) => {
+			result.push({
+				type: 'VariableDeclaration',
+				kind: varDecNode.kind,
+				declarations: [{
+					type: 'VariableDeclarator',
+					id,
+					init,
+					loc
+				}],
+				loc
+			});
+		};
+		for (let i = 0; i < varDecNode.declarations.length; i++) {
+			const {
+				id,
+				init,
+				loc
+			} = varDecNode.declarations[i];
+			if (id.type === 'Identifier') {
+				declare(id, init, loc);
+				continue;
+			}
+			let value = init;
+			if (init.type !== 'Identifier') {
+				value = {
+					type: 'Identifier',
+					name: this.getInternalDeclarationName('destructured'),
+					loc: init.loc
+				};
+				declare(value, init, loc);
+			}
+			if (id.type === 'ArrayPattern') {
+				for (let j = 0; j < id.elements.length; j++) {
+					const element = id.elements[j];
+					if (element === null) continue;
+					if (element.type !== 'Identifier') {
+						throw this.astErrorOutput(`Unhandled destructuring of ${ element.type }`, element);
+					}
+					declare(element, {
+						type: 'MemberExpression',
+						computed: true,
+						object: value,
+						property: {
+							type: 'Literal',
+							value: j,
+							raw: `${ j }`,
+							loc: element.loc
+						},
+						loc: element.loc
+					}, element.loc);
+				}
+			} else if (id.type === 'ObjectPattern') {
+				for (let j = 0; j < id.properties.length; j++) {
+					const property = id.properties[j];
+					if (property.type !== 'Property' || property.computed || property.value.type !== 'Identifier') {
+						throw this.astErrorOutput(`Unhandled destructuring of ${ property.type }`, property);
+					}
+					declare(property.value, {
+						type: 'MemberExpression',
+						computed: false,
+						object: value,
+						property: property.key,
+						loc: property.loc
+					}, property.loc);
+				}
+			} else {
+				throw this.astErrorOutput(`Unhandled destructuring of ${ id.type }`, id);
+			}
+		}
+		return result;
+	}
+
 	/**
 	 * @desc To throw the AST error, with its location.
 	 * @param {string} error - the error message output
@@ -705,11 +929,14 @@ class FunctionNode {
 			return new Error(error);
 		}
 
-		const debugString = utils.getAstString(this.source, ast);
-		const leadingSource = this.source.substr(ast.start);
-		const splitLines = leadingSource.split(/\n/);
-		const lineBefore = splitLines.length > 0 ? splitLines[splitLines.length - 1] : 0;
-		return new Error(`${error} on line ${ splitLines.length }, position ${ lineBefore.length }:\n ${ debugString }`);
+		// the source is parsed after a declaration, which shifts the columns of its first line
+		const declaration = `const parser_${ this.name } = `;
+		const debugString = utils.getAstString(declaration + this.source, ast);
+		const {
+			line
+		} = ast.loc.start;
+		const column = line === 1 ? ast.loc.start.column - declaration.length : ast.loc.start.column;
+		return new Error(`${error} on line ${ line }, position ${ column }:\n ${ debugString }`);
 	}
 
 	astDebuggerStatement(arrNode, retArr) {
@@ -818,6 +1045,9 @@ class FunctionNode {
 	astDoWhileStatement(ast, retArr) {
 		return retArr;
 	}
+	astSwitchStatement(ast, retArr) {
+		return retArr;
+	}
 	/**
 	 * @desc Parses the abstract syntax tree for *Variable Declaration*
 	 * @param {Object} varDecNode - An ast Node
@@ -950,6 +1180,231 @@ class FunctionNode {
 	astArrayExpression(ast, retArr) {
 		return retArr;
 	}
+	astNewExpression(ast, retArr) {
+		return retArr;
+	}
+
+	/**
+	 * @desc Get the length of a local `new Float32Array(length)`, which must be known when the kernel is built,
+	 * as a literal or a constant
+	 * @param {Object} ast - NewExpression
+	 * @returns {Number} length
+	 */
+	getNewArrayLength(ast) {
+		if (ast.callee.type !== 'Identifier' || ast.callee.name !== 'Float32Array') {
+			throw this.astErrorOutput('Only new Float32Array(length) is supported', ast);
+		}
+		if (ast.arguments.length !== 1) {
+			throw this.astErrorOutput('Float32Array needs a length', ast);
+		}
+		const argument = ast.arguments[0];
+		let length = null;
+		if (argument.type === 'Literal') {
+			length = argument.value;
+		} else if (argument.type === 'MemberExpression' && this.isAstVariable(argument) && this.getVariableSignature(argument) === 'this.constants.value') {
+			length = this.constants ? this.constants[argument.property.name] : null;
+		}
+		if (!Number.isInteger(length) || length < 1) {
+			throw this.astErrorOutput('Float32Array length must be a literal or constant integer above 0', argument);
+		}
+		return length;
+	}
+
+	/**
+	 * @desc Get the length of an `Array(length)` type, or null for other types
+	 * @param {String} type
+	 * @returns {Number|null} length
+	 */
+	getArrayTypeLength(type) {
+		const match = /^Array\((\d+)\)$/.exec(type);
+		return match ? parseInt(match[1]) : null;
+	}
+
+	/**
+	 * @desc Get the size of a `Matrix(2)`, `Matrix(3)` or `Matrix(4)` type, or null for other types
+	 * @param {String} type
+	 * @returns {Number|null} size
+	 */
+	getMatrixTypeSize(type) {
+		return utils.getMatrixTypeSize(type);
+	}
+
+	/**
+	 * @desc Get the type of an array of 2 to 4 columns, which are each arrays of as many values, which is a matrix,
+	 * or null for other arrays
+	 * @param {Object} ast - ArrayExpression
+	 * @returns {String|null} type
+	 */
+	getMatrixExpressionType(ast) {
+		const size = ast.elements.length;
+		if (size < 2 || size > 4) return null;
+		for (let i = 0; i < size; i++) {
+			const element = ast.elements[i];
+			const length = element.type === 'ArrayExpression' ? element.elements.length : this.getArrayTypeLength(this.getType(element));
+			if (length !== size) return null;
+		}
+		return `Matrix(${ size })`;
+	}
+
+	/**
+	 * @desc If either side of a binary expression is a matrix
+	 * @param {Object} ast - BinaryExpression
+	 * @returns {Boolean}
+	 */
+	isMatrixBinaryExpression(ast) {
+		return Boolean(this.getMatrixTypeSize(this.inferType(ast.left)) || this.getMatrixTypeSize(this.inferType(ast.right)));
+	}
+
+	/**
+	 * @desc Get the type of a binary expression of a matrix, which can be multiplied by a matrix, by a vector, or by a
+	 * number, added to or subtracted from a matrix, or divided by a number
+	 * @param {Object} ast - BinaryExpression
+	 * @returns {String} type
+	 */
+	getMatrixBinaryExpressionType(ast) {
+		const leftType = this.getType(ast.left);
+		const rightType = this.getType(ast.right);
+		const size = this.getMatrixTypeSize(leftType) || this.getMatrixTypeSize(rightType);
+		const getKind = (type) => {
+			if (type === `Matrix(${ size })`) return 'Matrix';
+			if (type === `Array(${ size })`) return 'Vector';
+			if (numberTypes[type]) return 'Number';
+			return type;
+		};
+		switch (`${ getKind(leftType) } ${ ast.operator } ${ getKind(rightType) }`) {
+			case 'Matrix * Matrix':
+			case 'Matrix + Matrix':
+			case 'Matrix - Matrix':
+			case 'Matrix * Number':
+			case 'Number * Matrix':
+			case 'Matrix / Number':
+				return `Matrix(${ size })`;
+			case 'Matrix * Vector':
+			case 'Vector * Matrix':
+				return `Array(${ size })`;
+			default:
+				throw this.astErrorOutput(`Unhandled matrix expression "${ leftType } ${ ast.operator } ${ rightType }"`, ast);
+		}
+	}
+
+	/**
+	 * @desc Get the field of an object argument or constant that a member expression reads, such as `arg.radius` or
+	 * `this.constants.camera.position[1]`, or null when it reads none. The numeric fields of objects are flattened into
+	 * arguments and constants named `${ name }_${ field }`.
+	 * @param {Object} ast - MemberExpression
+	 * @returns {Object|null} name, origin and type of the flattened field, and how many times it is indexed
+	 */
+	getObjectField(ast) {
+		let fieldAst = ast;
+		let depth = 0;
+		while (fieldAst.type === 'MemberExpression' && fieldAst.computed) {
+			fieldAst = fieldAst.object;
+			depth++;
+		}
+		if (fieldAst.type !== 'MemberExpression' || depth > 3) return null;
+		const object = this.getFieldObject(fieldAst.object);
+		if (!object) {
+			const nestedAst = fieldAst.object;
+			const nestedObject = nestedAst.type === 'MemberExpression' && !nestedAst.computed ? this.getFieldObject(nestedAst.object) : null;
+			if (nestedObject) {
+				const nestedField = `${ nestedAst.property.name }.${ fieldAst.property.name }`;
+				throw this.astErrorOutput(`Nested field ${ nestedField } of ${ nestedObject.objectName } is not supported, only fields of objects that are numbers, arrays or textures are`, ast);
+			}
+			return null;
+		}
+		const {
+			objectName,
+			origin,
+			fieldTypes
+		} = object;
+		const field = fieldAst.property.name;
+		if (!fieldTypes.hasOwnProperty(field)) {
+			throw this.astErrorOutput(`Unknown field ${ field } of ${ objectName }`, ast);
+		}
+		const name = `${ objectName }_${ field }`;
+		if (origin === 'user' && this.getDeclaredNames().hasOwnProperty(name)) {
+			// a variable of the same name would hide the field, or be declared twice
+			throw this.astErrorOutput(`Field ${ field } of ${ objectName } is flattened into "${ name }", which is already the name of a variable`, ast);
+		}
+		return {
+			name,
+			origin,
+			type: fieldTypes[field],
+			depth
+		};
+	}
+
+	/**
+	 * @desc Get the object argument or constant that an ast is, such as `arg` or `this.constants.camera`,
+	 * or null when it is neither
+	 * @param {Object} ast
+	 * @returns {Object|null} objectName, origin, and the types of its fields
+	 */
+	getFieldObject(ast) {
+		if (ast.type === 'Identifier' && this.argumentFieldTypes && this.argumentFieldTypes.hasOwnProperty(ast.name)) {
+			return {
+				objectName: ast.name,
+				origin: 'user',
+				fieldTypes: this.argumentFieldTypes[ast.name]
+			};
+		}
+		if (
+			ast.type === 'MemberExpression' &&
+			this.getVariableSignature(ast) === 'this.constants.value' &&
+			this.constantFieldTypes &&
+			this.constantFieldTypes.hasOwnProperty(ast.property.name)
+		) {
+			return {
+				objectName: ast.property.name,
+				origin: 'constants',
+				fieldTypes: this.constantFieldTypes[ast.property.name]
+			};
+		}
+		return null;
+	}
+
+	/**
+	 * @desc Get the names of the variables declared anywhere in the function, including destructured ones
+	 * @returns {Object} names, as keys
+	 */
+	getDeclaredNames() {
+		if (this.declaredNames) return this.declaredNames;
+		const names = {};
+		const addPattern = (id) => {
+			if (!id) return;
+			switch (id.type) {
+				case 'Identifier':
+					names[id.name] = true;
+					break;
+				case 'ArrayPattern':
+					id.elements.forEach(addPattern);
+					break;
+				case 'ObjectPattern':
+					id.properties.forEach(property => addPattern(property.value));
+					break;
+				case 'AssignmentPattern':
+					addPattern(id.left);
+					break;
+			}
+		};
+		const visit = (node) => {
+			if (!node || typeof node.type !== 'string') return;
+			if (node.type === 'VariableDeclarator') {
+				addPattern(node.id);
+			}
+			for (const key in node) {
+				if (key === 'loc') continue;
+				const value = node[key];
+				if (Array.isArray(value)) {
+					value.forEach(visit);
+				} else if (value && typeof value === 'object') {
+					visit(value);
+				}
+			}
+		};
+		visit((this.ast || this.getJsAST()).body);
+		return this.declaredNames = names;
+	}
 
 	getMemberExpressionDetails(ast) {
 		if (ast.type !== 'MemberExpression') {
@@ -957,6 +1412,24 @@ class FunctionNode {
 		}
 		let name = null;
 		let type = null;
+		const objectField = this.getObjectField(ast);
+		if (objectField) {
+			const {
+				depth,
+				origin
+			} = objectField;
+			// the field is read as an argument or constant of its own
+			const details = {
+				name: objectField.name,
+				origin,
+				signature: origin === 'constants' ? `this.constants.value${ '[]'.repeat(depth) }` : depth === 0 ? 'value.value' : `value${ '[]'.repeat(depth) }`,
+				type: objectField.type
+			};
+			if (depth > 0) details.xProperty = ast.property;
+			if (depth > 1) details.yProperty = ast.object.property;
+			if (depth > 2) details.zProperty = ast.object.object.property;
+			return details;
+		}
 		const variableSignature = this.getVariableSignature(ast);
 		switch (variableSignature) {
 			case 'value':
@@ -977,7 +1450,7 @@ class FunctionNode {
 					name,
 					origin: 'user',
 					signature: variableSignature,
-					type: this.getVariableType(name),
+					type: this.getVariableType(name, ast),
 					xProperty: ast.property
 				};
 			case 'value[][]':
@@ -989,7 +1462,7 @@ class FunctionNode {
 					name,
 					origin: 'user',
 					signature: variableSignature,
-					type: this.getVariableType(name),
+					type: this.getVariableType(name, ast),
 					yProperty: ast.object.property,
 					xProperty: ast.property,
 				};
@@ -1002,7 +1475,7 @@ class FunctionNode {
 					name,
 					origin: 'user',
 					signature: variableSignature,
-					type: this.getVariableType(name),
+					type: this.getVariableType(name, ast),
 					zProperty: ast.object.object.property,
 					yProperty: ast.object.property,
 					xProperty: ast.property,
@@ -1126,6 +1599,20 @@ class FunctionNode {
 		}
 		return name + this._internalVariableNames[name];
 	}
+
+	/**
+	 * @desc Get the name of a variable the kernel source is rewritten to declare, which is not the name of an
+	 * argument or of a declared variable
+	 * @param {String} name
+	 * @returns {String}
+	 */
+	getInternalDeclarationName(name) {
+		let result = this.getInternalVariableName(name);
+		while (this.declarations[result] || this.argumentNames.indexOf(result) > -1) {
+			result = this.getInternalVariableName(name);
+		}
+		return result;
+	}
 }
 
 const typeLookupMap = {
@@ -1141,6 +1628,31 @@ const typeLookupMap = {
 	'ArrayTexture(4)': 'Array(4)',
 };
 
+/**
+ * @desc Get the type of a value read from a type, where values of local arrays of any length are numbers, and
+ * matrices are read as their columns, or as numbers at a depth of 2
+ * @param {String} type
+ * @param {Number} [depth]
+ * @returns {String}
+ */
+function lookupType(type, depth) {
+	if (typeLookupMap.hasOwnProperty(type)) {
+		return typeLookupMap[type];
+	}
+	const matrixSize = utils.getMatrixTypeSize(type);
+	if (matrixSize) {
+		return depth === 2 ? 'Number' : `Array(${ matrixSize })`;
+	}
+	return /^Array\(\d+\)$/.test(type) ? 'Number' : undefined;
+}
+
+const numberTypes = {
+	'Number': true,
+	'Float': true,
+	'Integer': true,
+	'LiteralInteger': true,
+};
+
 module.exports = {
 	FunctionNode
 };
\ No newline at end of file
@@ -45,6 +45,13 @@ class GLKernel extends Kernel {
 		return result[0] === 2 && result[1] === 1511;
 	}
 
+	static getIsHighIntExact() {
+		const gl = this.testContext;
+		const format = gl.getShaderPrecisionFormat(gl.FRAGMENT_SHADER, gl.HIGH_INT);
+		// a 32 bit int reaches -2^31, and 2^31 - 1, which is under 2^31
+		return format !== null && format.rangeMin >= 31 && format.rangeMax >= 30;
+	}
+
 	/**
 	 * @abstract
 	 */
@@ -2,6 +2,9 @@ const getContext = require('gl');
 const {
 	WebGLKernel
 } = require('../web-gl/kernel');
+const {
+	TexturePool
+} = require('../web-gl/texture-pool');
 
 let isSupported = null;
 let testCanvas = null;
@@ -47,8 +50,10 @@ class HeadlessGLKernel extends WebGLKernel {
 		return Object.freeze({
 			isFloatRead: this.getIsFloatRead(),
 			isIntegerDivisionAccurate: this.getIsIntegerDivisionAccurate(),
+			isHighIntExact: this.getIsHighIntExact(),
 			getIsTextureFloat: true,
 			isDrawBuffers,
+			isAsyncExec: false,
 			kernelMap: isDrawBuffers
 		});
 	}
@@ -99,6 +104,7 @@ class HeadlessGLKernel extends WebGLKernel {
 	}
 
 	static destroyContext(context) {
+		TexturePool.fromContext(context).clear();
 		const extension = context.getExtension('STACKGL_destroy_context');
 		if (extension && extension.destroy) {
 			extension.destroy();
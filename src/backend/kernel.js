@@ -28,6 +28,20 @@ class Kernel {
 		throw new Error(`"destroyContext" called on ${ this.name }`);
 	}
 
+	/**
+	 * @desc Bytes of textures of a context, which are referenced by kernels and Textures, or pooled to be used again
+	 * @param {Object} context
+	 * @returns {{liveBytes: Number, pooledBytes: Number, liveTextures: Number, pooledTextures: Number}}
+	 */
+	static getMemoryStats(context) {
+		return {
+			liveBytes: 0,
+			pooledBytes: 0,
+			liveTextures: 0,
+			pooledTextures: 0
+		};
+	}
+
 	/**
 	 *
 	 * @param {string|object} source
@@ -51,6 +65,12 @@ class Kernel {
 		this.argumentTypes = null;
 		this.argumentSizes = null;
 
+		/**
+		 * Types of the numeric fields of the arguments that are objects, by argument name then field name
+		 * @type {Object}
+		 */
+		this.argumentFieldTypes = null;
+
 		/**
 		 * The function source
 		 * @type {String}
@@ -87,6 +107,12 @@ class Kernel {
 		 */
 		this.constants = null;
 		this.constantTypes = null;
+
+		/**
+		 * Types of the numeric fields of the constants that are objects, by constant name then field name
+		 * @type {Object}
+		 */
+		this.constantFieldTypes = null;
 		this.hardcodeConstants = null;
 
 		/**
@@ -138,6 +164,34 @@ class Kernel {
 		 */
 		this.pipeline = false;
 
+		/**
+		 * The type each thread of the kernel returns, `Number` by default
+		 * @type {String}
+		 */
+		this.returnType = null;
+
+		/**
+		 * Throw, with the location in source, when a type cannot be determined while transpiling
+		 * @type {Boolean}
+		 */
+		this.strictTypes = false;
+
+		/**
+		 * Seed of `Math.random()`, which repeats the same values every run while set
+		 * @type {Number}
+		 */
+		this.randomSeed = null;
+
+		/**
+		 * Precision of values in the kernel and its results, `single` for float32, or `double`
+		 * @type {String}
+		 */
+		this.precision = 'single';
+
+		/**
+		 * Plugins used by the kernel, see `initPlugins`
+		 * @type {IPlugin[]}
+		 */
 		this.plugins = null;
 	}
 
@@ -151,7 +205,7 @@ class Kernel {
 		}
 		if (!this.canvas) this.canvas = this.initCanvas();
 		if (!this.context) this.context = this.initContext();
-		if (!this.plugins) this.plugins = this.initPlugins(settings);
+		this.plugins = this.initPlugins(settings);
 	}
 	/**
 	 * @desc Builds the Kernel, by compiling Fragment and Vertical Shaders,
@@ -197,18 +251,93 @@ class Kernel {
 		throw new Error(`"initPlugins" not defined on ${ this.constructor.name }`);
 	}
 
+	/**
+	 * @desc Filter plugins down to those the kernel uses.
+	 * A plugin with a `functionMatch` is used when the kernel or its functions call it, and only the first plugin for
+	 * a given `functionMatch` is used, so plugins from settings take precedence over defaults.
+	 * Kernels built from JSON use the plugins in `settings.pluginNames`.
+	 * @param {IPlugin[]} plugins
+	 * @param {Object} settings
+	 * @returns {IPlugin[]}
+	 */
+	filterPlugins(plugins, settings) {
+		if (typeof this.source === 'object') {
+			if (!settings.pluginNames) return [];
+			return plugins.filter(plugin => settings.pluginNames.indexOf(plugin.name) > -1);
+		}
+		const sources = [this.source];
+		if (this.functions) {
+			for (let i = 0; i < this.functions.length; i++) {
+				sources.push(this.functions[i].source);
+			}
+		}
+		const usedPlugins = [];
+		const matched = {};
+		for (let i = 0; i < plugins.length; i++) {
+			const plugin = plugins[i];
+			if (plugin.functionMatch) {
+				const functionName = plugin.functionMatch.replace(/\(\)$/, '');
+				if (matched[functionName]) continue;
+				if (!sources.some(source => source.indexOf(functionName) > -1)) continue;
+				matched[functionName] = true;
+			}
+			usedPlugins.push(plugin);
+		}
+		return usedPlugins;
+	}
+
+	/**
+	 * @desc Call a hook, such as `onBuild` or `onBeforeRun`, on every plugin that defines it
+	 * @param {String} hookName
+	 * @param {*} [value] - sent to the hook after the kernel
+	 */
+	callPluginHook(hookName, value) {
+		if (!this.plugins) return;
+		for (let i = 0; i < this.plugins.length; i++) {
+			const plugin = this.plugins[i];
+			if (plugin[hookName]) {
+				plugin[hookName](this, value);
+			}
+		}
+	}
+
+	/**
+	 * @desc Call the `onAfterRun` hook of plugins with the result of a run
+	 * @param {*} result
+	 * @returns {*} result
+	 */
+	afterRun(result) {
+		this.callPluginHook('onAfterRun', result);
+		return result;
+	}
+
 	/**
 	 * @desc Setup the parameter types for the parameters
-	 * supplied to the Kernel function
+	 * supplied to the Kernel function, keeping the `Matrix(2)`, `Matrix(3)` and `Matrix(4)` types given
+	 * by the `argumentTypes` setting, and the types of the fields of arguments that are objects
 	 *
 	 * @param {IArguments} args - The actual parameters sent to the Kernel
 	 */
 	setupArguments(args) {
+		const declaredTypes = this.argumentTypes;
 		this.argumentTypes = [];
 		this.argumentSizes = [];
+		this.argumentFieldTypes = {};
 		for (let i = 0; i < args.length; i++) {
 			const arg = args[i];
+			const declaredType = declaredTypes ? declaredTypes[Array.isArray(declaredTypes) ? i : this.argumentNames[i]] : null;
+			if (utils.getMatrixTypeSize(declaredType)) {
+				if (!utils.flattenMatrix(arg, utils.getMatrixTypeSize(declaredType))) {
+					throw new Error(`Argument ${ this.argumentNames[i] } is not a ${ declaredType }`);
+				}
+				this.argumentTypes.push(declaredType);
+				this.argumentSizes.push(null);
+				continue;
+			}
 			const argType = utils.getVariableType(arg);
+			if (argType === 'Object') {
+				this.argumentFieldTypes[this.argumentNames[i]] = utils.getObjectFieldTypes(arg);
+			}
 			this.argumentTypes.push(argType === 'Integer' ? 'Number' : argType);
 			this.argumentSizes.push(arg.constructor === Input ? arg.size : null);
 		}
@@ -216,16 +345,56 @@ class Kernel {
 		if (this.argumentNames.length !== args.length) {
 			throw new Error(`arguments are miss-aligned`);
 		}
+		this.checkObjectFieldNames(this.argumentNames, this.argumentFieldTypes, 'argument');
 	}
 
 	/**
-	 * Setup constants
+	 * Setup constants, keeping the `Matrix(2)`, `Matrix(3)` and `Matrix(4)` types given by the `constantTypes` setting,
+	 * and the types of the fields of constants that are objects
 	 */
 	setupConstants() {
+		const declaredTypes = this.constantTypes;
 		this.constantTypes = {};
+		this.constantFieldTypes = {};
 		if (this.constants) {
 			for (let p in this.constants) {
+				const declaredType = declaredTypes ? declaredTypes[p] : null;
+				if (utils.getMatrixTypeSize(declaredType)) {
+					if (!utils.flattenMatrix(this.constants[p], utils.getMatrixTypeSize(declaredType))) {
+						throw new Error(`Constant ${ p } is not a ${ declaredType }`);
+					}
+					this.constantTypes[p] = declaredType;
+					continue;
+				}
 				this.constantTypes[p] = utils.getVariableType(this.constants[p]);
+				if (this.constantTypes[p] === 'Object') {
+					this.constantFieldTypes[p] = utils.getObjectFieldTypes(this.constants[p]);
+				}
+			}
+			this.checkObjectFieldNames(Object.keys(this.constants), this.constantFieldTypes, 'constant');
+		}
+	}
+
+	/**
+	 * @desc Throw when a field of an object, which is flattened into a variable named `${ name }_${ field }`,
+	 * has the name of another argument or constant, or of the field of another object
+	 * @param {String[]} names - of the arguments or constants
+	 * @param {Object} fieldTypes - types of the fields of those that are objects, by name then field
+	 * @param {String} kind - `'argument'` or `'constant'`
+	 */
+	checkObjectFieldNames(names, fieldTypes, kind) {
+		const taken = {};
+		for (let i = 0; i < names.length; i++) {
+			taken[names[i]] = `${ kind } "${ names[i] }"`;
+		}
+		for (const name in fieldTypes) {
+			for (const field in fieldTypes[name]) {
+				const flatName = `${ name }_${ field }`;
+				const fieldDescription = `field "${ field }" of ${ kind } "${ name }"`;
+				if (taken.hasOwnProperty(flatName)) {
+					throw new Error(`The ${ fieldDescription } is flattened into "${ flatName }", which is already the name of the ${ taken[flatName] }`);
+				}
+				taken[flatName] = fieldDescription;
 			}
 		}
 	}
@@ -329,6 +498,79 @@ class Kernel {
 		return this;
 	}
 
+	/**
+	 * @desc Set the type each thread of the kernel returns
+	 * @param {String} returnType - `Number`, `Integer`, `UnsignedInteger`, `Array(2)`, `Array(3)` or `Array(4)`
+	 * @returns {Kernel}
+	 */
+	setReturnType(returnType) {
+		this.returnType = returnType;
+		return this;
+	}
+
+	/**
+	 * @desc Set strict type checking, which throws on unknown or ambiguous types
+	 * @param {Boolean} flag - true to enable strict type checking
+	 * @returns {Kernel}
+	 */
+	setStrictTypes(flag) {
+		this.strictTypes = flag;
+		return this;
+	}
+
+	/**
+	 * @desc Set the seed of `Math.random()`, so runs can be repeated. Can be set between runs, or null to not seed
+	 * @param {Number|null} seed
+	 * @returns {Kernel}
+	 */
+	setRandomSeed(seed) {
+		this.randomSeed = seed;
+		return this;
+	}
+
+	/**
+	 * @desc Set the precision of values in the kernel and its results
+	 * @param {String} precision - `single` (default) or `double`
+	 * @returns {Kernel}
+	 */
+	setPrecision(precision) {
+		this.precision = precision;
+		return this;
+	}
+
+	/**
+	 * @desc The amount of values each thread returns, 1 unless returnType is an `Array(n)`
+	 * @returns {Number}
+	 */
+	getReturnTypeLength() {
+		switch (this.returnType) {
+			case 'Array(2)':
+				return 2;
+			case 'Array(3)':
+				return 3;
+			case 'Array(4)':
+				return 4;
+			default:
+				return 1;
+		}
+	}
+
+	/**
+	 * @desc The typed array of the results of a kernel with an integer returnType,
+	 * `Int32Array` for `Integer`, `Uint32Array` for `UnsignedInteger`, otherwise null
+	 * @returns {Function|null}
+	 */
+	getIntegerResultArrayType() {
+		switch (this.returnType) {
+			case 'Integer':
+				return Int32Array;
+			case 'UnsignedInteger':
+				return Uint32Array;
+			default:
+				return null;
+		}
+	}
+
 	/**
 	 * @desc Validate settings
 	 * @abstract
@@ -387,11 +629,21 @@ class Kernel {
 		}
 	}
 
+	checkPrecision() {
+		if (this.precision !== 'single' && this.precision !== 'double') {
+			throw new Error(`precision of "${ this.precision }" not supported, needs to be "single" or "double"`);
+		}
+	}
+
 	toJSON() {
 		const settings = {
 			output: this.output,
 			threadDim: this.threadDim,
 			pipeline: this.pipeline,
+			returnType: this.returnType,
+			strictTypes: this.strictTypes,
+			randomSeed: this.randomSeed,
+			precision: this.precision,
 			argumentNames: this.argumentNames,
 			argumentsTypes: this.argumentTypes,
 			argumentsLength: this.argumentsLength,
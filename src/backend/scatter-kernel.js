@@ -0,0 +1,98 @@
+const {
+	utils
+} = require('../utils');
+
+/**
+ * @desc Runs a kernel whose threads each return `[index, value]`, and adds every value into output at its index.
+ * Indexes outside of output are skipped, so threads can be filtered by returning an index of -1.
+ * @abstract
+ */
+class ScatterKernel {
+	/**
+	 *
+	 * @param {Function} threadKernel - callable kernel returning `Array(2)`, with an output of the scattering threads
+	 * @param {Object} settings
+	 */
+	constructor(threadKernel, settings) {
+		/**
+		 * The callable kernel each thread of which returns `[index, value]`
+		 * @type {Function}
+		 */
+		this.threadKernel = threadKernel;
+
+		/**
+		 * The dimensions of the scattered result, indexed as `x + y * width + z * width * height`
+		 * @type {Number[]}
+		 */
+		this.output = null;
+
+		this.setOutput(settings.output);
+	}
+
+	/**
+	 * @desc Set output dimensions of the scattered result
+	 * @param {Array|Object} output - the output array to set the kernel output size to
+	 */
+	setOutput(output) {
+		if (!output) {
+			throw new Error('scatter kernel needs an output');
+		}
+		if (output.hasOwnProperty('x')) {
+			if (output.hasOwnProperty('y')) {
+				if (output.hasOwnProperty('z')) {
+					this.output = [output.x, output.y, output.z];
+				} else {
+					this.output = [output.x, output.y];
+				}
+			} else {
+				this.output = [output.x];
+			}
+		} else {
+			this.output = output;
+		}
+		return this;
+	}
+
+	/**
+	 * @desc The amount of values in output
+	 * @returns {Number}
+	 */
+	getOutputLength() {
+		return this.output.reduce((length, size) => length * size, 1);
+	}
+
+	/**
+	 * @desc Run the thread kernel, and scatter its values
+	 * @abstract
+	 */
+	run() {
+		throw new Error(`"run" not defined on ${ this.constructor.name }`);
+	}
+
+	/**
+	 * @desc Destroys resources of the scatter kernel, the thread kernel is destroyed with the rest of gpu's kernels
+	 */
+	destroy() {}
+
+	/**
+	 * @desc Split a flat array of scattered values into the dimensions of output
+	 * @param {Float32Array} result
+	 * @returns {Float32Array|Float32Array[]|Float32Array[][]}
+	 */
+	_splitOutput(result) {
+		const output = this.output;
+		if (output.length === 1) {
+			return result;
+		} else if (output.length === 2) {
+			return utils.splitArray(result, output[0]);
+		}
+		const cube = utils.splitArray(result, output[0] * output[1]);
+		return cube.map(function(x) {
+			return utils.splitArray(x, output[0]);
+		});
+	}
+}
+
+module.exports = {
+	ScatterKernel
+};
@@ -0,0 +1,535 @@
+// Assembles the WebAssembly text that WasmFunctionNode and WasmKernel write into a binary module.
+// Only what they write is understood: folded instructions, named functions, locals, globals and labels,
+// function and memory imports, function exports, and the f32x4 SIMD instructions of arrays of 2 to 4 numbers.
+
+const valueTypes = {
+	i32: 0x7F,
+	f32: 0x7D,
+	f64: 0x7C,
+	v128: 0x7B
+};
+
+const opcodes = {
+	'unreachable': [0x00],
+	'nop': [0x01],
+	'br': [0x0C],
+	'br_if': [0x0D],
+	'return': [0x0F],
+	'call': [0x10],
+	'drop': [0x1A],
+	'select': [0x1B],
+	'local.get': [0x20],
+	'local.set': [0x21],
+	'local.tee': [0x22],
+	'global.get': [0x23],
+	'global.set': [0x24],
+	'i32.load': [0x28],
+	'f32.load': [0x2A],
+	'f64.load': [0x2B],
+	'i32.store': [0x36],
+	'f32.store': [0x38],
+	'f64.store': [0x39],
+	'i32.const': [0x41],
+	'f32.const': [0x43],
+	'f64.const': [0x44],
+	'i32.eqz': [0x45],
+	'i32.eq': [0x46],
+	'i32.ne': [0x47],
+	'i32.lt_s': [0x48],
+	'i32.lt_u': [0x49],
+	'i32.gt_s': [0x4A],
+	'i32.gt_u': [0x4B],
+	'i32.le_s': [0x4C],
+	'i32.le_u': [0x4D],
+	'i32.ge_s': [0x4E],
+	'i32.ge_u': [0x4F],
+	'f64.eq': [0x61],
+	'f64.ne': [0x62],
+	'f64.lt': [0x63],
+	'f64.gt': [0x64],
+	'f64.le': [0x65],
+	'f64.ge': [0x66],
+	'i32.add': [0x6A],
+	'i32.sub': [0x6B],
+	'i32.mul': [0x6C],
+	'i32.and': [0x71],
+	'i32.or': [0x72],
+	'i32.xor': [0x73],
+	'i32.shl': [0x74],
+	'i32.shr_s': [0x75],
+	'i32.shr_u': [0x76],
+	'f64.abs': [0x99],
+	'f64.neg': [0x9A],
+	'f64.ceil': [0x9B],
+	'f64.floor': [0x9C],
+	'f64.trunc': [0x9D],
+	'f64.nearest': [0x9E],
+	'f64.sqrt': [0x9F],
+	'f64.add': [0xA0],
+	'f64.sub': [0xA1],
+	'f64.mul': [0xA2],
+	'f64.div': [0xA3],
+	'f64.min': [0xA4],
+	'f64.max': [0xA5],
+	'f32.demote_f64': [0xB6],
+	'f64.convert_i32_s': [0xB7],
+	'f64.convert_i32_u': [0xB8],
+	'f64.promote_f32': [0xBB],
+	'i32.trunc_sat_f64_s': [0xFC, 0x02],
+	'i32.trunc_sat_f64_u': [0xFC, 0x03],
+	'v128.store': [0xFD, 0x0B],
+	'f32x4.splat': [0xFD, 0x13],
+	'f32x4.extract_lane': [0xFD, 0x1F],
+	'f32x4.replace_lane': [0xFD, 0x20],
+	'f32x4.ceil': [0xFD, 0x67],
+	'f32x4.floor': [0xFD, 0x68],
+	'f32x4.abs': [0xFD, 0xE0, 0x01],
+	'f32x4.neg': [0xFD, 0xE1, 0x01],
+	'f32x4.sqrt': [0xFD, 0xE3, 0x01],
+	'f32x4.add': [0xFD, 0xE4, 0x01],
+	'f32x4.sub': [0xFD, 0xE5, 0x01],
+	'f32x4.mul': [0xFD, 0xE6, 0x01],
+	'f32x4.div': [0xFD, 0xE7, 0x01],
+	'f32x4.min': [0xFD, 0xE8, 0x01],
+	'f32x4.max': [0xFD, 0xE9, 0x01]
+};
+
+// log2 of the natural alignment of memory instructions
+const alignments = {
+	'i32.load': 2,
+	'f32.load': 2,
+	'f64.load': 3,
+	'i32.store': 2,
+	'f32.store': 2,
+	'f64.store': 3,
+	'v128.store': 4
+};
+
+/**
+ * @desc Parse text into nested arrays of atoms
+ * @param {String} text
+ * @returns {Array} the module s-expression
+ */
+function parse(text) {
+	const tokens = text
+		.replace(/;;[^\n]*/g, '')
+		.match(/\(|\)|"[^"]*"|[^\s()]+/g);
+	const stack = [
+		[]
+	];
+	for (let i = 0; i < tokens.length; i++) {
+		const token = tokens[i];
+		if (token === '(') {
+			const list = [];
+			stack[stack.length - 1].push(list);
+			stack.push(list);
+		} else if (token === ')') {
+			if (stack.length === 1) {
+				throw new Error('Unexpected ")" in WebAssembly text');
+			}
+			stack.pop();
+		} else {
+			stack[stack.length - 1].push(token);
+		}
+	}
+	if (stack.length !== 1) {
+		throw new Error('Unclosed "(" in WebAssembly text');
+	}
+	return stack[0][0];
+}
+
+function unsignedLEB(value) {
+	const bytes = [];
+	do {
+		let byte = value & 0x7F;
+		value >>>= 7;
+		if (value !== 0) {
+			byte |= 0x80;
+		}
+		bytes.push(byte);
+	} while (value !== 0);
+	return bytes;
+}
+
+function signedLEB(value) {
+	const bytes = [];
+	while (true) {
+		const byte = value & 0x7F;
+		value >>= 7;
+		if ((value === 0 && (byte & 0x40) === 0) || (value === -1 && (byte & 0x40) !== 0)) {
+			bytes.push(byte);
+			return bytes;
+		}
+		bytes.push(byte | 0x80);
+	}
+}
+
+function float32(value) {
+	const view = new DataView(new ArrayBuffer(4));
+	view.setFloat32(0, value, true);
+	return Array.from(new Uint8Array(view.buffer));
+}
+
+function float64(value) {
+	const view = new DataView(new ArrayBuffer(8));
+	view.setFloat64(0, value, true);
+	return Array.from(new Uint8Array(view.buffer));
+}
+
+function parseNumber(atom) {
+	switch (atom) {
+		case 'inf':
+			return Infinity;
+		case '-inf':
+			return -Infinity;
+		case 'nan':
+			return NaN;
+	}
+	const value = Number(atom);
+	if (isNaN(value)) {
+		throw new Error(`Unknown number "${ atom }" in WebAssembly text`);
+	}
+	return value;
+}
+
+function name(atom) {
+	return JSON.parse(atom);
+}
+
+// names are ascii
+function string(value) {
+	const bytes = [];
+	for (let i = 0; i < value.length; i++) {
+		bytes.push(value.charCodeAt(i));
+	}
+	return unsignedLEB(bytes.length).concat(bytes);
+}
+
+function vector(items) {
+	let bytes = unsignedLEB(items.length);
+	for (let i = 0; i < items.length; i++) {
+		bytes = bytes.concat(items[i]);
+	}
+	return bytes;
+}
+
+function section(id, items) {
+	if (items.length === 0) return [];
+	const content = vector(items);
+	return [id].concat(unsignedLEB(content.length), content);
+}
+
+/**
+ * @desc Get the params and result of a `func` field or import, and where its body starts
+ * @param {Array} field
+ * @param {Number} start - index after the name
+ * @returns {{params: Array, results: Array, exports: String[], locals: Array, body: Number}}
+ */
+function getSignature(field, start) {
+	const signature = {
+		params: [],
+		results: [],
+		exports: [],
+		locals: [],
+		body: field.length
+	};
+	for (let i = start; i < field.length; i++) {
+		const item = field[i];
+		if (!Array.isArray(item)) {
+			signature.body = i;
+			break;
+		}
+		switch (item[0]) {
+			case 'export':
+				signature.exports.push(name(item[1]));
+				break;
+			case 'param':
+				if (item[1][0] === '$') {
+					signature.params.push({
+						name: item[1],
+						type: item[2]
+					});
+				} else {
+					for (let j = 1; j < item.length; j++) {
+						signature.params.push({
+							name: null,
+							type: item[j]
+						});
+					}
+				}
+				break;
+			case 'result':
+				signature.results = signature.results.concat(item.slice(1));
+				break;
+			case 'local':
+				signature.locals.push({
+					name: item[1],
+					type: item[2]
+				});
+				break;
+			default:
+				signature.body = i;
+				return signature;
+		}
+	}
+	return signature;
+}
+
+/**
+ * @desc Assemble WebAssembly text into a binary module
+ * @param {String} text - `(module ...)`
+ * @returns {Uint8Array} binary
+ */
+function assemble(text) {
+	const module = parse(text);
+	if (!Array.isArray(module) || module[0] !== 'module') {
+		throw new Error('WebAssembly text is not a module');
+	}
+
+	const types = [];
+	const typeKeys = [];
+	const getTypeIndex = (signature) => {
+		const bytes = [0x60].concat(
+			vector(signature.params.map(param => [valueTypes[param.type]])),
+			vector(signature.results.map(result => [valueTypes[result]]))
+		);
+		const key = bytes.join(',');
+		let index = typeKeys.indexOf(key);
+		if (index < 0) {
+			index = types.length;
+			types.push(bytes);
+			typeKeys.push(key);
+		}
+		return index;
+	};
+
+	const imports = [];
+	const functionNames = {};
+	const globalNames = {};
+	const functions = [];
+	const globals = [];
+	let functionCount = 0;
+
+	for (let i = 1; i < module.length; i++) {
+		const field = module[i];
+		switch (field[0]) {
+			case 'import': {
+				const description = field[3];
+				const importName = string(name(field[1])).concat(string(name(field[2])));
+				if (description[0] === 'func') {
+					functionNames[description[1]] = functionCount++;
+					imports.push(importName.concat([0x00], unsignedLEB(getTypeIndex(getSignature(description, 2)))));
+				} else if (description[0] === 'memory') {
+					imports.push(importName.concat([0x02, 0x00], unsignedLEB(parseNumber(description[1]))));
+				} else {
+					throw new Error(`Unknown import "${ description[0] }" in WebAssembly text`);
+				}
+				break;
+			}
+			case 'global':
+				globalNames[field[1]] = globals.length;
+				globals.push(field);
+				break;
+			case 'func':
+				functionNames[field[1]] = functionCount++;
+				functions.push(field);
+				break;
+			default:
+				throw new Error(`Unknown module field "${ field[0] }" in WebAssembly text`);
+		}
+	}
+
+	const functionTypes = [];
+	const exports = [];
+	const bodies = [];
+	for (let i = 0; i < functions.length; i++) {
+		const field = functions[i];
+		const signature = getSignature(field, 2);
+		functionTypes.push(unsignedLEB(getTypeIndex(signature)));
+		for (let j = 0; j < signature.exports.length; j++) {
+			exports.push(string(signature.exports[j]).concat([0x00], unsignedLEB(functionNames[field[1]])));
+		}
+
+		const localNames = {};
+		const all = signature.params.concat(signature.locals);
+		for (let j = 0; j < all.length; j++) {
+			if (all[j].name !== null) {
+				localNames[all[j].name] = j;
+			}
+		}
+		const localGroups = [];
+		for (let j = 0; j < signature.locals.length; j++) {
+			const type = valueTypes[signature.locals[j].type];
+			const last = localGroups[localGroups.length - 1];
+			if (last && last.type === type) {
+				last.count++;
+			} else {
+				localGroups.push({
+					type,
+					count: 1
+				});
+			}
+		}
+
+		const code = [];
+		const labels = [];
+		const instruction = (expression) => {
+			if (!Array.isArray(expression)) {
+				if (!opcodes.hasOwnProperty(expression)) {
+					throw new Error(`Unknown instruction "${ expression }" in WebAssembly text`);
+				}
+				code.push.apply(code, opcodes[expression]);
+				return;
+			}
+			const op = expression[0];
+			let index = 1;
+			switch (op) {
+				case 'block':
+				case 'loop': {
+					const label = typeof expression[index] === 'string' && expression[index][0] === '$' ? expression[index++] : null;
+					const blockType = blockTypeOf(expression[index]);
+					if (blockType !== 0x40) index++;
+					code.push(op === 'block' ? 0x02 : 0x03, blockType);
+					labels.push(label);
+					for (; index < expression.length; index++) {
+						instruction(expression[index]);
+					}
+					labels.pop();
+					code.push(0x0B);
+					return;
+				}
+				case 'if': {
+					const label = typeof expression[index] === 'string' && expression[index][0] === '$' ? expression[index++] : null;
+					const blockType = blockTypeOf(expression[index]);
+					if (blockType !== 0x40) index++;
+					let then = null;
+					let otherwise = null;
+					for (; index < expression.length; index++) {
+						const item = expression[index];
+						if (Array.isArray(item) && item[0] === 'then') {
+							then = item;
+						} else if (Array.isArray(item) && item[0] === 'else') {
+							otherwise = item;
+						} else {
+							instruction(item);
+						}
+					}
+					code.push(0x04, blockType);
+					labels.push(label);
+					for (let j = 1; then && j < then.length; j++) {
+						instruction(then[j]);
+					}
+					if (otherwise) {
+						code.push(0x05);
+						for (let j = 1; j < otherwise.length; j++) {
+							instruction(otherwise[j]);
+						}
+					}
+					labels.pop();
+					code.push(0x0B);
+					return;
+				}
+			}
+			if (!opcodes.hasOwnProperty(op)) {
+				throw new Error(`Unknown instruction "${ op }" in WebAssembly text`);
+			}
+			let immediate = [];
+			switch (op) {
+				case 'local.get':
+				case 'local.set':
+				case 'local.tee':
+					immediate = unsignedLEB(lookup(localNames, expression[index++], 'local'));
+					break;
+				case 'global.get':
+				case 'global.set':
+					immediate = unsignedLEB(lookup(globalNames, expression[index++], 'global'));
+					break;
+				case 'call':
+					immediate = unsignedLEB(lookup(functionNames, expression[index++], 'function'));
+					break;
+				case 'br':
+				case 'br_if': {
+					const label = expression[index++];
+					const depth = labels.lastIndexOf(label);
+					if (depth < 0) {
+						throw new Error(`Unknown label "${ label }" in WebAssembly text`);
+					}
+					immediate = unsignedLEB(labels.length - 1 - depth);
+					break;
+				}
+				case 'i32.const':
+					immediate = signedLEB(parseNumber(expression[index++]));
+					break;
+				case 'f32.const':
+					immediate = float32(parseNumber(expression[index++]));
+					break;
+				case 'f64.const':
+					immediate = float64(parseNumber(expression[index++]));
+					break;
+				case 'f32x4.extract_lane':
+				case 'f32x4.replace_lane':
+					immediate = [parseNumber(expression[index++])];
+					break;
+				default:
+					if (alignments.hasOwnProperty(op)) {
+						let offset = 0;
+						if (typeof expression[index] === 'string' && expression[index].indexOf('offset=') === 0) {
+							offset = parseNumber(expression[index++].substring(7));
+						}
+						immediate = unsignedLEB(alignments[op]).concat(unsignedLEB(offset));
+					}
+			}
+			for (; index < expression.length; index++) {
+				instruction(expression[index]);
+			}
+			code.push.apply(code, opcodes[op]);
+			code.push.apply(code, immediate);
+		};
+		for (let j = signature.body; j < field.length; j++) {
+			instruction(field[j]);
+		}
+		code.push(0x0B);
+
+		const body = vector(localGroups.map(group => unsignedLEB(group.count).concat([group.type]))).concat(code);
+		bodies.push(unsignedLEB(body.length).concat(body));
+	}
+
+	const globalEntries = globals.map(field => {
+		const type = field[2];
+		const isMutable = Array.isArray(type) && type[0] === 'mut';
+		const valueType = valueTypes[isMutable ? type[1] : type];
+		const init = field[3];
+		const initCode = init[0] === 'f64.const' ?
+			[0x44].concat(float64(parseNumber(init[1]))) :
+			[0x41].concat(signedLEB(parseNumber(init[1])));
+		return [valueType, isMutable ? 0x01 : 0x00].concat(initCode, [0x0B]);
+	});
+
+	const bytes = [0x00, 0x61, 0x73, 0x6D, 0x01, 0x00, 0x00, 0x00].concat(
+		section(1, types),
+		section(2, imports),
+		section(3, functionTypes),
+		section(6, globalEntries),
+		section(7, exports),
+		section(10, bodies)
+	);
+	return new Uint8Array(bytes);
+}
+
+function blockTypeOf(item) {
+	if (Array.isArray(item) && item[0] === 'result') {
+		return valueTypes[item[1]];
+	}
+	return 0x40;
+}
+
+function lookup(names, atom, kind) {
+	if (!names.hasOwnProperty(atom)) {
+		throw new Error(`Unknown ${ kind } "${ atom }" in WebAssembly text`);
+	}
+	return names[atom];
+}
+
+module.exports = {
+	assemble
+};
@@ -0,0 +1,1687 @@
+const {
+	FunctionNode
+} = require('../function-node');
+
+/**
+ * Math functions with a WebAssembly instruction
+ * @type {Object}
+ */
+const mathInstructions = {
+	abs: 'f64.abs',
+	ceil: 'f64.ceil',
+	floor: 'f64.floor',
+	sqrt: 'f64.sqrt'
+};
+
+/**
+ * Math functions imported from javascript, by their count of arguments
+ * @type {Object}
+ */
+const mathImports = {
+	acos: 1,
+	asin: 1,
+	atan: 1,
+	atan2: 2,
+	cos: 1,
+	exp: 1,
+	log: 1,
+	log2: 1,
+	pow: 2,
+	sign: 1,
+	sin: 1,
+	tan: 1
+};
+
+/**
+ * Math functions with an f32x4 instruction, for arrays of numbers
+ * @type {Object}
+ */
+const vectorMathInstructions = {
+	abs: 'f32x4.abs',
+	ceil: 'f32x4.ceil',
+	floor: 'f32x4.floor',
+	sqrt: 'f32x4.sqrt'
+};
+
+const comparisonInstructions = {
+	'==': 'f64.eq',
+	'===': 'f64.eq',
+	'!=': 'f64.ne',
+	'!==': 'f64.ne',
+	'<': 'f64.lt',
+	'>': 'f64.gt',
+	'<=': 'f64.le',
+	'>=': 'f64.ge'
+};
+
+const integerComparisonInstructions = {
+	'==': 'i32.eq',
+	'===': 'i32.eq',
+	'!=': 'i32.ne',
+	'!==': 'i32.ne',
+	'<': 'i32.lt_s',
+	'>': 'i32.gt_s',
+	'<=': 'i32.le_s',
+	'>=': 'i32.ge_s'
+};
+
+const integerInstructions = {
+	'+': 'i32.add',
+	'-': 'i32.sub',
+	'*': 'i32.mul'
+};
+
+// integer literals under this are written as i32, so sums of them, thread indexes and loop counters stay exact
+const maxIntegerLiteral = 0x1000000;
+
+const arithmeticInstructions = {
+	'+': 'f64.add',
+	'-': 'f64.sub',
+	'*': 'f64.mul',
+	'/': 'f64.div'
+};
+
+const vectorInstructions = {
+	'+': 'f32x4.add',
+	'-': 'f32x4.sub',
+	'*': 'f32x4.mul',
+	'/': 'f32x4.div'
+};
+
+const bitwiseInstructions = {
+	'&': 'i32.and',
+	'|': 'i32.or',
+	'^': 'i32.xor',
+	'<<': 'i32.shl',
+	'>>': 'i32.shr_s',
+	'>>>': 'i32.shr_u'
+};
+
+const numberTypes = {
+	Number: true,
+	Float: true,
+	Integer: true,
+	LiteralInteger: true
+};
+
+const vectorTypes = {
+	'Array(2)': true,
+	'Array(3)': true,
+	'Array(4)': true
+};
+
+/**
+ * @desc [INTERNAL] Represents a single function, inside WebAssembly text
+ *
+ * <p>Values are f64, as they are in javascript, and conditions are i32. Kernel arguments and constants that are
+ * numbers are globals, and those that are arrays are read from memory, as laid out by WasmKernel.
+ * Thread indexes, and variables only ever counted up or down by integers, such as those of for loops, are i32, so
+ * indexes of arrays and comparisons of them are written without converting from f64.
+ * Arrays of 2 to 4 numbers are v128 values of 4 f32 lanes, so their math is SIMD, as it is vector math in WebGL.
+ * Anything else throws, so the kernel runs as javascript instead.</p>
+ */
+class WasmFunctionNode extends FunctionNode {
+	constructor(source, settings) {
+		super(source, settings);
+
+		/**
+		 * Offset and size of each array argument and constant in memory, by `user_name` or `constants_name`
+		 * @type {Object}
+		 */
+		this.memory = settings && settings.memory ? settings.memory : {};
+
+		/**
+		 * Name in memory of each argument that is an array, by argument name, as functions read the array they are
+		 * called with where it is in memory
+		 * @type {Object}
+		 */
+		this.arrayArguments = {};
+
+		/**
+		 * Type of each local, by name, and if it is a param
+		 * @type {Object}
+		 */
+		this.locals = {};
+
+		/**
+		 * Local of each variable declared in each block being written, by name, innermost last
+		 * @type {Object[]}
+		 */
+		this.scopes = [{}];
+
+		/**
+		 * Labels of the loops and switches being written, innermost last
+		 * @type {Object[]}
+		 */
+		this.loops = [];
+	}
+
+	/**
+	 * @desc Get the `(local ...)` declarations of the locals that are not params
+	 * @returns {String}
+	 */
+	getLocalsString() {
+		const result = [];
+		for (const name in this.locals) {
+			if (this.locals[name].isParam) continue;
+			result.push(`(local $${ name } ${ this.locals[name].type })`);
+		}
+		return result.join(' ');
+	}
+
+	/**
+	 * @desc Add a local, or keep it if already added
+	 * @param {String} name
+	 * @param {String} type - `f64`, `i32` or `v128`
+	 * @returns {String} name
+	 */
+	addLocal(name, type) {
+		this.locals[name] = {
+			type,
+			isParam: false
+		};
+		return name;
+	}
+
+	/**
+	 * @desc Add the local of a declared variable, which is a new one when the name is already used, as `let` and
+	 * `const` in a block are separate from those outside of it
+	 * @param {String} name
+	 * @param {String} kind - `var`, `let` or `const`
+	 * @param {String} type - `f64` or `v128`
+	 * @returns {String} name of the local
+	 */
+	declareLocal(name, kind, type) {
+		const scope = kind === 'var' ? this.scopes[0] : this.scopes[this.scopes.length - 1];
+		if (scope.hasOwnProperty(name)) {
+			return scope[name];
+		}
+		let localName = `user_${ name }`;
+		for (let i = 1; this.locals.hasOwnProperty(localName); i++) {
+			localName = `user_${ name }_${ i }`;
+		}
+		scope[name] = localName;
+		return this.addLocal(localName, type);
+	}
+
+	/**
+	 * @desc Get the local of a declared variable or argument, from the innermost block declaring it
+	 * @param {String} name
+	 * @returns {String|null} name of the local
+	 */
+	getDeclaredLocal(name) {
+		for (let i = this.scopes.length - 1; i >= 0; i--) {
+			if (this.scopes[i].hasOwnProperty(name)) {
+				return this.scopes[i][name];
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * @desc Get the name in memory of an argument that is an array, or null if it is not one
+	 * @param {String} name
+	 * @returns {String|null}
+	 */
+	getArgumentMemoryName(name) {
+		if (!this.isRootKernel) {
+			return this.arrayArguments.hasOwnProperty(name) ? this.arrayArguments[name] : null;
+		}
+		const memoryName = `user_${ name }`;
+		if (this.argumentNames.indexOf(name) < 0 || !this.memory.hasOwnProperty(memoryName)) {
+			return null;
+		}
+		return memoryName;
+	}
+
+	/**
+	 * @desc Get the name in memory of the array every call of this function gives as an argument, or null if they
+	 * give numbers
+	 * @param {Number} argumentIndex
+	 * @param {Object} ast
+	 * @returns {String|null}
+	 */
+	getCalledMemoryName(argumentIndex, ast) {
+		const calledFunctionArguments = this.parent ? this.parent.calledFunctionsArguments[this.name] || [] : [];
+		let memoryName = null;
+		for (let i = 0; i < calledFunctionArguments.length; i++) {
+			const argument = calledFunctionArguments[i][argumentIndex];
+			const calledMemoryName = argument && argument.memoryName ? argument.memoryName : null;
+			if (i > 0 && calledMemoryName !== memoryName) {
+				this.unsupported(`Calling ${ this.name } with different arrays`, ast);
+			}
+			memoryName = calledMemoryName;
+		}
+		return memoryName;
+	}
+
+	/**
+	 * @desc Add a local for an intermediate value
+	 * @param {String} type - `f64` or `i32`
+	 * @returns {String} name
+	 */
+	addTemporaryLocal(type) {
+		return this.addLocal(this.getInternalVariableName(`temporary_${ type }_`), type);
+	}
+
+	/**
+	 * @desc Throw that an expression is not supported, so the kernel is run as javascript
+	 * @param {String} what
+	 * @param {Object} ast
+	 */
+	unsupported(what, ast) {
+		throw this.astErrorOutput(`${ what } not supported by wasm`, ast);
+	}
+
+	/**
+	 * @desc TRUE if the expression is written as an i32 condition, rather than an f64 value
+	 * @param {Object} ast
+	 * @returns {Boolean}
+	 */
+	isCondition(ast) {
+		switch (ast.type) {
+			case 'BinaryExpression':
+				return comparisonInstructions.hasOwnProperty(ast.operator);
+			case 'LogicalExpression':
+				return true;
+			case 'UnaryExpression':
+				return ast.operator === '!';
+			case 'Literal':
+				return typeof ast.value === 'boolean';
+			case 'ConditionalExpression':
+				return this.isCondition(ast.consequent) && this.isCondition(ast.alternate);
+			default:
+				return false;
+		}
+	}
+
+	/**
+	 * @desc TRUE if the expression is an i32: an integer literal, a thread index, `this.output`, an integer variable, or
+	 * a sum or difference of them. As indexes of arrays, products of them are too, where they are known to fit in an i32.
+	 * @param {Object} ast
+	 * @param {Boolean} [isIndex]
+	 * @returns {Boolean}
+	 */
+	isInteger(ast, isIndex) {
+		switch (ast.type) {
+			case 'Literal':
+				return Number.isInteger(ast.value) && ast.value < maxIntegerLiteral;
+			case 'Identifier': {
+				if (this.constants && this.constants.hasOwnProperty(ast.name)) {
+					return false;
+				}
+				const localName = this.getDeclaredLocal(ast.name);
+				return localName !== null && this.locals[localName].type === 'i32';
+			}
+			case 'MemberExpression':
+				return this.getIntegerMember(ast) !== null;
+			case 'UnaryExpression':
+				return ast.operator === '-' && this.isInteger(ast.argument, isIndex);
+			case 'BinaryExpression': {
+				if (ast.operator === '*') {
+					if (isIndex !== true || !this.isInteger(ast.left, isIndex) || !this.isInteger(ast.right, isIndex)) {
+						return false;
+					}
+					const range = this.getIntegerRange(ast);
+					return range !== null && range.min >= -0x80000000 && range.max <= 0x7fffffff;
+				}
+				return (ast.operator === '+' || ast.operator === '-') &&
+					this.isInteger(ast.left, isIndex) && this.isInteger(ast.right, isIndex);
+			}
+			default:
+				return false;
+		}
+	}
+
+	/**
+	 * @desc Get the i32 of `this.thread` or `this.output`, or null for any other member expression
+	 * @param {Object} ast - MemberExpression
+	 * @returns {String|null}
+	 */
+	getIntegerMember(ast) {
+		const object = ast.object;
+		if (ast.computed || object.type !== 'MemberExpression' || object.computed || object.object.type !== 'ThisExpression') {
+			return null;
+		}
+		const index = ['x', 'y', 'z'].indexOf(ast.property.name);
+		if (index < 0) {
+			return null;
+		}
+		if (object.property.name === 'thread') {
+			return `(global.get $thread_${ ast.property.name })`;
+		}
+		if (object.property.name === 'output' && index < this.output.length) {
+			return `(i32.const ${ this.output[index] })`;
+		}
+		return null;
+	}
+
+	/**
+	 * @desc TRUE if a variable is declared once, and every write of it is `++`, `--`, or `=`, `+=` or `-=` of an
+	 * integer literal, so it is an integer wherever its declaration is
+	 * @param {String} name
+	 * @returns {Boolean}
+	 */
+	isIntegerVariable(name) {
+		const {
+			declarations,
+			writes
+		} = this.getVariableWrites(name);
+		return declarations === 1 && writes.every(write => write.type === 'UpdateExpression' || (
+			(write.operator === '=' || write.operator === '+=' || write.operator === '-=') &&
+			write.right.type === 'Literal' &&
+			this.isInteger(write.right)
+		));
+	}
+
+	/**
+	 * @desc Get how many times a variable is declared, and the assignments and updates writing it, in the function
+	 * @param {String} name
+	 * @returns {{declarations: Number, writes: Object[]}}
+	 */
+	getVariableWrites(name) {
+		let declarations = 0;
+		const writes = [];
+		const visit = (node) => {
+			if (!node || typeof node.type !== 'string') return;
+			if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.id.name === name) {
+				declarations++;
+			} else if (node.type === 'AssignmentExpression' && node.left.type === 'Identifier' && node.left.name === name) {
+				writes.push(node);
+			} else if (node.type === 'UpdateExpression' && node.argument.type === 'Identifier' && node.argument.name === name) {
+				writes.push(node);
+			}
+			for (const key in node) {
+				if (key === 'loc') continue;
+				const value = node[key];
+				if (Array.isArray(value)) {
+					value.forEach(visit);
+				} else if (value && typeof value === 'object') {
+					visit(value);
+				}
+			}
+		};
+		visit((this.ast || this.getJsAST()).body);
+		return {
+			declarations,
+			writes
+		};
+	}
+
+	/**
+	 * @desc Get the smallest and largest values of an integer expression, or null where they are not known. Loop
+	 * variables are known inside of their loop, see `astForStatement`.
+	 * @param {Object} ast
+	 * @returns {{min: Number, max: Number}|null}
+	 */
+	getIntegerRange(ast) {
+		switch (ast.type) {
+			case 'Literal':
+				return {
+					min: ast.value,
+					max: ast.value
+				};
+			case 'Identifier': {
+				const localName = this.getDeclaredLocal(ast.name);
+				return this.locals[localName].range || null;
+			}
+			case 'MemberExpression': {
+				const index = ['x', 'y', 'z'].indexOf(ast.property.name);
+				if (ast.object.property.name === 'output') {
+					return {
+						min: this.output[index],
+						max: this.output[index]
+					};
+				}
+				return index < this.output.length ? {
+					min: 0,
+					max: this.output[index] - 1
+				} : null;
+			}
+			case 'UnaryExpression': {
+				const range = this.getIntegerRange(ast.argument);
+				return range && {
+					min: -range.max,
+					max: -range.min
+				};
+			}
+			case 'BinaryExpression': {
+				const left = this.getIntegerRange(ast.left);
+				const right = this.getIntegerRange(ast.right);
+				if (!left || !right) {
+					return null;
+				}
+				if (ast.operator === '+') {
+					return {
+						min: left.min + right.min,
+						max: left.max + right.max
+					};
+				}
+				if (ast.operator === '-') {
+					return {
+						min: left.min - right.max,
+						max: left.max - right.min
+					};
+				}
+				const products = [left.min * right.min, left.min * right.max, left.max * right.min, left.max * right.max];
+				return {
+					min: Math.min.apply(null, products),
+					max: Math.max.apply(null, products)
+				};
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * @desc TRUE if an index of an array is an integer from 0 to under the length, so it is read without checking it
+	 * @param {Object} ast
+	 * @param {Number} length
+	 * @returns {Boolean}
+	 */
+	isIndexInside(ast, length) {
+		if (!this.isInteger(ast, true)) {
+			return false;
+		}
+		const range = this.getIntegerRange(ast);
+		return range !== null && range.min >= 0 && range.max < length;
+	}
+
+	/**
+	 * @desc Write an expression as an i32, exactly where it is an integer, otherwise truncated from its f64 value
+	 * @param {Object} ast
+	 * @param {Boolean} isIndex - TRUE for indexes of arrays, where products of integers are integers too
+	 * @param {Array} retArr
+	 * @returns {Array} the append retArr
+	 */
+	astInteger(ast, isIndex, retArr) {
+		if (!this.isInteger(ast, isIndex)) {
+			retArr.push('(i32.trunc_sat_f64_s ');
+			this.astValue(ast, retArr);
+			retArr.push(')');
+			return retArr;
+		}
+		switch (ast.type) {
+			case 'Literal':
+				retArr.push(`(i32.const ${ ast.value })`);
+				break;
+			case 'Identifier':
+				retArr.push(`(local.get $${ this.getDeclaredLocal(ast.name) })`);
+				break;
+			case 'MemberExpression':
+				retArr.push(this.getIntegerMember(ast));
+				break;
+			case 'UnaryExpression':
+				retArr.push('(i32.sub (i32.const 0) ');
+				this.astInteger(ast.argument, isIndex, retArr);
+				retArr.push(')');
+				break;
+			case 'BinaryExpression':
+				retArr.push(`(${ integerInstructions[ast.operator] } `);
+				this.astInteger(ast.left, isIndex, retArr);
+				retArr.push(' ');
+				this.astInteger(ast.right, isIndex, retArr);
+				retArr.push(')');
+				break;
+		}
+		return retArr;
+	}
+
+	/**
+	 * @desc TRUE if the expression is written as a v128 value, an array of 2 to 4 numbers
+	 * @param {Object} ast
+	 * @returns {Boolean}
+	 */
+	isVector(ast) {
+		switch (ast.type) {
+			case 'ArrayExpression':
+				return true;
+			case 'Identifier': {
+				const localName = this.getDeclaredLocal(ast.name);
+				return localName !== null && this.locals[localName].type === 'v128';
+			}
+			case 'BinaryExpression':
+				return !comparisonInstructions.hasOwnProperty(ast.operator) && (this.isVector(ast.left) || this.isVector(ast.right));
+			case 'UnaryExpression':
+				return ast.operator !== '!' && this.isVector(ast.argument);
+			case 'AssignmentExpression':
+				return this.isVector(ast.left);
+			case 'ConditionalExpression':
+				return this.isVector(ast.consequent) || this.isVector(ast.alternate);
+			case 'CallExpression':
+				return this.isAstMathFunction(ast) && ast.arguments.some(argument => this.isVector(argument));
+			default:
+				return false;
+		}
+	}
+
+	/**
+	 * @desc Write an expression as a v128 value, where numbers are in every lane
+	 * @param {Object} ast
+	 * @param {Array} retArr
+	 * @returns {Array} the append retArr
+	 */
+	astVector(ast, retArr) {
+		if (this.isVector(ast)) {
+			return this.astGeneric(ast, retArr);
+		}
+		retArr.push('(f32x4.splat (f32.demote_f64 ');
+		this.astValue(ast, retArr);
+		retArr.push('))');
+		return retArr;
+	}
+
+	/**
+	 * @desc Write an expression as an f64 value, where conditions are 1 or 0
+	 * @param {Object} ast
+	 * @param {Array} retArr
+	 * @returns {Array} the append retArr
+	 */
+	astValue(ast, retArr) {
+		if (this.isVector(ast)) {
+			this.unsupported('Array as a number', ast);
+		}
+		if (this.isCondition(ast)) {
+			retArr.push('(f64.convert_i32_u ');
+			this.astGeneric(ast, retArr);
+			retArr.push(')');
+			return retArr;
+		}
+		return this.astGeneric(ast, retArr);
+	}
+
+	/**
+	 * @desc Write an expression as an i32 condition, where values are true unless 0 or NaN, as in javascript
+	 * @param {Object} ast
+	 * @param {Array} retArr
+	 * @returns {Array} the append retArr
+	 */
+	astCondition(ast, retArr) {
+		if (this.isVector(ast)) {
+			this.unsupported('Array as a condition', ast);
+		}
+		if (this.isCondition(ast)) {
+			return this.astGeneric(ast, retArr);
+		}
+		retArr.push('(f64.gt (f64.abs ');
+		this.astGeneric(ast, retArr);
+		retArr.push(') (f64.const 0))');
+		return retArr;
+	}
+
+	/**
+	 * @desc Write an expression as a statement, dropping its value
+	 * @param {Object} ast
+	 * @param {Array} retArr
+	 * @returns {Array} the append retArr
+	 */
+	astStatementExpression(ast, retArr) {
+		switch (ast.type) {
+			case 'AssignmentExpression':
+				return this.astAssignment(ast, false, retArr);
+			case 'UpdateExpression':
+				return this.astUpdate(ast, false, retArr);
+			case 'SequenceExpression':
+				for (let i = 0; i < ast.expressions.length; i++) {
+					this.astStatementExpression(ast.expressions[i], retArr);
+				}
+				return retArr;
+		}
+		retArr.push('(drop ');
+		this.astGeneric(ast, retArr);
+		retArr.push(')');
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for to its *named function*
+	 * @param {Object} ast - the AST object to parse
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astFunctionExpression(ast, retArr) {
+		if (this.isRootKernel) {
+			for (let i = 0; i < ast.body.body.length; ++i) {
+				this.astGeneric(ast.body.body[i], retArr);
+				retArr.push('\n');
+			}
+			return retArr;
+		}
+
+		const params = [];
+		for (let i = 0; i < this.argumentNames.length; ++i) {
+			const argumentName = this.argumentNames[i];
+			const memoryName = this.getCalledMemoryName(i, ast);
+			if (memoryName !== null) {
+				// arrays are not params, they are read from memory
+				this.arrayArguments[argumentName] = memoryName;
+				continue;
+			}
+			const type = this.getVariableType(argumentName, ast);
+			if (type && !numberTypes[type]) {
+				this.unsupported(`Argument of type ${ type }`, ast);
+			}
+			this.locals[`user_${ argumentName }`] = {
+				type: 'f64',
+				isParam: true
+			};
+			this.scopes[0][argumentName] = `user_${ argumentName }`;
+			params.push(`(param $user_${ argumentName } f64)`);
+		}
+
+		const body = [];
+		for (let i = 0; i < ast.body.body.length; ++i) {
+			this.astGeneric(ast.body.body[i], body);
+			body.push('\n');
+		}
+
+		// like javascript, a function without a return gives undefined, which is NaN as a number
+		retArr.push(`(func $${ this.name } ${ params.join(' ') } (result f64) ${ this.getLocalsString() }\n`);
+		retArr.push(body.join(''));
+		retArr.push('(f64.const nan))\n');
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for to *return* statement
+	 * @param {Object} ast - the AST object to parse
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astReturnStatement(ast, retArr) {
+		if (this.isRootKernel && vectorTypes[this.returnType]) {
+			if (!this.isVector(ast.argument)) {
+				this.unsupported(`Returning a number as ${ this.returnType }`, ast);
+			}
+			retArr.push('(local.set $kernelResult ');
+			this.astVector(ast.argument, retArr);
+			retArr.push(') (br $kernelBody)\n');
+		} else if (this.isRootKernel) {
+			retArr.push('(local.set $kernelResult ');
+			this.astValue(ast.argument, retArr);
+			retArr.push(') (br $kernelBody)\n');
+		} else {
+			retArr.push('(return ');
+			this.astValue(ast.argument, retArr);
+			retArr.push(')\n');
+		}
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *literal value*
+	 * @param {Object} ast - the AST object to parse
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astLiteral(ast, retArr) {
+		if (typeof ast.value === 'boolean') {
+			retArr.push(`(i32.const ${ ast.value ? 1 : 0 })`);
+		} else if (typeof ast.value === 'number') {
+			retArr.push(`(f64.const ${ numberString(ast.value) })`);
+		} else {
+			this.unsupported(`Literal ${ ast.raw }`, ast);
+		}
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *binary* expression
+	 * @param {Object} ast - the AST object to parse
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astBinaryExpression(ast, retArr) {
+		if (comparisonInstructions.hasOwnProperty(ast.operator) && this.isInteger(ast.left) && this.isInteger(ast.right)) {
+			retArr.push(`(${ integerComparisonInstructions[ast.operator] } `);
+			this.astInteger(ast.left, false, retArr);
+			retArr.push(' ');
+			this.astInteger(ast.right, false, retArr);
+			retArr.push(')');
+			return retArr;
+		}
+		if (comparisonInstructions.hasOwnProperty(ast.operator)) {
+			retArr.push(`(${ comparisonInstructions[ast.operator] } `);
+			this.astValue(ast.left, retArr);
+			retArr.push(' ');
+			this.astValue(ast.right, retArr);
+			retArr.push(')');
+			return retArr;
+		}
+		if (this.isVector(ast)) {
+			const left = this.astVector(ast.left, []).join('');
+			const right = this.astVector(ast.right, []).join('');
+			retArr.push(this.getVectorOperation(ast.operator, left, right, ast));
+			return retArr;
+		}
+		const left = this.astValue(ast.left, []).join('');
+		const right = this.astValue(ast.right, []).join('');
+		retArr.push(this.getOperation(ast.operator, left, right, ast));
+		return retArr;
+	}
+
+	/**
+	 * @desc Get the f64 result of an arithmetic or bitwise operator
+	 * @param {String} operator
+	 * @param {String} left - f64 value
+	 * @param {String} right - f64 value
+	 * @param {Object} ast - for errors
+	 * @returns {String}
+	 */
+	getOperation(operator, left, right, ast) {
+		if (arithmeticInstructions.hasOwnProperty(operator)) {
+			return `(${ arithmeticInstructions[operator] } ${ left } ${ right })`;
+		}
+		if (bitwiseInstructions.hasOwnProperty(operator)) {
+			const convert = operator === '>>>' ? 'f64.convert_i32_u' : 'f64.convert_i32_s';
+			return `(${ convert } (${ bitwiseInstructions[operator] } (i32.trunc_sat_f64_s ${ left }) (i32.trunc_sat_f64_s ${ right })))`;
+		}
+		switch (operator) {
+			case '%': {
+				// the remainder has the sign of the dividend, as in javascript
+				const dividend = this.addTemporaryLocal('f64');
+				const divisor = this.addTemporaryLocal('f64');
+				return `(block (result f64) (local.set $${ dividend } ${ left }) (local.set $${ divisor } ${ right }) ` +
+					`(f64.sub (local.get $${ dividend }) (f64.mul (local.get $${ divisor }) (f64.trunc (f64.div (local.get $${ dividend }) (local.get $${ divisor }))))))`;
+			}
+			case '**':
+				return `(call $Math_pow ${ left } ${ right })`;
+		}
+		this.unsupported(`Operator ${ operator }`, ast);
+	}
+
+	/**
+	 * @desc Get the v128 result of an arithmetic operator, on each lane
+	 * @param {String} operator
+	 * @param {String} left - v128 value
+	 * @param {String} right - v128 value
+	 * @param {Object} ast - for errors
+	 * @returns {String}
+	 */
+	getVectorOperation(operator, left, right, ast) {
+		if (!vectorInstructions.hasOwnProperty(operator)) {
+			this.unsupported(`Operator ${ operator } of arrays`, ast);
+		}
+		return `(${ vectorInstructions[operator] } ${ left } ${ right })`;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *Logical* Expression
+	 * @param {Object} logNode - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astLogicalExpression(logNode, retArr) {
+		// both sides are only evaluated when needed, as in javascript
+		retArr.push('(if (result i32) ');
+		this.astCondition(logNode.left, retArr);
+		if (logNode.operator === '&&') {
+			retArr.push(' (then ');
+			this.astCondition(logNode.right, retArr);
+			retArr.push(') (else (i32.const 0)))');
+		} else {
+			retArr.push(' (then (i32.const 1)) (else ');
+			this.astCondition(logNode.right, retArr);
+			retArr.push('))');
+		}
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *Unary* Expression
+	 * @param {Object} uNode - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astUnaryExpression(uNode, retArr) {
+		switch (uNode.operator) {
+			case '-':
+				if (this.isVector(uNode)) {
+					retArr.push('(f32x4.neg ');
+					this.astVector(uNode.argument, retArr);
+				} else {
+					retArr.push('(f64.neg ');
+					this.astValue(uNode.argument, retArr);
+				}
+				retArr.push(')');
+				return retArr;
+			case '+':
+				return this.isVector(uNode) ? this.astVector(uNode.argument, retArr) : this.astValue(uNode.argument, retArr);
+			case '!':
+				retArr.push('(i32.eqz ');
+				this.astCondition(uNode.argument, retArr);
+				retArr.push(')');
+				return retArr;
+			case '~':
+				retArr.push('(f64.convert_i32_s (i32.xor (i32.trunc_sat_f64_s ');
+				this.astValue(uNode.argument, retArr);
+				retArr.push(') (i32.const -1)))');
+				return retArr;
+		}
+		this.unsupported(`Operator ${ uNode.operator }`, uNode);
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *Update* Expression
+	 * @param {Object} uNode - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astUpdateExpression(uNode, retArr) {
+		return this.astUpdate(uNode, true, retArr);
+	}
+
+	/**
+	 * @desc Write `++` or `--`, with its value when used as one
+	 * @param {Object} ast
+	 * @param {Boolean} isValue
+	 * @param {Array} retArr
+	 * @returns {Array} the append retArr
+	 */
+	astUpdate(ast, isValue, retArr) {
+		if (this.isInteger(ast.argument)) {
+			const localName = this.getDeclaredLocal(ast.argument.name);
+			const instruction = ast.operator === '++' ? 'i32.add' : 'i32.sub';
+			const value = `(${ instruction } (local.get $${ localName }) (i32.const 1))`;
+			if (!isValue) {
+				retArr.push(`(local.set $${ localName } ${ value })`);
+			} else if (ast.prefix) {
+				retArr.push(`(f64.convert_i32_s (local.tee $${ localName } ${ value }))`);
+			} else {
+				const inverse = ast.operator === '++' ? 'i32.sub' : 'i32.add';
+				retArr.push(`(f64.convert_i32_s (${ inverse } (local.tee $${ localName } ${ value }) (i32.const 1)))`);
+			}
+			return retArr;
+		}
+		const variable = this.getScalarVariable(ast.argument);
+		const instruction = ast.operator === '++' ? 'f64.add' : 'f64.sub';
+		const value = `(${ instruction } ${ variable.get } (f64.const 1))`;
+		if (!isValue) {
+			retArr.push(variable.set(value));
+		} else if (ast.prefix) {
+			retArr.push(variable.tee(value));
+		} else {
+			const inverse = ast.operator === '++' ? 'f64.sub' : 'f64.add';
+			retArr.push(`(${ inverse } ${ variable.tee(value) } (f64.const 1))`);
+		}
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *Assignment* Expression
+	 * @param {Object} assNode - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astAssignmentExpression(assNode, retArr) {
+		return this.astAssignment(assNode, true, retArr);
+	}
+
+	/**
+	 * @desc Write an assignment, with its value when used as one
+	 * @param {Object} ast
+	 * @param {Boolean} isValue
+	 * @param {Array} retArr
+	 * @returns {Array} the append retArr
+	 */
+	astAssignment(ast, isValue, retArr) {
+		if (this.isVector(ast)) {
+			if (ast.operator === '=' && !this.isVector(ast.right)) {
+				this.unsupported('Assigning a number to an array', ast);
+			}
+			const variable = this.getVectorVariable(ast.left);
+			let value = this.astVector(ast.right, []).join('');
+			if (ast.operator !== '=') {
+				value = this.getVectorOperation(ast.operator.slice(0, -1), variable.get, value, ast);
+			}
+			retArr.push(isValue ? variable.tee(value) : variable.set(value));
+			return retArr;
+		}
+		if (this.isInteger(ast.left)) {
+			// every assignment of an integer variable is of an integer literal, and is `=`, `+=` or `-=`
+			const localName = this.getDeclaredLocal(ast.left.name);
+			let value = this.astInteger(ast.right, false, []).join('');
+			if (ast.operator !== '=') {
+				value = `(${ integerInstructions[ast.operator.slice(0, -1)] } (local.get $${ localName }) ${ value })`;
+			}
+			retArr.push(isValue ? `(f64.convert_i32_s (local.tee $${ localName } ${ value }))` : `(local.set $${ localName } ${ value })`);
+			return retArr;
+		}
+		const variable = this.getScalarVariable(ast.left);
+		let value = this.astValue(ast.right, []).join('');
+		if (ast.operator !== '=') {
+			value = this.getOperation(ast.operator.slice(0, -1), variable.get, value, ast);
+		}
+		retArr.push(isValue ? variable.tee(value) : variable.set(value));
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *identifier* expression
+	 * @param {Object} idtNode - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astIdentifierExpression(idtNode, retArr) {
+		if (idtNode.name === 'Infinity') {
+			retArr.push('(f64.const inf)');
+			return retArr;
+		}
+		if (this.isVector(idtNode)) {
+			retArr.push(this.getVectorVariable(idtNode).get);
+			return retArr;
+		}
+		retArr.push(this.getScalarVariable(idtNode).get);
+		return retArr;
+	}
+
+	/**
+	 * @desc Get how to read and write a variable that holds a number, or a number of an array variable
+	 * @param {Object} ast - Identifier, or MemberExpression of an array variable
+	 * @returns {{get: String, set: Function, tee: Function}}
+	 */
+	getScalarVariable(ast) {
+		if (ast.type === 'MemberExpression' && ast.computed && ast.object.type === 'Identifier' && this.isVector(ast.object)) {
+			return this.getLaneVariable(ast);
+		}
+		if (ast.type !== 'Identifier') {
+			this.unsupported(`Assigning to ${ ast.type }`, ast);
+		}
+		if (this.isVector(ast)) {
+			this.unsupported(`Array ${ ast.name } as a number`, ast);
+		}
+		const localName = this.getDeclaredLocal(ast.name);
+		let globalName = null;
+		if (this.constants && this.constants.hasOwnProperty(ast.name)) {
+			globalName = `constants_${ ast.name }`;
+		} else if (localName !== null && this.locals[localName].type === 'i32') {
+			return {
+				get: `(f64.convert_i32_s (local.get $${ localName }))`,
+				set: value => `(local.set $${ localName } (i32.trunc_sat_f64_s ${ value }))`,
+				tee: value => `(f64.convert_i32_s (local.tee $${ localName } (i32.trunc_sat_f64_s ${ value })))`
+			};
+		} else if (localName !== null) {
+			return this.getLocalVariable(localName);
+		} else if (this.isRootKernel && this.argumentNames.indexOf(ast.name) > -1) {
+			globalName = `user_${ ast.name }`;
+		}
+		if (globalName === null || this.memory.hasOwnProperty(globalName)) {
+			this.unsupported(`Variable ${ ast.name }`, ast);
+		}
+		return {
+			get: `(global.get $${ globalName })`,
+			set: value => `(global.set $${ globalName } ${ value })`,
+			tee: value => `(block (result f64) (global.set $${ globalName } ${ value }) (global.get $${ globalName }))`
+		};
+	}
+
+	/**
+	 * @desc Get how to read and write a variable that holds an array of 2 to 4 numbers
+	 * @param {Object} ast - Identifier
+	 * @returns {{get: String, set: Function, tee: Function}}
+	 */
+	getVectorVariable(ast) {
+		if (ast.type !== 'Identifier') {
+			this.unsupported(`Assigning to ${ ast.type }`, ast);
+		}
+		return this.getLocalVariable(this.getDeclaredLocal(ast.name));
+	}
+
+	/**
+	 * @param {String} localName
+	 * @returns {{get: String, set: Function, tee: Function}}
+	 */
+	getLocalVariable(localName) {
+		return {
+			get: `(local.get $${ localName })`,
+			set: value => `(local.set $${ localName } ${ value })`,
+			tee: value => `(local.tee $${ localName } ${ value })`
+		};
+	}
+
+	/**
+	 * @desc Get how to read and write a number of an array variable, such as `value[0]`, as a lane of its v128
+	 * @param {Object} ast - MemberExpression
+	 * @returns {{get: String, set: Function, tee: Function}}
+	 */
+	getLaneVariable(ast) {
+		const vector = this.getVectorVariable(ast.object);
+		const lane = this.getLane(ast.property);
+		const set = value => vector.set(`(f32x4.replace_lane ${ lane } ${ vector.get } (f32.demote_f64 ${ value }))`);
+		return {
+			get: `(f64.promote_f32 (f32x4.extract_lane ${ lane } ${ vector.get }))`,
+			set,
+			tee: value => {
+				const temporary = this.addTemporaryLocal('f64');
+				return `(block (result f64) (local.set $${ temporary } ${ value }) ${ set(`(local.get $${ temporary })`) } (local.get $${ temporary }))`;
+			}
+		};
+	}
+
+	/**
+	 * @desc Get the lane of an index of an array, which is a literal, as the lanes of a v128 are
+	 * @param {Object} ast
+	 * @returns {Number}
+	 */
+	getLane(ast) {
+		if (ast.type !== 'Literal' || !Number.isInteger(ast.value) || ast.value < 0 || ast.value > 3) {
+			this.unsupported('Array index that is not 0, 1, 2 or 3', ast);
+		}
+		return ast.value;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *Variable Declaration*
+	 * @param {Object} varDecNode - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astVariableDeclaration(varDecNode, retArr) {
+		for (let i = 0; i < varDecNode.declarations.length; i++) {
+			const declaration = varDecNode.declarations[i];
+			const isVector = declaration.init !== null && this.isVector(declaration.init);
+			const isInteger = !isVector && declaration.init !== null && this.isInteger(declaration.init) &&
+				this.isIntegerVariable(declaration.id.name);
+			let type = 'Number';
+			if (isVector) {
+				type = 'Array(4)';
+			} else if (isInteger) {
+				type = 'Integer';
+			}
+			this.declarations[declaration.id.name] = {
+				type,
+				dependencies: {
+					constants: [],
+					arguments: []
+				},
+				isUnsafe: false
+			};
+			let value = '(f64.const nan)';
+			let localType = 'f64';
+			if (isVector) {
+				value = this.astVector(declaration.init, []).join('');
+				localType = 'v128';
+			} else if (isInteger) {
+				value = this.astInteger(declaration.init, false, []).join('');
+				localType = 'i32';
+			} else if (declaration.init) {
+				value = this.astValue(declaration.init, []).join('');
+			}
+			const name = this.declareLocal(declaration.id.name, varDecNode.kind, localType);
+			retArr.push(`(local.set $${ name } ${ value })\n`);
+		}
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *generic expression* statement
+	 * @param {Object} esNode - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astExpressionStatement(esNode, retArr) {
+		this.astStatementExpression(esNode.expression, retArr);
+		retArr.push('\n');
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *Block* statement
+	 * @param {Object} bNode - the AST object to parse
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astBlockStatement(bNode, retArr) {
+		this.scopes.push({});
+		for (let i = 0; i < bNode.body.length; i++) {
+			this.astGeneric(bNode.body[i], retArr);
+		}
+		this.scopes.pop();
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *If* Statement
+	 * @param {Object} ifNode - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astIfStatement(ifNode, retArr) {
+		retArr.push('(if ');
+		this.astCondition(ifNode.test, retArr);
+		retArr.push('\n(then\n');
+		this.astGeneric(ifNode.consequent, retArr);
+		retArr.push(')');
+		if (ifNode.alternate) {
+			retArr.push('\n(else\n');
+			this.astGeneric(ifNode.alternate, retArr);
+			retArr.push(')');
+		}
+		retArr.push(')\n');
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *Conditional* Expression
+	 * @param {Object} ast - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astConditionalExpression(ast, retArr) {
+		let write = 'astValue';
+		let type = 'f64';
+		if (this.isVector(ast)) {
+			write = 'astVector';
+			type = 'v128';
+		} else if (this.isCondition(ast)) {
+			write = 'astCondition';
+			type = 'i32';
+		}
+		retArr.push(`(if (result ${ type }) `);
+		this.astCondition(ast.test, retArr);
+		retArr.push(' (then ');
+		this[write](ast.consequent, retArr);
+		retArr.push(') (else ');
+		this[write](ast.alternate, retArr);
+		retArr.push('))');
+		return retArr;
+	}
+
+	/**
+	 * @desc Start the labels of a loop, which `break` and `continue` branch to
+	 * @returns {{breakLabel: String, continueLabel: String, loopLabel: String}}
+	 */
+	pushLoop() {
+		const id = this.getInternalVariableName('loop');
+		const loop = {
+			breakLabel: `$break_${ id }`,
+			continueLabel: `$continue_${ id }`,
+			loopLabel: `$${ id }`
+		};
+		this.loops.push(loop);
+		return loop;
+	}
+
+	/**
+	 * @desc Write a branch out after LOOP_MAX iterations, as the javascript of while loops does
+	 * @param {Object} loop
+	 * @param {Array} retArr
+	 */
+	pushLoopMax(loop, retArr) {
+		const count = this.addTemporaryLocal('i32');
+		const loopMax = this.loopMaxIterations ? parseInt(this.loopMaxIterations) : 1000;
+		retArr.push(`(br_if ${ loop.breakLabel } (i32.ge_s (local.get $${ count }) (i32.const ${ loopMax })))\n`);
+		retArr.push(`(local.set $${ count } (i32.add (local.get $${ count }) (i32.const 1)))\n`);
+		return count;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *for-loop* expression
+	 * @param {Object} forNode - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astForStatement(forNode, retArr) {
+		if (forNode.init && forNode.init.type !== 'VariableDeclaration') {
+			// javascript kernels only run for loops that declare their variable
+			this.unsupported(`${ forNode.init.type } in for loop`, forNode.init);
+		}
+		this.scopes.push({});
+		if (forNode.init) {
+			this.astGeneric(forNode.init, retArr);
+			this.setLoopRange(forNode);
+		}
+		const loop = this.pushLoop();
+		retArr.push(`(block ${ loop.breakLabel } (loop ${ loop.loopLabel }\n`);
+		if (forNode.test) {
+			retArr.push(`(br_if ${ loop.breakLabel } (i32.eqz `);
+			this.astCondition(forNode.test, retArr);
+			retArr.push('))\n');
+		}
+		retArr.push(`(block ${ loop.continueLabel }\n`);
+		this.astGeneric(forNode.body, retArr);
+		retArr.push(')\n');
+		if (forNode.update) {
+			this.astStatementExpression(forNode.update, retArr);
+		}
+		retArr.push(`\n(br ${ loop.loopLabel })))\n`);
+		this.loops.pop();
+		this.scopes.pop();
+		return retArr;
+	}
+
+	/**
+	 * @desc Set the values the variable of a for loop has inside of it, when it is a `let` of an integer from 0 up, only
+	 * counted up by `++` to under, or up to, a literal or `this.output`
+	 * @param {Object} forNode
+	 */
+	setLoopRange(forNode) {
+		const {
+			init,
+			test,
+			update
+		} = forNode;
+		if (init.kind !== 'let' || init.declarations.length !== 1 || init.declarations[0].id.type !== 'Identifier') return;
+		const name = init.declarations[0].id.name;
+		const localName = this.getDeclaredLocal(name);
+		if (this.locals[localName].type !== 'i32') return;
+		const start = this.getIntegerRange(init.declarations[0].init);
+		if (!start || start.min < 0) return;
+		if (!test || test.type !== 'BinaryExpression' || (test.operator !== '<' && test.operator !== '<=')) return;
+		if (test.left.type !== 'Identifier' || test.left.name !== name || !this.isInteger(test.right)) return;
+		const end = this.getIntegerRange(test.right);
+		if (!end) return;
+		const writes = this.getVariableWrites(name).writes;
+		if (writes.length !== 1 || writes[0] !== update || update.operator !== '++') return;
+		this.locals[localName].range = {
+			min: start.min,
+			max: test.operator === '<' ? end.max - 1 : end.max
+		};
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *while* loop
+	 * @param {Object} whileNode - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astWhileStatement(whileNode, retArr) {
+		const loop = this.pushLoop();
+		const body = [];
+		const count = this.pushLoopMax(loop, body);
+		retArr.push(`(local.set $${ count } (i32.const 0))\n`);
+		retArr.push(`(block ${ loop.breakLabel } (loop ${ loop.loopLabel }\n`);
+		retArr.push(body.join(''));
+		retArr.push(`(br_if ${ loop.breakLabel } (i32.eqz `);
+		this.astCondition(whileNode.test, retArr);
+		retArr.push(`))\n(block ${ loop.continueLabel }\n`);
+		this.astGeneric(whileNode.body, retArr);
+		retArr.push(`)\n(br ${ loop.loopLabel })))\n`);
+		this.loops.pop();
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *do while* loop
+	 * @param {Object} doWhileNode - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astDoWhileStatement(doWhileNode, retArr) {
+		const loop = this.pushLoop();
+		const body = [];
+		const count = this.pushLoopMax(loop, body);
+		retArr.push(`(local.set $${ count } (i32.const 0))\n`);
+		retArr.push(`(block ${ loop.breakLabel } (loop ${ loop.loopLabel }\n`);
+		retArr.push(body.join(''));
+		retArr.push(`(block ${ loop.continueLabel }\n`);
+		this.astGeneric(doWhileNode.body, retArr);
+		retArr.push(`)\n(br_if ${ loop.loopLabel } `);
+		this.astCondition(doWhileNode.test, retArr);
+		retArr.push(')))\n');
+		this.loops.pop();
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *switch* statement, as a block for each case, nested so the statements
+	 * of each follow the end of its block. Branching out of the block of a case runs its statements, and those of the
+	 * cases after it, as falling through does.
+	 * @param {Object} switchNode - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astSwitchStatement(switchNode, retArr) {
+		const id = this.getInternalVariableName('switch');
+		const value = this.addTemporaryLocal('f64');
+		const breakLabel = `$break_${ id }`;
+		const cases = switchNode.cases;
+		retArr.push(`(local.set $${ value } `);
+		this.astValue(switchNode.discriminant, retArr);
+		retArr.push(')\n');
+		retArr.push(`(block ${ breakLabel }\n`);
+		for (let i = cases.length - 1; i >= 0; i--) {
+			retArr.push(`(block $case_${ id }_${ i }\n`);
+		}
+		let defaultLabel = breakLabel;
+		for (let i = 0; i < cases.length; i++) {
+			if (!cases[i].test) {
+				defaultLabel = `$case_${ id }_${ i }`;
+				continue;
+			}
+			retArr.push(`(br_if $case_${ id }_${ i } (f64.eq (local.get $${ value }) `);
+			this.astValue(cases[i].test, retArr);
+			retArr.push('))\n');
+		}
+		retArr.push(`(br ${ defaultLabel }))\n`);
+		this.loops.push({
+			breakLabel,
+			continueLabel: null,
+			loopLabel: null
+		});
+		this.scopes.push({});
+		for (let i = 0; i < cases.length; i++) {
+			this.astGeneric(cases[i].consequent, retArr);
+			retArr.push(')\n');
+		}
+		this.scopes.pop();
+		this.loops.pop();
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *Break* Statement
+	 * @param {Object} brNode - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astBreakStatement(brNode, retArr) {
+		if (this.loops.length === 0 || brNode.label) {
+			this.unsupported('break outside of a loop or switch', brNode);
+		}
+		retArr.push(`(br ${ this.loops[this.loops.length - 1].breakLabel })\n`);
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *Continue* Statement
+	 * @param {Object} crNode - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astContinueStatement(crNode, retArr) {
+		const loops = this.loops.filter(loop => loop.continueLabel !== null);
+		if (loops.length === 0 || crNode.label) {
+			this.unsupported('continue outside of a loop', crNode);
+		}
+		retArr.push(`(br ${ loops[loops.length - 1].continueLabel })\n`);
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *Member* Expression
+	 * @param {Object} mNode - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astMemberExpression(mNode, retArr) {
+		if (mNode.computed && this.isVector(mNode.object)) {
+			retArr.push(`(f64.promote_f32 (f32x4.extract_lane ${ this.getLane(mNode.property) } `);
+			this.astVector(mNode.object, retArr);
+			retArr.push('))');
+			return retArr;
+		}
+		const {
+			signature,
+			property,
+			xProperty,
+			yProperty,
+			zProperty,
+			name,
+			origin
+		} = this.getMemberExpressionDetails(mNode);
+		switch (signature) {
+			case 'this.thread.value':
+				retArr.push(`(f64.convert_i32_s (global.get $thread_${ name }))`);
+				return retArr;
+			case 'this.output.value': {
+				const index = ['x', 'y', 'z'].indexOf(name);
+				if (index < 0 || index >= this.output.length) {
+					this.unsupported(`this.output.${ name }`, mNode);
+				}
+				retArr.push(`(f64.const ${ this.output[index] })`);
+				return retArr;
+			}
+			case 'value.value':
+				if (origin === 'Math') {
+					retArr.push(`(f64.const ${ numberString(Math[name]) })`);
+					return retArr;
+				}
+				this.unsupported(`.${ property }`, mNode);
+			case 'this.constants.value':
+				retArr.push(this.getScalarVariable({
+					type: 'Identifier',
+					name
+				}).get);
+				return retArr;
+			case 'value[]':
+			case 'value[][]':
+			case 'value[][][]':
+			case 'this.constants.value[]':
+			case 'this.constants.value[][]':
+			case 'this.constants.value[][][]': {
+				const memoryName = origin === 'constants' ? `constants_${ name }` : this.getArgumentMemoryName(name);
+				if (memoryName === null || !this.memory.hasOwnProperty(memoryName)) {
+					this.unsupported(`Reading ${ name }`, mNode);
+				}
+				return this.astMemoryRead(this.memory[memoryName], [xProperty, yProperty, zProperty].filter(Boolean), mNode, retArr);
+			}
+		}
+		this.unsupported(`Expression ${ signature }`, mNode);
+	}
+
+	/**
+	 * @desc Read an array from memory, with NaN outside of it, as javascript reads undefined.
+	 * Inputs are read at the index their size gives, as javascript kernels read them.
+	 * @param {{offset: Number, size: Number[], length: Number, isInput: Boolean}} array
+	 * @param {Object[]} properties - x, then y and z when given
+	 * @param {Object} ast
+	 * @param {Array} retArr
+	 * @returns {Array} the append retArr
+	 */
+	astMemoryRead(array, properties, ast, retArr) {
+		if (array.isInput) {
+			return this.astInputRead(array, properties, retArr);
+		}
+		if (properties.length !== array.size.length) {
+			this.unsupported(`Reading ${ properties.length } dimensions of ${ array.size.length }`, ast);
+		}
+		// indexes known to be inside of the array are not checked
+		const indexes = [];
+		const checks = [];
+		const sets = [];
+		for (let i = 0; i < properties.length; i++) {
+			if (this.isIndexInside(properties[i], array.size[i])) {
+				indexes.push(this.astInteger(properties[i], true, []).join(''));
+				continue;
+			}
+			const local = this.addTemporaryLocal('i32');
+			sets.push(` (local.set $${ local } ${ this.astInteger(properties[i], true, []).join('') })`);
+			indexes.push(`(local.get $${ local })`);
+			checks.push(`(i32.lt_u (local.get $${ local }) (i32.const ${ array.size[i] }))`);
+		}
+		let index = indexes[0];
+		let stride = 1;
+		for (let i = 1; i < properties.length; i++) {
+			stride *= array.size[i - 1];
+			index = `(i32.add ${ index } (i32.mul ${ indexes[i] } (i32.const ${ stride })))`;
+		}
+		const load = `(f64.load offset=${ array.offset } (i32.shl ${ index } (i32.const 3)))`;
+		if (checks.length === 0) {
+			retArr.push(load);
+			return retArr;
+		}
+		const isInside = checks.reduce((isInside, check) => `(i32.and ${ isInside } ${ check })`);
+		retArr.push(`(block (result f64)${ sets.join('') } (if (result f64) ${ isInside } (then ${ load }) (else (f64.const nan))))`);
+		return retArr;
+	}
+
+	/**
+	 * @param {{offset: Number, size: Number[], length: Number}} array
+	 * @param {Object[]} properties - x, then y and z when given
+	 * @param {Array} retArr
+	 * @returns {Array} the append retArr
+	 */
+	astInputRead(array, properties, retArr) {
+		const index = this.addTemporaryLocal('i32');
+		retArr.push(`(block (result f64) (local.set $${ index } (i32.trunc_sat_f64_s ${ '(f64.add '.repeat(properties.length - 1) }`);
+		this.astValue(properties[0], retArr);
+		let stride = 1;
+		for (let i = 1; i < properties.length; i++) {
+			stride *= array.size[i - 1];
+			retArr.push(` (f64.mul (f64.const ${ stride }) `);
+			this.astValue(properties[i], retArr);
+			retArr.push('))');
+		}
+		retArr.push(`)) (if (result f64) (i32.lt_u (local.get $${ index }) (i32.const ${ array.length })) (then (f64.load offset=${ array.offset } (i32.shl (local.get $${ index }) (i32.const 3)))) (else (f64.const nan))))`);
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *call* expression
+	 * @param {Object} ast - the AST object to parse
+	 * @param {Array} retArr - return array string
+	 * @returns  {Array} the append retArr
+	 */
+	astCallExpression(ast, retArr) {
+		if (this.getCalledPlugin(ast)) {
+			this.unsupported('Plugin', ast);
+		}
+		if (this.isAstMathFunction(ast)) {
+			return this.astMathCallExpression(ast, retArr);
+		}
+		if (ast.callee.type !== 'Identifier') {
+			this.unsupported('Calling a method', ast);
+		}
+
+		const funcName = ast.callee.name;
+		if (this.calledFunctions.indexOf(funcName) < 0) {
+			this.calledFunctions.push(funcName);
+		}
+		if (!this.calledFunctionsArguments[funcName]) {
+			this.calledFunctionsArguments[funcName] = [];
+		}
+		const functionArguments = [];
+		this.calledFunctionsArguments[funcName].push(functionArguments);
+
+		retArr.push(`(call $${ funcName }`);
+		for (let i = 0; i < ast.arguments.length; ++i) {
+			const argument = ast.arguments[i];
+			const memoryName = argument.type === 'Identifier' && this.getDeclaredLocal(argument.name) === null ?
+				this.getArgumentMemoryName(argument.name) :
+				null;
+			if (memoryName !== null) {
+				functionArguments.push({
+					name: argument.name,
+					type: 'Array',
+					memoryName
+				});
+				continue;
+			}
+			retArr.push(' ');
+			this.astValue(argument, retArr);
+			functionArguments.push({
+				name: argument.name || null,
+				type: 'Number'
+			});
+		}
+		retArr.push(')');
+		return retArr;
+	}
+
+	/**
+	 * @desc Write a call of a Math function, as an instruction where there is one, otherwise as an import
+	 * @param {Object} ast
+	 * @param {Array} retArr
+	 * @returns {Array} the append retArr
+	 */
+	astMathCallExpression(ast, retArr) {
+		if (this.isVector(ast)) {
+			return this.astVectorMathCallExpression(ast, retArr);
+		}
+		const name = ast.callee.property.name;
+		const values = ast.arguments.map(argument => this.astValue(argument, []).join(''));
+		if (mathInstructions.hasOwnProperty(name) && values.length === 1) {
+			retArr.push(`(${ mathInstructions[name] } ${ values[0] })`);
+		} else if ((name === 'min' || name === 'max') && values.length > 0) {
+			let value = values[0];
+			for (let i = 1; i < values.length; i++) {
+				value = `(f64.${ name } ${ value } ${ values[i] })`;
+			}
+			retArr.push(value);
+		} else if (name === 'round' && values.length === 1) {
+			// halves round up, as in javascript
+			retArr.push(`(f64.floor (f64.add ${ values[0] } (f64.const 0.5)))`);
+		} else if (mathImports[name] === values.length) {
+			retArr.push(`(call $Math_${ name } ${ values.join(' ') })`);
+		} else {
+			this.unsupported(`Math.${ name }`, ast);
+		}
+		return retArr;
+	}
+
+	/**
+	 * @desc Write a call of a Math function of arrays, on each lane, where numbers are in every lane
+	 * @param {Object} ast
+	 * @param {Array} retArr
+	 * @returns {Array} the append retArr
+	 */
+	astVectorMathCallExpression(ast, retArr) {
+		const name = ast.callee.property.name;
+		const values = ast.arguments.map(argument => this.astVector(argument, []).join(''));
+		if (vectorMathInstructions.hasOwnProperty(name) && values.length === 1) {
+			retArr.push(`(${ vectorMathInstructions[name] } ${ values[0] })`);
+		} else if (name === 'min' || name === 'max') {
+			let value = values[0];
+			for (let i = 1; i < values.length; i++) {
+				value = `(f32x4.${ name } ${ value } ${ values[i] })`;
+			}
+			retArr.push(value);
+		} else {
+			this.unsupported(`Math.${ name } of arrays`, ast);
+		}
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *Array* Expression, of 2 to 4 numbers, as a v128 of f32 lanes.
+	 * Lanes past the numbers are NaN, as javascript reads undefined past the end of an array.
+	 * @param {Object} arrNode - the AST object to parse
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astArrayExpression(arrNode, retArr) {
+		const elements = arrNode.elements;
+		if (elements.length < 2 || elements.length > 4) {
+			this.unsupported(`Array of ${ elements.length } values`, arrNode);
+		}
+		if (this.precision === 'double') {
+			this.unsupported('Array with double precision', arrNode);
+		}
+		let value = '(f32x4.splat (f32.const nan))';
+		for (let i = 0; i < elements.length; i++) {
+			value = `(f32x4.replace_lane ${ i } ${ value } (f32.demote_f64 ${ this.astValue(elements[i], []).join('') }))`;
+		}
+		retArr.push(value);
+		return retArr;
+	}
+
+	astNewExpression(newNode, retArr) {
+		this.unsupported('Array', newNode);
+	}
+
+	astThisExpression(tNode, retArr) {
+		this.unsupported('this', tNode);
+	}
+
+	astSequenceExpression(sNode, retArr) {
+		this.unsupported('Sequence', sNode);
+	}
+}
+
+/**
+ * @desc Get a number as it is written in WebAssembly text
+ * @param {Number} value
+ * @returns {String}
+ */
+function numberString(value) {
+	if (isNaN(value)) return 'nan';
+	if (value === Infinity) return 'inf';
+	if (value === -Infinity) return '-inf';
+	return value.toString();
+}
+
+module.exports = {
+	WasmFunctionNode,
+	mathImports
+};
@@ -0,0 +1,413 @@
+const {
+	Kernel
+} = require('../kernel');
+const {
+	CPUKernel
+} = require('../cpu/kernel');
+const {
+	cpuKernelString
+} = require('../cpu/kernel-string');
+const {
+	FunctionBuilder
+} = require('../function-builder');
+const {
+	WasmFunctionNode,
+	mathImports
+} = require('./function-node');
+const {
+	assemble
+} = require('./assembler');
+const {
+	utils
+} = require('../../utils');
+const {
+	Input
+} = require('../../input');
+
+const scalarTypes = {
+	Number: true,
+	Float: true,
+	Integer: true
+};
+
+/**
+ * @desc Kernel Implementation for WebAssembly.
+ * <p>Kernels of numbers and arrays of numbers are compiled to WebAssembly, which runs the threads of the output.
+ * Arrays of 2 to 4 numbers, and the `Array(2)` to `Array(4)` return types, are SIMD, where WebAssembly supports it.
+ * Kernels using anything else, such as graphical output, sub kernels, images, matrices, objects or plugins, are run
+ * as javascript, as CPUKernel runs them, and `wasmFallbackReason` says why.</p>
+ */
+class WasmKernel extends CPUKernel {
+	static get isSupported() {
+		return typeof WebAssembly !== 'undefined';
+	}
+
+	/**
+	 * @desc The current mode in which gpu.js is executing.
+	 */
+	static get mode() {
+		return 'wasm';
+	}
+
+	constructor(source, settings) {
+		super(source, settings);
+
+		/**
+		 * Exports, memory and memory layout of the WebAssembly of the kernel, or null while it runs as javascript
+		 * @type {Object}
+		 */
+		this.wasm = null;
+
+		/**
+		 * WebAssembly text of the kernel, once built into WebAssembly
+		 * @type {String}
+		 */
+		this.wasmString = null;
+
+		/**
+		 * Why the kernel runs as javascript, rather than as WebAssembly, or null while it runs as WebAssembly
+		 * @type {String}
+		 */
+		this.wasmFallbackReason = null;
+	}
+
+	/**
+	 * @desc Builds the Kernel into WebAssembly, or into javascript as CPUKernel does, when it uses anything
+	 * WebAssembly kernels do not support.
+	 */
+	build() {
+		this.setupConstants();
+		this.setupArguments(arguments);
+		this.validateSettings();
+
+		this.wasm = null;
+		this.wasmFallbackReason = null;
+		const layout = this._getWasmLayout(arguments);
+		if (layout !== null) {
+			try {
+				const wasmString = this.getWasmString(layout);
+				const memory = new WebAssembly.Memory({
+					initial: Math.max(1, Math.ceil(layout.bytes / 65536))
+				});
+				const instance = new WebAssembly.Instance(new WebAssembly.Module(assemble(wasmString)), {
+					env: {
+						memory
+					},
+					Math
+				});
+				this.wasmString = wasmString;
+				this.wasm = {
+					exports: instance.exports,
+					memory,
+					layout
+				};
+			} catch (e) {
+				this.wasmFallbackReason = e.message;
+			}
+		}
+
+		if (this.wasm === null) {
+			if (this.debug) {
+				console.log(`Running as javascript: ${ this.wasmFallbackReason }`);
+			}
+			return super.build.apply(this, arguments);
+		}
+		if (this.debug) {
+			console.log('WebAssembly output:');
+			console.log(this.wasmString);
+		}
+		this.run = this._runWasm;
+	}
+
+	/**
+	 * @desc Validate settings, which throws for `floatTextures`, as WebAssembly kernels have no textures
+	 */
+	validateSettings() {
+		if (this.floatTextures) {
+			throw new Error('floatTextures is not supported by WasmKernel, which has no textures');
+		}
+		super.validateSettings();
+	}
+
+	/**
+	 * @desc Run in async mode. WebAssembly kernels run on the calling thread, whatever `cpuWorkers` is.
+	 * @returns {Promise<KernelOutput>}
+	 */
+	exec() {
+		return Kernel.prototype.exec.apply(this, arguments);
+	}
+
+	/**
+	 * @desc Get where each array argument and constant is in memory, followed by the result, and which arguments and
+	 * constants are numbers, or null if any of them, or the kernel, cannot be run as WebAssembly, which sets
+	 * `wasmFallbackReason`
+	 * @param {IArguments|Array} args
+	 * @returns {Object|null} layout
+	 */
+	_getWasmLayout(args) {
+		const returnTypeLength = this.getReturnTypeLength();
+		const unsupported = (what) => {
+			this.wasmFallbackReason = `${ what } not supported by wasm`;
+			return null;
+		};
+		if (typeof this.source === 'object') {
+			return unsupported('Kernel from JSON');
+		}
+		if (this.graphical) {
+			return unsupported('graphical output');
+		}
+		if (this.subKernels) {
+			return unsupported('subKernels');
+		}
+		if (this.getIntegerResultArrayType()) {
+			return unsupported(`returnType of "${ this.returnType }"`);
+		}
+		// arrays are f32 lanes, which are not double precision
+		if (returnTypeLength > 1 && this.precision === 'double') {
+			return unsupported(`returnType of "${ this.returnType }" with precision of "double"`);
+		}
+		const types = this.argumentTypes.concat(Object.keys(this.constantTypes || {}).map(name => this.constantTypes[name]));
+		const matrixType = types.find(type => utils.getMatrixTypeSize(type));
+		if (matrixType) {
+			return unsupported(`type of "${ matrixType }"`);
+		}
+		const layout = {
+			memory: {},
+			arrays: [],
+			scalars: [],
+			key: '',
+			bytes: 0,
+			resultOffset: 0
+		};
+		const add = (name, value, argumentIndex, constantName) => {
+			const type = utils.getVariableType(value);
+			if (scalarTypes[type]) {
+				layout.scalars.push({
+					name,
+					argumentIndex,
+					constantName
+				});
+				layout.key += `${ name };`;
+				return true;
+			}
+			if (type !== 'Array' && type !== 'Input') {
+				return false;
+			}
+			const isInput = type === 'Input';
+			const size = isInput ? value.size.slice(0) : Array.from(utils.getDimensions(value));
+			// javascript kernels read the values of an Input past its size
+			const length = isInput ? value.value.length : size.reduce((length, dimension) => length * dimension, 1);
+			const array = {
+				name,
+				argumentIndex,
+				constantName,
+				offset: layout.bytes,
+				size,
+				length,
+				isInput
+			};
+			layout.memory[name] = array;
+			layout.arrays.push(array);
+			layout.key += `${ name }:${ size }:${ length };`;
+			layout.bytes += length * 8;
+			return true;
+		};
+		for (let i = 0; i < args.length; i++) {
+			if (!add(`user_${ this.argumentNames[i] }`, args[i], i, null)) {
+				return unsupported(`argument "${ this.argumentNames[i] }" of type "${ utils.getVariableType(args[i]) }"`);
+			}
+		}
+		for (const name in this.constants) {
+			if (!add(`constants_${ name }`, this.constants[name], null, name)) {
+				return unsupported(`constant "${ name }" of type "${ utils.getVariableType(this.constants[name]) }"`);
+			}
+		}
+		layout.resultOffset = layout.bytes;
+		let resultBytes = this.precision === 'double' ? 8 : 4;
+		if (returnTypeLength > 1) {
+			// the whole v128 of each thread is stored, and only its first lanes are returned
+			resultBytes = 16;
+		}
+		layout.bytes += this.output.reduce((length, dimension) => length * dimension, 1) * resultBytes;
+		return layout;
+	}
+
+	/**
+	 * @desc Generates the WebAssembly text of this kernel, a module with a `kernel` export that runs the threads of
+	 * the outermost dimension from `start` to `end`, given the arguments and constants that are numbers.
+	 * @param {Object} layout - see `_getWasmLayout`
+	 * @returns {String} result
+	 */
+	getWasmString(layout) {
+		// native functions of javascript kernels are javascript, so are written as WebAssembly, as other functions are
+		const nativeFunctions = (this.nativeFunctions || []).map(nativeFunction => ({
+			name: nativeFunction.name,
+			source: nativeFunction.source,
+			argumentTypes: [],
+			returnType: nativeFunction.settings ? nativeFunction.settings.returnType : undefined
+		}));
+		const functionBuilder = FunctionBuilder.fromKernel(Object.assign(Object.create(this), {
+			functions: (this.functions || []).concat(nativeFunctions),
+			nativeFunctions: null
+		}), WasmFunctionNode, {
+			memory: layout.memory
+		});
+		const rootNode = functionBuilder.rootNode;
+		const kernelBody = rootNode.toString();
+		const functions = functionBuilder.getPrototypes('kernel').filter(prototype => prototype !== kernelBody);
+
+		const imports = Object.keys(mathImports).map(name => {
+			const params = new Array(mathImports[name]).fill('(param f64)').join(' ');
+			return `(import "Math" "${ name }" (func $Math_${ name } ${ params } (result f64)))`;
+		});
+		const globals = ['thread_x', 'thread_y', 'thread_z']
+			.map(name => `(global $${ name } (mut i32) (i32.const 0))`)
+			.concat(layout.scalars.map(scalar => `(global $${ scalar.name } (mut f64) (f64.const 0))`));
+		const params = layout.scalars.map((scalar, i) => `(param $argument_${ i } f64)`);
+		const setGlobals = layout.scalars.map((scalar, i) => `(global.set $${ scalar.name } (local.get $argument_${ i }))`);
+
+		return `(module
+${ imports.join('\n') }
+(import "env" "memory" (memory ${ Math.max(1, Math.ceil(layout.bytes / 65536)) }))
+${ globals.join('\n') }
+${ functions.join('\n') }
+(func $kernel (export "kernel") (param $start i32) (param $end i32) ${ params.join(' ') }
+(local $x i32) (local $y i32) (local $z i32) (local $index i32) (local $kernelResult ${ this.getReturnTypeLength() > 1 ? 'v128' : 'f64' }) ${ rootNode.getLocalsString() }
+${ setGlobals.join('\n') }
+${ this._getWasmLoopString(kernelBody, layout) }))`;
+	}
+
+	/**
+	 * @desc Get the loops over the threads of the output, which store the result of each thread
+	 * @param {String} kernelBody
+	 * @param {Object} layout
+	 * @returns {String} result
+	 */
+	_getWasmLoopString(kernelBody, layout) {
+		const {
+			output
+		} = this;
+		const dimensions = ['x', 'y', 'z'].slice(0, output.length);
+		const outer = dimensions.length - 1;
+		const isVector = this.getReturnTypeLength() > 1;
+		let store = `(f32.store offset=${ layout.resultOffset } (i32.shl (local.get $index) (i32.const 2)) (f32.demote_f64 (local.get $kernelResult)))`;
+		if (isVector) {
+			store = `(v128.store offset=${ layout.resultOffset } (i32.shl (local.get $index) (i32.const 4)) (local.get $kernelResult))`;
+		} else if (this.precision === 'double') {
+			store = `(f64.store offset=${ layout.resultOffset } (i32.shl (local.get $index) (i32.const 3)) (local.get $kernelResult))`;
+		}
+		// like javascript, a kernel that does not return gives undefined, which is NaN as a number
+		let loop = `(local.set $kernelResult ${ isVector ? '(f32x4.splat (f32.const nan))' : '(f64.const nan)' })
+(block $kernelBody
+${ kernelBody })
+${ store }
+(local.set $index (i32.add (local.get $index) (i32.const 1)))`;
+		for (let i = 0; i < dimensions.length; i++) {
+			const dimension = dimensions[i];
+			const start = i === outer ? '(local.get $start)' : '(i32.const 0)';
+			const end = i === outer ? '(local.get $end)' : `(i32.const ${ output[i] })`;
+			loop = `(local.set $${ dimension } ${ start })
+(block $${ dimension }_done (loop $${ dimension }_loop
+(br_if $${ dimension }_done (i32.ge_s (local.get $${ dimension }) ${ end }))
+(global.set $thread_${ dimension } (local.get $${ dimension }))
+${ loop }
+(local.set $${ dimension } (i32.add (local.get $${ dimension }) (i32.const 1)))
+(br $${ dimension }_loop)))`;
+		}
+		const stride = output.slice(0, outer).reduce((length, dimension) => length * dimension, 1);
+		return `(local.set $index (i32.mul (local.get $start) (i32.const ${ stride })))
+${ loop }`;
+	}
+
+	/**
+	 * @desc Run the WebAssembly of the kernel, after writing its array arguments and constants into memory.
+	 * It is built again when the sizes or types of arguments differ from those it was built with.
+	 * @returns {Float32Array|Float32Array[]|Float32Array[][]}
+	 */
+	_runWasm() {
+		const {
+			exports,
+			memory,
+			layout
+		} = this.wasm;
+		const current = this._getWasmLayout(arguments);
+		if (current === null || current.key !== layout.key) {
+			this.build.apply(this, arguments);
+			return this.run.apply(this, arguments);
+		}
+
+		this.callPluginHook('onBeforeRun');
+		for (let i = 0; i < layout.arrays.length; i++) {
+			const array = layout.arrays[i];
+			const value = array.constantName === null ? arguments[array.argumentIndex] : this.constants[array.constantName];
+			const target = new Float64Array(memory.buffer, array.offset, array.length);
+			utils.flattenTo(value instanceof Input ? value.value : value, target);
+		}
+		const values = [0, this.output[this.output.length - 1]];
+		for (let i = 0; i < layout.scalars.length; i++) {
+			const scalar = layout.scalars[i];
+			values.push(scalar.constantName === null ? arguments[scalar.argumentIndex] : this.constants[scalar.constantName]);
+		}
+		exports.kernel.apply(null, values);
+
+		const length = this.output.reduce((length, dimension) => length * dimension, 1);
+		const returnTypeLength = this.getReturnTypeLength();
+		if (returnTypeLength > 1) {
+			const lanes = new Float32Array(memory.buffer, layout.resultOffset, length * 4);
+			const result = new Array(length);
+			for (let i = 0; i < length; i++) {
+				result[i] = lanes.slice(i * 4, i * 4 + returnTypeLength);
+			}
+			return this.afterRun(this._splitWasmResult(result));
+		}
+		const ResultArray = this.precision === 'double' ? Float64Array : Float32Array;
+		const result = new ResultArray(memory.buffer, layout.resultOffset, length).slice();
+		return this.afterRun(this._splitWasmResult(result));
+	}
+
+	/**
+	 * @desc Split the flat result into rows, and rows into planes, as javascript kernels return them
+	 * @param {Float32Array|Float64Array|Float32Array[]} result - the numbers, or arrays of numbers, of each thread
+	 * @returns {Float32Array|Float32Array[]|Float32Array[][]}
+	 */
+	_splitWasmResult(result) {
+		const {
+			output
+		} = this;
+		if (output.length === 1) {
+			return result;
+		}
+		let rows;
+		if (Array.isArray(result)) {
+			rows = [];
+			for (let i = 0; i < result.length; i += output[0]) {
+				rows.push(result.slice(i, i + output[0]));
+			}
+		} else {
+			rows = utils.splitArray(result, output[0]);
+		}
+		if (output.length === 2) {
+			return rows;
+		}
+		const planes = [];
+		for (let z = 0; z < output[2]; z++) {
+			planes.push(rows.slice(z * output[1], (z + 1) * output[1]));
+		}
+		return planes;
+	}
+
+	/**
+	 * @desc Returns the *pre-compiled* Kernel as a JS Object String, that can be reused, which runs as javascript.
+	 */
+	toString() {
+		if (this.wasm !== null && !this.kernelString) {
+			this.kernelString = this.getKernelString();
+		}
+		// the string builds and runs as javascript, with the methods of CPUKernel
+		return cpuKernelString(Object.assign(Object.create(CPUKernel.prototype), this));
+	}
+}
+
+module.exports = {
+	WasmKernel
+};
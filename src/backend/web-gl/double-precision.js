@@ -0,0 +1,126 @@
+// Double-float arithmetic, used by kernels with `precision: 'double'`.
+// Every value is a vec2 of a high and a low float, which add up to the value with about 48 bits of mantissa.
+// Based on "Extended-Precision Floating-Point Numbers for GPU Computation", Andrew Thall
+const doublePrecision = `
+vec2 df64QuickTwoSum(float a, float b) {
+  float sum = a + b;
+  return vec2(sum, b - (sum - a));
+}
+
+vec2 df64TwoSum(float a, float b) {
+  float sum = a + b;
+  float v = sum - a;
+  return vec2(sum, (a - (sum - v)) + (b - v));
+}
+
+vec2 df64Split(float a) {
+  float t = a * 4097.0;
+  float high = t - (t - a);
+  return vec2(high, a - high);
+}
+
+vec2 df64TwoProduct(float a, float b) {
+  float product = a * b;
+  vec2 aSplit = df64Split(a);
+  vec2 bSplit = df64Split(b);
+  float error = ((aSplit.x * bSplit.x - product) + aSplit.x * bSplit.y + aSplit.y * bSplit.x) + aSplit.y * bSplit.y;
+  return vec2(product, error);
+}
+
+vec2 df64Add(vec2 a, vec2 b) {
+  vec2 s = df64TwoSum(a.x, b.x);
+  vec2 t = df64TwoSum(a.y, b.y);
+  s.y += t.x;
+  s = df64QuickTwoSum(s.x, s.y);
+  s.y += t.y;
+  return df64QuickTwoSum(s.x, s.y);
+}
+
+vec2 df64Subtract(vec2 a, vec2 b) {
+  return df64Add(a, -b);
+}
+
+vec2 df64Multiply(vec2 a, vec2 b) {
+  vec2 p = df64TwoProduct(a.x, b.x);
+  p.y += a.x * b.y + a.y * b.x;
+  return df64QuickTwoSum(p.x, p.y);
+}
+
+vec2 df64Divide(vec2 a, vec2 b) {
+  float q1 = a.x / b.x;
+  vec2 r = df64Subtract(a, df64Multiply(vec2(q1, 0.0), b));
+  float q2 = r.x / b.x;
+  r = df64Subtract(r, df64Multiply(vec2(q2, 0.0), b));
+  float q3 = r.x / b.x;
+  return df64Add(df64QuickTwoSum(q1, q2), vec2(q3, 0.0));
+}
+
+bool df64Less(vec2 a, vec2 b) {
+  return a.x < b.x || (a.x == b.x && a.y < b.y);
+}
+
+bool df64LessEqual(vec2 a, vec2 b) {
+  return a.x < b.x || (a.x == b.x && a.y <= b.y);
+}
+
+bool df64Greater(vec2 a, vec2 b) {
+  return df64Less(b, a);
+}
+
+bool df64GreaterEqual(vec2 a, vec2 b) {
+  return df64LessEqual(b, a);
+}
+
+bool df64Equal(vec2 a, vec2 b) {
+  return a.x == b.x && a.y == b.y;
+}
+
+bool df64NotEqual(vec2 a, vec2 b) {
+  return !df64Equal(a, b);
+}
+
+vec2 df64Floor(vec2 a) {
+  float high = floor(a.x);
+  if (high == a.x) {
+    return df64QuickTwoSum(high, floor(a.y));
+  }
+  return vec2(high, 0.0);
+}
+
+vec2 df64Ceil(vec2 a) {
+  return -df64Floor(-a);
+}
+
+vec2 df64Round(vec2 a) {
+  return df64Floor(df64Add(a, vec2(0.5, 0.0)));
+}
+
+vec2 df64Mod(vec2 a, vec2 b) {
+  return df64Subtract(a, df64Multiply(b, df64Floor(df64Divide(a, b))));
+}
+
+vec2 df64Abs(vec2 a) {
+  return a.x < 0.0 ? -a : a;
+}
+
+vec2 df64Min(vec2 a, vec2 b) {
+  return df64Less(a, b) ? a : b;
+}
+
+vec2 df64Max(vec2 a, vec2 b) {
+  return df64Less(a, b) ? b : a;
+}
+
+vec2 df64Sqrt(vec2 a) {
+  if (a.x <= 0.0) {
+    return vec2(sqrt(a.x), 0.0);
+  }
+  float inverse = 1.0 / sqrt(a.x);
+  float root = a.x * inverse;
+  vec2 remainder = df64Subtract(a, df64TwoProduct(root, root));
+  return df64QuickTwoSum(root, remainder.x * inverse * 0.5);
+}`;
+
+module.exports = {
+	doublePrecision
+};
@@ -43,6 +43,7 @@ int integerMod(int x, int y) {
 }
 
 __DIVIDE_WITH_INTEGER_CHECK__;
+__DOUBLE_PRECISION__;
 
 // Here be dragons!
 // DO NOT OPTIMIZE THIS CODE
@@ -83,6 +84,26 @@ vec4 encode32(float f) {
 }
 // Dragons end here
 
+// exact within the range of highp int, which GLSL ES 1.0 only promises to 2^16, and is 32 bit on most devices
+vec4 encodeInt(int value) {
+  // the bytes of a negative value are those of -(value + 1) inverted, as in two's complement
+  bool isNegative = value < 0;
+  int magnitude = isNegative ? -(value + 1) : value;
+  vec4 rgba;
+  rgba.r = float(integerMod(magnitude, 256));
+  magnitude /= 256;
+  rgba.g = float(integerMod(magnitude, 256));
+  magnitude /= 256;
+  rgba.b = float(integerMod(magnitude, 256));
+  rgba.a = float(magnitude / 256);
+  if (isNegative) {
+    rgba = 255.0 - rgba;
+  }
+  rgba /= 255.0;
+  __ENCODE32_ENDIANNESS__;
+  return rgba;
+}
+
 float decode(vec4 rgba, int x, int bitRatio) {
   if (bitRatio == 1) {
     return decode32(rgba);
@@ -124,6 +145,15 @@ float get(sampler2D tex, ivec2 texSize, ivec3 texDim, int bitRatio, int z, int y
   __GET_RESULT__;
 }
 
+vec2 getDouble(sampler2D tex, ivec2 texSize, ivec3 texDim, int z, int y, int x) {
+  ivec3 xyz = ivec3(x, y, z);
+  __GET_WRAPAROUND__;
+  int index = xyz.x + texDim.x * (xyz.y + texDim.y * xyz.z);
+  int w = texSize.x;
+  vec2 st = vec2(float(integerMod(index, w)), float(index / w)) + 0.5;
+  return texture2D(tex, st / vec2(texSize)).rg;
+}
+
 vec4 getImage2D(sampler2D tex, ivec2 texSize, ivec3 texDim, int z, int y, int x) {
   ivec3 xyz = ivec3(x, y, z);
   __GET_WRAPAROUND__;
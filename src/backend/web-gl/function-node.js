@@ -1,3 +1,6 @@
+const {
+	utils
+} = require('../../utils');
 const {
 	FunctionNode
 } = require('../function-node');
@@ -34,7 +37,7 @@ class WebGLFunctionNode extends FunctionNode {
 			const {
 				returnType
 			} = this;
-			const type = typeMap[returnType];
+			const type = this.getTypeMarkup(returnType);
 			if (!type) {
 				throw new Error(`unknown type ${ returnType }`);
 			}
@@ -52,11 +55,11 @@ class WebGLFunctionNode extends FunctionNode {
 				if (i > 0) {
 					retArr.push(', ');
 				}
-				let argumentType = this.getVariableType(argumentName);
+				let argumentType = this.getVariableType(argumentName, ast.params[i]);
 				if (!argumentType || argumentType === 'LiteralInteger') {
 					argumentType = 'Number';
 				}
-				const type = typeMap[argumentType];
+				const type = this.getTypeMarkup(argumentType);
 				if (!type) {
 					throw this.astErrorOutput('Unexpected expression', ast);
 				}
@@ -96,6 +99,10 @@ class WebGLFunctionNode extends FunctionNode {
 		switch (this.returnType) {
 			case 'Number':
 			case 'Float':
+				if (this.precision === 'double') {
+					this.astDoubleValue(ast.argument, result);
+					break;
+				}
 				switch (type) {
 					case 'Integer':
 						result.push('float(');
@@ -112,12 +119,13 @@ class WebGLFunctionNode extends FunctionNode {
 				}
 				break;
 			case 'Integer':
+			case 'UnsignedInteger':
 				switch (type) {
 					case 'Number':
 						this.pushState('casting-to-integer');
 						result.push('int(');
 						this.astGeneric(ast.argument, result);
-						result.push(')');
+						result.push(this.precision === 'double' ? '.x)' : ')');
 						this.popState('casting-to-integer');
 						break;
 					case 'LiteralInteger':
@@ -132,6 +140,9 @@ class WebGLFunctionNode extends FunctionNode {
 			case 'Array(4)':
 			case 'Array(3)':
 			case 'Array(2)':
+				if (type === 'Number' || type === 'Integer' || type === 'LiteralInteger') {
+					throw this.astErrorOutput(`Cannot return ${ type } from function with returnType of ${ this.returnType }`, ast);
+				}
 				this.astGeneric(ast.argument, result);
 				break;
 			default:
@@ -168,7 +179,9 @@ class WebGLFunctionNode extends FunctionNode {
 			);
 		}
 
-		if (Number.isInteger(ast.value)) {
+		if (this.precision === 'double' && !this.isState('in-for-loop-init') && !this.isState('casting-to-integer')) {
+			retArr.push(utils.getDoubleString(ast.value));
+		} else if (Number.isInteger(ast.value)) {
 			if (this.isState('in-for-loop-init') || this.isState('casting-to-integer')) {
 				retArr.push(`${ast.value}`);
 			} else if (this.isState('casting-to-float')) {
@@ -191,6 +204,13 @@ class WebGLFunctionNode extends FunctionNode {
 	 * @returns {Array} the append retArr
 	 */
 	astBinaryExpression(ast, retArr) {
+		if (this.isDoubleBinaryExpression(ast)) {
+			return this.astDoubleBinaryExpression(ast, retArr);
+		}
+		if (this.isMatrixBinaryExpression(ast)) {
+			return this.astMatrixBinaryExpression(ast, retArr);
+		}
+
 		if (ast.operator === '%') {
 			retArr.push('mod(');
 
@@ -358,6 +378,48 @@ class WebGLFunctionNode extends FunctionNode {
 		return retArr;
 	}
 
+	/**
+	 * @desc Parses the abstract syntax tree for *binary* expression of a matrix, with the native operators of glsl
+	 * @param {Object} ast - the AST object to parse
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astMatrixBinaryExpression(ast, retArr) {
+		if (this.precision === 'double') {
+			throw this.astErrorOutput('Matrices are not supported with precision of "double"', ast);
+		}
+		// throws for operators and operands matrices can't be used with
+		this.getMatrixBinaryExpressionType(ast);
+		retArr.push('(');
+		this.astMatrixOperand(ast.left, retArr);
+		retArr.push(ast.operator);
+		this.astMatrixOperand(ast.right, retArr);
+		retArr.push(')');
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree of an operand of a matrix, where numbers are floats
+	 * @param {Object} ast - the AST object to parse
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astMatrixOperand(ast, retArr) {
+		const type = this.getType(ast);
+		if (type === 'Integer') {
+			retArr.push('float(');
+			this.astGeneric(ast, retArr);
+			retArr.push(')');
+		} else if (type === 'LiteralInteger') {
+			this.pushState('casting-to-float');
+			this.astGeneric(ast, retArr);
+			this.popState('casting-to-float');
+		} else {
+			this.astGeneric(ast, retArr);
+		}
+		return retArr;
+	}
+
 	/**
 	 * @desc Parses the abstract syntax tree for *identifier* expression
 	 * @param {Object} idtNode - An ast Node
@@ -448,6 +510,11 @@ class WebGLFunctionNode extends FunctionNode {
 			retArr.push('}\n');
 		} else {
 			const iVariableName = this.getInternalVariableName('safeI');
+			// variables declared with let or const in the init are in a block with the loop, as they are only in it
+			const isInitScoped = forNode.init && forNode.init.type === 'VariableDeclaration' && forNode.init.kind !== 'var';
+			if (isInitScoped) {
+				retArr.push('{\n');
+			}
 			if (initArr.length > 0) {
 				retArr.push(initArr.join(''), ';\n');
 			}
@@ -458,6 +525,9 @@ class WebGLFunctionNode extends FunctionNode {
 			retArr.push(bodyArr.join(''));
 			retArr.push(`\n${updateArr.join('')};`);
 			retArr.push('}\n');
+			if (isInitScoped) {
+				retArr.push('}\n');
+			}
 		}
 		return retArr;
 	}
@@ -506,6 +576,178 @@ class WebGLFunctionNode extends FunctionNode {
 		return retArr;
 	}
 
+	/**
+	 * @desc Parses the abstract syntax tree for *switch* statement, as if statements, since GLSL ES 1.0 has no switch,
+	 * see `getSwitchIfStatements`
+	 * @param {Object} switchNode - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the parsed webgl string
+	 */
+	astSwitchStatement(switchNode, retArr) {
+		if (switchNode.type !== 'SwitchStatement') {
+			throw this.astErrorOutput('Invalid switch statement', switchNode);
+		}
+		const statements = this.getSwitchIfStatements(switchNode);
+		for (let i = 0; i < statements.length; i++) {
+			this.astGeneric(statements[i], retArr);
+			retArr.push('\n');
+		}
+		return retArr;
+	}
+
+	/**
+	 * @desc Get a switch statement as an if statement for each case, testing the cases falling through to it, with
+	 * the default case as the last else, and without the break ending each case. A discriminant that is not a variable
+	 * is declared as one first, so it is read once.
+	 * Cases may only fall through when they have no statements, and may only break at their end.
+	 * @param {Object} switchNode - An ast Node
+	 * @returns {Object[]} ast Nodes
+	 */
+	getSwitchIfStatements(switchNode) {
+		const result = [];
+		let discriminant = switchNode.discriminant;
+		if (discriminant.type !== 'Identifier') {
+			discriminant = {
+				type: 'Identifier',
+				name: this.getInternalDeclarationName('switchValue'),
+				loc: discriminant.loc
+			};
+			result.push({
+				type: 'VariableDeclaration',
+				kind: 'const',
+				declarations: [{
+					type: 'VariableDeclarator',
+					id: discriminant,
+					init: switchNode.discriminant,
+					loc: switchNode.discriminant.loc
+				}],
+				loc: switchNode.discriminant.loc
+			});
+		}
+
+		const groups = [];
+		let tests = [];
+		for (let i = 0; i < switchNode.cases.length; i++) {
+			const switchCase = switchNode.cases[i];
+			tests.push(switchCase.test);
+			if (switchCase.consequent.length === 0) continue;
+			groups.push({
+				tests,
+				switchCase
+			});
+			tests = [];
+		}
+
+		let defaultBlock = null;
+		const ifGroups = [];
+		for (let i = 0; i < groups.length; i++) {
+			const {
+				tests,
+				switchCase
+			} = groups[i];
+			const body = this.getSwitchCaseBody(switchCase.consequent);
+			if (body === null && i < groups.length - 1) {
+				throw this.astErrorOutput('Falling through to the next case of a switch is not supported', switchCase);
+			}
+			const block = {
+				type: 'BlockStatement',
+				body: body || switchCase.consequent,
+				loc: switchCase.loc
+			};
+			if (tests.indexOf(null) > -1) {
+				defaultBlock = block;
+				continue;
+			}
+			let test = null;
+			for (let j = 0; j < tests.length; j++) {
+				const equals = {
+					type: 'BinaryExpression',
+					operator: '===',
+					left: discriminant,
+					right: tests[j],
+					loc: tests[j].loc
+				};
+				test = test ? {
+					type: 'LogicalExpression',
+					operator: '||',
+					left: test,
+					right: equals,
+					loc: tests[j].loc
+				} : equals;
+			}
+			ifGroups.push({
+				test,
+				block
+			});
+		}
+
+		let statement = defaultBlock;
+		for (let i = ifGroups.length - 1; i >= 0; i--) {
+			statement = {
+				type: 'IfStatement',
+				test: ifGroups[i].test,
+				consequent: ifGroups[i].block,
+				alternate: statement,
+				loc: ifGroups[i].block.loc
+			};
+		}
+		if (statement) {
+			result.push(statement);
+		}
+		return result;
+	}
+
+	/**
+	 * @desc Get the statements of a switch case without the break ending it, or null if it does not end with a break,
+	 * continue or return
+	 * @param {Object[]} statements - ast Nodes
+	 * @returns {Object[]|null}
+	 */
+	getSwitchCaseBody(statements) {
+		const last = statements[statements.length - 1];
+		let result = null;
+		if (!last) {
+			return null;
+		} else if (last.type === 'BreakStatement' && !last.label) {
+			result = statements.slice(0, -1);
+		} else if (last.type === 'ReturnStatement' || last.type === 'ContinueStatement') {
+			result = statements;
+		} else if (last.type === 'BlockStatement') {
+			const body = this.getSwitchCaseBody(last.body);
+			if (body === null) {
+				return null;
+			}
+			result = statements.slice(0, -1).concat(Object.assign({}, last, {
+				body
+			}));
+		} else {
+			return null;
+		}
+		const findBreak = (ast) => {
+			if (!ast || typeof ast !== 'object') return;
+			if (Array.isArray(ast)) {
+				ast.forEach(findBreak);
+				return;
+			}
+			switch (ast.type) {
+				case 'BreakStatement':
+					throw this.astErrorOutput('Breaking before the end of a switch case is not supported', ast);
+				case 'ForStatement':
+				case 'WhileStatement':
+				case 'DoWhileStatement':
+				case 'SwitchStatement':
+					return;
+			}
+			for (const property in ast) {
+				if (property !== 'loc') {
+					findBreak(ast[property]);
+				}
+			}
+		};
+		findBreak(result);
+		return result;
+	}
+
 
 	/**
 	 * @desc Parses the abstract syntax tree for *Assignment* Expression
@@ -514,6 +756,10 @@ class WebGLFunctionNode extends FunctionNode {
 	 * @returns {Array} the append retArr
 	 */
 	astAssignmentExpression(assNode, retArr) {
+		if (this.isDoubleType(this.getType(assNode.left))) {
+			return this.astDoubleAssignmentExpression(assNode, retArr);
+		}
+
 		if (assNode.operator === '%=') {
 			this.astGeneric(assNode.left, retArr);
 			retArr.push('=');
@@ -545,13 +791,18 @@ class WebGLFunctionNode extends FunctionNode {
 	 * @returns {Array} the append retArr
 	 */
 	astBlockStatement(bNode, retArr) {
-		if (!this.isState('loop-body')) {
+		if (this.isState('loop-body')) {
+			// blocks nested in the loop body keep their braces
+			this.pushState('block-body');
+			for (let i = 0; i < bNode.body.length; i++) {
+				this.astGeneric(bNode.body[i], retArr);
+			}
+			this.popState('block-body');
+		} else {
 			retArr.push('{\n');
-		}
-		for (let i = 0; i < bNode.body.length; i++) {
-			this.astGeneric(bNode.body[i], retArr);
-		}
-		if (!this.isState('loop-body')) {
+			for (let i = 0; i < bNode.body.length; i++) {
+				this.astGeneric(bNode.body[i], retArr);
+			}
 			retArr.push('}\n');
 		}
 		return retArr;
@@ -572,12 +823,15 @@ class WebGLFunctionNode extends FunctionNode {
 		const firstDeclaration = declarations[0];
 		const init = firstDeclaration.init;
 		const actualType = this.getType(init);
+		if (this.isLocalArrayType(actualType)) {
+			return this.astLocalArrayDeclaration(varDecNode, retArr);
+		}
 		let type = this.isState('in-for-loop-init') ? 'Integer' : actualType;
 		if (type === 'LiteralInteger') {
 			// We had the choice to go either float or int, choosing float
 			type = 'Number';
 		}
-		const markupType = typeMap[type];
+		const markupType = this.getTypeMarkup(type);
 		if (!markupType) {
 			throw this.astErrorOutput(`Markup type ${ markupType } not handled`, varDecNode);
 		}
@@ -593,7 +847,9 @@ class WebGLFunctionNode extends FunctionNode {
 		if (actualType === 'Number' && type === 'Integer') {
 			initResult.push('int(');
 			this.astGeneric(init, initResult);
-			initResult.push(')');
+			initResult.push(this.precision === 'double' ? '.x)' : ')');
+		} else if (this.isDoubleType(type)) {
+			this.astDoubleValue(init, initResult);
 		} else {
 			this.astGeneric(init, initResult);
 		}
@@ -618,6 +874,61 @@ class WebGLFunctionNode extends FunctionNode {
 		return retArr;
 	}
 
+	/**
+	 * @desc Parses the abstract syntax tree for the *Variable Declaration* of local arrays, which are glsl float
+	 * arrays, set to each of their values, or to 0 for `new Float32Array(length)`
+	 * @param {Object} varDecNode - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astLocalArrayDeclaration(varDecNode, retArr) {
+		if (this.precision === 'double') {
+			throw this.astErrorOutput('Arrays are not supported with precision of "double"', varDecNode);
+		}
+		if (this.isState('in-for-loop-init')) {
+			throw this.astErrorOutput('Local arrays cannot be declared in a for loop', varDecNode);
+		}
+		const declarations = varDecNode.declarations;
+		for (let i = 0; i < declarations.length; i++) {
+			const {
+				id,
+				init
+			} = declarations[i];
+			const type = init ? this.getType(init) : null;
+			if (!this.isLocalArrayType(type)) {
+				throw this.astErrorOutput('Local arrays must be declared apart from other variables', declarations[i]);
+			}
+			const dependencies = this.getDependencies(init);
+			this.declarations[id.name] = Object.freeze({
+				type,
+				dependencies,
+				isSafe: this.isSafeDependencies(dependencies),
+			});
+			const length = this.getArrayTypeLength(type);
+			const name = `user_${ id.name }`;
+			retArr.push(`float ${ name }[${ length }];\n`);
+			if (init.type === 'NewExpression') {
+				const iVariableName = this.getInternalVariableName('arrayI');
+				retArr.push(`for (int ${ iVariableName }=0;${ iVariableName }<${ length };${ iVariableName }++){\n`);
+				retArr.push(`${ name }[${ iVariableName }]=0.0;\n}\n`);
+				continue;
+			}
+			for (let j = 0; j < length; j++) {
+				const element = init.elements[j];
+				retArr.push(`${ name }[${ j }]=`);
+				if (this.getType(element) === 'Integer') {
+					retArr.push('float(');
+					this.astGeneric(element, retArr);
+					retArr.push(')');
+				} else {
+					this.astGeneric(element, retArr);
+				}
+				retArr.push(';\n');
+			}
+		}
+		return retArr;
+	}
+
 	/**
 	 * @desc Parses the abstract syntax tree for *If* Statement
 	 * @param {Object} ifNode - An ast Node
@@ -703,7 +1014,7 @@ class WebGLFunctionNode extends FunctionNode {
 			case 'value[][][]':
 			case 'value.value':
 				if (origin === 'Math') {
-					retArr.push(Math[name]);
+					retArr.push(this.precision === 'double' ? utils.getDoubleString(Math[name]) : Math[name]);
 					return retArr;
 				}
 				switch (property) {
@@ -741,6 +1052,23 @@ class WebGLFunctionNode extends FunctionNode {
 			return retArr;
 		}
 
+		if (this.getMatrixTypeSize(type)) {
+			if (this.precision === 'double') {
+				throw this.astErrorOutput('Matrices are not supported with precision of "double"', mNode);
+			}
+			if (signature === 'this.constants.value') {
+				retArr.push(`constants_${ name }`);
+				return retArr;
+			}
+			if (zProperty) {
+				throw this.astErrorOutput('Matrices have two dimensions', mNode);
+			}
+			// a column, or a value of a column
+			this.astGeneric(mNode.object, retArr);
+			retArr.push(`[${ this.memberExpressionPropertyMarkup(mNode.property) }]`);
+			return retArr;
+		}
+
 		// argument may have come from a parent
 		let synonymName;
 		if (this.parent) {
@@ -749,6 +1077,18 @@ class WebGLFunctionNode extends FunctionNode {
 
 		const markupName = `${origin}_${synonymName || name}`;
 
+		if (this.precision === 'double' && !doubleTypeMap[type]) {
+			throw this.astErrorOutput(`${ type } is not supported with precision of "double"`, mNode);
+		}
+
+		if (this.isLocalArrayType(type)) {
+			if (yProperty) {
+				throw this.astErrorOutput('Local arrays have one dimension', mNode);
+			}
+			retArr.push(`${ markupName }[${ this.memberExpressionPropertyMarkup(xProperty) }]`);
+			return retArr;
+		}
+
 		switch (type) {
 			case 'Array(2)':
 			case 'Array(3)':
@@ -770,9 +1110,22 @@ class WebGLFunctionNode extends FunctionNode {
 				this.memberExpressionXYZ(xProperty, yProperty, zProperty, retArr);
 				retArr.push(')');
 				break;
-			default:
+			case 'NumberTexture':
+				// textures are single precision
+				if (this.precision === 'double') {
+					retArr.push('vec2(');
+				}
 				retArr.push(`get(${ markupName }, ${ markupName }Size, ${ markupName }Dim, ${ markupName }BitRatio, `);
 				this.memberExpressionXYZ(xProperty, yProperty, zProperty, retArr);
+				retArr.push(this.precision === 'double' ? '), 0.0)' : ')');
+				break;
+			default:
+				if (this.precision === 'double') {
+					retArr.push(`getDouble(${ markupName }, ${ markupName }Size, ${ markupName }Dim, `);
+				} else {
+					retArr.push(`get(${ markupName }, ${ markupName }Size, ${ markupName }Dim, ${ markupName }BitRatio, `);
+				}
+				this.memberExpressionXYZ(xProperty, yProperty, zProperty, retArr);
 				retArr.push(')');
 				break;
 		}
@@ -787,11 +1140,24 @@ class WebGLFunctionNode extends FunctionNode {
 	 */
 	astCallExpression(ast, retArr) {
 		if (ast.callee) {
+			const plugin = this.getCalledPlugin(ast);
+			if (plugin && plugin.functionReplace) {
+				if (this.isDoubleType(plugin.functionReturnType || 'Number')) {
+					// plugins return single precision
+					retArr.push('vec2(');
+					this.astPluginCallExpression(plugin.functionReplace, ast, retArr);
+					retArr.push(', 0.0)');
+					return retArr;
+				}
+				return this.astPluginCallExpression(plugin.functionReplace, ast, retArr);
+			}
+
 			// Get the full function call, unrolled
 			let funcName = this.astMemberExpressionUnroll(ast.callee);
+			const isMathFunction = funcName.indexOf(jsMathPrefix) === 0;
 
 			// Its a math operator, remove the prefix
-			if (funcName.indexOf(jsMathPrefix) === 0) {
+			if (isMathFunction) {
 				funcName = funcName.slice(jsMathPrefix.length);
 			}
 
@@ -805,6 +1171,10 @@ class WebGLFunctionNode extends FunctionNode {
 				funcName = 'atan';
 			}
 
+			if (isMathFunction && this.precision === 'double') {
+				return this.astDoubleMathCallExpression(funcName, ast, retArr);
+			}
+
 			// Register the function into the called registry
 			if (this.calledFunctions.indexOf(funcName) < 0) {
 				this.calledFunctions.push(funcName);
@@ -816,17 +1186,6 @@ class WebGLFunctionNode extends FunctionNode {
 			const functionArguments = [];
 			this.calledFunctionsArguments[funcName].push(functionArguments);
 
-			if (funcName === 'random' && this.plugins) {
-				for (let i = 0; i < this.plugins.length; i++) {
-					const plugin = this.plugins[i];
-					if (plugin.functionMatch === 'Math.random()' && plugin.functionReplace) {
-						functionArguments.push(plugin.functionReturnType);
-						retArr.push(plugin.functionReplace);
-					}
-				}
-				return retArr;
-			}
-
 			// Call the function
 			retArr.push(funcName);
 
@@ -871,9 +1230,16 @@ class WebGLFunctionNode extends FunctionNode {
 	 * @returns {Array} the append retArr
 	 */
 	astArrayExpression(arrNode, retArr) {
+		if (this.precision === 'double') {
+			throw this.astErrorOutput('Arrays are not supported with precision of "double"', arrNode);
+		}
 		const arrLen = arrNode.elements.length;
+		if (this.isLocalArrayType(`Array(${ arrLen })`)) {
+			throw this.astErrorOutput(`Arrays of ${ arrLen } values can only be declared as local variables`, arrNode);
+		}
 
-		retArr.push('vec' + arrLen + '(');
+		// arrays of columns are matrices
+		retArr.push((this.getMatrixExpressionType(arrNode) ? 'mat' : 'vec') + arrLen + '(');
 		for (let i = 0; i < arrLen; ++i) {
 			if (i > 0) {
 				retArr.push(', ');
@@ -886,6 +1252,174 @@ class WebGLFunctionNode extends FunctionNode {
 		return retArr;
 	}
 
+	/**
+	 * @desc Parses the abstract syntax tree for *new* Expression, of a local `Float32Array` of 2 to 4 values, which
+	 * is a vector
+	 * @param {Object} newNode - the AST object to parse
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astNewExpression(newNode, retArr) {
+		if (this.precision === 'double') {
+			throw this.astErrorOutput('Arrays are not supported with precision of "double"', newNode);
+		}
+		const length = this.getNewArrayLength(newNode);
+		if (this.isLocalArrayType(`Array(${ length })`)) {
+			throw this.astErrorOutput(`Arrays of ${ length } values can only be declared as local variables`, newNode);
+		}
+		retArr.push(`vec${ length }(0.0)`);
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *update* expression, as an assignment for double-floats
+	 * @param {Object} uNode - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astUpdateExpression(uNode, retArr) {
+		if (!this.isDoubleType(this.getType(uNode.argument))) {
+			return super.astUpdateExpression(uNode, retArr);
+		}
+		retArr.push('(');
+		this.astGeneric(uNode.argument, retArr);
+		retArr.push(uNode.operator === '++' ? '=df64Add(' : '=df64Subtract(');
+		this.astGeneric(uNode.argument, retArr);
+		retArr.push(', vec2(1.0, 0.0)))');
+		return retArr;
+	}
+
+	/**
+	 * @desc Get the glsl type of a type, where numbers are a `vec2` double-float with `precision: 'double'`
+	 * @param {String} type
+	 * @returns {String} glsl type
+	 */
+	getTypeMarkup(type) {
+		return this.precision === 'double' ? doubleTypeMap[type] : typeMap[type];
+	}
+
+	/**
+	 * @desc If a type is a local array held as a glsl float array, rather than a vector of 2 to 4 values
+	 * @param {String} type
+	 * @returns {Boolean}
+	 */
+	isLocalArrayType(type) {
+		const length = this.getArrayTypeLength(type);
+		return length !== null && (length < 2 || length > 4);
+	}
+
+	/**
+	 * @desc If a type is held as a double-float
+	 * @param {String} type
+	 * @returns {Boolean}
+	 */
+	isDoubleType(type) {
+		return this.precision === 'double' && (type === 'Number' || type === 'Float');
+	}
+
+	/**
+	 * @desc If a binary expression is done with double-floats, which is when it is on a number or is `%`
+	 * @param {Object} ast - the AST object
+	 * @returns {Boolean}
+	 */
+	isDoubleBinaryExpression(ast) {
+		if (this.precision !== 'double') return false;
+		if (ast.operator === '%') return true;
+		const leftType = this.getType(ast.left);
+		const rightType = this.getType(ast.right);
+		if (this.isDoubleType(leftType) || this.isDoubleType(rightType)) return true;
+		return leftType === 'LiteralInteger' &&
+			rightType === 'LiteralInteger' &&
+			!this.isState('casting-to-integer') &&
+			!this.isState('in-for-loop-init');
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree of a value as a double-float
+	 * @param {Object} ast - the AST object to parse
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astDoubleValue(ast, retArr) {
+		if (this.getType(ast) === 'Integer') {
+			retArr.push('vec2(float(');
+			this.astGeneric(ast, retArr);
+			retArr.push('), 0.0)');
+			return retArr;
+		}
+		this.pushState('casting-to-double');
+		this.astGeneric(ast, retArr);
+		this.popState('casting-to-double');
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *binary* expression on double-floats
+	 * @param {Object} ast - the AST object to parse
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astDoubleBinaryExpression(ast, retArr) {
+		const functionName = doubleOperatorMap[ast.operator];
+		if (!functionName) {
+			throw this.astErrorOutput(`Operator ${ ast.operator } is not supported with precision of "double"`, ast);
+		}
+		retArr.push(`${ functionName }(`);
+		this.astDoubleValue(ast.left, retArr);
+		retArr.push(', ');
+		this.astDoubleValue(ast.right, retArr);
+		retArr.push(')');
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *Assignment* Expression to a double-float
+	 * @param {Object} assNode - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astDoubleAssignmentExpression(assNode, retArr) {
+		this.astGeneric(assNode.left, retArr);
+		retArr.push('=');
+		if (assNode.operator === '=') {
+			return this.astDoubleValue(assNode.right, retArr);
+		}
+		const functionName = doubleOperatorMap[assNode.operator.replace(/=$/, '')];
+		if (!functionName) {
+			throw this.astErrorOutput(`Operator ${ assNode.operator } is not supported with precision of "double"`, assNode);
+		}
+		retArr.push(`${ functionName }(`);
+		this.astGeneric(assNode.left, retArr);
+		retArr.push(', ');
+		this.astDoubleValue(assNode.right, retArr);
+		retArr.push(')');
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for a `Math` call on double-floats.
+	 * Functions without a double-float version are called with the high floats, so are single precision
+	 * @param {String} functionName - glsl function name
+	 * @param {Object} ast - the AST object to parse
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astDoubleMathCallExpression(functionName, ast, retArr) {
+		const doubleFunctionName = doubleMathFunctionMap[functionName];
+		retArr.push(doubleFunctionName ? `${ doubleFunctionName }(` : `vec2(${ functionName }(`);
+		for (let i = 0; i < ast.arguments.length; i++) {
+			if (i > 0) {
+				retArr.push(', ');
+			}
+			this.astDoubleValue(ast.arguments[i], retArr);
+			if (!doubleFunctionName) {
+				retArr.push('.x');
+			}
+		}
+		retArr.push(doubleFunctionName ? ')' : '), 0.0)');
+		return retArr;
+	}
+
 	memberExpressionXYZ(x, y, z, retArr) {
 		if (z) {
 			retArr.push(this.memberExpressionPropertyMarkup(z), ', ');
@@ -911,7 +1445,7 @@ class WebGLFunctionNode extends FunctionNode {
 			this.pushState('casting-to-integer');
 			result.push('int(');
 			this.astGeneric(property, result);
-			result.push(')');
+			result.push(this.precision === 'double' ? '.x)' : ')');
 			this.popState('casting-to-integer');
 		} else if (type === 'LiteralInteger') {
 			this.pushState('casting-to-integer');
@@ -934,16 +1468,56 @@ const typeMap = {
 	'Float': 'float',
 	'Input': 'sampler2D',
 	'Integer': 'int',
+	'Matrix(2)': 'mat2',
+	'Matrix(3)': 'mat3',
+	'Matrix(4)': 'mat4',
 	'Number': 'float',
 	'NumberTexture': 'sampler2D',
 	'ArrayTexture(4)': 'sampler2D'
 };
 
+const doubleTypeMap = {
+	'Array': 'sampler2D',
+	'Array2D': 'sampler2D',
+	'Array3D': 'sampler2D',
+	'Float': 'vec2',
+	'Input': 'sampler2D',
+	'Integer': 'int',
+	'Number': 'vec2',
+	'NumberTexture': 'sampler2D'
+};
+
 const operatorMap = {
 	'===': '==',
 	'!==': '!='
 };
 
+const doubleOperatorMap = {
+	'+': 'df64Add',
+	'-': 'df64Subtract',
+	'*': 'df64Multiply',
+	'/': 'df64Divide',
+	'%': 'df64Mod',
+	'<': 'df64Less',
+	'<=': 'df64LessEqual',
+	'>': 'df64Greater',
+	'>=': 'df64GreaterEqual',
+	'==': 'df64Equal',
+	'===': 'df64Equal',
+	'!=': 'df64NotEqual',
+	'!==': 'df64NotEqual'
+};
+
+const doubleMathFunctionMap = {
+	'abs': 'df64Abs',
+	'ceil': 'df64Ceil',
+	'floor': 'df64Floor',
+	'max': 'df64Max',
+	'min': 'df64Min',
+	'round': 'df64Round',
+	'sqrt': 'df64Sqrt'
+};
+
 module.exports = {
 	WebGLFunctionNode
 };
\ No newline at end of file
@@ -34,12 +34,15 @@ function webGLKernelString(gpuKernel, name) {
       allPropertiesOf: ${ removeNoise(utils.allPropertiesOf.toString()) },
       clone: ${ removeNoise(utils.clone.toString()) },
       splitArray: ${ removeNoise(utils.splitArray.toString()) },
+      splitDouble: ${ removeNoise(utils.splitDouble.toString()) },
       getVariableType: ${ removeNoise(utils.getVariableType.toString()) },
       getDimensions: ${ removeNoise(utils.getDimensions.toString()) },
       dimToTexSize: ${ removeNoise(utils.dimToTexSize.toString()) },
       flattenTo: ${ removeNoise(utils.flattenTo.toString()) },
       flatten2dArrayTo: ${ removeNoise(utils.flatten2dArrayTo.toString()) },
       flatten3dArrayTo: ${ removeNoise(utils.flatten3dArrayTo.toString()) },
+      getMatrixTypeSize: ${ removeNoise(utils.getMatrixTypeSize.toString()) },
+      flattenMatrix: ${ removeNoise(utils.flattenMatrix.toString()) },
       systemEndianness: ${ removeNoise(utils.getSystemEndianness.toString()) },
       isArray: ${ removeNoise(utils.isArray.toString()) }
     };
@@ -66,8 +69,11 @@ function webGLKernelString(gpuKernel, name) {
         this.floatOutputForce = ${ boolToString(gpuKernel.floatOutputForce) };
         this.hardcodeConstants = ${ boolToString(gpuKernel.hardcodeConstants) };
         this.pipeline = ${ boolToString(gpuKernel.pipeline) };
+        this.returnType = ${ gpuKernel.returnType ? `'${ gpuKernel.returnType }'` : 'null' };
+        this.precision = '${ gpuKernel.precision }';
         this.argumentNames = ${ JSON.stringify(gpuKernel.argumentNames) };
         this.argumentTypes = ${ JSON.stringify(gpuKernel.argumentTypes) };
+        this.argumentFieldTypes = ${ JSON.stringify(gpuKernel.argumentFieldTypes) };
         this.texSize = ${ JSON.stringify(gpuKernel.texSize) };
         this.output = ${ JSON.stringify(gpuKernel.output) };
         this.compiledFragmentShader = \`${ gpuKernel.compiledFragmentShader }\`;
@@ -83,6 +89,7 @@ function webGLKernelString(gpuKernel, name) {
 		    this.uniform2ivCache = {};
 		    this.uniform3fvCache = {};
 		    this.uniform3ivCache = {};
+		    this.uniformMatrixfvCache = {};
       }
       getFragmentShader() { return this.compiledFragmentShader; }
       getVertexShader() { return this.compiledVertexShader; }
@@ -98,12 +105,21 @@ function webGLKernelString(gpuKernel, name) {
       ${ removeFnNoise(gpuKernel.build.toString()) }
 		  ${ removeFnNoise(gpuKernel.run.toString()) }
 		  ${ removeFnNoise(gpuKernel._addArgument.toString()) }
+		  ${ removeFnNoise(gpuKernel._addDoubleArray.toString()) }
 		  ${ removeFnNoise(gpuKernel._formatArrayTransfer.toString()) }
 		  ${ removeFnNoise(gpuKernel.checkOutput.toString()) }
 		  ${ removeFnNoise(gpuKernel.getArgumentTexture.toString()) }
 		  ${ removeFnNoise(gpuKernel.getTextureCache.toString()) }
 		  ${ removeFnNoise(gpuKernel.getOutputTexture.toString()) }
 		  ${ removeFnNoise(gpuKernel.renderOutput.toString()) }
+		  ${ removeFnNoise(gpuKernel.renderArrayOutput.toString()) }
+		  ${ removeFnNoise(gpuKernel.renderDoubleOutput.toString()) }
+		  ${ removeFnNoise(gpuKernel.renderIntegerOutput.toString()) }
+		  ${ removeFnNoise(gpuKernel._splitOutput.toString()) }
+		  ${ removeFnNoise(gpuKernel.getIntegerResultArrayType.toString()) }
+		  ${ removeFnNoise(gpuKernel.getReturnTypeLength.toString()) }
+		  ${ removeFnNoise(gpuKernel.callPluginHook.toString()) }
+		  ${ removeFnNoise(gpuKernel.afterRun.toString()) }
 		  ${ removeFnNoise(gpuKernel.updateMaxTexSize.toString()) }
 		  ${ removeFnNoise(gpuKernel._setupOutputTexture.toString()) }
 		  ${ removeFnNoise(gpuKernel.detachTextureCache.toString()) }
@@ -114,6 +130,7 @@ function webGLKernelString(gpuKernel, name) {
 		  ${ removeFnNoise(gpuKernel.setUniform2iv.toString()) }
 		  ${ removeFnNoise(gpuKernel.setUniform3fv.toString()) }
 		  ${ removeFnNoise(gpuKernel.setUniform3iv.toString()) }
+		  ${ removeFnNoise(gpuKernel.setUniformMatrixfv.toString()) }
     };
     return kernelRunShortcut(new ${ name || 'Kernel' }());
   };`;
@@ -13,6 +13,18 @@ const {
 const {
 	Texture
 } = require('../../texture');
+const {
+	Input
+} = require('../../input');
+const {
+	doublePrecision
+} = require('./double-precision');
+const {
+	WebGLScatterKernel
+} = require('./scatter-kernel');
+const {
+	TexturePool
+} = require('./texture-pool');
 const triangleNoise = require('../../plugins/triangle-noise');
 const {
 	fragmentShader
@@ -34,6 +46,25 @@ const plugins = [triangleNoise];
 const canvases = [];
 const maxTexSizes = {};
 
+/**
+ * @desc Puts the values of an `ArrayTexture(4)`, nested by each dimension and then by the 4 values of each thread,
+ * or already flat, into a one-dimensional target array
+ * @param {Array|Float32Array} array
+ * @param {Float32Array} target
+ * @param {Number} offset
+ * @returns {Number} offset after the values
+ */
+function flattenArrayTexture(array, target, offset) {
+	if (!utils.isArray(array[0])) {
+		target.set(array, offset);
+		return offset + array.length;
+	}
+	for (let i = 0; i < array.length; i++) {
+		offset = flattenArrayTexture(array[i], target, offset);
+	}
+	return offset;
+}
+
 /**
  * @desc Kernel Implementation for WebGL.
  * <p>This builds the shaders and runs them on the GPU,
@@ -94,8 +125,10 @@ class WebGLKernel extends GLKernel {
 		return Object.freeze({
 			isFloatRead: this.getIsFloatRead(),
 			isIntegerDivisionAccurate: this.getIsIntegerDivisionAccurate(),
+			isHighIntExact: this.getIsHighIntExact(),
 			isTextureFloat: this.getIsTextureFloat(),
 			isDrawBuffers,
+			isAsyncExec: false,
 			kernelMap: isDrawBuffers
 		});
 	}
@@ -128,6 +161,10 @@ class WebGLKernel extends GLKernel {
 		return vertexShader;
 	}
 
+	static get ScatterKernel() {
+		return WebGLScatterKernel;
+	}
+
 	constructor(source, settings) {
 		super(source, settings);
 		this.textureCache = {};
@@ -157,6 +194,7 @@ class WebGLKernel extends GLKernel {
 		this.uniform2ivCache = {};
 		this.uniform3fvCache = {};
 		this.uniform3ivCache = {};
+		this.uniformMatrixfvCache = {};
 
 		this.mergeSettings(source.settings || settings);
 	}
@@ -184,29 +222,8 @@ class WebGLKernel extends GLKernel {
 	}
 
 	initPlugins(settings) {
-		// default plugins
-		const pluginsToUse = [];
-
-		if (typeof this.source === 'string') {
-			for (let i = 0; i < plugins.length; i++) {
-				const plugin = plugins[i];
-				if (this.source.match(plugin.functionMatch)) {
-					pluginsToUse.push(plugin);
-				}
-			}
-		} else if (typeof this.source === 'object') {
-			// this.source is from object, json
-			if (settings.pluginNames) {
-				for (let i = 0; i < plugins.length; i++) {
-					const plugin = plugins[i];
-					const usePlugin = settings.pluginNames.some(pluginName => pluginName === plugin.name);
-					if (usePlugin) {
-						pluginsToUse.push(plugin);
-					}
-				}
-			}
-		}
-		return pluginsToUse;
+		// plugins from settings come before default plugins, so they can replace them
+		return this.filterPlugins((settings.plugins || []).concat(plugins), settings);
 	}
 
 	initExtensions() {
@@ -269,6 +286,10 @@ class WebGLKernel extends GLKernel {
 			floatOutput: this.floatOutput
 		}, this.output, true);
 
+		this.validateArrayReturnType();
+		this.validateDoublePrecision();
+		this.validateIntegerReturnType();
+
 		if (this.graphical) {
 			if (this.output.length !== 2) {
 				throw new Error('Output must have 2 dimensions on graphical mode');
@@ -285,6 +306,80 @@ class WebGLKernel extends GLKernel {
 		}
 	}
 
+	/**
+	 * @desc Validate settings for kernels returning `Array(2)`, `Array(3)` or `Array(4)`.
+	 * Each thread writes all of its values to a single float texel, so texSize is not packed by 4.
+	 */
+	validateArrayReturnType() {
+		if (this.getReturnTypeLength() === 1) return;
+		if (this.graphical) {
+			throw new Error(`returnType of "${ this.returnType }" cannot be used in graphical mode`);
+		}
+		if (this.subKernels && this.subKernels.length > 0) {
+			throw new Error(`returnType of "${ this.returnType }" cannot be used with sub kernels`);
+		}
+		if (this.floatOutput === false || !this.constructor.features.isFloatRead) {
+			throw new Error(`returnType of "${ this.returnType }" requires float output`);
+		}
+		this.floatOutput = true;
+		this.texSize = utils.dimToTexSize({}, this.output, true);
+	}
+
+	/**
+	 * @desc Validate settings for kernels with `precision: 'double'`.
+	 * Each thread writes a high and a low float to a single float texel, so texSize is not packed by 4.
+	 */
+	validateDoublePrecision() {
+		this.checkPrecision();
+		if (this.precision !== 'double') return;
+		if (this.graphical) {
+			throw new Error('precision of "double" cannot be used in graphical mode');
+		}
+		if (this.pipeline) {
+			throw new Error('precision of "double" cannot be used with pipeline');
+		}
+		if (this.subKernels && this.subKernels.length > 0) {
+			throw new Error('precision of "double" cannot be used with sub kernels');
+		}
+		if (this.getReturnTypeLength() > 1) {
+			throw new Error(`precision of "double" cannot be used with returnType of "${ this.returnType }"`);
+		}
+		const features = this.constructor.features;
+		// webgl2 always has float textures, so has no isTextureFloat
+		if (this.floatOutput === false || features.isTextureFloat === false || !features.isFloatRead) {
+			throw new Error('precision of "double" requires float textures and float output');
+		}
+		this.floatOutput = true;
+		this.texSize = utils.dimToTexSize({}, this.output, true);
+	}
+
+	/**
+	 * @desc Validate settings for kernels returning `Integer` or `UnsignedInteger`.
+	 * Each thread packs its value into the bytes of a single texel, so texSize is not packed by 4.
+	 * GLSL ES 1.0 only promises a highp int of 17 bits, so a warning is given where the int of the device is under 32 bits.
+	 */
+	validateIntegerReturnType() {
+		if (!this.getIntegerResultArrayType()) return;
+		if (this.graphical) {
+			throw new Error(`returnType of "${ this.returnType }" cannot be used in graphical mode`);
+		}
+		if (this.pipeline) {
+			throw new Error(`returnType of "${ this.returnType }" cannot be used with pipeline`);
+		}
+		if (this.subKernels && this.subKernels.length > 0) {
+			throw new Error(`returnType of "${ this.returnType }" cannot be used with sub kernels`);
+		}
+		if (this.precision === 'double') {
+			throw new Error(`returnType of "${ this.returnType }" cannot be used with precision of "double"`);
+		}
+		// webgl2 always has 32 bit ints, so has no isHighIntExact
+		if (this.constructor.features.isHighIntExact === false) {
+			console.warn(`returnType of "${ this.returnType }" is only exact within the highp int range of this device, which is under 32 bits`);
+		}
+		this.floatOutput = false;
+		this.texSize = utils.dimToTexSize({}, this.output, true);
+	}
+
 	updateMaxTexSize() {
 		const texSize = this.texSize;
 		const canvas = this.canvas;
@@ -388,14 +483,18 @@ class WebGLKernel extends GLKernel {
 		gl.vertexAttribPointer(aTexCoordLoc, 2, gl.FLOAT, false, 0, texCoordOffset);
 		gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
 
-		for (let p in this.constants) {
-			const value = this.constants[p];
-			const type = utils.getVariableType(value);
-			if (type === 'Float' || type === 'Integer') {
+		const flatConstants = this._getFlatConstants();
+		for (let i = 0; i < flatConstants.length; i++) {
+			const {
+				name,
+				type,
+				value
+			} = flatConstants[i];
+			if (type === 'Float' || type === 'Integer' || type === 'Number' || utils.getMatrixTypeSize(type)) {
 				continue;
 			}
 			gl.useProgram(this.program);
-			this._addConstant(this.constants[p], type, p);
+			this._addConstant(value, type, name);
 		}
 
 		if (!this.immutable) {
@@ -407,6 +506,8 @@ class WebGLKernel extends GLKernel {
 				this._setupSubOutputTextures(this.subKernels.length);
 			}
 		}
+
+		this.callPluginHook('onBuild');
 	}
 
 	run() {
@@ -433,14 +534,7 @@ class WebGLKernel extends GLKernel {
 			this._addArgument(arguments[texIndex], argumentTypes[texIndex], argumentNames[texIndex]);
 		}
 
-		if (this.plugins) {
-			for (let i = 0; i < this.plugins.length; i++) {
-				const plugin = this.plugins[i];
-				if (plugin.onBeforeRun) {
-					plugin.onBeforeRun(this);
-				}
-			}
-		}
+		this.callPluginHook('onBeforeRun');
 
 		if (this.graphical) {
 			if (this.pipeline) {
@@ -450,12 +544,12 @@ class WebGLKernel extends GLKernel {
 					this._setupOutputTexture();
 				}
 				gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
-				return new Texture(this.outputTexture, texSize, this.threadDim, this.output, this.context, 'ArrayTexture(4)');
+				return this.afterRun(new Texture(this.outputTexture, texSize, this.threadDim, this.output, this.context, 'ArrayTexture(4)', this));
 			}
 			gl.bindRenderbuffer(gl.RENDERBUFFER, null);
 			gl.bindFramebuffer(gl.FRAMEBUFFER, null);
 			gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
-			return;
+			return this.afterRun();
 		}
 
 		gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
@@ -480,13 +574,38 @@ class WebGLKernel extends GLKernel {
 					result: this.renderOutput(outputTexture),
 				};
 				for (let i = 0; i < this.subKernels.length; i++) {
-					output[this.subKernels[i].property] = new Texture(this.subKernelOutputTextures[i], texSize, this.threadDim, this.output, this.context);
+					output[this.subKernels[i].property] = new Texture(this.subKernelOutputTextures[i], texSize, this.threadDim, this.output, this.context, 'NumberTexture', this);
 				}
-				return output;
+				return this.afterRun(output);
 			}
 		}
 
-		return this.renderOutput(outputTexture);
+		return this.afterRun(this.renderOutput(outputTexture));
+	}
+
+	afterRun(result) {
+		if (this.immutable) {
+			this._releaseOutputTextures();
+		}
+		return super.afterRun(result);
+	}
+
+	/**
+	 * @desc Release the output textures to the pool of the context, where they stay referenced
+	 * by any Texture returned from the kernel
+	 */
+	_releaseOutputTextures() {
+		const pool = TexturePool.fromContext(this.context);
+		if (this.outputTexture) {
+			pool.release(this.outputTexture);
+			this.outputTexture = null;
+		}
+		if (this.subKernelOutputTextures) {
+			for (let i = 0; i < this.subKernelOutputTextures.length; i++) {
+				pool.release(this.subKernelOutputTextures[i]);
+			}
+			this.subKernelOutputTextures = null;
+		}
 	}
 
 	/**
@@ -504,17 +623,24 @@ class WebGLKernel extends GLKernel {
 		const threadDim = this.threadDim;
 		const output = this.output;
 		if (this.pipeline) {
-			return new Texture(outputTexture, texSize, this.threadDim, output, this.context);
+			const type = this.getReturnTypeLength() > 1 ? 'ArrayTexture(4)' : 'NumberTexture';
+			return new Texture(outputTexture, texSize, this.threadDim, output, this.context, type, this);
+		} else if (this.getReturnTypeLength() > 1) {
+			return this.renderArrayOutput();
+		} else if (this.precision === 'double') {
+			return this.renderDoubleOutput();
+		} else if (this.getIntegerResultArrayType()) {
+			return this.renderIntegerOutput();
 		} else {
 			let result;
 			if (this.floatOutput) {
 				const w = texSize[0];
 				const h = Math.ceil(texSize[1] / 4);
 				result = new Float32Array(w * h * 4);
-				gl.readPixels(0, 0, w, h, gl.RGBA, gl.FLOAT, result);
+				this._readPixels(0, 0, w, h, gl.RGBA, gl.FLOAT, result);
 			} else {
 				const bytes = new Uint8Array(texSize[0] * texSize[1] * 4);
-				gl.readPixels(0, 0, texSize[0], texSize[1], gl.RGBA, gl.UNSIGNED_BYTE, bytes);
+				this._readPixels(0, 0, texSize[0], texSize[1], gl.RGBA, gl.UNSIGNED_BYTE, bytes);
 				result = new Float32Array(bytes.buffer);
 			}
 			result = result.subarray(0, threadDim[0] * threadDim[1] * threadDim[2]);
@@ -533,7 +659,117 @@ class WebGLKernel extends GLKernel {
 	}
 
 	/**
-	 * @desc This return defined outputTexture, which is setup in .build(), or if immutable, is defined in .run()
+	 * @desc Helper function to return the output of a kernel with a returnType of `Array(2)`, `Array(3)` or `Array(4)`.
+	 * Every texel holds the values of a single thread.
+	 * *Note*: This should not be called directly.
+	 *
+	 * @returns {Float32Array[]|Float32Array[][]|Float32Array[][][]} result
+	 */
+	renderArrayOutput() {
+		const texSize = this.texSize;
+		const gl = this.context;
+		const threadDim = this.threadDim;
+		const output = this.output;
+		const length = this.getReturnTypeLength();
+		const pixels = new Float32Array(texSize[0] * texSize[1] * 4);
+		this._readPixels(0, 0, texSize[0], texSize[1], gl.RGBA, gl.FLOAT, pixels);
+
+		const threadCount = threadDim[0] * threadDim[1] * threadDim[2];
+		const result = new Array(threadCount);
+		for (let i = 0; i < threadCount; i++) {
+			result[i] = pixels.subarray(i * 4, i * 4 + length);
+		}
+		if (output.length === 1) {
+			return result;
+		}
+		const rows = [];
+		for (let i = 0; i < threadCount; i += output[0]) {
+			rows.push(result.slice(i, i + output[0]));
+		}
+		if (output.length === 2) {
+			return rows;
+		}
+		const cube = [];
+		for (let i = 0; i < rows.length; i += output[1]) {
+			cube.push(rows.slice(i, i + output[1]));
+		}
+		return cube;
+	}
+
+	/**
+	 * @desc Helper function to return the output of a kernel with `precision: 'double'`.
+	 * Every texel holds the high and low float of a single thread, which are added back together.
+	 * *Note*: This should not be called directly.
+	 *
+	 * @returns {Float64Array|Float64Array[]|Float64Array[][]} result
+	 */
+	renderDoubleOutput() {
+		const texSize = this.texSize;
+		const gl = this.context;
+		const threadDim = this.threadDim;
+		const pixels = new Float32Array(texSize[0] * texSize[1] * 4);
+		this._readPixels(0, 0, texSize[0], texSize[1], gl.RGBA, gl.FLOAT, pixels);
+
+		const result = new Float64Array(threadDim[0] * threadDim[1] * threadDim[2]);
+		for (let i = 0; i < result.length; i++) {
+			result[i] = pixels[i * 4] + pixels[i * 4 + 1];
+		}
+		return this._splitOutput(result);
+	}
+
+	/**
+	 * @desc Helper function to return the output of a kernel with a returnType of `Integer` or `UnsignedInteger`.
+	 * Every texel holds the 4 bytes of the int of a single thread, so values are exact within the highp int range of the device,
+	 * all 32 bits where it is a 32 bit int.
+	 * *Note*: This should not be called directly.
+	 *
+	 * @returns {Int32Array|Uint32Array|Int32Array[]|Uint32Array[]|Int32Array[][]|Uint32Array[][]} result
+	 */
+	renderIntegerOutput() {
+		const texSize = this.texSize;
+		const gl = this.context;
+		const threadDim = this.threadDim;
+		const bytes = new Uint8Array(texSize[0] * texSize[1] * 4);
+		this._readPixels(0, 0, texSize[0], texSize[1], gl.RGBA, gl.UNSIGNED_BYTE, bytes);
+		const IntegerArray = this.getIntegerResultArrayType();
+		// UnsignedInteger results are the same bytes, read as unsigned
+		return this._splitOutput(new IntegerArray(bytes.buffer).subarray(0, threadDim[0] * threadDim[1] * threadDim[2]));
+	}
+
+	/**
+	 * @desc Split a flat typed array of results into the dimensions of output
+	 * @param {Float64Array|Int32Array|Uint32Array} result
+	 * @returns {Object} result, split into rows and depths of output
+	 */
+	_splitOutput(result) {
+		const output = this.output;
+		if (output.length === 1) {
+			return result;
+		} else if (output.length === 2) {
+			return utils.splitArray(result, output[0]);
+		}
+		const cube = utils.splitArray(result, output[0] * output[1]);
+		return cube.map(function(x) {
+			return utils.splitArray(x, output[0]);
+		});
+	}
+
+	/**
+	 * @desc Read pixels of the output, which each way of rendering output reads with
+	 * @param {Number} x
+	 * @param {Number} y
+	 * @param {Number} width
+	 * @param {Number} height
+	 * @param {Number} format
+	 * @param {Number} type
+	 * @param {Float32Array|Uint8Array|Int32Array} pixels - target of the pixels
+	 */
+	_readPixels(x, y, width, height, format, type, pixels) {
+		this.context.readPixels(x, y, width, height, format, type, pixels);
+	}
+
+	/**
+	 * @desc This return defined outputTexture, which is setup in .build(), or if immutable, is defined in .run() and released after it
 	 * @returns {Object} Output Texture Cache
 	 */
 	getOutputTexture() {
@@ -546,18 +782,11 @@ class WebGLKernel extends GLKernel {
 	_setupOutputTexture() {
 		const gl = this.context;
 		const texSize = this.texSize;
-		const texture = this.outputTexture = this.context.createTexture();
+		const pool = TexturePool.fromContext(gl);
 		gl.activeTexture(gl.TEXTURE0 + this.constantsLength + this.argumentNames.length);
-		gl.bindTexture(gl.TEXTURE_2D, texture);
-		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-		if (this.floatOutput) {
-			gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, texSize[0], texSize[1], 0, gl.RGBA, gl.FLOAT, null);
-		} else {
-			gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, texSize[0], texSize[1], 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
-		}
+		const texture = this.outputTexture = this.floatOutput ?
+			pool.acquire(texSize[0], texSize[1], gl.RGBA, gl.RGBA, gl.FLOAT, this) :
+			pool.acquire(texSize[0], texSize[1], gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this);
 		gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
 	}
 
@@ -569,25 +798,81 @@ class WebGLKernel extends GLKernel {
 		const texSize = this.texSize;
 		const drawBuffersMap = this.drawBuffersMap = [gl.COLOR_ATTACHMENT0];
 		const textures = this.subKernelOutputTextures = [];
+		const pool = TexturePool.fromContext(gl);
 		for (let i = 0; i < length; i++) {
-			const texture = this.context.createTexture();
-			textures.push(texture);
 			drawBuffersMap.push(gl.COLOR_ATTACHMENT0 + i + 1);
 			gl.activeTexture(gl.TEXTURE0 + this.constantsLength + this.argumentNames.length + i);
-			gl.bindTexture(gl.TEXTURE_2D, texture);
-			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-			if (this.floatOutput) {
-				gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, texSize[0], texSize[1], 0, gl.RGBA, gl.FLOAT, null);
-			} else {
-				gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, texSize[0], texSize[1], 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
-			}
+			const texture = this.floatOutput ?
+				pool.acquire(texSize[0], texSize[1], gl.RGBA, gl.RGBA, gl.FLOAT, this) :
+				pool.acquire(texSize[0], texSize[1], gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this);
+			textures.push(texture);
 			gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0 + i + 1, gl.TEXTURE_2D, texture, 0);
 		}
 	}
 
+	/**
+	 * @desc Upload values into a Texture of the output of this kernel, laid out as Array arguments are, so kernels
+	 * read it without the values being uploaded again on each run. The kernel need not have been built.
+	 * A kernel with a `returnType` of `'Array(4)'` creates an `ArrayTexture(4)`, of 4 values per thread.
+	 * @param {Array|Float32Array} value - nested by each dimension of the output, or flat
+	 * @returns {Texture}
+	 */
+	createTexture(value) {
+		if (!this.texSize) {
+			this.initExtensions();
+			this.validateSettings();
+		}
+		const gl = this.context;
+		const isArray = this.getReturnTypeLength() === 4;
+		const dimensions = utils.clone(this.output);
+		while (dimensions.length < 3) {
+			dimensions.push(1);
+		}
+		const size = isArray ? utils.dimToTexSize({}, dimensions) : utils.dimToTexSize({
+			floatTextures: this.floatTextures,
+			floatOutput: this.floatOutput
+		}, dimensions);
+		const isFloat = this.floatTextures || isArray;
+		const length = size[0] * size[1] * (isFloat ? 4 : 1);
+
+		let valuesFlat;
+		if (isArray) {
+			valuesFlat = new Float32Array(length);
+			flattenArrayTexture(value, valuesFlat, 0);
+		} else {
+			const transfer = this._formatArrayTransfer(value, length);
+			valuesFlat = transfer.valuesFlat;
+			// Textures are read one value per texel, so values packed by bit ratio are not
+			if (transfer.bitRatio !== 1 || valuesFlat.length < length) {
+				valuesFlat = new Float32Array(length);
+				utils.flattenTo(value, valuesFlat);
+			}
+		}
+
+		const pool = TexturePool.fromContext(gl);
+		gl.activeTexture(gl.TEXTURE0 + gl.getParameter(gl.MAX_COMBINED_TEXTURE_IMAGE_UNITS) - 1);
+		let texture;
+		if (isFloat) {
+			texture = pool.acquire(size[0], size[1], this._getFloatTextureFormat(), gl.RGBA, gl.FLOAT);
+			gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, size[0], size[1], gl.RGBA, gl.FLOAT, valuesFlat);
+		} else {
+			texture = pool.acquire(size[0], size[1], gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE);
+			gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, size[0], size[1], gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(valuesFlat.buffer, valuesFlat.byteOffset, length * 4));
+		}
+		const result = new Texture(texture, size, dimensions, this.output, gl, isArray ? 'ArrayTexture(4)' : 'NumberTexture', this);
+		// the Texture holds the only reference
+		pool.release(texture);
+		return result;
+	}
+
+	/**
+	 * @desc Internal format of float textures
+	 * @returns {Number}
+	 */
+	_getFloatTextureFormat() {
+		return this.context.RGBA;
+	}
+
 	/**
 	 * @desc This uses *getTextureCache** to get the Texture Cache of the argument supplied
 	 * @param {String} name - Name of the argument
@@ -717,6 +1002,29 @@ class WebGLKernel extends GLKernel {
 		this.context.uniform3iv(loc, value);
 	}
 
+	setUniformMatrixfv(name, value) {
+		if (this.uniformMatrixfvCache.hasOwnProperty(name)) {
+			const cache = this.uniformMatrixfvCache[name];
+			let i = 0;
+			while (i < value.length && value[i] === cache[i]) i++;
+			if (i === value.length) {
+				return;
+			}
+		}
+		this.uniformMatrixfvCache[name] = value.slice(0);
+		const loc = this.getUniformLocation(name);
+		switch (value.length) {
+			case 4:
+				this.context.uniformMatrix2fv(loc, false, value);
+				break;
+			case 9:
+				this.context.uniformMatrix3fv(loc, false, value);
+				break;
+			default:
+				this.context.uniformMatrix4fv(loc, false, value);
+		}
+	}
+
 	/**
 	 * @desc Return WebGlUniformLocation for various variables
 	 * related to webGl program, such as user-defined variables,
@@ -745,6 +1053,7 @@ class WebGLKernel extends GLKernel {
 			DECODE32_ENDIANNESS: this._getDecode32EndiannessString(),
 			ENCODE32_ENDIANNESS: this._getEncode32EndiannessString(),
 			DIVIDE_WITH_INTEGER_CHECK: this._getDivideWithIntegerCheckString(),
+			DOUBLE_PRECISION: this._getDoublePrecisionString(),
 			GET_WRAPAROUND: this._getGetWraparoundString(),
 			GET_TEXTURE_CHANNEL: this._getGetTextureChannelString(),
 			GET_TEXTURE_INDEX: this._getGetTextureIndexString(),
@@ -765,11 +1074,35 @@ class WebGLKernel extends GLKernel {
 	 * @param {String} name - Name of the argument
 	 */
 	_addArgument(value, type, name) {
+		if (type === 'Object') {
+			// the fields of objects are arguments of their own
+			const fieldTypes = this.argumentFieldTypes[name];
+			for (const field in fieldTypes) {
+				this._addArgument(value[field], fieldTypes[field], `${ name }_${ field }`);
+			}
+			return;
+		}
 		const gl = this.context;
 		const argumentTexture = this.getArgumentTexture(name);
 		if (value instanceof Texture) {
 			type = value.type;
 		}
+		if (this.precision === 'double') {
+			switch (type) {
+				case 'Array':
+				case 'Array2D':
+				case 'Array3D':
+				case 'Input':
+					this._addDoubleArray(value, `user_${name}`, argumentTexture, this.constantsLength + this.argumentsLength);
+					this.argumentsLength++;
+					return;
+				case 'Float':
+				case 'Number':
+					this.setUniform2f(`user_${name}`, ...utils.splitDouble(value));
+					this.argumentsLength++;
+					return;
+			}
+		}
 		switch (type) {
 			case 'Array':
 			case 'Array(2)':
@@ -820,6 +1153,13 @@ class WebGLKernel extends GLKernel {
 					this.setUniform1f(`user_${name}`, value);
 					break;
 				}
+			case 'Matrix(2)':
+			case 'Matrix(3)':
+			case 'Matrix(4)':
+				{
+					this.setUniformMatrixfv(`user_${name}`, utils.flattenMatrix(value, utils.getMatrixTypeSize(type)));
+					break;
+				}
 			case 'Input':
 				{
 					const input = value;
@@ -925,6 +1265,11 @@ class WebGLKernel extends GLKernel {
 		if (value instanceof Texture) {
 			type = value.type;
 		}
+		if (this.precision === 'double' && (type === 'Array' || type === 'Input')) {
+			this._addDoubleArray(value, `constants_${name}`, argumentTexture, this.constantsLength);
+			this.constantsLength++;
+			return;
+		}
 		switch (type) {
 			case 'Array':
 				{
@@ -1054,6 +1399,44 @@ class WebGLKernel extends GLKernel {
 		this.constantsLength++;
 	}
 
+	/**
+	 * @desc Adds an array or Input to a texture of double-floats, for kernels with `precision: 'double'`.
+	 * Every texel holds a single value, as a high float in red and a low float in green.
+	 *
+	 * @param {Array|Input} value - The actual argument supplied to the kernel
+	 * @param {String} markupName - Name of the texture in glsl, such as `user_a`
+	 * @param {Object} texture - Texture to write to
+	 * @param {Number} textureIndex - Texture unit to bind to
+	 */
+	_addDoubleArray(value, markupName, texture, textureIndex) {
+		const gl = this.context;
+		const dim = value instanceof Input ? value.size : utils.getDimensions(value, true);
+		const size = utils.dimToTexSize({}, dim);
+		const length = size[0] * size[1];
+		const values = new Float64Array(length);
+		utils.flattenTo(value instanceof Input ? value.value : value, values);
+		const texels = new Float32Array(length * 4);
+		for (let i = 0; i < length; i++) {
+			const [high, low] = utils.splitDouble(values[i]);
+			texels[i * 4] = high;
+			texels[i * 4 + 1] = low;
+		}
+
+		gl.activeTexture(gl.TEXTURE0 + textureIndex);
+		gl.bindTexture(gl.TEXTURE_2D, texture);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+		gl.texImage2D(gl.TEXTURE_2D, 0, this._getFloatTextureFormat(), size[0], size[1], 0, gl.RGBA, gl.FLOAT, texels);
+
+		if (!this.hardcodeConstants) {
+			this.setUniform3iv(`${markupName}Dim`, dim);
+			this.setUniform2iv(`${markupName}Size`, size);
+		}
+		this.setUniform1i(markupName, textureIndex);
+	}
+
 	/**
 	 * @desc Adds kernel parameters to the Argument Texture,
 	 * binding it to the context, etc.
@@ -1123,7 +1506,7 @@ class WebGLKernel extends GLKernel {
 
 	_getPluginsString() {
 		if (!this.plugins) return '\n';
-		return this.plugins.map(plugin => plugin.source && this.source.match(plugin.functionMatch) ? plugin.source : '').join('\n');
+		return this.plugins.map(plugin => plugin.source || '').join('\n');
 	}
 
 	/**
@@ -1203,6 +1586,14 @@ class WebGLKernel extends GLKernel {
 			'';
 	}
 
+	/**
+	 * @desc if precision is "double" provide the double-float methods
+	 * @returns {String} result
+	 */
+	_getDoublePrecisionString() {
+		return this.precision === 'double' ? doublePrecision : '';
+	}
+
 	/**
 	 * @returns {String} wraparound string
 	 */
@@ -1249,6 +1640,68 @@ class WebGLKernel extends GLKernel {
 		]);
 	}
 
+	/**
+	 * @desc Get the names, types and values of the arguments, where the fields of objects are arguments of their own,
+	 * named `${ name }_${ field }`
+	 * @param {Array} args - The actual parameters sent to the Kernel
+	 * @returns {Object[]} result
+	 */
+	_getFlatArguments(args) {
+		const result = [];
+		for (let i = 0; i < this.argumentNames.length; i++) {
+			const name = this.argumentNames[i];
+			const type = this.argumentTypes[i];
+			if (type !== 'Object') {
+				result.push({
+					name,
+					type,
+					value: args[i]
+				});
+				continue;
+			}
+			const fieldTypes = this.argumentFieldTypes[name];
+			for (const field in fieldTypes) {
+				result.push({
+					name: `${ name }_${ field }`,
+					type: fieldTypes[field],
+					value: args[i][field]
+				});
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * @desc Get the names, types and values of the constants, where the fields of objects are constants of their own,
+	 * named `${ name }_${ field }`
+	 * @returns {Object[]} result
+	 */
+	_getFlatConstants() {
+		const result = [];
+		for (const name in this.constants) {
+			if (!this.constants.hasOwnProperty(name)) continue;
+			const value = this.constants[name];
+			const type = this.constantTypes[name];
+			if (type !== 'Object') {
+				result.push({
+					name,
+					type,
+					value
+				});
+				continue;
+			}
+			const fieldTypes = this.constantFieldTypes[name];
+			for (const field in fieldTypes) {
+				result.push({
+					name: `${ name }_${ field }`,
+					type: fieldTypes[field],
+					value: value[field]
+				});
+			}
+		}
+		return result;
+	}
+
 	/**
 	 * @desc Generate transpiled glsl Strings for user-defined parameters sent to a kernel
 	 * @param {Array} args - The actual parameters sent to the Kernel
@@ -1256,16 +1709,22 @@ class WebGLKernel extends GLKernel {
 	 */
 	_getMainArgumentsString(args) {
 		const result = [];
-		const argumentTypes = this.argumentTypes;
-		const argumentNames = this.argumentNames;
-		for (let i = 0; i < argumentNames.length; i++) {
-			const value = args[i];
-			const name = argumentNames[i];
-			const type = argumentTypes[i];
+		const flatArguments = this._getFlatArguments(args);
+		for (let i = 0; i < flatArguments.length; i++) {
+			const {
+				name,
+				type,
+				value
+			} = flatArguments[i];
+			const matrixSize = utils.getMatrixTypeSize(type);
+			if (matrixSize) {
+				result.push(`uniform mat${ matrixSize } user_${ name }`);
+				continue;
+			}
 			if (this.hardcodeConstants) {
 				if (type === 'Array' || type === 'NumberTexture' || type === 'ArrayTexture(4)') {
 					const dim = utils.getDimensions(value, true);
-					const size = utils.dimToTexSize({
+					const size = utils.dimToTexSize(this.precision === 'double' && type === 'Array' ? {} : {
 						floatTextures: this.floatTextures,
 						floatOutput: this.floatOutput
 					}, dim);
@@ -1278,6 +1737,8 @@ class WebGLKernel extends GLKernel {
 					);
 				} else if (type === 'Integer') {
 					result.push(`float user_${name} = ${value}.0`);
+				} else if (type === 'Float' && this.precision === 'double') {
+					result.push(`vec2 user_${name} = ${utils.getDoubleString(value)}`);
 				} else if (type === 'Float') {
 					result.push(`float user_${name} = ${value}`);
 				}
@@ -1291,6 +1752,8 @@ class WebGLKernel extends GLKernel {
 					if (type !== 'HTMLImage') {
 						result.push(`uniform int user_${name}BitRatio`)
 					}
+				} else if (this.precision === 'double' && (type === 'Float' || type === 'Number')) {
+					result.push(`uniform vec2 user_${name}`);
 				} else if (type === 'Integer' || type === 'Float' || type === 'Number') {
 					result.push(`uniform float user_${name}`);
 				} else {
@@ -1301,19 +1764,51 @@ class WebGLKernel extends GLKernel {
 		return this._linesToString(result);
 	}
 
+	/**
+	 * @desc Get the glsl declaration of a matrix constant, with its values in the shader
+	 * @param {String} name
+	 * @param {Number} size
+	 * @returns {String} result
+	 */
+	_getMatrixConstantString(name, size) {
+		const values = Array.from(utils.flattenMatrix(this.constants[name], size))
+			.map(value => Number.isInteger(value) ? `${ value }.0` : value);
+		return `const mat${ size } constants_${ name } = mat${ size }(${ values.join(', ') })`;
+	}
+
 	_getMainConstantsString() {
 		const result = [];
 		if (this.constants) {
-			for (let name in this.constants) {
-				if (!this.constants.hasOwnProperty(name)) continue;
-				let value = this.constants[name];
-				let type = utils.getVariableType(value);
+			const flatConstants = this._getFlatConstants();
+			for (let i = 0; i < flatConstants.length; i++) {
+				const {
+					name,
+					type,
+					value
+				} = flatConstants[i];
+				const matrixSize = utils.getMatrixTypeSize(type);
+				if (matrixSize) {
+					result.push(this._getMatrixConstantString(name, matrixSize));
+					continue;
+				}
 				switch (type) {
 					case 'Integer':
 						result.push('const int constants_' + name + ' = ' + parseInt(value));
 						break;
 					case 'Float':
-						result.push('const float constants_' + name + ' = ' + parseFloat(value));
+						if (this.precision === 'double') {
+							result.push('const vec2 constants_' + name + ' = ' + utils.getDoubleString(value));
+						} else {
+							result.push('const float constants_' + name + ' = ' + parseFloat(value));
+						}
+						break;
+					case 'Number':
+						// fields of objects, which are floats even when their value is an integer
+						if (this.precision === 'double') {
+							result.push('const vec2 constants_' + name + ' = ' + utils.getDoubleString(value));
+						} else {
+							result.push('const float constants_' + name + ' = ' + (Number.isInteger(value) ? `${ value }.0` : value));
+						}
 						break;
 					case 'Array':
 					case 'Input':
@@ -1343,14 +1838,14 @@ class WebGLKernel extends GLKernel {
 		const result = [];
 		const subKernels = this.subKernels;
 		if (subKernels !== null) {
-			result.push('float kernelResult = 0.0');
+			result.push(this._getKernelResultDeclaration());
 			for (let i = 0; i < subKernels.length; i++) {
 				result.push(
 					`float subKernelResult_${subKernels[i].name} = 0.0`
 				);
 			}
 		} else {
-			result.push('float kernelResult = 0.0');
+			result.push(this._getKernelResultDeclaration());
 		}
 
 		const functionBuilder = FunctionBuilder.fromKernel(this, WebGLFunctionNode, {
@@ -1360,6 +1855,42 @@ class WebGLKernel extends GLKernel {
 		return this._linesToString(result) + functionBuilder.getPrototypeString('kernel');
 	}
 
+	/**
+	 * @desc Get the glsl declaration of kernelResult, matching returnType
+	 * @returns {String} result
+	 */
+	_getKernelResultDeclaration() {
+		if (this.precision === 'double') {
+			return 'vec2 kernelResult = vec2(0.0)';
+		}
+		if (this.getIntegerResultArrayType()) {
+			return 'int kernelResult = 0';
+		}
+		const length = this.getReturnTypeLength();
+		if (length === 1) {
+			return 'float kernelResult = 0.0';
+		}
+		return `vec${ length } kernelResult = vec${ length }(0.0)`;
+	}
+
+	/**
+	 * @desc Get kernelResult padded to a vec4, for kernels returning `Array(2)`, `Array(3)` or `Array(4)`
+	 * @returns {String} result
+	 */
+	_getKernelResultVec4String() {
+		if (this.precision === 'double') {
+			return 'vec4(kernelResult, 0.0, 0.0)';
+		}
+		switch (this.getReturnTypeLength()) {
+			case 2:
+				return 'vec4(kernelResult, 0.0, 0.0)';
+			case 3:
+				return 'vec4(kernelResult, 0.0)';
+			default:
+				return 'kernelResult';
+		}
+	}
+
 	/**
 	 * @desc Get main result string with checks for floatOutput, graphical, subKernelsResults, etc.
 	 * @returns {String} result
@@ -1368,6 +1899,22 @@ class WebGLKernel extends GLKernel {
 		const subKernels = this.subKernels;
 		const result = [];
 
+		if (this.getReturnTypeLength() > 1 || this.precision === 'double') {
+			return this._linesToString([
+				'  threadId = indexTo3D(index, uOutputDim)',
+				'  kernel()',
+				`  gl_FragColor = ${ this._getKernelResultVec4String() }`
+			]);
+		}
+
+		if (this.getIntegerResultArrayType()) {
+			return this._linesToString([
+				'  threadId = indexTo3D(index, uOutputDim)',
+				'  kernel()',
+				'  gl_FragColor = encodeInt(kernelResult)'
+			]);
+		}
+
 		if (this.floatOutput) {
 			result.push('  index *= 4');
 		}
@@ -1477,9 +2024,10 @@ class WebGLKernel extends GLKernel {
 	}
 
 	destroy(removeCanvasReferences) {
-		if (this.outputTexture) {
-			this.context.deleteTexture(this.outputTexture);
-		}
+		if (!this.context) return;
+		this._releaseOutputTextures();
+		// the output textures of the kernel are deleted, even those still referenced by Textures it returned
+		TexturePool.fromContext(this.context).deleteOwnedBy(this);
 		if (this.buffer) {
 			this.context.deleteBuffer(this.buffer);
 		}
@@ -1503,11 +2051,6 @@ class WebGLKernel extends GLKernel {
 			this.context.deleteTexture(this.textureCache[name]);
 		}
 
-		if (this.subKernelOutputTextures) {
-			for (let i = 0; i < this.subKernelOutputTextures.length; i++) {
-				this.context.deleteTexture(this.subKernelOutputTextures[i]);
-			}
-		}
 		if (removeCanvasReferences) {
 			const idx = canvases.indexOf(this.canvas);
 			if (idx >= 0) {
@@ -1526,7 +2069,12 @@ class WebGLKernel extends GLKernel {
 		this.extensions.OES_element_index_uint = null;
 	}
 
+	static getMemoryStats(context) {
+		return TexturePool.fromContext(context).getStats();
+	}
+
 	static destroyContext(context) {
+		TexturePool.fromContext(context).clear();
 		const extension = context.getExtension('WEBGL_lose_context');
 		if (extension) {
 			extension.loseContext();
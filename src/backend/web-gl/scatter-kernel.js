@@ -0,0 +1,193 @@
+const {
+	ScatterKernel
+} = require('../scatter-kernel');
+const {
+	utils
+} = require('../../utils');
+const {
+	scatterVertexShader,
+	scatterFragmentShader
+} = require('./scatter-shaders');
+const {
+	TexturePool
+} = require('./texture-pool');
+
+/**
+ * @desc Scatters on the gpu, by drawing a point for every thread of the thread kernel's output texture,
+ * which additive blending adds into a float texture
+ */
+class WebGLScatterKernel extends ScatterKernel {
+	constructor(threadKernel, settings) {
+		super(threadKernel, settings);
+		threadKernel.setPipeline(true);
+		this.context = threadKernel.context;
+		this.program = null;
+		this.vertShader = null;
+		this.fragShader = null;
+		this.framebuffer = null;
+		this.outputTexture = null;
+		this.threadBuffer = null;
+		this.threadCount = 0;
+		this.texSize = null;
+
+		/**
+		 * Attribute location of a thread, the last so kernels, which don't use it, are not changed
+		 * @type {Number}
+		 */
+		this.threadLocation = null;
+
+		/**
+		 * Texture unit of the thread kernel's output, the last so textures of kernels are not unbound
+		 * @type {Number}
+		 */
+		this.textureUnit = null;
+	}
+
+	/**
+	 * @desc Compile the scatter program and set up its output texture, and a point for every thread
+	 * @param {Texture} threadTexture - output of the thread kernel
+	 */
+	build(threadTexture) {
+		const gl = this.context;
+		if (gl.getParameter(gl.MAX_VERTEX_TEXTURE_IMAGE_UNITS) === 0) {
+			throw new Error('Scatter kernels need textures in vertex shaders, which are not supported');
+		}
+		this.enableFloatBlend();
+		this.threadLocation = gl.getParameter(gl.MAX_VERTEX_ATTRIBS) - 1;
+		this.textureUnit = gl.getParameter(gl.MAX_COMBINED_TEXTURE_IMAGE_UNITS) - 1;
+		this.texSize = utils.dimToTexSize({}, this.output);
+
+		const vertShader = this.vertShader = gl.createShader(gl.VERTEX_SHADER);
+		gl.shaderSource(vertShader, scatterVertexShader);
+		gl.compileShader(vertShader);
+		if (!gl.getShaderParameter(vertShader, gl.COMPILE_STATUS)) {
+			throw new Error('Error compiling scatter vertex shader: ' + gl.getShaderInfoLog(vertShader));
+		}
+		const fragShader = this.fragShader = gl.createShader(gl.FRAGMENT_SHADER);
+		gl.shaderSource(fragShader, scatterFragmentShader);
+		gl.compileShader(fragShader);
+		if (!gl.getShaderParameter(fragShader, gl.COMPILE_STATUS)) {
+			throw new Error('Error compiling scatter fragment shader: ' + gl.getShaderInfoLog(fragShader));
+		}
+		const program = this.program = gl.createProgram();
+		gl.attachShader(program, vertShader);
+		gl.attachShader(program, fragShader);
+		gl.bindAttribLocation(program, this.threadLocation, 'aScatterThread');
+		gl.linkProgram(program);
+
+		const threadDim = threadTexture.dimensions;
+		const threads = new Float32Array(threadDim[0] * threadDim[1] * threadDim[2]);
+		for (let i = 0; i < threads.length; i++) {
+			threads[i] = i;
+		}
+		this.threadCount = threads.length;
+		this.threadBuffer = gl.createBuffer();
+		gl.bindBuffer(gl.ARRAY_BUFFER, this.threadBuffer);
+		gl.bufferData(gl.ARRAY_BUFFER, threads, gl.STATIC_DRAW);
+
+		this.framebuffer = gl.createFramebuffer();
+		gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+		this._setupOutputTexture();
+	}
+
+	/**
+	 * @desc Enable blending of float textures. WebGL1 implementations without EXT_float_blend blend them with float color buffers
+	 * of WEBGL_color_buffer_float
+	 */
+	enableFloatBlend() {
+		const gl = this.context;
+		if (!gl.getExtension('EXT_float_blend') && !gl.getExtension('WEBGL_color_buffer_float')) {
+			throw new Error('Scatter kernels need EXT_float_blend or WEBGL_color_buffer_float, which are not supported');
+		}
+	}
+
+	run() {
+		const threadTexture = this.threadKernel.apply(null, arguments);
+		if (this.program === null) {
+			this.build(threadTexture);
+		}
+		const gl = this.context;
+		const texSize = this.texSize;
+		const viewport = gl.getParameter(gl.VIEWPORT);
+		const framebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+
+		gl.useProgram(this.program);
+		gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+		gl.viewport(0, 0, texSize[0], texSize[1]);
+		gl.scissor(0, 0, texSize[0], texSize[1]);
+		gl.clearColor(0, 0, 0, 0);
+		gl.clear(gl.COLOR_BUFFER_BIT);
+
+		gl.activeTexture(gl.TEXTURE0 + this.textureUnit);
+		gl.bindTexture(gl.TEXTURE_2D, threadTexture.texture);
+		gl.uniform1i(gl.getUniformLocation(this.program, 'uScatter'), this.textureUnit);
+		gl.uniform2f(gl.getUniformLocation(this.program, 'uScatterSize'), threadTexture.size[0], threadTexture.size[1]);
+		gl.uniform2f(gl.getUniformLocation(this.program, 'uOutputSize'), texSize[0], texSize[1]);
+		gl.uniform1f(gl.getUniformLocation(this.program, 'uOutputLength'), this.getOutputLength());
+
+		gl.bindBuffer(gl.ARRAY_BUFFER, this.threadBuffer);
+		gl.enableVertexAttribArray(this.threadLocation);
+		gl.vertexAttribPointer(this.threadLocation, 1, gl.FLOAT, false, 0, 0);
+		gl.enable(gl.BLEND);
+		gl.blendFunc(gl.ONE, gl.ONE);
+		gl.drawArrays(gl.POINTS, 0, this.threadCount);
+		gl.disable(gl.BLEND);
+		gl.disableVertexAttribArray(this.threadLocation);
+		// kernels draw with the viewport they were built with
+		gl.viewport(viewport[0], viewport[1], viewport[2], viewport[3]);
+
+		const result = this.renderOutput();
+		gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+		return this._splitOutput(result);
+	}
+
+	/**
+	 * @desc Read the scattered values, which are in the red channel of each texel
+	 * @returns {Float32Array}
+	 */
+	renderOutput() {
+		const gl = this.context;
+		const texSize = this.texSize;
+		const pixels = new Float32Array(texSize[0] * texSize[1] * 4);
+		gl.readPixels(0, 0, texSize[0], texSize[1], gl.RGBA, gl.FLOAT, pixels);
+		const result = new Float32Array(this.getOutputLength());
+		for (let i = 0; i < result.length; i++) {
+			result[i] = pixels[i * 4];
+		}
+		return result;
+	}
+
+	_setupOutputTexture() {
+		const gl = this.context;
+		const texSize = this.texSize;
+		gl.activeTexture(gl.TEXTURE0 + this.textureUnit);
+		const texture = this.outputTexture = TexturePool.fromContext(gl).acquire(texSize[0], texSize[1], gl.RGBA, gl.RGBA, gl.FLOAT, this);
+		gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+	}
+
+	destroy() {
+		const gl = this.context;
+		if (!gl) return;
+		TexturePool.fromContext(gl).deleteOwnedBy(this);
+		if (this.threadBuffer) {
+			gl.deleteBuffer(this.threadBuffer);
+		}
+		if (this.framebuffer) {
+			gl.deleteFramebuffer(this.framebuffer);
+		}
+		if (this.vertShader) {
+			gl.deleteShader(this.vertShader);
+		}
+		if (this.fragShader) {
+			gl.deleteShader(this.fragShader);
+		}
+		if (this.program) {
+			gl.deleteProgram(this.program);
+		}
+		delete this.context;
+	}
+}
+
+module.exports = {
+	WebGLScatterKernel
+};
@@ -0,0 +1,42 @@
+// every vertex is a point for a thread, which reads the [index, value] its thread returned,
+// and moves to the texel of index, where blending adds up the values
+const scatterVertexShader = `precision highp float;
+precision highp int;
+precision highp sampler2D;
+
+attribute float aScatterThread;
+
+uniform sampler2D uScatter;
+uniform vec2 uScatterSize;
+uniform vec2 uOutputSize;
+uniform float uOutputLength;
+
+varying float vValue;
+
+void main(void) {
+  vec2 source = vec2(mod(aScatterThread, uScatterSize.x), floor(aScatterThread / uScatterSize.x)) + 0.5;
+  vec4 texel = texture2D(uScatter, source / uScatterSize);
+  float index = floor(texel.r + 0.5);
+  vValue = texel.g;
+  gl_PointSize = 1.0;
+  if (index < 0.0 || index >= uOutputLength) {
+    // outside of clip space, so never drawn
+    gl_Position = vec4(2.0, 2.0, 0.0, 1.0);
+  } else {
+    vec2 target = vec2(mod(index, uOutputSize.x), floor(index / uOutputSize.x)) + 0.5;
+    gl_Position = vec4(target / uOutputSize * 2.0 - 1.0, 0.0, 1.0);
+  }
+}`;
+
+const scatterFragmentShader = `precision highp float;
+
+varying float vValue;
+
+void main(void) {
+  gl_FragColor = vec4(vValue, 0.0, 0.0, 0.0);
+}`;
+
+module.exports = {
+	scatterVertexShader,
+	scatterFragmentShader
+};
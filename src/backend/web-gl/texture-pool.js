@@ -0,0 +1,210 @@
+/**
+ * Pool of each context
+ * @type {WeakMap}
+ */
+const pools = new WeakMap();
+
+/**
+ * @desc Textures of a context, which are counted while referenced by kernels and Textures,
+ * and kept by size and format once released, to be used again rather than created
+ */
+class TexturePool {
+	/**
+	 * @desc Get the pool of a context, creating it the first time
+	 * @param {Object} context
+	 * @returns {TexturePool}
+	 */
+	static fromContext(context) {
+		// a WeakMap has no null keys, and without a context there are no textures to pool
+		if (!context) {
+			return new TexturePool(null);
+		}
+		let pool = pools.get(context);
+		if (!pool) {
+			pool = new TexturePool(context);
+			pools.set(context, pool);
+		}
+		return pool;
+	}
+
+	/**
+	 *
+	 * @param {Object} context
+	 */
+	constructor(context) {
+		this.context = context;
+
+		/**
+		 * Size, format and reference count of each texture of the pool
+		 * @type {Map}
+		 */
+		this.textures = new Map();
+
+		/**
+		 * Released textures, by size and format
+		 * @type {Object}
+		 */
+		this.released = {};
+
+		this.liveBytes = 0;
+		this.pooledBytes = 0;
+	}
+
+	/**
+	 * @desc Get a texture with one reference, from those released, or created and allocated.
+	 * It is bound to the active texture unit.
+	 * @param {Number} width
+	 * @param {Number} height
+	 * @param {Number} internalFormat
+	 * @param {Number} format
+	 * @param {Number} type
+	 * @param {Object} [owner] - kernel outputting to the texture, which deletes it when destroyed
+	 * @returns {Object} texture
+	 */
+	acquire(width, height, internalFormat, format, type, owner = null) {
+		const gl = this.context;
+		const key = `${ width }x${ height }:${ internalFormat }:${ format }:${ type }`;
+		const released = this.released[key];
+		if (released && released.length > 0) {
+			const texture = released.pop();
+			const entry = this.textures.get(texture);
+			entry.references = 1;
+			entry.owner = owner;
+			this.pooledBytes -= entry.bytes;
+			this.liveBytes += entry.bytes;
+			gl.bindTexture(gl.TEXTURE_2D, texture);
+			return texture;
+		}
+
+		const texture = gl.createTexture();
+		gl.bindTexture(gl.TEXTURE_2D, texture);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+		gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, format, type, null);
+		const bytes = width * height * (type === gl.UNSIGNED_BYTE ? 4 : 16);
+		this.textures.set(texture, {
+			key,
+			bytes,
+			references: 1,
+			owner,
+			format: {
+				width,
+				height,
+				internalFormat,
+				format,
+				type
+			}
+		});
+		this.liveBytes += bytes;
+		return texture;
+	}
+
+	/**
+	 * @desc Get the size and format a texture of the pool was allocated with
+	 * @param {Object} texture
+	 * @returns {Object|null} `{ width, height, internalFormat, format, type }`, or null if it is not of the pool
+	 */
+	getFormat(texture) {
+		const entry = this.textures.get(texture);
+		return entry ? entry.format : null;
+	}
+
+	/**
+	 * @desc Add a reference to a texture of the pool
+	 * @param {Object} texture
+	 */
+	retain(texture) {
+		const entry = this.textures.get(texture);
+		if (entry && entry.references > 0) {
+			entry.references++;
+		}
+	}
+
+	/**
+	 * @desc Remove a reference to a texture of the pool, which is released to be used again once it has none
+	 * @param {Object} texture
+	 */
+	release(texture) {
+		const entry = this.textures.get(texture);
+		if (!entry || entry.references === 0) return;
+		entry.references--;
+		if (entry.references > 0) return;
+		this.liveBytes -= entry.bytes;
+		this.pooledBytes += entry.bytes;
+		if (!this.released.hasOwnProperty(entry.key)) {
+			this.released[entry.key] = [];
+		}
+		this.released[entry.key].push(texture);
+	}
+
+	/**
+	 * @desc Delete a texture, whether or not it is referenced
+	 * @param {Object} texture
+	 */
+	delete(texture) {
+		const entry = this.textures.get(texture);
+		if (entry) {
+			if (entry.references > 0) {
+				this.liveBytes -= entry.bytes;
+			} else {
+				const released = this.released[entry.key];
+				released.splice(released.indexOf(texture), 1);
+				this.pooledBytes -= entry.bytes;
+			}
+			this.textures.delete(texture);
+		}
+		if (this.context) {
+			this.context.deleteTexture(texture);
+		}
+	}
+
+	/**
+	 * @desc Delete the textures a kernel acquired, whether or not they are referenced or released,
+	 * unless acquired again by another kernel since
+	 * @param {Object} owner
+	 */
+	deleteOwnedBy(owner) {
+		this.textures.forEach((entry, texture) => {
+			if (entry.owner === owner) {
+				this.delete(texture);
+			}
+		});
+	}
+
+	/**
+	 * @desc Delete the released textures
+	 */
+	clear() {
+		for (const key in this.released) {
+			const released = this.released[key];
+			for (let i = 0; i < released.length; i++) {
+				this.textures.delete(released[i]);
+				this.context.deleteTexture(released[i]);
+			}
+		}
+		this.released = {};
+		this.pooledBytes = 0;
+	}
+
+	/**
+	 * @returns {{liveBytes: Number, pooledBytes: Number, liveTextures: Number, pooledTextures: Number}}
+	 */
+	getStats() {
+		let pooledTextures = 0;
+		for (const key in this.released) {
+			pooledTextures += this.released[key].length;
+		}
+		return {
+			liveBytes: this.liveBytes,
+			pooledBytes: this.pooledBytes,
+			liveTextures: this.textures.size - pooledTextures,
+			pooledTextures
+		};
+	}
+}
+
+module.exports = {
+	TexturePool
+};
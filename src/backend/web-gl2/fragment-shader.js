@@ -36,6 +36,7 @@ int integerMod(int x, int y) {
 }
 
 __DIVIDE_WITH_INTEGER_CHECK__;
+__DOUBLE_PRECISION__;
 
 // Here be dragons!
 // DO NOT OPTIMIZE THIS CODE
@@ -76,6 +77,11 @@ vec4 encode32(float f) {
 }
 // Dragons end here
 
+uint toUnsignedInteger(float value) {
+  // negative values wrap around, as in a Uint32Array
+  return value < 0.0 ? uint(int(value)) : uint(value);
+}
+
 float decode(vec4 rgba, int x, int bitRatio) {
   if (bitRatio == 1) {
     return decode32(rgba);
@@ -113,6 +119,15 @@ float get(sampler2D tex, ivec2 texSize, ivec3 texDim, int bitRatio, int z, int y
   __GET_RESULT__;
 }
 
+vec2 getDouble(sampler2D tex, ivec2 texSize, ivec3 texDim, int z, int y, int x) {
+  ivec3 xyz = ivec3(x, y, z);
+  __GET_WRAPAROUND__;
+  int index = xyz.x + texDim.x * (xyz.y + texDim.y * xyz.z);
+  int w = texSize.x;
+  vec2 st = vec2(float(integerMod(index, w)), float(index / w)) + 0.5;
+  return texture(tex, st / vec2(texSize)).rg;
+}
+
 vec4 getImage2D(sampler2D tex, ivec2 texSize, ivec3 texDim, int z, int y, int x) {
   ivec3 xyz = ivec3(x, y, z);
   __GET_WRAPAROUND__;
@@ -39,6 +39,70 @@ class WebGL2FunctionNode extends WebGLFunctionNode {
 
 		return retArr;
 	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for to *return* statement, as a uint for kernels returning
+	 * `UnsignedInteger`, or else as in WebGL
+	 * @param {Object} ast - the AST object to parse
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astReturnStatement(ast, retArr) {
+		if (!this.isRootKernel || this.returnType !== 'UnsignedInteger' || !ast.argument) {
+			return super.astReturnStatement(ast, retArr);
+		}
+		retArr.push(this.getType(ast.argument) === 'Integer' ? 'kernelResult = uint(' : 'kernelResult = toUnsignedInteger(');
+		this.astGeneric(ast.argument, retArr);
+		retArr.push(');');
+		retArr.push('return;');
+		return retArr;
+	}
+
+	/**
+	 * @desc Parses the abstract syntax tree for *switch* statement, as a GLSL switch when its value is an integer and
+	 * its cases are integers, or else as if statements, as in WebGL
+	 * @param {Object} switchNode - An ast Node
+	 * @param {Array} retArr - return array string
+	 * @returns {Array} the append retArr
+	 */
+	astSwitchStatement(switchNode, retArr) {
+		const cases = switchNode.cases.map(switchCase => switchCase.test ? this.getIntegerLiteralValue(switchCase.test) : 'default');
+		if (this.getType(switchNode.discriminant) !== 'Integer' || cases.indexOf(null) > -1) {
+			return super.astSwitchStatement(switchNode, retArr);
+		}
+		retArr.push('switch (');
+		this.astGeneric(switchNode.discriminant, retArr);
+		retArr.push(') {\n');
+		for (let i = 0; i < switchNode.cases.length; i++) {
+			retArr.push(cases[i] === 'default' ? 'default:\n' : `case ${ cases[i] }:\n`);
+			for (let j = 0; j < switchNode.cases[i].consequent.length; j++) {
+				this.astGeneric(switchNode.cases[i].consequent[j], retArr);
+				retArr.push('\n');
+			}
+		}
+		if (switchNode.cases.length > 0 && switchNode.cases[switchNode.cases.length - 1].consequent.length === 0) {
+			// GLSL needs a statement after the last case
+			retArr.push('break;\n');
+		}
+		retArr.push('}\n');
+		return retArr;
+	}
+
+	/**
+	 * @desc Get the value of an integer literal, such as `1` or `-1`, or null if it is not one
+	 * @param {Object} ast - An ast Node
+	 * @returns {Number|null}
+	 */
+	getIntegerLiteralValue(ast) {
+		if (ast.type === 'UnaryExpression' && ast.operator === '-') {
+			const value = this.getIntegerLiteralValue(ast.argument);
+			return value === null ? null : -value;
+		}
+		if (ast.type === 'Literal' && Number.isInteger(ast.value)) {
+			return ast.value;
+		}
+		return null;
+	}
 }
 
 module.exports = {
@@ -13,12 +13,21 @@ const {
 const {
 	Texture
 } = require('../../texture');
+const {
+	Input
+} = require('../../input');
 const {
 	fragmentShader
 } = require('./fragment-shader');
 const {
 	vertexShader
 } = require('./vertex-shader');
+const {
+	WebGL2ScatterKernel
+} = require('./scatter-kernel');
+const {
+	TexturePool
+} = require('../web-gl/texture-pool');
 
 let isSupported = null;
 let testCanvas = null;
@@ -66,10 +75,15 @@ class WebGL2Kernel extends WebGLKernel {
 		return Object.freeze({
 			isFloatRead: this.getIsFloatRead(),
 			isIntegerDivisionAccurate: this.getIsIntegerDivisionAccurate(),
+			isAsyncExec: this.getIsAsyncExec(),
 			kernelMap: true
 		});
 	}
 
+	static getIsAsyncExec() {
+		return typeof testContext.fenceSync === 'function';
+	}
+
 	static getIsIntegerDivisionAccurate() {
 		return super.getIsIntegerDivisionAccurate();
 	}
@@ -93,6 +107,20 @@ class WebGL2Kernel extends WebGLKernel {
 		return vertexShader;
 	}
 
+	static get ScatterKernel() {
+		return WebGL2ScatterKernel;
+	}
+
+	constructor(source, settings) {
+		super(source, settings);
+
+		/**
+		 * Pixel pack buffers the output is read into during `exec`, or null
+		 * @type {Object}
+		 */
+		this.pixelPack = null;
+	}
+
 	initContext() {
 		const settings = {
 			alpha: false,
@@ -155,6 +183,10 @@ class WebGL2Kernel extends WebGLKernel {
 			floatOutput: this.floatOutput
 		}, this.output, true);
 
+		this.validateArrayReturnType();
+		this.validateDoublePrecision();
+		this.validateIntegerReturnType();
+
 		if (this.graphical) {
 			if (this.output.length !== 2) {
 				throw new Error('Output must have 2 dimensions on graphical mode');
@@ -199,14 +231,7 @@ class WebGL2Kernel extends WebGLKernel {
 			this._addArgument(arguments[texIndex], argumentTypes[texIndex], argumentNames[texIndex]);
 		}
 
-		if (this.plugins) {
-			for (let i = 0; i < this.plugins.length; i++) {
-				const plugin = this.plugins[i];
-				if (plugin.onBeforeRun) {
-					plugin.onBeforeRun(this);
-				}
-			}
-		}
+		this.callPluginHook('onBeforeRun');
 
 		if (this.graphical) {
 			if (this.pipeline) {
@@ -216,12 +241,12 @@ class WebGL2Kernel extends WebGLKernel {
 					this._setupOutputTexture();
 				}
 				gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
-				return new Texture(this.outputTexture, texSize, this.threadDim, this.output, this.context, 'ArrayTexture(4)');
+				return this.afterRun(new Texture(this.outputTexture, texSize, this.threadDim, this.output, this.context, 'ArrayTexture(4)', this));
 			}
 			gl.bindRenderbuffer(gl.RENDERBUFFER, null);
 			gl.bindFramebuffer(gl.FRAMEBUFFER, null);
 			gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
-			return;
+			return this.afterRun();
 		}
 
 		gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
@@ -240,19 +265,158 @@ class WebGL2Kernel extends WebGLKernel {
 
 		gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
 
+		if (this.pixelPack !== null) {
+			// during exec, the output is only read into a pixel pack buffer, and rendered once the run is done
+			this._packOutputPixels(this.pixelPack);
+		}
+
 		if (this.subKernelOutputTextures !== null) {
 			if (this.subKernels !== null) {
 				const output = {
-					result: this.renderOutput(outputTexture)
+					result: this.pixelPack === null ? this.renderOutput(outputTexture) : null
 				};
 				for (let i = 0; i < this.subKernels.length; i++) {
-					output[this.subKernels[i].property] = new Texture(this.subKernelOutputTextures[i], texSize, this.threadDim, this.output, this.context);
+					output[this.subKernels[i].property] = new Texture(this.subKernelOutputTextures[i], texSize, this.threadDim, this.output, this.context, 'NumberTexture', this);
+				}
+				return this.afterRun(output);
+			}
+		}
+
+		return this.afterRun(this.pixelPack === null ? this.renderOutput(outputTexture) : null);
+	}
+
+	/**
+	 * @desc Run the kernel, and read its output without stalling until the gpu is done.
+	 * The output is read into a pixel pack buffer, and rendered from it once a fence after the run is signaled.
+	 * Pipeline and graphical kernels have no output to read, so they resolve with what `run` returns.
+	 * @returns {Promise<KernelOutput>}
+	 */
+	exec() {
+		if (this.pipeline || this.graphical || !this.constructor.features.isAsyncExec) {
+			return super.exec.apply(this, arguments);
+		}
+		const args = (arguments.length === 1 ? [arguments[0]] : Array.apply(null, arguments));
+		return new Promise((accept, reject) => {
+			const pixelPack = this.pixelPack = {
+				buffer: null
+			};
+			let output;
+			try {
+				// the output, or its result with sub kernels, is null until rendered from the pixel pack buffer
+				output = this.run.apply(this, args);
+			} catch (e) {
+				this._deletePixelPack(pixelPack);
+				reject(e);
+				return;
+			} finally {
+				this.pixelPack = null;
+			}
+
+			const gl = this.context;
+			const sync = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+			gl.flush();
+			const poll = () => {
+				const status = gl.clientWaitSync(sync, 0, 0);
+				if (status === gl.TIMEOUT_EXPIRED) {
+					setTimeout(poll, 1);
+					return;
+				}
+				gl.deleteSync(sync);
+				if (status === gl.WAIT_FAILED) {
+					this._deletePixelPack(pixelPack);
+					reject(new Error('Waiting for the kernel to run failed'));
+					return;
 				}
-				return output;
+				try {
+					accept(this._renderPixelPack(output, pixelPack));
+				} catch (e) {
+					reject(e);
+				}
+			};
+			poll();
+		});
+	}
+
+	/**
+	 * @desc Render the output of a run from its pixel pack buffer, which is then deleted
+	 * @param {KernelOutput} output - of the run, without its result
+	 * @param {Object} pixelPack
+	 * @returns {KernelOutput}
+	 */
+	_renderPixelPack(output, pixelPack) {
+		this.pixelPack = pixelPack;
+		try {
+			const result = this.renderOutput(null);
+			if (this.subKernels !== null) {
+				output.result = result;
+			} else {
+				output = result;
 			}
+		} finally {
+			this.pixelPack = null;
+			this._deletePixelPack(pixelPack);
+		}
+		this.callPluginHook('onAfterRun', output);
+		return output;
+	}
+
+	/**
+	 * @param {Object} pixelPack
+	 */
+	_deletePixelPack(pixelPack) {
+		if (pixelPack.buffer !== null) {
+			this.context.deleteBuffer(pixelPack.buffer);
+			pixelPack.buffer = null;
+		}
+	}
+
+	/**
+	 * @desc Read all of the output texture into a pixel pack buffer, in the format `renderOutput` reads it in.
+	 * Every way of rendering output reads rows from the first, so each reads the start of the buffer.
+	 * @param {Object} pixelPack
+	 */
+	_packOutputPixels(pixelPack) {
+		const gl = this.context;
+		const texSize = this.texSize;
+		let format = gl.RGBA;
+		let type = gl.FLOAT;
+		if (this.getIntegerResultArrayType()) {
+			format = gl.RGBA_INTEGER;
+			type = this.returnType === 'UnsignedInteger' ? gl.UNSIGNED_INT : gl.INT;
+		} else if (!this.floatOutput && this.getReturnTypeLength() === 1 && this.precision !== 'double') {
+			type = gl.UNSIGNED_BYTE;
 		}
+		pixelPack.buffer = gl.createBuffer();
+		gl.bindBuffer(gl.PIXEL_PACK_BUFFER, pixelPack.buffer);
+		gl.bufferData(gl.PIXEL_PACK_BUFFER, texSize[0] * texSize[1] * (type === gl.UNSIGNED_BYTE ? 4 : 16), gl.STREAM_READ);
+		gl.readPixels(0, 0, texSize[0], texSize[1], format, type, 0);
+		gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+	}
 
-		return this.renderOutput(outputTexture);
+	/**
+	 * @desc Read pixels of the output, or once an `exec` is done, copy them from its pixel pack buffer
+	 */
+	_readPixels(x, y, width, height, format, type, pixels) {
+		const pixelPack = this.pixelPack;
+		if (pixelPack === null) {
+			super._readPixels(x, y, width, height, format, type, pixels);
+			return;
+		}
+		const gl = this.context;
+		gl.bindBuffer(gl.PIXEL_PACK_BUFFER, pixelPack.buffer);
+		gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, pixels);
+		gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+	}
+
+	afterRun(result) {
+		if (this.pixelPack === null) {
+			return super.afterRun(result);
+		}
+		// plugins are called with the result once it is read
+		if (this.immutable) {
+			this._releaseOutputTextures();
+		}
+		return result;
 	}
 
 	drawBuffers() {
@@ -266,45 +430,64 @@ class WebGL2Kernel extends WebGLKernel {
 	_setupOutputTexture() {
 		const gl = this.context;
 		const texSize = this.texSize;
-		const texture = this.outputTexture = this.context.createTexture();
+		const pool = TexturePool.fromContext(gl);
 		gl.activeTexture(gl.TEXTURE0 + this.constantsLength + this.argumentNames.length);
-		gl.bindTexture(gl.TEXTURE_2D, texture);
-		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-		if (this.floatOutput) {
-			gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, texSize[0], texSize[1], 0, gl.RGBA, gl.FLOAT, null);
+		let texture;
+		if (this.returnType === 'UnsignedInteger') {
+			texture = pool.acquire(texSize[0], texSize[1], gl.RGBA32UI, gl.RGBA_INTEGER, gl.UNSIGNED_INT, this);
+		} else if (this.getIntegerResultArrayType()) {
+			texture = pool.acquire(texSize[0], texSize[1], gl.RGBA32I, gl.RGBA_INTEGER, gl.INT, this);
+		} else if (this.floatOutput) {
+			texture = pool.acquire(texSize[0], texSize[1], gl.RGBA32F, gl.RGBA, gl.FLOAT, this);
 		} else {
-			gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, texSize[0], texSize[1], 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+			texture = pool.acquire(texSize[0], texSize[1], gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this);
 		}
+		this.outputTexture = texture;
 		gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
 	}
 
+	/**
+	 * @desc Helper function to return the output of a kernel with a returnType of `Integer` or `UnsignedInteger`.
+	 * Results are rendered to an int, or uint, texture, so every 32 bits are exact.
+	 * *Note*: This should not be called directly.
+	 *
+	 * @returns {Int32Array|Uint32Array|Int32Array[]|Uint32Array[]|Int32Array[][]|Uint32Array[][]} result
+	 */
+	renderIntegerOutput() {
+		const texSize = this.texSize;
+		const gl = this.context;
+		const threadDim = this.threadDim;
+		const IntegerArray = this.getIntegerResultArrayType();
+		const pixels = new IntegerArray(texSize[0] * texSize[1] * 4);
+		this._readPixels(0, 0, texSize[0], texSize[1], gl.RGBA_INTEGER, IntegerArray === Uint32Array ? gl.UNSIGNED_INT : gl.INT, pixels);
+
+		const values = new IntegerArray(threadDim[0] * threadDim[1] * threadDim[2]);
+		for (let i = 0; i < values.length; i++) {
+			values[i] = pixels[i * 4];
+		}
+		return this._splitOutput(values);
+	}
+
 	_setupSubOutputTextures(length) {
 		const gl = this.context;
 		const texSize = this.texSize;
 		const drawBuffersMap = this.drawBuffersMap = [gl.COLOR_ATTACHMENT0];
 		const textures = this.subKernelOutputTextures = [];
+		const pool = TexturePool.fromContext(gl);
 		for (let i = 0; i < length; i++) {
-			const texture = this.context.createTexture();
-			textures.push(texture);
 			drawBuffersMap.push(gl.COLOR_ATTACHMENT0 + i + 1);
 			gl.activeTexture(gl.TEXTURE0 + this.constantsLength + this.argumentNames.length + i);
-			gl.bindTexture(gl.TEXTURE_2D, texture);
-			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-			if (this.floatOutput) {
-				gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, texSize[0], texSize[1], 0, gl.RGBA, gl.FLOAT, null);
-			} else {
-				gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, texSize[0], texSize[1], 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
-			}
+			const texture = this.floatOutput ?
+				pool.acquire(texSize[0], texSize[1], gl.RGBA32F, gl.RGBA, gl.FLOAT, this) :
+				pool.acquire(texSize[0], texSize[1], gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this);
+			textures.push(texture);
 			gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0 + i + 1, gl.TEXTURE_2D, texture, 0);
 		}
 	}
 
+	_getFloatTextureFormat() {
+		return this.context.RGBA32F;
+	}
 
 	/**
 	 * @desc Adds kernel parameters to the Argument Texture,
@@ -315,11 +498,35 @@ class WebGL2Kernel extends WebGLKernel {
 	 * @param {String} name - Name of the argument
 	 */
 	_addArgument(value, type, name) {
+		if (type === 'Object') {
+			// the fields of objects are arguments of their own
+			const fieldTypes = this.argumentFieldTypes[name];
+			for (const field in fieldTypes) {
+				this._addArgument(value[field], fieldTypes[field], `${ name }_${ field }`);
+			}
+			return;
+		}
 		const gl = this.context;
 		const argumentTexture = this.getArgumentTexture(name);
 		if (value instanceof Texture) {
 			type = value.type;
 		}
+		if (this.precision === 'double') {
+			switch (type) {
+				case 'Array':
+				case 'Array2D':
+				case 'Array3D':
+				case 'Input':
+					this._addDoubleArray(value, `user_${ name }`, argumentTexture, this.constantsLength + this.argumentsLength);
+					this.argumentsLength++;
+					return;
+				case 'Float':
+				case 'Number':
+					this.setUniform2f(`user_${ name }`, ...utils.splitDouble(value));
+					this.argumentsLength++;
+					return;
+			}
+		}
 		switch (type) {
 			case 'Array':
 				{
@@ -365,6 +572,13 @@ class WebGL2Kernel extends WebGLKernel {
 					this.setUniform1f(`user_${name}`, value);
 					break;
 				}
+			case 'Matrix(2)':
+			case 'Matrix(3)':
+			case 'Matrix(4)':
+				{
+					this.setUniformMatrixfv(`user_${name}`, utils.flattenMatrix(value, utils.getMatrixTypeSize(type)));
+					break;
+				}
 			case 'Input':
 				{
 					const input = value;
@@ -513,16 +727,36 @@ class WebGL2Kernel extends WebGLKernel {
 	_getMainConstantsString() {
 		const result = [];
 		if (this.constants) {
-			for (let name in this.constants) {
-				if (!this.constants.hasOwnProperty(name)) continue;
-				let value = this.constants[name];
-				let type = utils.getVariableType(value);
+			const flatConstants = this._getFlatConstants();
+			for (let i = 0; i < flatConstants.length; i++) {
+				const {
+					name,
+					type,
+					value
+				} = flatConstants[i];
+				const matrixSize = utils.getMatrixTypeSize(type);
+				if (matrixSize) {
+					result.push(this._getMatrixConstantString(name, matrixSize));
+					continue;
+				}
 				switch (type) {
 					case 'Integer':
 						result.push('const int constants_' + name + ' = ' + parseInt(value));
 						break;
 					case 'Float':
-						result.push('const float constants_' + name + ' = ' + parseFloat(value));
+						if (this.precision === 'double') {
+							result.push('const highp vec2 constants_' + name + ' = ' + utils.getDoubleString(value));
+						} else {
+							result.push('const float constants_' + name + ' = ' + parseFloat(value));
+						}
+						break;
+					case 'Number':
+						// fields of objects, which are floats even when their value is an integer
+						if (this.precision === 'double') {
+							result.push('const highp vec2 constants_' + name + ' = ' + utils.getDoubleString(value));
+						} else {
+							result.push('const float constants_' + name + ' = ' + (Number.isInteger(value) ? `${ value }.0` : value));
+						}
 						break;
 					case 'Array':
 					case 'Input':
@@ -567,6 +801,11 @@ class WebGL2Kernel extends WebGLKernel {
 		if (value instanceof Texture) {
 			type = value.type;
 		}
+		if (this.precision === 'double' && (type === 'Array' || type === 'Input')) {
+			this._addDoubleArray(value, `constants_${ name }`, argumentTexture, this.constantsLength);
+			this.constantsLength++;
+			return;
+		}
 		switch (type) {
 			case 'Array':
 				{
@@ -789,16 +1028,22 @@ class WebGL2Kernel extends WebGLKernel {
 	 */
 	_getMainArgumentsString(args) {
 		const result = [];
-		const argumentTypes = this.argumentTypes;
-		const argumentNames = this.argumentNames;
-		for (let i = 0; i < argumentNames.length; i++) {
-			const value = args[i];
-			const name = argumentNames[i];
-			const type = argumentTypes[i];
+		const flatArguments = this._getFlatArguments(args);
+		for (let i = 0; i < flatArguments.length; i++) {
+			const {
+				name,
+				type,
+				value
+			} = flatArguments[i];
+			const matrixSize = utils.getMatrixTypeSize(type);
+			if (matrixSize) {
+				result.push(`uniform mat${ matrixSize } user_${ name }`);
+				continue;
+			}
 			if (this.hardcodeConstants) {
 				if (type === 'Array' || type === 'NumberTexture' || type === 'ArrayTexture(4)') {
 					const dim = utils.getDimensions(value, true);
-					const size = utils.dimToTexSize({
+					const size = utils.dimToTexSize(this.precision === 'double' && type === 'Array' ? {} : {
 						floatTextures: this.floatTextures,
 						floatOutput: this.floatOutput
 					}, dim);
@@ -811,6 +1056,8 @@ class WebGL2Kernel extends WebGLKernel {
 					);
 				} else if (type === 'Integer') {
 					result.push(`highp float user_${ name } = ${ value }.0`);
+				} else if (type === 'Float' && this.precision === 'double') {
+					result.push(`highp vec2 user_${ name } = ${ utils.getDoubleString(value) }`);
 				} else if (type === 'Float') {
 					result.push(`highp float user_${ name } = ${ value }`);
 				}
@@ -830,6 +1077,8 @@ class WebGL2Kernel extends WebGLKernel {
 						`uniform highp ivec2 user_${ name }Size`,
 						`uniform highp ivec3 user_${ name }Dim`
 					);
+				} else if (this.precision === 'double' && (type === 'Float' || type === 'Number')) {
+					result.push(`uniform highp vec2 user_${ name }`);
 				} else if (type === 'Integer' || type === 'Float' || type === 'Number') {
 					result.push(`uniform float user_${ name }`);
 				} else {
@@ -840,6 +1089,32 @@ class WebGL2Kernel extends WebGLKernel {
 		return this._linesToString(result);
 	}
 
+	/**
+	 * @desc Get the glsl declaration of the output of a kernel without sub kernels, matching returnType
+	 * @returns {String} result
+	 */
+	_getOutputDeclaration() {
+		switch (this.returnType) {
+			case 'Integer':
+				return 'out ivec4 data0';
+			case 'UnsignedInteger':
+				return 'out uvec4 data0';
+			default:
+				return 'out vec4 data0';
+		}
+	}
+
+	/**
+	 * @desc Get the glsl declaration of kernelResult, matching returnType
+	 * @returns {String} result
+	 */
+	_getKernelResultDeclaration() {
+		if (this.returnType === 'UnsignedInteger') {
+			return 'uint kernelResult = 0u';
+		}
+		return super._getKernelResultDeclaration();
+	}
+
 	/**
 	 * @desc Get Kernel program string (in *glsl*) for a kernel.
 	 * @returns {String} result
@@ -848,7 +1123,7 @@ class WebGL2Kernel extends WebGLKernel {
 		const result = [];
 		const subKernels = this.subKernels;
 		if (subKernels !== null) {
-			result.push('float kernelResult = 0.0');
+			result.push(this._getKernelResultDeclaration());
 			result.push('layout(location = 0) out vec4 data0');
 			for (let i = 0; i < subKernels.length; i++) {
 				result.push(
@@ -857,8 +1132,8 @@ class WebGL2Kernel extends WebGLKernel {
 				);
 			}
 		} else {
-			result.push('out vec4 data0');
-			result.push('float kernelResult = 0.0');
+			result.push(this._getOutputDeclaration());
+			result.push(this._getKernelResultDeclaration());
 		}
 
 		const functionBuilder = FunctionBuilder.fromKernel(this, WebGL2FunctionNode, {
@@ -876,6 +1151,30 @@ class WebGL2Kernel extends WebGLKernel {
 		const subKernels = this.subKernels;
 		const result = [];
 
+		if (this.getReturnTypeLength() > 1 || this.precision === 'double') {
+			return this._linesToString([
+				'  threadId = indexTo3D(index, uOutputDim)',
+				'  kernel()',
+				`  data0 = ${ this._getKernelResultVec4String() }`
+			]);
+		}
+
+		if (this.returnType === 'UnsignedInteger') {
+			return this._linesToString([
+				'  threadId = indexTo3D(index, uOutputDim)',
+				'  kernel()',
+				'  data0 = uvec4(kernelResult, 0u, 0u, 0u)'
+			]);
+		}
+
+		if (this.getIntegerResultArrayType()) {
+			return this._linesToString([
+				'  threadId = indexTo3D(index, uOutputDim)',
+				'  kernel()',
+				'  data0 = ivec4(kernelResult, 0, 0, 0)'
+			]);
+		}
+
 		if (this.floatOutput) {
 			result.push('  index *= 4');
 		}
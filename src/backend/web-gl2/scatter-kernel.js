@@ -0,0 +1,32 @@
+const {
+	WebGLScatterKernel
+} = require('../web-gl/scatter-kernel');
+const {
+	TexturePool
+} = require('../web-gl/texture-pool');
+
+/**
+ * @desc Scatters on the gpu, into a RGBA32F texture
+ */
+class WebGL2ScatterKernel extends WebGLScatterKernel {
+	/**
+	 * @desc Enable blending of float textures, which WebGL2 only does with EXT_float_blend
+	 */
+	enableFloatBlend() {
+		if (!this.context.getExtension('EXT_float_blend')) {
+			throw new Error('Scatter kernels need EXT_float_blend, which is not supported');
+		}
+	}
+
+	_setupOutputTexture() {
+		const gl = this.context;
+		const texSize = this.texSize;
+		gl.activeTexture(gl.TEXTURE0 + this.textureUnit);
+		const texture = this.outputTexture = TexturePool.fromContext(gl).acquire(texSize[0], texSize[1], gl.RGBA32F, gl.RGBA, gl.FLOAT, this);
+		gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+	}
+}
+
+module.exports = {
+	WebGL2ScatterKernel
+};
@@ -14,9 +14,27 @@ const {
 const {
 	WebGLKernel
 } = require('./backend/web-gl/kernel');
+const {
+	WasmKernel
+} = require('./backend/wasm/kernel');
 const {
 	kernelRunShortcut
 } = require('./kernel-run-shortcut');
+const {
+	Reducer
+} = require('./reducer');
+const {
+	Scanner
+} = require('./scanner');
+const {
+	Sorter
+} = require('./sorter');
+const {
+	Graph
+} = require('./graph');
+const {
+	Texture
+} = require('./texture');
 
 
 /**
@@ -28,12 +46,13 @@ const kernelOrder = [HeadlessGLKernel, WebGL2Kernel, WebGLKernel];
  *
  * @type {string[]}
  */
-const kernelTypes = ['gpu', 'cpu'];
+const kernelTypes = ['gpu', 'cpu', 'wasm'];
 
 const internalKernels = {
 	'headlessgl': HeadlessGLKernel,
 	'webgl2': WebGL2Kernel,
 	'webgl': WebGLKernel,
+	'wasm': WasmKernel,
 };
 
 /**
@@ -80,6 +99,13 @@ class GPU {
 		return HeadlessGLKernel.isSupported;
 	}
 
+	/**
+	 * @desc TRUE if platform supports WebAssembly
+	 */
+	static get isWasmSupported() {
+		return WasmKernel.isSupported;
+	}
+
 	/**
 	 *
 	 * @desc TRUE if platform supports Canvas
@@ -117,6 +143,11 @@ class GPU {
 		this.kernels = [];
 		this.functions = [];
 		this.nativeFunctions = [];
+		this.plugins = [];
+		this.reducers = {};
+		this.scanners = {};
+		this.sorter = null;
+		this.textureKernels = {};
 
 		// add functions from settings
 		if (settings.functions) {
@@ -132,6 +163,13 @@ class GPU {
 			}
 		}
 
+		// add plugins from settings
+		if (settings.plugins) {
+			for (let i = 0; i < settings.plugins.length; i++) {
+				this.addPlugin(settings.plugins[i]);
+			}
+		}
+
 		this.chooseKernel();
 	}
 
@@ -214,7 +252,9 @@ class GPU {
 			canvas: this.canvas,
 			functions: this.functions,
 			nativeFunctions: this.nativeFunctions
-		}, settings || {});
+		}, settings || {}, {
+			plugins: (settings && settings.plugins ? settings.plugins : []).concat(this.plugins)
+		});
 
 		const kernel = kernelRunShortcut(new this.Kernel(source, mergedSettings));
 
@@ -308,6 +348,241 @@ class GPU {
 		return kernel;
 	}
 
+	/**
+	 * @desc Create a kernel which scatters, each thread of `source` returning `[index, value]`, where value is added
+	 * into the output at index. Indexes outside of output are skipped.
+	 * On the gpu values are added with blending, so no atomics are needed.
+	 * @param {Function|String} source - The kernel function each thread runs
+	 * @param {Object} settings - The kernel settings, with `threads` as the output of `source`,
+	 * and `output` as the dimensions of the scattered result, indexed as `x + y * width + z * width * height`
+	 * @returns {Function} callable scatter kernel
+	 *
+	 * @example
+	 * const histogram = gpu.createScatterKernel(function(values) {
+	 *   return [values[this.thread.x], 1];
+	 * }, {
+	 *   threads: [values.length],
+	 *   output: [bins]
+	 * });
+	 */
+	createScatterKernel(source, settings) {
+		if (!settings || !settings.threads) {
+			throw new Error('createScatterKernel needs settings.threads');
+		}
+		const threadKernel = this.createKernel(source, Object.assign({}, settings, {
+			output: settings.threads,
+			returnType: 'Array(2)'
+		}));
+		if (this.mode === 'dev') {
+			return kernelRunShortcut(new CPUKernel.ScatterKernel(threadKernel, settings));
+		}
+		const kernel = kernelRunShortcut(new this.Kernel.ScatterKernel(threadKernel, settings));
+		this.kernels.push(kernel);
+		return kernel;
+	}
+
+	/**
+	 * @desc Reduce an array, input or texture to a single value, with passes of pipeline kernels
+	 * @param {Array|Input|Texture} values
+	 * @param {String|Function} operation - `'sum'`, `'min'`, `'max'`, `'argmax'`, or a function combining two values
+	 * @param {Object} [settings]
+	 * @param {Boolean} [settings.pipeline] - return the value as a Texture, rather than a number
+	 * @returns {Number|Texture}
+	 *
+	 * @example
+	 * gpu.reduce([1, 2, 3, 4, 5], 'sum'); // 15
+	 * gpu.reduce([1, 5, 3], 'argmax'); // 1
+	 * gpu.reduce(values, function(a, b) {
+	 *   return a * b;
+	 * });
+	 */
+	reduce(values, operation, settings) {
+		const pipeline = Boolean(settings && settings.pipeline);
+		if (this.mode === 'dev') {
+			return new Reducer(this, operation).run(values, pipeline);
+		}
+		const key = typeof operation === 'function' ? operation.toString() : operation;
+		if (!this.reducers.hasOwnProperty(key)) {
+			this.reducers[key] = new Reducer(this, operation);
+		}
+		return this.reducers[key].run(values, pipeline);
+	}
+
+	/**
+	 * @desc Scan an array, input or texture, so each value is combined with all values before it, as a prefix sum does
+	 * @param {Array|Input|Texture} values
+	 * @param {Object} [settings]
+	 * @param {String} [settings.op] - `'add'` (default), `'mul'`, `'min'` or `'max'`
+	 * @param {Boolean} [settings.inclusive] - each value is combined with itself too, true by default
+	 * @param {Boolean} [settings.pipeline] - return the values as a Texture, rather than a Float32Array
+	 * @returns {Float32Array|Texture}
+	 *
+	 * @example
+	 * gpu.scan([1, 2, 3, 4]); // [1, 3, 6, 10]
+	 * gpu.scan([1, 2, 3, 4], { inclusive: false }); // [0, 1, 3, 6]
+	 */
+	scan(values, settings) {
+		settings = settings || {};
+		const op = settings.op || 'add';
+		const inclusive = settings.inclusive !== false;
+		const pipeline = Boolean(settings.pipeline);
+		if (this.mode === 'dev') {
+			return new Scanner(this, op, inclusive).run(values, pipeline);
+		}
+		const key = `${ op }:${ inclusive }`;
+		if (!this.scanners.hasOwnProperty(key)) {
+			this.scanners[key] = new Scanner(this, op, inclusive);
+		}
+		return this.scanners[key].run(values, pipeline);
+	}
+
+	/**
+	 * @desc Sort an array, input or texture, with a bitonic sorting network on the gpu, or typed arrays on the cpu.
+	 * Equal keys keep their order.
+	 * @param {Array|Input|Texture} values
+	 * @param {Object} [settings]
+	 * @param {Boolean} [settings.keyOnly] - only return the sorted keys, true by default,
+	 * otherwise `{ keys, indices }` is returned, where indices are the original index of each sorted key
+	 * @param {Boolean} [settings.descending]
+	 * @param {Boolean} [settings.pipeline] - return Textures, rather than typed arrays
+	 * @returns {Float32Array|Texture|Object}
+	 *
+	 * @example
+	 * gpu.sort([3, 1, 2]); // [1, 2, 3]
+	 * gpu.sort([3, 1, 2], { keyOnly: false }); // { keys: [1, 2, 3], indices: [1, 2, 0] }
+	 */
+	sort(values, settings) {
+		settings = Object.assign({
+			keyOnly: true,
+			descending: false,
+			pipeline: false
+		}, settings);
+		if (this.mode === 'dev') {
+			return new Sorter(this).run(values, settings);
+		}
+		if (this.sorter === null) {
+			this.sorter = new Sorter(this);
+		}
+		return this.sorter.run(values, settings);
+	}
+
+	/**
+	 * @desc Create a graph of kernels, the outputs of which are handed to each other as Textures.
+	 * Kernels consumed only by other kernels are pipelined, and all kernels share the context and canvas of this gpu.
+	 * @returns {Graph}
+	 *
+	 * @example
+	 * const graph = gpu.createGraph()
+	 * 	.addNode('sum', function(a, b) {
+	 * 		return a[this.thread.x] + b[this.thread.x];
+	 * 	}, { output: [5] })
+	 * 	.addNode('product', function(sum, c) {
+	 * 		return sum[this.thread.x] * c[this.thread.x];
+	 * 	}, { output: [5] });
+	 * graph.run({ a, b, c }); // { product: Float32Array }
+	 */
+	createGraph() {
+		return new Graph(this);
+	}
+
+	/**
+	 * @desc Upload values into a Texture on the context of this gpu, once, so they can be passed to many kernels
+	 * without being uploaded on each run. The Texture is laid out as kernels read Array arguments.
+	 * In cpu mode there are no Textures, so the values are returned as they are.
+	 * @param {Array|Float32Array} value - nested by each dimension, or flat
+	 * @param {Object} [settings]
+	 * @param {Number[]} [settings.output] - dimensions of the Texture, by default those of value
+	 * @param {String} [settings.type] - `'NumberTexture'` (default), or `'ArrayTexture(4)'` for 4 values per thread
+	 * @returns {Texture|Array|Float32Array}
+	 *
+	 * @example
+	 * const weights = gpu.createTexture(new Float32Array(1024), { output: [32, 32] });
+	 * layer(inputs, weights);
+	 */
+	createTexture(value, settings) {
+		settings = settings || {};
+		const type = settings.type || 'NumberTexture';
+		if (type !== 'NumberTexture' && type !== 'ArrayTexture(4)') {
+			throw new Error(`Unknown Texture type "${ type }"`);
+		}
+		if (this.mode === 'cpu' || this.mode === 'wasm' || this.mode === 'dev') {
+			return value;
+		}
+		let output = settings.output;
+		if (!output) {
+			output = Array.from(utils.getDimensions(value));
+			if (type === 'ArrayTexture(4)') {
+				if (utils.isArray(value[0])) {
+					output.shift();
+				} else {
+					output[0] /= 4;
+				}
+			}
+		}
+		const key = `${ type }:${ output }`;
+		if (!this.textureKernels.hasOwnProperty(key)) {
+			this.textureKernels[key] = this.createKernel('function() { return 0; }', {
+				output,
+				pipeline: true,
+				returnType: type === 'ArrayTexture(4)' ? 'Array(4)' : 'Number'
+			});
+		}
+		return this.textureKernels[key].createTexture(value);
+	}
+
+	/**
+	 * @desc Upload values into part of a Texture, so only the texels they are in are uploaded, rather than all values
+	 * as with Array arguments. In cpu mode, the values are set into the array returned by `createTexture`,
+	 * where the offset is of values rather than threads.
+	 * @param {Texture|Array|Float32Array} texture
+	 * @param {Array|Float32Array} values - nested or flat, 4 for each thread of an `ArrayTexture(4)`
+	 * @param {Number|Number[]} [offset] - index of the first thread, or its `[x, y, z]`
+	 * @returns {Texture|Array|Float32Array} texture
+	 *
+	 * @example
+	 * const readings = gpu.createTexture(new Float32Array(width * height), { output: [width, height] });
+	 * gpu.updateTexture(readings, row, [0, y]); // only the row is uploaded
+	 */
+	updateTexture(texture, values, offset) {
+		if (utils.isArray(values[0])) {
+			const dimensions = utils.getDimensions(values);
+			let length = 1;
+			for (let i = 0; i < dimensions.length; i++) {
+				length *= dimensions[i];
+			}
+			const flat = new Float32Array(length);
+			utils.flattenTo(values, flat);
+			values = flat;
+		}
+		if (texture instanceof Texture) {
+			return texture.update(values, offset);
+		}
+		if (!utils.isArray(texture)) {
+			throw new Error('updateTexture needs a Texture, or an array in cpu mode');
+		}
+		const dimensions = utils.getDimensions(texture, true);
+		if (Array.isArray(offset)) {
+			offset = (offset[0] || 0) + dimensions[0] * ((offset[1] || 0) + dimensions[1] * (offset[2] || 0));
+		}
+		offset = offset || 0;
+		for (let i = 0; i < values.length; i++) {
+			const index = offset + i;
+			const x = index % dimensions[0];
+			const y = Math.floor(index / dimensions[0]) % dimensions[1];
+			const z = Math.floor(index / (dimensions[0] * dimensions[1]));
+			if (utils.isArray(texture[0])) {
+				if (utils.isArray(texture[0][0])) {
+					texture[z][y][x] = values[i];
+				} else {
+					texture[y][x] = values[i];
+				}
+			} else {
+				texture[index] = values[i];
+			}
+		}
+		return texture;
+	}
+
 	/**
 	 *
 	 * Combine different kernels into one super Kernel,
@@ -318,6 +593,7 @@ class GPU {
 	 * The number of kernel functions sent to this method can be variable.
 	 * You can send in one, two, etc.
 	 *
+	 * @deprecated only supports a chain of kernels, the last of which is returned, use `createGraph`
 	 * @param {Function} subKernels - Kernel function(s) to combine.
 	 * @param {Function} rootKernel - Root kernel to combine kernels into
 	 *
@@ -330,51 +606,21 @@ class GPU {
 	 *
 	 */
 	combineKernels() {
-		const lastKernel = arguments[arguments.length - 2];
 		const combinedKernel = arguments[arguments.length - 1];
-		if (this.mode === 'cpu') return combinedKernel;
+		if (this.mode === 'cpu' || this.mode === 'wasm') return combinedKernel;
 
 		const canvas = arguments[0].canvas;
-		let context = arguments[0].context;
+		const context = arguments[0].context;
+		const lastIndex = arguments.length - 2;
 
-		for (let i = 0; i < arguments.length - 1; i++) {
+		for (let i = 0; i <= lastIndex; i++) {
 			arguments[i]
 				.setCanvas(canvas)
 				.setContext(context)
-				.setPipeline(true);
-		}
-
-		//TODO: needs moved to kernel
-		return function() {
-			combinedKernel.apply(null, arguments);
-			const texSize = lastKernel.texSize;
-			const gl = lastKernel.context;
-			const threadDim = lastKernel.threadDim;
-			let result;
-			if (lastKernel.floatOutput) {
-				const w = texSize[0];
-				const h = Math.ceil(texSize[1] / 4);
-				result = new Float32Array(w * h * 4);
-				gl.readPixels(0, 0, w, h, gl.RGBA, gl.FLOAT, result);
-			} else {
-				const bytes = new Uint8Array(texSize[0] * texSize[1] * 4);
-				gl.readPixels(0, 0, texSize[0], texSize[1], gl.RGBA, gl.UNSIGNED_BYTE, bytes);
-				result = new Float32Array(bytes.buffer);
-			}
-
-			result = result.subarray(0, threadDim[0] * threadDim[1] * threadDim[2]);
+				.setPipeline(i < lastIndex);
+		}
 
-			if (lastKernel.output.length === 1) {
-				return result;
-			} else if (lastKernel.output.length === 2) {
-				return utils.splitArray(result, lastKernel.output[0]);
-			} else if (lastKernel.output.length === 3) {
-				const cube = utils.splitArray(result, lastKernel.output[0] * lastKernel.output[1]);
-				return cube.map(function(x) {
-					return utils.splitArray(x, lastKernel.output[0]);
-				});
-			}
-		};
+		return combinedKernel;
 	}
 
 	/**
@@ -399,6 +645,8 @@ class GPU {
 
 		this.functions.push({
 			source: sourceString,
+			// arrow functions are named by the `name` setting, or by the variable they are assigned to
+			name: settings.name || (typeof source === 'function' && source.name) || null,
 			argumentTypes,
 			returnType: settings.returnType
 		});
@@ -424,6 +672,31 @@ class GPU {
 		return this;
 	}
 
+	/**
+	 * @desc Adds a plugin, which kernels created afterwards use when they call its `functionMatch`,
+	 * or always when it has no `functionMatch`.
+	 * @param {IPlugin} plugin
+	 * @returns {GPU} returns itself
+	 */
+	addPlugin(plugin) {
+		if (!plugin || typeof plugin !== 'object') throw new Error('plugin not an object');
+		if (!plugin.name) throw new Error('plugin must have a name');
+		this.plugins.push(plugin);
+		return this;
+	}
+
+	/**
+	 * @desc Bytes of the textures of this gpu's context, both live, which kernels and Textures reference,
+	 * and pooled, which were released to be used again
+	 * @returns {{liveBytes: Number, pooledBytes: Number, liveTextures: Number, pooledTextures: Number}}
+	 */
+	getMemoryStats() {
+		if (this.mode === 'dev' || !this.context) {
+			return CPUKernel.getMemoryStats(null);
+		}
+		return this.Kernel.getMemoryStats(this.context);
+	}
+
 	/**
 	 * @desc Destroys all memory associated with gpu.js & the webGl if we created it
 	 */
@@ -434,7 +707,11 @@ class GPU {
 			for (let i = 0; i < this.kernels.length; i++) {
 				this.kernels[i].destroy(true); // remove canvas if exists
 			}
-			this.kernels[0].kernel.constructor.destroyContext(this.context);
+			// kernels copying Textures are of the context, rather than of this gpu
+			Texture.destroyCopyKernels(this.context);
+			if (this.kernels.length > 0) {
+				this.kernels[0].kernel.constructor.destroyContext(this.context);
+			}
 		}, 0);
 	}
 }
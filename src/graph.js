@@ -0,0 +1,212 @@
+const {
+	utils
+} = require('./utils');
+const {
+	Texture
+} = require('./texture');
+
+/**
+ * @desc A directed acyclic graph of kernels, the edges of which are Textures handed from one kernel to the next.
+ * Kernels are created on the first run, on the context and canvas of the gpu, and are pipelined when their
+ * output is only consumed by other kernels.
+ */
+class Graph {
+	/**
+	 *
+	 * @param {GPU} gpu
+	 */
+	constructor(gpu) {
+		this.gpu = gpu;
+
+		/**
+		 * Nodes by name
+		 * @type {Object}
+		 */
+		this.nodes = {};
+
+		/**
+		 * Names of the nodes which are returned from run, or null for all nodes no other node consumes
+		 * @type {String[]}
+		 */
+		this.outputs = null;
+
+		/**
+		 * Names of the nodes returned from run, once built
+		 * @type {String[]}
+		 */
+		this.outputNames = null;
+
+		/**
+		 * Nodes in the order they run, or null if the graph needs built
+		 * @type {Object[]}
+		 */
+		this.order = null;
+
+		/**
+		 * How many times each node is consumed by other nodes
+		 * @type {Object}
+		 */
+		this.consumerCounts = null;
+	}
+
+	/**
+	 * @desc Add a node to the graph
+	 * @param {String} name
+	 * @param {Function|String} source - kernel source, or a kernel created by the same gpu
+	 * @param {Object} [settings] - settings of `gpu.createKernel`
+	 * @param {String[]} [settings.inputs] - what each argument of the kernel is, either the name of another node
+	 * or of an input of the graph. Defaults to the argument names of the kernel.
+	 * @returns {Graph}
+	 */
+	addNode(name, source, settings) {
+		if (this.nodes.hasOwnProperty(name)) {
+			throw new Error(`Graph node "${ name }" already added`);
+		}
+		settings = Object.assign({}, settings);
+		const isKernel = typeof source === 'function' && Boolean(source.kernel);
+		let inputs = settings.inputs;
+		delete settings.inputs;
+		if (!inputs) {
+			inputs = isKernel ? source.argumentNames : utils.getArgumentNamesFromString(source.toString());
+		}
+
+		this.nodes[name] = {
+			name,
+			inputs,
+			settings,
+			source: isKernel ? null : source,
+			kernel: isKernel ? source : null
+		};
+		this.order = null;
+		return this;
+	}
+
+	/**
+	 * @desc Set which nodes are returned from run
+	 * @param {String[]} outputs
+	 * @returns {Graph}
+	 */
+	setOutputs(outputs) {
+		this.outputs = outputs;
+		this.order = null;
+		return this;
+	}
+
+	/**
+	 * @desc Sort the nodes in the order they run, and create their kernels
+	 */
+	build() {
+		const nodes = this.nodes;
+		const consumerCounts = {};
+		for (const name in nodes) {
+			consumerCounts[name] = 0;
+		}
+		for (const name in nodes) {
+			const inputs = nodes[name].inputs;
+			for (let i = 0; i < inputs.length; i++) {
+				if (nodes.hasOwnProperty(inputs[i])) {
+					consumerCounts[inputs[i]]++;
+				}
+			}
+		}
+
+		const outputs = this.outputs || Object.keys(nodes).filter(name => consumerCounts[name] === 0);
+		for (let i = 0; i < outputs.length; i++) {
+			if (!nodes.hasOwnProperty(outputs[i])) {
+				throw new Error(`Graph output "${ outputs[i] }" is not a node`);
+			}
+		}
+
+		const order = [];
+		const visited = {};
+		const visiting = {};
+		const visit = (name) => {
+			if (visited[name]) return;
+			if (visiting[name]) {
+				throw new Error(`Graph has a cycle through node "${ name }"`);
+			}
+			visiting[name] = true;
+			const inputs = nodes[name].inputs;
+			for (let i = 0; i < inputs.length; i++) {
+				if (nodes.hasOwnProperty(inputs[i])) {
+					visit(inputs[i]);
+				}
+			}
+			visiting[name] = false;
+			visited[name] = true;
+			order.push(nodes[name]);
+		};
+		for (const name in nodes) {
+			visit(name);
+		}
+
+		for (let i = 0; i < order.length; i++) {
+			const node = order[i];
+			const pipeline = node.settings.hasOwnProperty('pipeline') ?
+				node.settings.pipeline :
+				consumerCounts[node.name] > 0 && outputs.indexOf(node.name) < 0;
+			if (node.kernel === null) {
+				node.kernel = this.gpu.createKernel(node.source, Object.assign({}, node.settings, { pipeline }));
+			} else if (this.gpu.mode !== 'dev') {
+				node.kernel.setPipeline(pipeline);
+			}
+		}
+
+		this.outputNames = outputs;
+		this.consumerCounts = consumerCounts;
+		this.order = order;
+	}
+
+	/**
+	 * @desc Run each node of the graph, after the nodes it consumes. Textures of intermediate nodes are released once
+	 * their last consumer has run, so the textures of immutable kernels are pooled to be used again.
+	 * @param {Object} [inputs] - inputs of the graph, by name
+	 * @returns {Object} results of the output nodes, by name
+	 */
+	run(inputs) {
+		if (this.order === null) {
+			this.build();
+		}
+		inputs = inputs || {};
+		const nodes = this.nodes;
+		const outputs = this.outputNames;
+		const remaining = Object.assign({}, this.consumerCounts);
+		const results = {};
+
+		for (let i = 0; i < this.order.length; i++) {
+			const node = this.order[i];
+			const args = [];
+			for (let j = 0; j < node.inputs.length; j++) {
+				const input = node.inputs[j];
+				if (nodes.hasOwnProperty(input)) {
+					args.push(results[input]);
+				} else if (inputs.hasOwnProperty(input)) {
+					args.push(inputs[input]);
+				} else {
+					throw new Error(`Graph input "${ input }" of node "${ node.name }" is missing`);
+				}
+			}
+
+			results[node.name] = node.kernel.apply(null, args);
+
+			for (let j = 0; j < node.inputs.length; j++) {
+				const input = node.inputs[j];
+				if (!nodes.hasOwnProperty(input) || --remaining[input] > 0) continue;
+				const result = results[input];
+				if (result instanceof Texture && outputs.indexOf(input) < 0) {
+					result.release();
+				}
+			}
+		}
+
+		const outputResults = {};
+		for (let i = 0; i < outputs.length; i++) {
+			outputResults[outputs[i]] = results[outputs[i]];
+		}
+		return outputResults;
+	}
+}
+
+module.exports = {
+	Graph
+};
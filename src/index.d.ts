@@ -4,6 +4,7 @@ export class GPU {
   static isHeadlessGLSupported: boolean;
   static isWebGLSupported: boolean;
   static isWebGL2Supported: boolean;
+  static isWasmSupported: boolean;
   static isKernelMapSupported: boolean;
   static isOffscreenCanvasSupported: boolean;
   static isGPUHTMLImageArraySupported: boolean;
@@ -11,12 +12,22 @@ export class GPU {
   constructor(settings?: IGPUSettings);
   functions: IGPUFunction[];
   nativeFunctions: IGPUNativeFunction[];
+  plugins: IPlugin[];
   addFunction(kernel: KernelFunction, settings?: IGPUFunctionSettings): this;
   addNativeFunction(name: string, source: string): this;
+  addPlugin(plugin: IPlugin): this;
   combineKernels(): KernelFunction;
   createKernel(kernel: KernelFunction, settings?: IKernelSettings): IKernelRunShortcut;
   createKernelMap(): IKernelRunShortcut;
+  createGraph(): Graph;
+  createScatterKernel(kernel: KernelFunction, settings: IScatterKernelSettings): IScatterKernelRunShortcut;
+  createTexture(value: number[] | number[][] | number[][][] | Float32Array, settings?: ICreateTextureSettings): Texture;
   destroy(): void;
+  getMemoryStats(): IMemoryStats;
+  reduce(values: KernelVariable, operation: ReduceOperation, settings?: IReduceSettings): number | Texture;
+  scan(values: KernelVariable, settings?: IScanSettings): Float32Array | Texture;
+  sort(values: KernelVariable, settings?: ISortSettings): Float32Array | Texture | ISortResult;
+  updateTexture(texture: Texture, values: number[] | number[][] | Float32Array, offset?: number | number[]): Texture;
   Kernel: typeof Kernel;
   mode: string;
   canvas: any;
@@ -37,7 +48,7 @@ export interface INativeFunctionList {
   [functionName: string]: string
 }
 
-export type GPUMode = 'gpu' | 'cpu' | 'dev';
+export type GPUMode = 'gpu' | 'cpu' | 'wasm' | 'dev';
 export type GPUInternalMode = 'webgl' | 'webgl2' | 'headlessgl';
 
 export interface IGPUSettings {
@@ -46,6 +57,7 @@ export interface IGPUSettings {
   context?: object;
   functions?: KernelFunction[];
   nativeFunctions?: INativeFunctionList;
+  plugins?: IPlugin[];
 }
 
 export type GPUVariableType
@@ -55,8 +67,12 @@ export type GPUVariableType
   | 'Array(4)'
   | 'HTMLImage'
   | 'HTMLImageArray'
+  | 'Matrix(2)'
+  | 'Matrix(3)'
+  | 'Matrix(4)'
   | 'Number'
   | 'NumberTexture'
+  | 'Object'
   | 'ArrayTexture(4)';
 
 export interface IGPUArgumentTypes {
@@ -64,6 +80,7 @@ export interface IGPUArgumentTypes {
 }
 
 export interface IGPUFunctionSettings {
+  name?: string;
   argumentTypes?: IGPUArgumentTypes,
   returnType: GPUVariableType;
 }
@@ -135,12 +152,17 @@ export class Kernel {
   exec(): Promise<KernelOutput>;
   setOutput(flag: any): this;
   setArgumentTypes(flag: any): this;
+  setReturnType(flag: string): this;
+  setStrictTypes(flag: boolean): this;
+  setRandomSeed(seed: number | null): this;
+  setPrecision(precision: 'single' | 'double'): this;
   setDebug(flag: boolean): this;
   setGraphical(flag: boolean): this;
   setLoopMaxIterations(flag: number): this;
   setConstants(flag: object): this;
   setPipeline(flag: boolean): this;
   setImmutable(flag: boolean): this;
+  setCpuWorkers(cpuWorkers: number): this;
   setCanvas(flag: any): this;
   setContext(flag: any): this;
 }
@@ -171,6 +193,60 @@ export interface IKernelSettings {
   pipeline?: boolean;
   immutable?: boolean;
   graphical?: boolean;
+  returnType?: string;
+  strictTypes?: boolean;
+  randomSeed?: number;
+  precision?: 'single' | 'double';
+  plugins?: IPlugin[];
+  cpuWorkers?: number;
+  argumentTypes?: IGPUArgumentTypes | GPUVariableType[];
+  constantTypes?: IGPUArgumentTypes;
+}
+
+export type ReduceOperation = 'sum' | 'min' | 'max' | 'argmax' | ((a: number, b: number) => number);
+
+export interface IReduceSettings {
+  pipeline?: boolean;
+}
+
+export interface IScanSettings {
+  op?: 'add' | 'mul' | 'min' | 'max';
+  inclusive?: boolean;
+  pipeline?: boolean;
+}
+
+export interface ISortSettings {
+  keyOnly?: boolean;
+  descending?: boolean;
+  pipeline?: boolean;
+}
+
+export interface ISortResult {
+  keys: Float32Array | Texture;
+  indices: Int32Array | Texture;
+}
+
+export interface IGraphNodeSettings extends IKernelSettings {
+  inputs?: string[];
+}
+
+export class Graph {
+  constructor(gpu: GPU);
+  addNode(name: string, source: KernelFunction | IKernelRunShortcut, settings?: IGraphNodeSettings): this;
+  setOutputs(outputs: string[]): this;
+  run(inputs?: { [inputName: string]: KernelVariable }): { [outputName: string]: KernelOutput };
+}
+
+export interface IScatterKernelSettings extends IKernelSettings {
+  threads: number[] | IKernelXYZ;
+}
+
+export interface IScatterKernelRunShortcut {
+  threadKernel: IKernelRunShortcut;
+  output: number[];
+  (...args: KernelVariable[]): Float32Array | Float32Array[] | Float32Array[][];
+  setOutput(output: number[] | IKernelXYZ): this;
+  destroy(): void;
 }
 
 export interface IKernelRunShortcut extends Kernel {
@@ -202,6 +278,8 @@ export interface IKernelRunShortcut extends Kernel {
 export interface IKernelFeatures {
   kernelMap: boolean;
   isIntegerDivisionAccurate: boolean;
+  isHighIntExact?: boolean;
+  isAsyncExec: boolean;
 }
 
 export interface IKernelFunctionThis {
@@ -210,9 +288,13 @@ export interface IKernelFunctionThis {
   constants: IConstantsThis;
 }
 
-export type KernelVariable = number | number[] | number[][] | number[][][] | Texture | HTMLImageElement | HTMLImageElement[];
+export type KernelVariable = number | number[] | number[][] | number[][][] | Texture | HTMLImageElement | HTMLImageElement[] | IKernelObject;
 
-export type ThreadKernelVariable = number | number[] | number[][] | number[][][];
+export interface IKernelObject {
+  [fieldName: string]: number | number[] | number[][] | number[][][] | Texture;
+}
+
+export type ThreadKernelVariable = number | number[] | number[][] | number[][][] | IKernelObject;
 export type KernelFunction = ((
   this: IKernelFunctionThis,
   arg1?: ThreadKernelVariable,
@@ -259,6 +341,7 @@ export interface IFunctionSettings {
   returnType?: string;
   isRootKernel?: boolean;
   isSubKernel?: boolean;
+  strictTypes?: boolean;
   onNestedFunction?(source: string, returnType: string): void;
   lookupReturnType?(functionName: string): void;
   plugins?: any[];
@@ -299,18 +382,66 @@ export class FunctionNode implements IFunctionSettings {
 export class WebGLFunctionNode extends FunctionNode {}
 export class WebGL2FunctionNode extends WebGLFunctionNode {}
 export class CPUFunctionNode extends FunctionNode {}
+export class WasmFunctionNode extends FunctionNode {}
 
 export class Texture {
-  toArray(): TextureArrayOutput
+  toArray(options?: ITextureToArrayOptions): TextureArrayOutput
+  clone(): Texture;
+  slice(offset: number[], size: number[]): Texture;
+  reshape(output: number[]): Texture;
+  update(values: number[] | Float32Array, offset?: number | number[]): this;
+  release(): void;
+  delete(): void;
+}
+
+export interface ICreateTextureSettings {
+  output?: number[];
+  type?: 'NumberTexture' | 'ArrayTexture(4)';
+}
+
+export interface IMemoryStats {
+  liveBytes: number;
+  pooledBytes: number;
+  liveTextures: number;
+  pooledTextures: number;
+}
+
+export type TextureArrayOutput = number[] | number[][] | number[][][] | Float32Array | Float32Array[] | Float32Array[][] | Int32Array | Int32Array[] | Int32Array[][];
+
+export interface ITextureToArrayOptions {
+  target?: Float32Array | Int32Array;
+  region?: ITextureRegion;
+  flat?: boolean;
+}
+
+export interface ITextureRegion {
+  x?: number;
+  y?: number;
+  z?: number;
+  width?: number;
+  height?: number;
+  depth?: number;
 }
 
-export type TextureArrayOutput = number[] | number[][] | number[][][];
+export type PluginFunctionReplace = string | ((ast: any, functionNode: FunctionNode) => string);
 
 export interface IPlugin {
-  source: string;
   name: string;
-  functionMatch: string;
-  functionReplace: string;
-  functionReturnType: GPUVariableType;
-  onBeforeRun: (kernel: Kernel) => void;
+  source?: string;
+  cpuSource?: string;
+  functionMatch?: string;
+  functionReplace?: PluginFunctionReplace;
+  cpuFunctionReplace?: PluginFunctionReplace;
+  functionReturnType?: GPUVariableType;
+  onBuild?: (kernel: Kernel) => void;
+  onBeforeRun?: (kernel: Kernel) => void;
+  onAfterRun?: (kernel: Kernel, result: KernelOutput) => void;
+}
+
+export interface ITriangleNoisePlugin extends IPlugin {
+  seeded(seed: number): IPlugin;
 }
+
+export const triangleNoise: ITriangleNoisePlugin;
+
+export const counterRandom: IPlugin;
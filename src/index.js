@@ -45,8 +45,19 @@ const {
 	WebGL2Kernel
 } = require('./backend/web-gl2/kernel');
 
+const {
+	WasmFunctionNode
+} = require('./backend/wasm/function-node');
+const {
+	WasmKernel
+} = require('./backend/wasm/kernel');
+
+const counterRandom = require('./plugins/counter-random');
+const triangleNoise = require('./plugins/triangle-noise');
+
 module.exports = {
 	alias,
+	counterRandom,
 	CPUFunctionNode,
 	CPUKernel,
 	GPU,
@@ -56,7 +67,10 @@ module.exports = {
 	Input,
 	input,
 	Texture,
+	triangleNoise,
 	utils,
+	WasmFunctionNode,
+	WasmKernel,
 	WebGL2FunctionNode,
 	WebGL2Kernel,
 	WebGLFunctionNode,
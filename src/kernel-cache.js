@@ -0,0 +1,60 @@
+/**
+ * @desc [INTERNAL] Kernels of a gpu by key, such as the passes of reduce, scan and sort for each size of values.
+ * Only the most recently used `maxKernels` are kept, the others are destroyed, so the kernels of many sizes
+ * do not pile up.
+ */
+class KernelCache {
+	/**
+	 *
+	 * @param {GPU} gpu
+	 * @param {Number} [maxKernels]
+	 */
+	constructor(gpu, maxKernels) {
+		this.gpu = gpu;
+		this.maxKernels = maxKernels || 32;
+
+		/**
+		 * Kernels by key, the least recently used first
+		 * @type {Map<String,Function>}
+		 */
+		this.kernels = new Map();
+	}
+
+	/**
+	 * @desc Get the kernel of key, creating it the first time
+	 * @param {String} key
+	 * @param {Function} create - returns a new kernel
+	 * @returns {Function} kernel
+	 */
+	get(key, create) {
+		let kernel = this.kernels.get(key);
+		if (kernel) {
+			this.kernels.delete(key);
+		} else {
+			kernel = create();
+		}
+		this.kernels.set(key, kernel);
+		while (this.kernels.size > this.maxKernels) {
+			const oldestKey = this.kernels.keys().next().value;
+			this.destroyKernel(this.kernels.get(oldestKey));
+			this.kernels.delete(oldestKey);
+		}
+		return kernel;
+	}
+
+	/**
+	 * @desc Destroy a kernel, and remove it from the kernels of the gpu
+	 * @param {Function} kernel
+	 */
+	destroyKernel(kernel) {
+		const index = this.gpu.kernels.indexOf(kernel);
+		if (index > -1) {
+			this.gpu.kernels.splice(index, 1);
+		}
+		kernel.destroy();
+	}
+}
+
+module.exports = {
+	KernelCache
+};
@@ -0,0 +1,131 @@
+const {
+	utils
+} = require('../utils');
+
+// counter based generator: every call hashes the seed, the thread, and how many calls the thread has made,
+// so the values of a thread don't depend on any other thread, and repeat with the same seed.
+// the hash works on 32 bit unsigned integers, stored in glsl as 16 bit halves vec2(high, low), with every
+// float operation kept under 24 bits so it is exact, which gives the same values on every backend.
+const source = `
+uniform highp vec2 counter_random_seed;
+highp float counter_random_counter = 0.0;
+highp vec3 counter_random_thread = vec3(-1.0);
+
+highp float counterRandomMod(highp float value, highp float divisor) {
+	return value - floor(value / divisor) * divisor;
+}
+
+highp vec2 counterRandomAdd(highp vec2 a, highp vec2 b) {
+	highp float low = a.y + b.y;
+	highp float carry = floor(low / 65536.0);
+	return vec2(counterRandomMod(a.x + b.x + carry, 65536.0), low - carry * 65536.0);
+}
+
+// a >> 15
+highp vec2 counterRandomShift15(highp vec2 a) {
+	return vec2(floor(a.x / 32768.0), counterRandomMod(a.x, 32768.0) * 2.0 + floor(a.y / 32768.0));
+}
+
+// a * constant, with the bytes of the constant from lowest to highest
+highp vec2 counterRandomMultiply(highp vec2 a, highp vec4 bytes) {
+	highp float low = a.y * bytes.x + counterRandomMod(a.y * bytes.y, 256.0) * 256.0;
+	highp float carry = floor(low / 65536.0);
+	highp float high = carry
+		+ floor(a.y * bytes.y / 256.0)
+		+ counterRandomMod(a.x * bytes.x, 65536.0)
+		+ counterRandomMod(a.x * bytes.y, 256.0) * 256.0
+		+ counterRandomMod(a.y * bytes.z, 65536.0)
+		+ counterRandomMod(a.y * bytes.w, 256.0) * 256.0;
+	return vec2(counterRandomMod(high, 65536.0), low - carry * 65536.0);
+}
+
+highp vec2 counterRandomHash(highp vec2 x) {
+	x = counterRandomAdd(x, vec2(0.0, x.x));
+	x = counterRandomMultiply(x, vec4(45.0, 53.0, 235.0, 127.0));
+	x = counterRandomAdd(x, counterRandomShift15(x));
+	x = counterRandomMultiply(x, vec4(139.0, 166.0, 108.0, 132.0));
+	return counterRandomAdd(x, vec2(0.0, x.x));
+}
+
+highp float counterRandom(ivec3 thread) {
+	highp vec3 threadPosition = vec3(thread);
+	if (threadPosition != counter_random_thread) {
+		counter_random_thread = threadPosition;
+		counter_random_counter = 0.0;
+	}
+	counter_random_counter += 1.0;
+	highp vec2 value = counterRandomHash(counter_random_seed);
+	value = counterRandomHash(counterRandomAdd(value, vec2(0.0, threadPosition.x)));
+	value = counterRandomHash(counterRandomAdd(value, vec2(0.0, threadPosition.y)));
+	value = counterRandomHash(counterRandomAdd(value, vec2(0.0, threadPosition.z)));
+	value = counterRandomHash(counterRandomAdd(value, vec2(0.0, counter_random_counter)));
+	// the highest 24 bits, which float holds exactly
+	return (value.x * 256.0 + floor(value.y / 256.0)) / 16777216.0;
+}`;
+
+// javascript version of the above, used by the cpu backend
+const cpuSource = `
+const counterRandomThread = [-1, -1, -1];
+let counterRandomRun = -1;
+let counterRandomCounter = 0;
+function counterRandomHash(x) {
+  x = (x + (x >>> 16)) >>> 0;
+  x = Math.imul(x, 0x7feb352d) >>> 0;
+  x = (x + (x >>> 15)) >>> 0;
+  x = Math.imul(x, 0x846ca68b) >>> 0;
+  return (x + (x >>> 16)) >>> 0;
+}
+function counterRandom(seed, run, thread) {
+  if (run !== counterRandomRun || thread.x !== counterRandomThread[0] || thread.y !== counterRandomThread[1] || thread.z !== counterRandomThread[2]) {
+    counterRandomRun = run;
+    counterRandomThread[0] = thread.x;
+    counterRandomThread[1] = thread.y;
+    counterRandomThread[2] = thread.z;
+    counterRandomCounter = 0;
+  }
+  counterRandomCounter++;
+  let value = counterRandomHash(seed);
+  value = counterRandomHash((value + thread.x) >>> 0);
+  value = counterRandomHash((value + thread.y) >>> 0);
+  value = counterRandomHash((value + thread.z) >>> 0);
+  value = counterRandomHash((value + counterRandomCounter) >>> 0);
+  return (value >>> 8) / 16777216;
+}`;
+
+const name = 'counter-random';
+
+const functionMatch = 'Math.random()';
+
+const functionReplace = 'counterRandom(threadId)';
+
+const cpuFunctionReplace = 'counterRandom(_this.counterRandomSeed, _this.counterRandomRun, _this.thread)';
+
+const functionReturnType = 'Number';
+
+const onBeforeRun = (kernel) => {
+	const seed = kernel.randomSeed !== null && kernel.randomSeed !== undefined ?
+		utils.createSeededRandom(kernel.randomSeed)() * 4294967296 >>> 0 :
+		Math.random() * 4294967296 >>> 0;
+	if (kernel.setUniform2f) {
+		kernel.setUniform2f('counter_random_seed', seed >>> 16, seed & 0xffff);
+	} else {
+		// each run restarts the counters of threads, as every fragment does on gpu
+		kernel.counterRandomSeed = seed;
+		kernel.counterRandomRun = (kernel.counterRandomRun || 0) + 1;
+	}
+};
+
+/**
+ *
+ * @type IPlugin
+ */
+module.exports = {
+	name,
+	onBeforeRun,
+	functionMatch,
+	functionReplace,
+	cpuFunctionReplace,
+	functionReturnType,
+	source,
+	cpuSource
+};
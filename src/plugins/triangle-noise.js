@@ -1,3 +1,7 @@
+const {
+	utils
+} = require('../utils');
+
 const source = `
 
 uniform highp float triangle_noise_seed;
@@ -27,18 +31,99 @@ float n4rand( vec2 n )
 	return result;
 }`;
 
+// javascript port of the above, used by the cpu backend.
+// Each thread gets its own coordinate, as vTexCoord does, and shift restarts with each thread.
+const cpuSource = `
+let triangleNoiseShift = 0.000001;
+let triangleNoiseIndex = -1;
+let triangleNoiseLastSeed = -1;
+function triangleNoiseNRand(x, y) {
+  const value = Math.sin(x * 12.9898 + y * 78.233) * 43758.5453;
+  return value - Math.floor(value);
+}
+function triangleNoiseN4Rand(seed, thread, output) {
+  const width = output[0];
+  const height = output[1] || 1;
+  const depth = output[2] || 1;
+  const index = thread.x + width * (thread.y + height * thread.z);
+  if (index !== triangleNoiseIndex || seed !== triangleNoiseLastSeed) {
+    triangleNoiseIndex = index;
+    triangleNoiseLastSeed = seed;
+    triangleNoiseShift = 0.000001;
+  }
+  const size = Math.ceil(Math.sqrt(width * height * depth));
+  const x = (index % size + 0.5) / size;
+  const y = (Math.floor(index / size) + 0.5) / size;
+  const seedShift = seed + triangleNoiseShift;
+  const t = seedShift - Math.floor(seedShift);
+  const result = (
+    triangleNoiseNRand(x + 0.07 * t, y + 0.07 * t) +
+    triangleNoiseNRand(x + 0.11 * t, y + 0.11 * t) +
+    triangleNoiseNRand(x + 0.13 * t, y + 0.13 * t) +
+    triangleNoiseNRand(x + 0.17 * t, y + 0.17 * t)
+  ) / 4;
+  triangleNoiseShift = result + 0.000001;
+  return result;
+}`;
+
 const name = 'triangle-noise-noise';
 
 const functionMatch = 'Math.random()';
 
 const functionReplace = 'n4rand(vTexCoord)';
 
+const cpuFunctionReplace = 'triangleNoiseN4Rand(_this.triangleNoiseSeed, _this.thread, _this.output)';
+
 const functionReturnType = 'Number';
 
+/**
+ * @desc Set the seed of a run, as a uniform on gpu, or for cpuSource
+ * @param {Kernel} kernel
+ * @param {Number} seed
+ */
+function setSeed(kernel, seed) {
+	if (kernel.setUniform1f) {
+		kernel.setUniform1f('triangle_noise_seed', seed);
+	} else {
+		kernel.triangleNoiseSeed = seed;
+	}
+}
+
+/**
+ * @desc The seed of a run, fixed by the kernel's randomSeed when it has one
+ * @param {Kernel} kernel
+ * @param {Function} random - used for the seed otherwise
+ * @returns {Number}
+ */
+function getRunSeed(kernel, random) {
+	if (kernel.randomSeed !== null && kernel.randomSeed !== undefined) {
+		return utils.createSeededRandom(kernel.randomSeed)();
+	}
+	return random();
+}
+
 const onBeforeRun = (kernel) => {
-	kernel.setUniform1f('triangle_noise_seed', Math.random());
+	setSeed(kernel, getRunSeed(kernel, Math.random));
 };
 
+/**
+ * @desc Create the plugin in seeded mode, where the seed of each run comes from `seed` rather than `Math.random()`.
+ * Every kernel built with it repeats the same seeds, so cpu and gpu runs are comparable.
+ * @param {Number} seed
+ * @returns {IPlugin}
+ */
+function seeded(seed) {
+	const randoms = new WeakMap();
+	return Object.assign({}, module.exports, {
+		onBuild: (kernel) => {
+			randoms.set(kernel, utils.createSeededRandom(seed));
+		},
+		onBeforeRun: (kernel) => {
+			setSeed(kernel, getRunSeed(kernel, randoms.get(kernel)));
+		},
+	});
+}
+
 /**
  *
  * @type IPlugin
@@ -48,6 +133,9 @@ module.exports = {
 	onBeforeRun,
 	functionMatch,
 	functionReplace,
+	cpuFunctionReplace,
 	functionReturnType,
-	source
+	source,
+	cpuSource,
+	seeded
 };
\ No newline at end of file
@@ -0,0 +1,265 @@
+const {
+	utils
+} = require('./utils');
+const {
+	Input
+} = require('./input');
+const {
+	KernelCache
+} = require('./kernel-cache');
+
+/**
+ * Amount of values each thread of a reduction pass combines
+ * @type {Number}
+ */
+const groupSize = 4;
+
+/**
+ * Kernel source of how two values are combined, for each named operation
+ */
+const operations = {
+	sum: (a, b) => `${ a } + ${ b }`,
+	min: (a, b) => `Math.min(${ a }, ${ b })`,
+	max: (a, b) => `Math.max(${ a }, ${ b })`,
+};
+
+/**
+ * Value an empty array reduces to, for each named operation
+ */
+const identities = {
+	sum: 0,
+	min: Infinity,
+	max: -Infinity,
+};
+
+const javascriptOperations = {
+	sum: (a, b) => a + b,
+	min: Math.min,
+	max: Math.max,
+};
+
+/**
+ * Source of the index of the first value of a thread. Threads past the values, whose results are not used, read from
+ * the first value instead, so they do not read outside of the values.
+ */
+const startSource = `let start = this.thread.x * ${ groupSize };
+	if (start >= length) {
+		start = 0;
+	}`;
+
+/**
+ * @desc Source of a pass, each thread of which combines `groupSize` values into one
+ * @param {Function} combine - returns the source of combining two values
+ * @returns {String}
+ */
+function getCombineSource(combine) {
+	return `function(values, length) {
+	${ startSource }
+	let result = values[start];
+	for (let i = 1; i < ${ groupSize }; i++) {
+		if (start + i < length) {
+			result = ${ combine('result', 'values[start + i]') };
+		}
+	}
+	return result;
+}`;
+}
+
+/**
+ * @desc Source of an argmax pass over values, returning `[value, index]`, or only the index for the last pass
+ * @param {Boolean} returnIndex
+ * @returns {String}
+ */
+function getArgmaxSource(returnIndex) {
+	return `function(values, length) {
+	${ startSource }
+	let value = values[start];
+	let index = start;
+	for (let i = 1; i < ${ groupSize }; i++) {
+		if (start + i < length && values[start + i] > value) {
+			value = values[start + i];
+			index = start + i;
+		}
+	}
+	return ${ returnIndex ? 'index' : '[value, index]' };
+}`;
+}
+
+/**
+ * @desc Source of an argmax pass over `[value, index]` pairs, returning the pair of the largest value,
+ * or only its index for the last pass
+ * @param {Boolean} returnIndex
+ * @returns {String}
+ */
+function getArgmaxPairsSource(returnIndex) {
+	return `function(values, length) {
+	${ startSource }
+	let best = values[start];
+	for (let i = 1; i < ${ groupSize }; i++) {
+		if (start + i < length) {
+			const next = values[start + i];
+			if (next[0] > best[0]) {
+				best = next;
+			}
+		}
+	}
+	return ${ returnIndex ? 'best[1]' : '[best[0], best[1]]' };
+}`;
+}
+
+/**
+ * @desc Reduces arrays, inputs and textures to a single value, with passes each thread of which combines `groupSize`
+ * values. Each pass is a pipeline kernel with a thread for each group of values, so passes shrink as values do.
+ */
+class Reducer {
+	/**
+	 *
+	 * @param {GPU} gpu
+	 * @param {String|Function} operation - `'sum'`, `'min'`, `'max'`, `'argmax'` or a function combining two values
+	 */
+	constructor(gpu, operation) {
+		this.gpu = gpu;
+		this.operation = operation;
+
+		/**
+		 * Kernels of each pass, by argument type and size
+		 * @type {KernelCache}
+		 */
+		this.kernels = new KernelCache(gpu);
+
+		/**
+		 * Functions added to the kernels, for an operation which is a function
+		 * @type {Object[]}
+		 */
+		this.functions = null;
+
+		if (typeof operation === 'function') {
+			const source = operation.toString();
+			if (!utils.isFunctionString(source)) {
+				throw new Error('reduce operation must be a function');
+			}
+			// arrow functions are written as a named function too, so kernels can call it
+			this.functions = [{
+				source: `function reduceOperation(${ utils.getArgumentNamesFromString(source).join(', ') }) {\n${ utils.getFunctionBodyFromString(source) }\n}`,
+				argumentTypes: []
+			}];
+		} else if (operation !== 'argmax' && !operations.hasOwnProperty(operation)) {
+			throw new Error(`Unknown reduce operation "${ operation }"`);
+		}
+	}
+
+	/**
+	 * @desc Reduce values to one
+	 * @param {Array|Input|Texture} values
+	 * @param {Boolean} [pipeline] - return the value as a Texture
+	 * @returns {Number|Texture}
+	 */
+	run(values, pipeline) {
+		let length = 1;
+		const dimensions = utils.getDimensions(values);
+		for (let i = 0; i < dimensions.length; i++) {
+			length *= dimensions[i];
+		}
+		if (length === 0) {
+			if (!identities.hasOwnProperty(this.operation)) {
+				const name = typeof this.operation === 'function' ? 'a function' : `"${ this.operation }"`;
+				throw new Error(`Cannot reduce empty values with ${ name }, which has no identity value`);
+			}
+			return identities[this.operation];
+		}
+		if (this.gpu.mode === 'cpu' || this.gpu.mode === 'wasm' || this.gpu.mode === 'dev') {
+			return this._reduceArray(values, length);
+		}
+		values = utils.flattenValues(values);
+
+		let type = utils.getVariableType(values);
+		let isPairs = false;
+		while (length > groupSize) {
+			const threads = Math.ceil(length / groupSize);
+			values = this._getKernel(type, threads, false, isPairs)(values, length);
+			length = threads;
+			type = values.type;
+			isPairs = this.operation === 'argmax';
+		}
+
+		const result = this._getKernel(type, 1, true, isPairs, pipeline)(values, length);
+		return pipeline ? result : result[0];
+	}
+
+	/**
+	 * @desc Get the kernel of a pass, creating it the first time
+	 * @param {String} key - argument type
+	 * @param {Number} threads
+	 * @param {Boolean} isLast - the last pass, which returns a single number
+	 * @param {Boolean} isPairs - values are `[value, index]` pairs of argmax
+	 * @param {Boolean} [pipeline]
+	 * @returns {Function} kernel
+	 */
+	_getKernel(key, threads, isLast, isPairs, pipeline) {
+		const name = `${ key }:${ threads }:${ isLast ? 'last' : 'pass' }:${ pipeline ? 'pipeline' : '' }`;
+		return this.kernels.get(name, () => this._createKernel(threads, isLast, isPairs, pipeline));
+	}
+
+	/**
+	 * @desc Create the kernel of a pass
+	 * @param {Number} threads
+	 * @param {Boolean} isLast
+	 * @param {Boolean} isPairs
+	 * @param {Boolean} [pipeline]
+	 * @returns {Function} kernel
+	 */
+	_createKernel(threads, isLast, isPairs, pipeline) {
+		let source;
+		if (this.operation === 'argmax') {
+			source = isPairs ? getArgmaxPairsSource(isLast) : getArgmaxSource(isLast);
+		} else if (this.functions) {
+			source = getCombineSource((a, b) => `reduceOperation(${ a }, ${ b })`);
+		} else {
+			source = getCombineSource(operations[this.operation]);
+		}
+
+		const settings = {
+			output: [threads],
+			pipeline: isLast ? Boolean(pipeline) : true
+		};
+		if (this.operation === 'argmax' && !isLast) {
+			settings.returnType = 'Array(2)';
+		}
+		if (this.functions) {
+			settings.functions = this.gpu.functions.concat(this.functions);
+		}
+		return this.gpu.createKernel(source, settings);
+	}
+
+	/**
+	 * @desc Reduce values in javascript, for cpu mode
+	 * @param {Array|Input} values
+	 * @param {Number} length
+	 * @returns {Number}
+	 */
+	_reduceArray(values, length) {
+		const flat = new Float32Array(length);
+		utils.flattenTo(values instanceof Input ? values.value : values, flat);
+
+		if (this.operation === 'argmax') {
+			let index = 0;
+			for (let i = 1; i < length; i++) {
+				if (flat[i] > flat[index]) {
+					index = i;
+				}
+			}
+			return index;
+		}
+
+		const combine = this.functions ? this.operation : javascriptOperations[this.operation];
+		let result = flat[0];
+		for (let i = 1; i < length; i++) {
+			result = combine(result, flat[i]);
+		}
+		return result;
+	}
+}
+
+module.exports = {
+	Reducer
+};
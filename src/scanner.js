@@ -0,0 +1,180 @@
+const {
+	utils
+} = require('./utils');
+const {
+	Input
+} = require('./input');
+const {
+	KernelCache
+} = require('./kernel-cache');
+
+/**
+ * Kernel source of how two values are combined, for each named operation
+ */
+const operations = {
+	add: (a, b) => `${ a } + ${ b }`,
+	mul: (a, b) => `${ a } * ${ b }`,
+	min: (a, b) => `Math.min(${ a }, ${ b })`,
+	max: (a, b) => `Math.max(${ a }, ${ b })`,
+};
+
+const javascriptOperations = {
+	add: (a, b) => a + b,
+	mul: (a, b) => a * b,
+	min: Math.min,
+	max: Math.max,
+};
+
+/**
+ * The value an exclusive scan starts with, for operations which have one on the gpu
+ */
+const identities = {
+	add: 0,
+	mul: 1,
+};
+
+/**
+ * @desc Source of a Hillis-Steele step, each value of which is combined with the value `offset` before it
+ * @param {Function} combine - returns the source of combining two values
+ * @returns {String}
+ */
+function getStepSource(combine) {
+	return `function(values, offset) {
+	const x = this.thread.x;
+	if (x < offset) {
+		return values[x];
+	} else {
+		return ${ combine('values[x - offset]', 'values[x]') };
+	}
+}`;
+}
+
+/**
+ * @desc Source of the first pass of an exclusive scan, which moves each value up one, starting with identity
+ * @param {Number} identity
+ * @returns {String}
+ */
+function getShiftSource(identity) {
+	return `function(values, offset) {
+	const x = this.thread.x;
+	if (x < offset) {
+		return ${ identity };
+	} else {
+		return values[x - offset];
+	}
+}`;
+}
+
+/**
+ * @desc Scans arrays, inputs and textures, so each value is combined with all values before it.
+ * On the gpu this is done with Hillis-Steele passes, which ping-pong between two pipeline kernels.
+ */
+class Scanner {
+	/**
+	 *
+	 * @param {GPU} gpu
+	 * @param {String} op - `'add'`, `'mul'`, `'min'` or `'max'`
+	 * @param {Boolean} inclusive - each value is combined with itself, as well as all values before it
+	 */
+	constructor(gpu, op, inclusive) {
+		if (!operations.hasOwnProperty(op)) {
+			throw new Error(`Unknown scan op "${ op }"`);
+		}
+		if (!inclusive && !identities.hasOwnProperty(op)) {
+			throw new Error(`Exclusive scan with op "${ op }" is not supported`);
+		}
+		this.gpu = gpu;
+		this.op = op;
+		this.inclusive = inclusive;
+
+		/**
+		 * Kernels of each pass, by argument type and size
+		 * @type {KernelCache}
+		 */
+		this.kernels = new KernelCache(gpu);
+	}
+
+	/**
+	 * @desc Scan values
+	 * @param {Array|Input|Texture} values
+	 * @param {Boolean} [pipeline] - return the values as a Texture
+	 * @returns {Float32Array|Texture}
+	 */
+	run(values, pipeline) {
+		let length = 1;
+		const dimensions = utils.getDimensions(values);
+		for (let i = 0; i < dimensions.length; i++) {
+			length *= dimensions[i];
+		}
+		if (this.gpu.mode === 'cpu' || this.gpu.mode === 'wasm' || this.gpu.mode === 'dev') {
+			return this._scanArray(values, length);
+		}
+		values = utils.flattenValues(values);
+
+		const passes = [];
+		if (!this.inclusive) {
+			passes.push({ isShift: true, offset: 1 });
+		}
+		for (let offset = 1; offset < length || passes.length === 0; offset *= 2) {
+			passes.push({ isShift: false, offset });
+		}
+
+		for (let i = 0; i < passes.length; i++) {
+			const { isShift, offset } = passes[i];
+			const isLast = i === passes.length - 1;
+			const role = isLast ? 'last' : i % 2 === 0 ? 'ping' : 'pong';
+			const key = `${ isShift ? 'shift' : 'step' }:${ utils.getVariableType(values) }:${ role }:${ length }`;
+			values = this._getKernel(key, isShift, length, isLast ? Boolean(pipeline) : true)(values, offset);
+		}
+		return values;
+	}
+
+	/**
+	 * @desc Get the kernel of a pass, creating it the first time
+	 * @param {String} key
+	 * @param {Boolean} isShift - the first pass of an exclusive scan
+	 * @param {Number} length
+	 * @param {Boolean} pipeline
+	 * @returns {Function} kernel
+	 */
+	_getKernel(key, isShift, length, pipeline) {
+		key += pipeline ? ':pipeline' : '';
+		return this.kernels.get(key, () => {
+			const source = isShift ? getShiftSource(identities[this.op]) : getStepSource(operations[this.op]);
+			return this.gpu.createKernel(source, {
+				output: [length],
+				pipeline
+			});
+		});
+	}
+
+	/**
+	 * @desc Scan values in javascript, for cpu mode
+	 * @param {Array|Input} values
+	 * @param {Number} length
+	 * @returns {Float32Array}
+	 */
+	_scanArray(values, length) {
+		const flat = new Float32Array(length);
+		utils.flattenTo(values instanceof Input ? values.value : values, flat);
+
+		const combine = javascriptOperations[this.op];
+		const result = new Float32Array(length);
+		if (this.inclusive) {
+			result[0] = flat[0];
+			for (let i = 1; i < length; i++) {
+				result[i] = combine(result[i - 1], flat[i]);
+			}
+		} else {
+			result[0] = identities[this.op];
+			for (let i = 1; i < length; i++) {
+				result[i] = combine(result[i - 1], flat[i - 1]);
+			}
+		}
+		return result;
+	}
+}
+
+module.exports = {
+	Scanner
+};
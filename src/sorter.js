@@ -0,0 +1,194 @@
+const {
+	utils
+} = require('./utils');
+const {
+	Input
+} = require('./input');
+const {
+	KernelCache
+} = require('./kernel-cache');
+
+/**
+ * @desc Source of the first pass, which pairs each key with its index. Threads past the keys are padding,
+ * which is told apart by an index past the keys
+ */
+const pairSource = `function(keys, length) {
+	const x = this.thread.x;
+	if (x < length) {
+		return [keys[x], x];
+	} else {
+		return [0, x];
+	}
+}`;
+
+/**
+ * @desc Source of a step of the bitonic sorting network, each thread of which compares its pair with the pair `j` away,
+ * in blocks of `k` which are sorted ascending and descending in turn. Pairs are sorted by key times `direction`,
+ * then by index so the sort is stable, and padding is sorted after all keys.
+ */
+const stepSource = `function(pairs, j, k, direction, length) {
+	const x = this.thread.x;
+	const pair = pairs[x];
+	let other = pairs[x];
+	let lower = 0;
+	if (x % (2 * j) < j) {
+		other = pairs[x + j];
+		lower = 1;
+	} else {
+		other = pairs[x - j];
+	}
+	let after = 0;
+	if (pair[1] >= length) {
+		if (other[1] < length || pair[1] > other[1]) {
+			after = 1;
+		}
+	} else if (other[1] < length) {
+		if (pair[0] * direction > other[0] * direction || (pair[0] === other[0] && pair[1] > other[1])) {
+			after = 1;
+		}
+	}
+	let ascending = 0;
+	if (x % (2 * k) < k) {
+		ascending = 1;
+	}
+	if ((after + lower + ascending) % 2 === 1) {
+		return [other[0], other[1]];
+	} else {
+		return [pair[0], pair[1]];
+	}
+}`;
+
+const keySource = `function(pairs) {
+	const pair = pairs[this.thread.x];
+	return pair[0];
+}`;
+
+const indexSource = `function(pairs) {
+	const pair = pairs[this.thread.x];
+	return pair[1];
+}`;
+
+/**
+ * @desc Sorts arrays, inputs and textures. On the gpu this is done with a bitonic sorting network of pipeline kernels,
+ * which ping-pong between two textures.
+ */
+class Sorter {
+	/**
+	 *
+	 * @param {GPU} gpu
+	 */
+	constructor(gpu) {
+		this.gpu = gpu;
+
+		/**
+		 * Kernels of each pass, by argument type and size
+		 * @type {KernelCache}
+		 */
+		this.kernels = new KernelCache(gpu);
+	}
+
+	/**
+	 * @desc Sort values
+	 * @param {Array|Input|Texture} values
+	 * @param {Object} settings
+	 * @param {Boolean} settings.keyOnly - only return sorted keys, rather than `{ keys, indices }`
+	 * @param {Boolean} settings.descending
+	 * @param {Boolean} settings.pipeline - return Textures
+	 * @returns {Float32Array|Texture|Object}
+	 */
+	run(values, settings) {
+		let length = 1;
+		const dimensions = utils.getDimensions(values);
+		for (let i = 0; i < dimensions.length; i++) {
+			length *= dimensions[i];
+		}
+		if (this.gpu.mode === 'cpu' || this.gpu.mode === 'wasm' || this.gpu.mode === 'dev') {
+			return this._sortArray(values, length, settings);
+		}
+		values = utils.flattenValues(values);
+
+		let size = 1;
+		while (size < length) {
+			size *= 2;
+		}
+		const direction = settings.descending ? -1 : 1;
+		let pairs = this._getKernel(`pair:${ utils.getVariableType(values) }:${ size }`, pairSource, size, {
+			returnType: 'Array(2)'
+		})(values, length);
+		const pingPong = [
+			this._getKernel(`ping:${ size }`, stepSource, size, { returnType: 'Array(2)' }),
+			this._getKernel(`pong:${ size }`, stepSource, size, { returnType: 'Array(2)' })
+		];
+		let pass = 0;
+		for (let k = 2; k <= size; k *= 2) {
+			for (let j = k / 2; j >= 1; j /= 2) {
+				pairs = pingPong[pass % 2](pairs, j, k, direction, length);
+				pass++;
+			}
+		}
+
+		const pipeline = Boolean(settings.pipeline);
+		const keys = this._getKernel(`keys:${ length }:${ pipeline }`, keySource, length, { pipeline })(pairs);
+		if (settings.keyOnly) {
+			return keys;
+		}
+		const indices = this._getKernel(`indices:${ length }:${ pipeline }`, indexSource, length, {
+			pipeline,
+			returnType: pipeline ? 'Number' : 'Integer'
+		})(pairs);
+		return {
+			keys,
+			indices
+		};
+	}
+
+	/**
+	 * @desc Get the kernel of a pass, creating it the first time
+	 * @param {String} key
+	 * @param {String} source
+	 * @param {Number} threads
+	 * @param {Object} settings
+	 * @returns {Function} kernel
+	 */
+	_getKernel(key, source, threads, settings) {
+		return this.kernels.get(key, () => this.gpu.createKernel(source, Object.assign({
+			output: [threads],
+			pipeline: true
+		}, settings)));
+	}
+
+	/**
+	 * @desc Sort values with typed arrays, for cpu mode
+	 * @param {Array|Input} values
+	 * @param {Number} length
+	 * @param {Object} settings
+	 * @returns {Float32Array|Object}
+	 */
+	_sortArray(values, length, settings) {
+		const keys = new Float32Array(length);
+		utils.flattenTo(values instanceof Input ? values.value : values, keys);
+		if (settings.keyOnly) {
+			keys.sort();
+			return settings.descending ? keys.reverse() : keys;
+		}
+
+		const direction = settings.descending ? -1 : 1;
+		const indices = new Int32Array(length);
+		for (let i = 0; i < length; i++) {
+			indices[i] = i;
+		}
+		indices.sort((a, b) => (keys[a] - keys[b]) * direction || a - b);
+		const sortedKeys = new Float32Array(length);
+		for (let i = 0; i < length; i++) {
+			sortedKeys[i] = keys[indices[i]];
+		}
+		return {
+			keys: sortedKeys,
+			indices
+		};
+	}
+}
+
+module.exports = {
+	Sorter
+};
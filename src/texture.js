@@ -1,43 +1,447 @@
+const {
+	TexturePool
+} = require('./backend/web-gl/texture-pool');
+
+/**
+ * @desc Split a typed array into views of it
+ * @param {Float32Array|Int32Array} array
+ * @param {Number} part - length of each view
+ * @param {Number} count - views to split it into
+ * @returns {Array}
+ */
+function split(array, part, count) {
+	const result = [];
+	for (let i = 0; i < count; i++) {
+		result.push(array.subarray(i * part, (i + 1) * part));
+	}
+	return result;
+}
+
+/**
+ * Kernels which copy Textures, of each context
+ * @type {WeakMap}
+ */
+const copyKernels = new WeakMap();
+
+/**
+ * @desc Source of a kernel copying the values at an offset of a Texture
+ * @param {Boolean} isArray - values are of an `ArrayTexture(4)`
+ * @returns {String}
+ */
+function getSliceSource(isArray) {
+	return `function(value, offsetX, offsetY, offsetZ) {
+	const texel = value[this.thread.z + offsetZ][this.thread.y + offsetY][this.thread.x + offsetX];
+	return ${ isArray ? '[texel[0], texel[1], texel[2], texel[3]]' : 'texel' };
+}`;
+}
+
+/**
+ * @desc Source of a kernel copying the values of a Texture in the same order, into another output
+ * @param {Boolean} isArray - values are of an `ArrayTexture(4)`
+ * @returns {String}
+ */
+function getReshapeSource(isArray) {
+	return `function(value, width, height, outputWidth, outputHeight) {
+	const index = outputWidth * (outputHeight * this.thread.z + this.thread.y) + this.thread.x;
+	const z = Math.floor((index + 0.5) / (width * height));
+	const y = Math.floor((index - z * width * height + 0.5) / width);
+	const x = index - (z * height + y) * width;
+	const texel = value[z][y][x];
+	return ${ isArray ? '[texel[0], texel[1], texel[2], texel[3]]' : 'texel' };
+}`;
+}
+
 /**
- * @desc WebGl Texture implementation in JS
+ * @desc WebGl Texture implementation in JS. Textures from the pool of the context are referenced until released.
  * @param {Object} texture
  * @param {Array} size
  * @param {Object|Array} dimensions
  * @param {Array} output
  * @param {Object} context
  * @param {String} [type]
+ * @param {Kernel} [kernel] - kernel which output the Texture
  */
 class Texture {
-	constructor(texture, size, dimensions, output, context, type = 'NumberTexture') {
+	/**
+	 * @desc Destroy the kernels which copied Textures of a context, as GPU destroy does
+	 * @param {Object} context
+	 */
+	static destroyCopyKernels(context) {
+		if (!context) return;
+		const kernels = copyKernels.get(context);
+		if (!kernels) return;
+		for (const key in kernels) {
+			kernels[key].destroy();
+		}
+		copyKernels.delete(context);
+	}
+
+	constructor(texture, size, dimensions, output, context, type = 'NumberTexture', kernel = null) {
 		this.texture = texture;
 		this.size = size;
 		this.dimensions = dimensions;
 		this.output = output;
 		this.context = context;
-		this.kernel = null;
 		this.type = type;
+		this.kernel = kernel;
+		this.released = false;
+		this._readKernel = null;
+		TexturePool.fromContext(context).retain(texture);
+	}
+
+	/**
+	 * @desc Read the Texture from its context into a JavaScript Array, nested by each dimension of its output.
+	 * Each thread of an `ArrayTexture(4)` is read as 4 values.
+	 * @param {Object} [options]
+	 * @param {Float32Array|Int32Array} [options.target] - typed array the values are read into, flattened,
+	 * of which any nested arrays are views
+	 * @param {Object} [options.region] - `{ x, y, z, width, height, depth }` of the output to read, by default all of it
+	 * @param {Boolean} [options.flat] - return the flattened values, rather than nested arrays
+	 * @returns {Float32Array|Int32Array|Array}
+	 */
+	toArray(options) {
+		// the GPU used to be needed, to create a kernel which read the texture
+		const gpu = options && typeof options.createKernel === 'function' ? options : null;
+		if (!options || gpu) {
+			options = {};
+		}
+		const gl = this.context;
+		const format = TexturePool.fromContext(gl).getFormat(this.texture);
+		if (!format) {
+			// such as Textures of a kernel built from a string, which are read by a kernel, as they used to be
+			return this._readWithKernel(gpu);
+		}
+		const isInteger = format.type === gl.INT;
+		const isFloat = format.type === gl.FLOAT;
+		const channels = this.type === 'ArrayTexture(4)' ? 4 : 1;
+		const dimensions = this.dimensions;
+		const region = this._getRegion(options.region);
+		const length = region.width * region.height * region.depth * channels;
+
+		let values = options.target;
+		if (values) {
+			if (values.length < length) {
+				throw new Error(`toArray target has a length of ${ values.length }, but needs ${ length }`);
+			}
+			values = values.subarray(0, length);
+		} else {
+			values = isInteger ? new Int32Array(length) : new Float32Array(length);
+		}
+
+		// floats of a NumberTexture are packed 4 to a texel, otherwise each texel is a thread
+		const threadsPerTexel = isFloat && channels === 1 ? 4 : 1;
+		const texWidth = this.size[0];
+		const first = region.x + dimensions[0] * (region.y + dimensions[1] * region.z);
+		const last = region.x + region.width - 1 + dimensions[0] * (region.y + region.height - 1 + dimensions[1] * (region.z + region.depth - 1));
+		const firstRow = Math.floor(Math.floor(first / threadsPerTexel) / texWidth);
+		const rows = Math.floor(Math.floor(last / threadsPerTexel) / texWidth) - firstRow + 1;
+
+		if (length === 0) {
+			return options.flat ? values : this._nest(values, channels, region);
+		}
+		let pixels = this._readPixels(format, 0, firstRow, texWidth, rows);
+		if (!isInteger && !isFloat && channels === 1) {
+			// each texel is a float, encoded as bytes
+			pixels = new Float32Array(pixels.buffer);
+		}
+
+		// elements of pixels of each texel, and of each thread
+		const texelLength = pixels.length / (texWidth * rows);
+		const stride = channels === 1 && !isInteger ? 1 : 4;
+		const start = firstRow * texWidth * texelLength;
+		// bytes of a texel which is a thread are colors, from 0 to 1
+		const scale = !isInteger && !isFloat && channels === 4 ? 1 / 255 : 1;
+		let index = 0;
+		for (let z = region.z; z < region.z + region.depth; z++) {
+			for (let y = region.y; y < region.y + region.height; y++) {
+				for (let x = region.x; x < region.x + region.width; x++) {
+					const pixel = (x + dimensions[0] * (y + dimensions[1] * z)) * stride - start;
+					for (let channel = 0; channel < channels; channel++) {
+						values[index++] = pixels[pixel + channel] * scale;
+					}
+				}
+			}
+		}
+
+		if (options.flat) {
+			return values;
+		}
+		return this._nest(values, channels, region);
+	}
+
+	/**
+	 * @desc Read the Texture with a kernel of the GPU, for Textures of which the format is unknown
+	 * @param {GPU} gpu
+	 * @returns {Float32Array|Array}
+	 */
+	_readWithKernel(gpu) {
+		if (!gpu) {
+			throw new Error('Texture format is unknown, so toArray needs the GPU object to read it');
+		}
+		if (!this._readKernel) {
+			this._readKernel = gpu.createKernel(function(x) {
+				return x[this.thread.z][this.thread.y][this.thread.x];
+			}, {
+				output: this.output,
+				returnType: this.type === 'ArrayTexture(4)' ? 'Array(4)' : 'Number'
+			});
+		}
+		return this._readKernel(this);
+	}
+
+	/**
+	 * @desc Read a rectangle of texels of the Texture, through a framebuffer
+	 * @param {Object} format - of the texture in its pool
+	 * @param {Number} x
+	 * @param {Number} y
+	 * @param {Number} width
+	 * @param {Number} height
+	 * @returns {Int32Array|Float32Array|Uint8Array} 4 elements of each texel
+	 */
+	_readPixels(format, x, y, width, height) {
+		const gl = this.context;
+		const framebuffer = gl.createFramebuffer();
+		gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+		gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.texture, 0);
+		let pixels;
+		if (format.type === gl.INT) {
+			pixels = new Int32Array(width * height * 4);
+			gl.readPixels(x, y, width, height, gl.RGBA_INTEGER, gl.INT, pixels);
+		} else if (format.type === gl.FLOAT) {
+			pixels = new Float32Array(width * height * 4);
+			gl.readPixels(x, y, width, height, gl.RGBA, gl.FLOAT, pixels);
+		} else {
+			pixels = new Uint8Array(width * height * 4);
+			gl.readPixels(x, y, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+		}
+		gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+		gl.deleteFramebuffer(framebuffer);
+		return pixels;
 	}
 
 	/**
-	 * @desc Converts the Texture into a JavaScript Array.
-	 * @param {GPU} gpu Object
+	 * @desc Upload values into part of the Texture, so only the texels they are in are uploaded, with `texSubImage2D`.
+	 * Floats of a `NumberTexture` are packed 4 to a texel, so the values sharing a texel with the first and last value
+	 * are read from it first.
+	 * @param {Float32Array|Number[]} values - flat, 4 for each thread of an `ArrayTexture(4)`
+	 * @param {Number|Number[]} [offset] - index of the first thread, or its `[x, y, z]`
+	 * @returns {Texture}
 	 */
-	toArray(gpu) {
-		if (!gpu) throw new Error('You need to pass the GPU object for toArray to work.');
-		if (this.kernel) return this.kernel(this);
+	update(values, offset) {
+		const gl = this.context;
+		const format = TexturePool.fromContext(gl).getFormat(this.texture);
+		if (!format) {
+			throw new Error('Texture format is unknown, only Textures of a context can be updated');
+		}
+		if (format.type === gl.INT) {
+			throw new Error('Integer Textures cannot be updated');
+		}
+		const dimensions = this.dimensions;
+		if (Array.isArray(offset)) {
+			offset = (offset[0] || 0) + dimensions[0] * ((offset[1] || 0) + dimensions[1] * (offset[2] || 0));
+		}
+		offset = offset || 0;
+		const channels = this.type === 'ArrayTexture(4)' ? 4 : 1;
+		const first = offset * channels;
+		const end = first + values.length;
+		if (offset < 0 || end > dimensions[0] * dimensions[1] * dimensions[2] * channels) {
+			throw new Error(`update of ${ values.length } values at ${ offset } is outside of the Texture output [${ this.output }]`);
+		}
+		if (values.length === 0) return this;
 
-		this.kernel = gpu.createKernel(function(x) {
-			return x[this.thread.z][this.thread.y][this.thread.x];
-		}).setOutput(this.output);
+		// values of each texel, which are floats encoded as bytes when not float
+		const isFloat = format.type === gl.FLOAT;
+		const valuesPerTexel = isFloat ? 4 : 1;
+		const texWidth = this.size[0];
+		const firstTexel = Math.floor(first / valuesPerTexel);
+		const lastTexel = Math.floor((end - 1) / valuesPerTexel);
+		const texels = new Float32Array((lastTexel - firstTexel + 1) * valuesPerTexel);
+		if (first % valuesPerTexel !== 0) {
+			texels.set(this._readPixels(format, firstTexel % texWidth, Math.floor(firstTexel / texWidth), 1, 1));
+		}
+		if (end % valuesPerTexel !== 0 && (lastTexel !== firstTexel || first % valuesPerTexel === 0)) {
+			texels.set(this._readPixels(format, lastTexel % texWidth, Math.floor(lastTexel / texWidth), 1, 1), texels.length - 4);
+		}
+		texels.set(values, first - firstTexel * valuesPerTexel);
+		const pixels = isFloat ? texels : new Uint8Array(texels.buffer);
 
-		return this.kernel(this);
+		gl.activeTexture(gl.TEXTURE0 + gl.getParameter(gl.MAX_COMBINED_TEXTURE_IMAGE_UNITS) - 1);
+		gl.bindTexture(gl.TEXTURE_2D, this.texture);
+		// the texels are a partial first row, full rows, and a partial last row
+		let texel = firstTexel;
+		while (texel <= lastTexel) {
+			const x = texel % texWidth;
+			const y = Math.floor(texel / texWidth);
+			const remaining = lastTexel - texel + 1;
+			const width = x > 0 || remaining < texWidth ? Math.min(texWidth - x, remaining) : texWidth;
+			const height = width < texWidth ? 1 : Math.floor(remaining / texWidth);
+			const start = (texel - firstTexel) * 4;
+			const length = width * height;
+			gl.texSubImage2D(gl.TEXTURE_2D, 0, x, y, width, height, format.format, format.type, pixels.subarray(start, start + length * 4));
+			texel += length;
+		}
+		return this;
+	}
+
+	/**
+	 * @desc Get the region of the output to read, checked to be inside it
+	 * @param {Object} [region]
+	 * @returns {{x: Number, y: Number, z: Number, width: Number, height: Number, depth: Number}}
+	 */
+	_getRegion(region) {
+		const dimensions = this.dimensions;
+		region = Object.assign({
+			x: 0,
+			y: 0,
+			z: 0
+		}, region);
+		if (region.width === undefined) {
+			region.width = dimensions[0] - region.x;
+		}
+		if (region.height === undefined) {
+			region.height = dimensions[1] - region.y;
+		}
+		if (region.depth === undefined) {
+			region.depth = dimensions[2] - region.z;
+		}
+		if (
+			region.x < 0 || region.width < 0 || region.x + region.width > dimensions[0] ||
+			region.y < 0 || region.height < 0 || region.y + region.height > dimensions[1] ||
+			region.z < 0 || region.depth < 0 || region.z + region.depth > dimensions[2]
+		) {
+			throw new Error('toArray region is outside of the Texture output');
+		}
+		return region;
+	}
+
+	/**
+	 * @desc Nest flattened values by each dimension of the output, as views of them
+	 * @param {Float32Array|Int32Array} values
+	 * @param {Number} channels - values of each thread
+	 * @param {Object} region
+	 * @returns {Float32Array|Int32Array|Array}
+	 */
+	_nest(values, channels, region) {
+		const dimensionCount = this.output.length;
+		let result = values;
+		if (channels > 1) {
+			result = split(values, channels, values.length / channels);
+			if (dimensionCount === 1) {
+				return result;
+			}
+			const rows = [];
+			for (let i = 0; i < region.height * region.depth; i++) {
+				rows.push(result.slice(i * region.width, (i + 1) * region.width));
+			}
+			if (dimensionCount === 2) {
+				return rows;
+			}
+			const cube = [];
+			for (let i = 0; i < region.depth; i++) {
+				cube.push(rows.slice(i * region.height, (i + 1) * region.height));
+			}
+			return cube;
+		}
+		if (dimensionCount === 1) {
+			return result;
+		} else if (dimensionCount === 2) {
+			return split(result, region.width, region.height);
+		}
+		return split(result, region.width * region.height, region.depth).map(function(x) {
+			return split(x, region.width, region.height);
+		});
+	}
+
+	/**
+	 * @desc Copy the Texture, on the gpu
+	 * @returns {Texture}
+	 */
+	clone() {
+		return this.slice([0, 0, 0], this.output);
+	}
+
+	/**
+	 * @desc Copy part of the Texture, on the gpu
+	 * @param {Number[]} offset - `[x, y, z]` the part starts at, missing dimensions are 0
+	 * @param {Number[]} size - output of the part, which can have fewer dimensions than the Texture
+	 * @returns {Texture}
+	 */
+	slice(offset, size) {
+		const dimensions = this.dimensions;
+		const start = [offset[0] || 0, offset[1] || 0, offset[2] || 0];
+		for (let i = 0; i < 3; i++) {
+			if (start[i] < 0 || start[i] + (size[i] || 1) > dimensions[i]) {
+				throw new Error(`slice of size [${ size }] at [${ offset }] is outside of the Texture output [${ this.output }]`);
+			}
+		}
+		return this._copy('slice', size, start);
+	}
+
+	/**
+	 * @desc Copy the Texture into another output of as many values, in the same order, on the gpu
+	 * @param {Number[]} output
+	 * @returns {Texture}
+	 */
+	reshape(output) {
+		const dimensions = this.dimensions;
+		const newDimensions = [output[0], output[1] || 1, output[2] || 1];
+		if (newDimensions[0] * newDimensions[1] * newDimensions[2] !== dimensions[0] * dimensions[1] * dimensions[2]) {
+			throw new Error(`Cannot reshape Texture of output [${ this.output }] to [${ output }]`);
+		}
+		return this._copy('reshape', output, [dimensions[0], dimensions[1], newDimensions[0], newDimensions[1]]);
+	}
+
+	/**
+	 * @desc Run the kernel copying Textures of this type into an output, creating it the first time.
+	 * Copy kernels are immutable, so each copy is a new Texture.
+	 * @param {String} name - `'slice'` or `'reshape'`
+	 * @param {Number[]} output
+	 * @param {Number[]} args - arguments after the Texture
+	 * @returns {Texture}
+	 */
+	_copy(name, output, args) {
+		const kernel = this.kernel;
+		if (!kernel) {
+			throw new Error('Texture was not output by a kernel, so cannot be copied');
+		}
+		let kernels = copyKernels.get(this.context);
+		if (!kernels) {
+			kernels = {};
+			copyKernels.set(this.context, kernels);
+		}
+		const isArray = this.type === 'ArrayTexture(4)';
+		const key = `${ name }:${ this.type }:${ output }:${ kernel.floatTextures }:${ kernel.floatOutput }`;
+		if (!kernels.hasOwnProperty(key)) {
+			kernels[key] = new kernel.constructor(name === 'slice' ? getSliceSource(isArray) : getReshapeSource(isArray), {
+				context: this.context,
+				canvas: kernel.canvas,
+				output,
+				pipeline: true,
+				immutable: true,
+				returnType: isArray ? 'Array(4)' : 'Number',
+				floatTextures: kernel.floatTextures,
+				floatOutput: kernel.floatOutput
+			});
+		}
+		const copyKernel = kernels[key];
+		return copyKernel.run.apply(copyKernel, [this].concat(args));
+	}
+
+	/**
+	 * @desc Releases the Texture back to the pool of its context, once no kernel or other Texture references it
+	 */
+	release() {
+		if (this.released) return;
+		this.released = true;
+		TexturePool.fromContext(this.context).release(this.texture);
 	}
 
 	/**
-	 * @desc Deletes the Texture
+	 * @desc Deletes the Texture, even if referenced elsewhere
 	 */
 	delete() {
-		return this.context.deleteTexture(this.texture);
+		this.released = true;
+		return TexturePool.fromContext(this.context).delete(this.texture);
 	}
 }
 
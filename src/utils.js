@@ -8,6 +8,7 @@ const {
 const FUNCTION_NAME = /function ([^(]*)/;
 const STRIP_COMMENTS = /((\/\/.*$)|(\/\*[\s\S]*?\*\/))/mg;
 const ARGUMENT_NAMES = /([^\s,]+)/g;
+const ARROW_FUNCTION = /^\s*(\([^)]*\)|[A-Za-z_$][\w$]*)\s*=>/;
 
 /**
  *
@@ -44,7 +45,7 @@ const utils = {
 	},
 
 	/**
-	 * @desc Return TRUE, on a valid JS function string
+	 * @desc Return TRUE, on a valid JS function string, of a function or of an arrow function
 	 * Note: This does just a VERY simply sanity check. And may give false positives.
 	 *
 	 * @param {String} fn - String of JS function to validate
@@ -54,21 +55,43 @@ const utils = {
 		if (typeof fn === 'string') {
 			return (fn
 				.slice(0, 'function'.length)
-				.toLowerCase() === 'function');
+				.toLowerCase() === 'function') || utils.isArrowFunctionString(fn);
 		}
 		return false;
 	},
 
 	/**
-	 * @desc Return the function name from a JS function string
+	 * @desc Return TRUE, on a JS arrow function string, such as `(a, b) => a + b` or `a => { return a; }`
+	 * @param {String} fn - String of JS function to validate
+	 * @returns {Boolean}
+	 */
+	isArrowFunctionString(fn) {
+		return typeof fn === 'string' && ARROW_FUNCTION.test(fn.replace(STRIP_COMMENTS, ''));
+	},
+
+	/**
+	 * @desc Return the function name from a JS function string, or null for arrow functions, which have none
 	 * @param {String} funcStr - String of JS function to validate
-	 * @returns {String} Function name string (if found)
+	 * @returns {String|null} Function name string (if found)
 	 */
 	getFunctionNameFromString(funcStr) {
+		if (utils.isArrowFunctionString(funcStr)) return null;
 		return FUNCTION_NAME.exec(funcStr)[1].trim();
 	},
 
+	/**
+	 * @desc Return the body of a JS function string, where the body of an arrow function that is an expression
+	 * returns it
+	 * @param {String} funcStr - String of JS function
+	 * @returns {String}
+	 */
 	getFunctionBodyFromString(funcStr) {
+		if (utils.isArrowFunctionString(funcStr)) {
+			const body = funcStr.substring(funcStr.indexOf('=>') + 2).trim();
+			if (body[0] !== '{') {
+				return `return ${ body };`;
+			}
+		}
 		return funcStr.substring(funcStr.indexOf('{') + 1, funcStr.lastIndexOf('}'));
 	},
 
@@ -79,6 +102,10 @@ const utils = {
 	 */
 	getArgumentNamesFromString(fn) {
 		const fnStr = fn.replace(STRIP_COMMENTS, '');
+		const arrowFunction = ARROW_FUNCTION.exec(fnStr);
+		if (arrowFunction && arrowFunction[1][0] !== '(') {
+			return [arrowFunction[1]];
+		}
 		let result = fnStr.slice(fnStr.indexOf('(') + 1, fnStr.indexOf(')')).match(ARGUMENT_NAMES);
 		if (result === null) {
 			result = [];
@@ -119,7 +146,7 @@ const utils = {
 	/**
 	 * @desc Evaluate the argument type, to apply respective logic for it
 	 * @param {Object} value - The argument object to evaluate type
-	 * @returns {String}  Argument type Array/Number/Float/Texture/Unknown
+	 * @returns {String}  Argument type Array/Number/Float/Texture/Object/Unknown
 	 */
 	getVariableType(value) {
 		if (utils.isArray(value)) {
@@ -136,6 +163,8 @@ const utils = {
 			return value.type;
 		} else if (value instanceof Input) {
 			return 'Input';
+		} else if (value.constructor === Object) {
+			return 'Object';
 		} else if (value.nodeName === 'IMG') {
 			return 'HTMLImage';
 		} else {
@@ -143,6 +172,60 @@ const utils = {
 		}
 	},
 
+	/**
+	 * @desc Get the types of the numeric fields of a plain object, which kernels read as variables of their own,
+	 * 'Number' for numbers, 'Array' for arrays and the type of textures. Other fields are left out.
+	 * @param {Object} value
+	 * @returns {Object} types by field name
+	 */
+	getObjectFieldTypes(value) {
+		const fieldTypes = {};
+		for (const field in value) {
+			if (!value.hasOwnProperty(field) || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(field)) continue;
+			const fieldValue = value[field];
+			if (typeof fieldValue === 'number') {
+				fieldTypes[field] = 'Number';
+			} else if (fieldValue instanceof Texture) {
+				fieldTypes[field] = fieldValue.type;
+			} else if (fieldValue && typeof fieldValue === 'object' && utils.isArray(fieldValue) && fieldValue.length > 0 &&
+				(typeof fieldValue[0] === 'number' || utils.isArray(fieldValue[0]))) {
+				fieldTypes[field] = 'Array';
+			}
+		}
+		return fieldTypes;
+	},
+
+	/**
+	 * @desc Get the size of a `Matrix(2)`, `Matrix(3)` or `Matrix(4)` type, or null for other types
+	 * @param {String} type
+	 * @returns {Number|null}
+	 */
+	getMatrixTypeSize(type) {
+		const match = /^Matrix\(([234])\)$/.exec(type);
+		return match ? parseInt(match[1]) : null;
+	},
+
+	/**
+	 * @desc Get the values of a matrix, given as its columns or as all its values in column-major order, as a
+	 * Float32Array in column-major order, or null when the value is not a matrix of that size
+	 * @param {Array|Float32Array|Array[]} value
+	 * @param {Number} size - 2, 3 or 4
+	 * @returns {Float32Array|null}
+	 */
+	flattenMatrix(value, size) {
+		if (!value || !utils.isArray(value)) return null;
+		if (value.length === size * size && !utils.isArray(value[0])) {
+			return value.constructor === Float32Array ? value : new Float32Array(value);
+		}
+		if (value.length !== size) return null;
+		const result = new Float32Array(size * size);
+		for (let i = 0; i < size; i++) {
+			if (!utils.isArray(value[i]) || value[i].length !== size) return null;
+			result.set(value[i], i * size);
+		}
+		return result;
+	},
+
 
 	dimToTexSize(opt, dimensions, output) {
 		let numTexels = dimensions[0];
@@ -182,7 +265,7 @@ const utils = {
 		if (utils.isArray(x)) {
 			const dim = [];
 			let temp = x;
-			while (utils.isArray(temp)) {
+			while (temp !== undefined && utils.isArray(temp)) {
 				dim.push(temp.length);
 				temp = temp[0];
 			}
@@ -250,6 +333,52 @@ const utils = {
 		}
 	},
 
+	/**
+	 * @desc Values of one dimension, for kernels which read them with `this.thread.x` alone.
+	 * Textures of more dimensions are reshaped on the gpu, and arrays and inputs are flattened.
+	 * @param {Array|Input|Texture} values
+	 * @returns {Array|Float32Array|Input|Texture}
+	 */
+	flattenValues(values) {
+		const dimensions = utils.getDimensions(values);
+		if (dimensions.length < 2) {
+			return values;
+		}
+		let length = 1;
+		for (let i = 0; i < dimensions.length; i++) {
+			length *= dimensions[i];
+		}
+		if (values instanceof Texture) {
+			return values.reshape([length]);
+		}
+		const flat = new Float32Array(length);
+		utils.flattenTo(values instanceof Input ? values.value : values, flat);
+		return flat;
+	},
+
+	/**
+	 * @desc Split a number into a high and a low float32, which add up to it as a double-float
+	 * @param {Number} value
+	 * @returns {Number[]} [high, low]
+	 */
+	splitDouble(value) {
+		const high = Math.fround(value);
+		return [high, Math.fround(value - high)];
+	},
+
+	/**
+	 * @desc Get the glsl `vec2` of a number's double-float, see `splitDouble`
+	 * @param {Number} value
+	 * @returns {String}
+	 */
+	getDoubleString(value) {
+		const values = utils.splitDouble(value).map(part => {
+			const string = part.toString();
+			return /[.e]/.test(string) ? string : `${ string }.0`;
+		});
+		return `vec2(${ values[0] }, ${ values[1] })`;
+	},
+
 	/**
 	 *
 	 * @desc Splits an array into smaller arrays.
@@ -263,7 +392,7 @@ const utils = {
 	splitArray(array, part) {
 		const result = [];
 		for (let i = 0; i < array.length; i += part) {
-			result.push(new array.constructor(array.buffer, i * 4 + array.byteOffset, part));
+			result.push(new array.constructor(array.buffer, i * array.BYTES_PER_ELEMENT + array.byteOffset, part));
 		}
 		return result;
 	},
@@ -272,6 +401,9 @@ const utils = {
 		const lines = Array.isArray(source) ? source : source.split(/\r?\n/g);
 		const start = ast.loc.start;
 		const end = ast.loc.end;
+		if (start.line === end.line) {
+			return lines[start.line - 1].slice(start.column, end.column);
+		}
 		const result = [];
 		result.push(lines[start.line - 1].slice(start.column));
 		for (let i = start.line; i < end.line - 1; i++) {
@@ -281,6 +413,22 @@ const utils = {
 		return result.join('\n');
 	},
 
+	/**
+	 * @desc mulberry32, a small seeded random number generator
+	 * @param {Number} seed
+	 * @returns {Function} returning a Number in [0;1[ on each call
+	 */
+	createSeededRandom(seed) {
+		let state = seed >>> 0;
+		return () => {
+			state = (state + 0x6D2B79F5) >>> 0;
+			let t = state;
+			t = Math.imul(t ^ (t >>> 15), t | 1);
+			t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+			return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+		};
+	},
+
 	allPropertiesOf(obj) {
 		const props = [];
 
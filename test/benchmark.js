@@ -1,4 +1,4 @@
-const GPU = require('../src/index.js');
+const { GPU } = require('../src/index.js');
 const Benchmark = require('benchmark');
 
 const suite = new Benchmark.Suite();
@@ -6,6 +6,7 @@ const suite = new Benchmark.Suite();
 
 const gpuRunner = new GPU({ mode: 'webgl' });
 const cpuRunner = new GPU({ mode: 'cpu' });
+const wasmRunner = new GPU({ mode: 'wasm' });
 
 const size = 2048;
 
@@ -31,6 +32,63 @@ const myCPUFunc = cpuRunner
   .setOutput([size, size]);
 
 
+const myWasmFunc = wasmRunner
+  .createKernel(function compute() {
+    const i = this.thread.x;
+    const j = 0.89;
+    return i + j;
+  })
+  .setOutput([size, size]);
+
+
+// MATRIX MULTIPLY, on the CPU as javascript and as WebAssembly
+
+const matrixSize = 256;
+function multiplyMatrix(a, b) {
+  let sum = 0;
+  for (let i = 0; i < 256; i++) {
+    sum += a[this.thread.y][i] * b[i][this.thread.x];
+  }
+  return sum;
+}
+const cpuMultiplyMatrix = cpuRunner
+  .createKernel(multiplyMatrix)
+  .setOutput([matrixSize, matrixSize]);
+const wasmMultiplyMatrix = wasmRunner
+  .createKernel(multiplyMatrix)
+  .setOutput([matrixSize, matrixSize]);
+
+const matrix = [];
+for (let y = 0; y < matrixSize; y++) {
+  const row = new Float32Array(matrixSize);
+  for (let x = 0; x < matrixSize; x++) {
+    row[x] = Math.random();
+  }
+  matrix.push(row);
+}
+
+
+// STREAMING, a few rows of the input change each run
+
+const streamSize = 512;
+const streamRows = 4;
+function createStreamKernel() {
+  return gpuRunner
+    .createKernel(function compute(readings) {
+      return readings[this.thread.y * this.output.x + this.thread.x] * 2;
+    })
+    .setPipeline(true)
+    .setOutput([streamSize, streamSize]);
+}
+const streamArrayKernel = createStreamKernel();
+const streamTextureKernel = createStreamKernel();
+
+const readings = new Float32Array(streamSize * streamSize);
+const readingsTexture = gpuRunner.createTexture(readings);
+const changedRows = new Float32Array(streamSize * streamRows);
+let streamRow = 0;
+
+
 // add tests
 suite
   .add('gpu', () => {
@@ -39,11 +97,30 @@ suite
   .add('cpu', () => {
     myCPUFunc();
   })
+  .add('wasm', () => {
+    myWasmFunc();
+  })
+  .add('cpu matrix multiply', () => {
+    cpuMultiplyMatrix(matrix, matrix);
+  })
+  .add('wasm matrix multiply', () => {
+    wasmMultiplyMatrix(matrix, matrix);
+  })
+  .add('gpu streaming array argument', () => {
+    streamRow = (streamRow + streamRows) % streamSize;
+    readings.set(changedRows, streamRow * streamSize);
+    streamArrayKernel(readings);
+  })
+  .add('gpu streaming updateTexture', () => {
+    streamRow = (streamRow + streamRows) % streamSize;
+    gpuRunner.updateTexture(readingsTexture, changedRows, streamRow * streamSize);
+    streamTextureKernel(readingsTexture);
+  })
   // add listeners
   .on('cycle', function(event) {
     console.log(String(event.target));
   })
-  .on('complete', () => {
+  .on('complete', function() {
     console.log('Fastest is ' + this.filter('fastest').map('name'));
   })
   .run({ 'async': true });
@@ -51,6 +51,10 @@ test('addAB cpu', () => {
   addAB('cpu');
 });
 
+(GPU.isWasmSupported ? test : skip)('addAB wasm', () => {
+  addAB('wasm');
+});
+
 
 describe('features: add custom function with `this.constants.width` in loop');
 function sumAB(mode) {
@@ -109,6 +113,10 @@ test('sumAB cpu', () => {
   sumAB('cpu');
 });
 
+(GPU.isWasmSupported ? test : skip)('sumAB wasm', () => {
+  sumAB('wasm');
+});
+
 describe('features: add custom function with `this.output.x` in loop');
 function sumABThisOutputX(mode) {
   const gpu = new GPU({ mode, functions: [customAdder] });
@@ -162,3 +170,7 @@ test('sumABThisOutputX gpu', () => {
 test('sumABThisOutputX cpu', () => {
   sumABThisOutputX('cpu');
 });
+
+(GPU.isWasmSupported ? test : skip)('sumABThisOutputX wasm', () => {
+  sumABThisOutputX('wasm');
+});
@@ -59,6 +59,10 @@ test('nativeDivide cpu', () => {
   nativeDivide('cpu', jsDivide);
 });
 
+(GPU.isWasmSupported ? test : skip)('nativeDivide wasm', () => {
+  nativeDivide('wasm', jsDivide);
+});
+
 
 describe('features: instantiate native and override');
 
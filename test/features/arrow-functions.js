@@ -0,0 +1,96 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU, WebGLFunctionNode } = require('../../src');
+
+describe('features: arrow functions');
+
+function arrowKernelTest(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel((a, b) => a[this.thread.x] * b, {
+    output: [3]
+  });
+  assert.deepEqual(Array.from(kernel([1, 2, 3], 2)), [2, 4, 6]);
+  gpu.destroy();
+}
+
+test('kernel auto', () => {
+  arrowKernelTest();
+});
+
+test('kernel gpu', () => {
+  arrowKernelTest('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('kernel webgl', () => {
+  arrowKernelTest('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('kernel webgl2', () => {
+  arrowKernelTest('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('kernel headlessgl', () => {
+  arrowKernelTest('headlessgl');
+});
+
+test('kernel cpu', () => {
+  arrowKernelTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('kernel wasm', () => {
+  arrowKernelTest('wasm');
+});
+
+function arrowFunctionTest(mode) {
+  const gpu = new GPU({ mode });
+  const square = (value) => value * value;
+  gpu.addFunction(square);
+  gpu.addFunction(value => {
+    return value + 1;
+  }, { name: 'increment' });
+  const kernel = gpu.createKernel(function(a) {
+    return increment(square(a[this.thread.x]));
+  }, {
+    output: [3]
+  });
+  assert.deepEqual(Array.from(kernel([1, 2, 3])), [2, 5, 10]);
+  gpu.destroy();
+}
+
+test('function auto', () => {
+  arrowFunctionTest();
+});
+
+test('function gpu', () => {
+  arrowFunctionTest('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('function webgl', () => {
+  arrowFunctionTest('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('function webgl2', () => {
+  arrowFunctionTest('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('function headlessgl', () => {
+  arrowFunctionTest('headlessgl');
+});
+
+test('function cpu', () => {
+  arrowFunctionTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('function wasm', () => {
+  arrowFunctionTest('wasm');
+});
+
+test('glsl arrow function', () => {
+  const node = new WebGLFunctionNode('(value) => value * 2', {
+    name: 'double',
+    output: [1],
+    argumentTypes: ['Number']
+  });
+  assert.equal(node.toString(), 'float double(float user_value) {'
+    + '\nreturn (user_value*2.0);'
+    + '\n}');
+});
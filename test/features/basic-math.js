@@ -50,6 +50,10 @@ test('sumAB cpu', () => {
   sumABTest('cpu');
 });
 
+(GPU.isWasmSupported ? test : skip)('sumAB wasm', () => {
+  sumABTest('wasm');
+});
+
 
 function multABTest(mode) {
   const gpu = new GPU({ mode });
@@ -104,3 +108,7 @@ test('multAB cpu', () => {
   multABTest('cpu');
 });
 
+(GPU.isWasmSupported ? test : skip)('multAB wasm', () => {
+  multABTest('wasm');
+});
+
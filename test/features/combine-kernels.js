@@ -45,3 +45,7 @@ test('gpu', () => {
 test('cpu', () => {
   combineKernels('cpu');
 });
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  combineKernels('wasm');
+});
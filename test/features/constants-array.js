@@ -42,3 +42,7 @@ test('gpu', () => {
 test('arrayConstantTest cpu', () => {
   feature('cpu');
 });
+
+(GPU.isWasmSupported ? test : skip)('arrayConstantTest wasm', () => {
+  feature('wasm');
+});
@@ -47,3 +47,7 @@ test('gpu', () => {
 test('cpu', () => {
   floatConstantTest('cpu');
 });
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  floatConstantTest('wasm');
+});
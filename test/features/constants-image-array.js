@@ -67,3 +67,7 @@ function feature(mode, done) {
 (typeof Image !== 'undefined' ? test : skip)('cpu', t => {
   feature('cpu', t.async());
 });
+
+(typeof Image !== 'undefined' && GPU.isWasmSupported ? test : skip)('wasm', t => {
+  feature('wasm', t.async());
+});
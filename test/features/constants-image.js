@@ -56,3 +56,7 @@ function imageConstantTest(mode, done) {
 (typeof Image !== 'undefined' ? test : skip)('cpu', t => {
   imageConstantTest('cpu', t.async());
 });
+
+(typeof Image !== 'undefined' && GPU.isWasmSupported ? test : skip)('wasm', t => {
+  imageConstantTest('wasm', t.async());
+});
@@ -44,3 +44,7 @@ test('gpu', () => {
 test('cpu', () => {
   integerConstantTest('cpu');
 });
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  integerConstantTest('wasm');
+});
@@ -49,6 +49,10 @@ test('cpu', () => {
   test1D('cpu');
 });
 
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  test1D('wasm');
+});
+
 
 
 describe('features: constants texture 2d');
@@ -99,6 +103,10 @@ test('cpu', () => {
   test2D('cpu');
 });
 
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  test2D('wasm');
+});
+
 
 describe('features: constants texture 3d');
 function test3D(mode) {
@@ -147,3 +155,7 @@ test('gpu', () => {
 test('cpu', () => {
   test3D('cpu');
 });
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  test3D('wasm');
+});
@@ -0,0 +1,174 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU } = require('../../src');
+
+describe('features: cpu workers');
+
+function toArrays(value) {
+  if (ArrayBuffer.isView(value)) return Array.from(value);
+  if (Array.isArray(value)) return value.map(toArrays);
+  return value;
+}
+
+function cpuWorkersMatchRun(kernel, args, done) {
+  const expected = toArrays(kernel.apply(null, args));
+  kernel.exec.apply(null, args)
+    .then((result) => {
+      assert.deepEqual(toArrays(result), expected);
+      done();
+    })
+    .catch((err) => {
+      assert.ok(false, err.message);
+      done();
+    });
+}
+
+test('1D cpu', t => {
+  const gpu = new GPU({ mode: 'cpu' });
+  const kernel = gpu.createKernel(function(a) {
+    return a[this.thread.x] * 2;
+  }, { output: [10], cpuWorkers: 3 });
+  const done = t.async();
+  cpuWorkersMatchRun(kernel, [[1, 2, 3, 4, 5, 6, 7, 8, 9, 10]], () => {
+    gpu.destroy();
+    done();
+  });
+});
+
+test('2D cpu', t => {
+  const gpu = new GPU({ mode: 'cpu' });
+  const kernel = gpu.createKernel(function(v) {
+    return this.thread.x + this.thread.y * v;
+  }, { output: [4, 5], cpuWorkers: 2 });
+  const done = t.async();
+  cpuWorkersMatchRun(kernel, [10], () => {
+    gpu.destroy();
+    done();
+  });
+});
+
+test('3D Array(3) cpu', t => {
+  const gpu = new GPU({ mode: 'cpu' });
+  const kernel = gpu.createKernel(function() {
+    return [this.thread.x, this.thread.y, this.thread.z];
+  }, { output: [2, 3, 4], cpuWorkers: 3, returnType: 'Array(3)' });
+  const done = t.async();
+  cpuWorkersMatchRun(kernel, [], () => {
+    gpu.destroy();
+    done();
+  });
+});
+
+test('more workers than rows cpu', t => {
+  const gpu = new GPU({ mode: 'cpu' });
+  const kernel = gpu.createKernel(function() {
+    return this.thread.x * this.thread.y;
+  }, { output: [3, 2], cpuWorkers: 8 });
+  const done = t.async();
+  cpuWorkersMatchRun(kernel, [], () => {
+    gpu.destroy();
+    done();
+  });
+});
+
+test('kernel map cpu', t => {
+  const gpu = new GPU({ mode: 'cpu' });
+  const kernel = gpu.createKernelMap({
+    doubled: function double(v) {
+      return v * 2;
+    }
+  }, function(a) {
+    return double(a[this.thread.x]) + 1;
+  }, { output: [6], cpuWorkers: 4 });
+  const done = t.async();
+  const expected = kernel([1, 2, 3, 4, 5, 6]);
+  kernel.exec([1, 2, 3, 4, 5, 6])
+    .then((result) => {
+      assert.deepEqual(toArrays(result.result), toArrays(expected.result));
+      assert.deepEqual(toArrays(result.doubled), toArrays(expected.doubled));
+      gpu.destroy();
+      done();
+    });
+});
+
+test('setCpuWorkers cpu', t => {
+  const gpu = new GPU({ mode: 'cpu' });
+  const kernel = gpu.createKernel(function() {
+    return this.thread.x;
+  }, { output: [4] })
+    .setCpuWorkers(2);
+  assert.equal(kernel.cpuWorkers, 2);
+  const done = t.async();
+  kernel.exec()
+    .then((result) => {
+      assert.deepEqual(Array.from(result), [0, 1, 2, 3]);
+      gpu.destroy();
+      done();
+    });
+});
+
+test('rejects kernel errors cpu', t => {
+  const gpu = new GPU({ mode: 'cpu' });
+  const kernel = gpu.createKernel(function(a) {
+    return a[this.thread.x][0][0];
+  }, { output: [4], cpuWorkers: 2 });
+  const done = t.async();
+  kernel.exec([1, 2, 3, 4])
+    .then(() => {
+      assert.ok(false, 'resolved');
+    }, (err) => {
+      assert.ok(err instanceof Error);
+    })
+    .then(() => {
+      gpu.destroy();
+      done();
+    });
+});
+
+(GPU.isGPUSupported ? test : skip)('ignored on gpu', t => {
+  const gpu = new GPU({ mode: 'gpu' });
+  const kernel = gpu.createKernel(function() {
+    return this.thread.x;
+  }, { output: [4], cpuWorkers: 2 });
+  const done = t.async();
+  kernel.exec()
+    .then((result) => {
+      assert.deepEqual(Array.from(result), [0, 1, 2, 3]);
+      gpu.destroy();
+      done();
+    });
+});
+
+// errors are emitted on node workers, which browser workers can't do
+const isNode = typeof process !== 'undefined' && Boolean(process.versions && process.versions.node);
+
+(isNode ? test : skip)('replaces workers which error cpu', t => {
+  const gpu = new GPU({ mode: 'cpu' });
+  const kernel = gpu.createKernel(function() {
+    return this.thread.x;
+  }, { output: [4], cpuWorkers: 2 });
+  const done = t.async();
+  kernel.exec()
+    .then(() => {
+      const pool = kernel.kernel.workerPool;
+      const broken = pool.workers[0];
+      const pending = kernel.exec();
+      broken.worker.emit('error', new Error('worker crashed'));
+      assert.equal(pool.workers.indexOf(broken), -1);
+      return pending.then(() => {
+        assert.ok(false, 'resolved');
+      }, (err) => {
+        assert.equal(err.message, 'worker crashed');
+      });
+    })
+    .then(() => kernel.exec())
+    .then((result) => {
+      assert.deepEqual(Array.from(result), [0, 1, 2, 3]);
+    })
+    .catch((err) => {
+      assert.ok(false, err.message);
+    })
+    .then(() => {
+      gpu.destroy();
+      done();
+    });
+});
@@ -122,6 +122,20 @@ test('createKernelMap object 1 dimension 1 length cpu', () => {
   gpu.destroy();
 });
 
+(GPU.isWasmSupported ? test : skip)('createKernelMap object 1 dimension 1 length wasm', () => {
+  const gpu = new GPU({mode: 'wasm'});
+  const superKernel = createPropertyKernels(gpu, [1]);
+  const kernel = createKernel(gpu, [1]);
+  const output = superKernel([2], [2], [0.5]);
+  const result = Array.from(output.result);
+  const addResult = Array.from(kernel(output.addResult));
+  const divideResult = Array.from(kernel(output.divideResult));
+  assert.deepEqual(result, [8]);
+  assert.deepEqual(addResult, [4]);
+  assert.deepEqual(divideResult, [8]);
+  gpu.destroy();
+});
+
 (GPU.isKernelMapSupported ? test : skip)('createKernelMap array 1 dimension 1 length auto', () => {
   const gpu = new GPU({mode: null});
   const superKernel = createArrayKernels(gpu, [1]);
@@ -205,6 +219,19 @@ test('createKernelMap array 1 dimension 1 length cpu', () => {
   gpu.destroy();
 });
 
+(GPU.isWasmSupported ? test : skip)('createKernelMap array 1 dimension 1 length wasm', () => {
+  const gpu = new GPU({mode: 'wasm'});
+  const superKernel = createArrayKernels(gpu, [1]);
+  const output = superKernel([2], [2], [0.5]);
+  const result = Array.from(output.result);
+  const addResult = Array.from(output[0]);
+  const divideResult = Array.from(output[1]);
+  assert.deepEqual(result, [8]);
+  assert.deepEqual(addResult, [4]);
+  assert.deepEqual(divideResult, [8]);
+  gpu.destroy();
+});
+
 (GPU.isKernelMapSupported ? test : skip)('createKernelMap object 1 dimension 5 length auto', () => {
   const gpu = new GPU({mode: null});
   const superKernel = createPropertyKernels(gpu, [5]);
@@ -289,6 +316,20 @@ test('createKernelMap object 1 dimension 5 length cpu', () => {
   gpu.destroy();
 });
 
+(GPU.isWasmSupported ? test : skip)('createKernelMap object 1 dimension 5 length wasm', () => {
+  const gpu = new GPU({mode: 'wasm'});
+  const superKernel = createPropertyKernels(gpu, [5]);
+  const kernel = createKernel(gpu, [5]);
+  const output = superKernel([1,2,3,4,5], [1,2,3,4,5], [1,2,3,4,5]);
+  const result = Array.from(output.result);
+  const addResult = Array.from(kernel(output.addResult));
+  const divideResult = Array.from(kernel(output.divideResult));
+  assert.deepEqual(result, [2, 2, 2, 2, 2]);
+  assert.deepEqual(addResult, [2, 4, 6, 8, 10]);
+  assert.deepEqual(divideResult, [2, 2, 2, 2, 2]);
+  gpu.destroy();
+});
+
 (GPU.isKernelMapSupported ? test : skip)('createKernelMap array auto', () => {
   const gpu = new GPU({mode: null});
   const superKernel = createArrayKernels(gpu, [5]);
@@ -372,6 +413,19 @@ test('createKernelMap array cpu', () => {
   gpu.destroy();
 });
 
+(GPU.isWasmSupported ? test : skip)('createKernelMap array wasm', () => {
+  const gpu = new GPU({mode: 'wasm'});
+  const superKernel = createArrayKernels(gpu, [5]);
+  const output = superKernel([1,2,3,4,5], [1,2,3,4,5], [1,2,3,4,5]);
+  const result = Array.from(output.result);
+  const addResult = Array.from(output[0]);
+  const divideResult = Array.from(output[1]);
+  assert.deepEqual(result, [2, 2, 2, 2, 2]);
+  assert.deepEqual(addResult, [2, 4, 6, 8, 10]);
+  assert.deepEqual(divideResult, [2, 2, 2, 2, 2]);
+  gpu.destroy();
+});
+
 (GPU.isKernelMapSupported ? test : skip)('createKernelMap 3d auto', () => {
   const gpu = new GPU();
   function saveTarget(value) {
@@ -502,3 +556,24 @@ test('createKernelMap 3d cpu', () => {
   assert.equal(result.target[0][0].length, 3);
   gpu.destroy();
 });
+
+(GPU.isWasmSupported ? test : skip)('createKernelMap 3d wasm', () => {
+  const gpu = new GPU({ mode: 'wasm' });
+  function saveTarget(value) {
+    return value;
+  }
+  const kernel = gpu.createKernelMap({
+    target: saveTarget
+  }, function(value) {
+    return saveTarget(value);
+  }).setOutput([3,3,3]);
+  const result = kernel(1);
+  assert.equal(result.result.length, 3);
+  assert.equal(result.result[0].length, 3);
+  assert.equal(result.result[0][0].length, 3);
+
+  assert.equal(result.target.length, 3);
+  assert.equal(result.target[0].length, 3);
+  assert.equal(result.target[0][0].length, 3);
+  gpu.destroy();
+});
@@ -0,0 +1,117 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU, Texture } = require('../../src');
+
+describe('features: create texture');
+function createNumberTexture(mode) {
+  const gpu = new GPU({ mode });
+  const weights = gpu.createTexture([[1, 2, 3], [4, 5, 6]]);
+  assert.ok(weights instanceof Texture);
+  assert.deepEqual(weights.output, [3, 2]);
+  assert.deepEqual(weights.toArray().map(row => Array.from(row)), [[1, 2, 3], [4, 5, 6]]);
+
+  const scale = gpu.createKernel(function(weights, value) {
+    return weights[this.thread.y][this.thread.x] * value;
+  }, { output: [3, 2] });
+  assert.deepEqual(scale(weights, 2).map(row => Array.from(row)), [[2, 4, 6], [8, 10, 12]]);
+  assert.deepEqual(scale(weights, 3).map(row => Array.from(row)), [[3, 6, 9], [12, 15, 18]]);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('number texture auto', () => {
+  createNumberTexture();
+});
+
+(GPU.isGPUSupported ? test : skip)('number texture gpu', () => {
+  createNumberTexture('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('number texture webgl', () => {
+  createNumberTexture('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('number texture webgl2', () => {
+  createNumberTexture('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('number texture headlessgl', () => {
+  createNumberTexture('headlessgl');
+});
+
+function createFlatTexture(mode) {
+  const gpu = new GPU({ mode });
+  const values = new Float32Array([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  const texture = gpu.createTexture(values, { output: [5, 2] });
+  assert.deepEqual(texture.output, [5, 2]);
+  assert.deepEqual(Array.from(texture.toArray({ flat: true })), Array.from(values));
+  const copy = texture.slice([1, 1], [3]);
+  assert.deepEqual(Array.from(copy.toArray()), [7, 8, 9]);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('flat texture auto', () => {
+  createFlatTexture();
+});
+
+(GPU.isGPUSupported ? test : skip)('flat texture gpu', () => {
+  createFlatTexture('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('flat texture webgl', () => {
+  createFlatTexture('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('flat texture webgl2', () => {
+  createFlatTexture('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('flat texture headlessgl', () => {
+  createFlatTexture('headlessgl');
+});
+
+function createArrayTexture(mode) {
+  const gpu = new GPU({ mode });
+  const texture = gpu.createTexture([[1, 2, 3, 4], [5, 6, 7, 8]], { type: 'ArrayTexture(4)' });
+  assert.equal(texture.type, 'ArrayTexture(4)');
+  assert.deepEqual(texture.output, [2]);
+  const sum = gpu.createKernel(function(values) {
+    const value = values[this.thread.x];
+    return value[0] + value[1] + value[2] + value[3];
+  }, { output: [2] });
+  assert.deepEqual(Array.from(sum(texture)), [10, 26]);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('array texture auto', () => {
+  createArrayTexture();
+});
+
+(GPU.isGPUSupported ? test : skip)('array texture gpu', () => {
+  createArrayTexture('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('array texture webgl', () => {
+  createArrayTexture('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('array texture webgl2', () => {
+  createArrayTexture('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('array texture headlessgl', () => {
+  createArrayTexture('headlessgl');
+});
+
+test('cpu returns values', () => {
+  const gpu = new GPU({ mode: 'cpu' });
+  const values = [1, 2, 3];
+  assert.equal(gpu.createTexture(values), values);
+  assert.throws(() => gpu.createTexture(values, { type: 'Texture' }), /Unknown Texture type "Texture"/);
+  gpu.destroy();
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm returns values', () => {
+  const gpu = new GPU({ mode: 'wasm' });
+  const values = [1, 2, 3];
+  assert.equal(gpu.createTexture(values), values);
+  gpu.destroy();
+});
@@ -61,3 +61,7 @@ test("gpu", () => {
 test("cpu", () => {
   demo('cpu');
 });
+
+(GPU.isWasmSupported ? test : skip)("wasm", () => {
+  demo('wasm');
+});
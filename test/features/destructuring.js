@@ -0,0 +1,119 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU, WebGLFunctionNode } = require('../../src');
+
+describe('features: destructuring');
+
+function arrayTest(mode) {
+  const gpu = new GPU({ mode });
+  function vector(value) {
+    return [value, value * 2, value * 3];
+  }
+  gpu.addFunction(vector, { returnType: 'Array(3)' });
+  const kernel = gpu.createKernel(function(a) {
+    const v = [a[this.thread.x], 10];
+    const [x, y] = v;
+    const [first, , third] = a;
+    const [, double, triple] = vector(x);
+    return x * y + first + third + double + triple;
+  }, {
+    output: [3]
+  });
+  // x * 10 + 1 + 3 + x * 2 + x * 3
+  assert.deepEqual(Array.from(kernel([1, 2, 3])), [19, 34, 49]);
+  gpu.destroy();
+}
+
+test('array auto', () => {
+  arrayTest();
+});
+
+test('array gpu', () => {
+  arrayTest('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('array webgl', () => {
+  arrayTest('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('array webgl2', () => {
+  arrayTest('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('array headlessgl', () => {
+  arrayTest('headlessgl');
+});
+
+test('array cpu', () => {
+  arrayTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('array wasm', () => {
+  arrayTest('wasm');
+});
+
+function objectTest(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function(sphere) {
+    const { radius, scale: s } = sphere;
+    return radius * s + this.thread.x;
+  }, {
+    output: [2]
+  });
+  assert.deepEqual(Array.from(kernel({ radius: 2, scale: 3 })), [6, 7]);
+  gpu.destroy();
+}
+
+test('object auto', () => {
+  objectTest();
+});
+
+test('object gpu', () => {
+  objectTest('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('object webgl', () => {
+  objectTest('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('object webgl2', () => {
+  objectTest('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('object headlessgl', () => {
+  objectTest('headlessgl');
+});
+
+test('object cpu', () => {
+  objectTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('object wasm', () => {
+  objectTest('wasm');
+});
+
+test('unhandled rest element throws', () => {
+  const gpu = new GPU({ mode: 'cpu' });
+  const kernel = gpu.createKernel(function(a) {
+    const [x, ...rest] = a;
+    return x;
+  }, {
+    output: [1]
+  });
+  assert.throws(() => {
+    kernel([1, 2]);
+  }, /Unhandled destructuring of RestElement/);
+  gpu.destroy();
+});
+
+test('glsl destructuring', () => {
+  const node = new WebGLFunctionNode(`function(a) {
+    const [x, y] = [a[this.thread.x], 2];
+    return x + y;
+  }`, { output: [1], isRootKernel: true, argumentTypes: ['Array'] });
+  assert.equal(node.toString(), 'void kernel() {'
+    + '\nvec2 user_destructured=vec2(get(user_a, user_aSize, user_aDim, user_aBitRatio, 0, 0, threadId.x), 2.0);'
+    + '\nfloat user_x=user_destructured[0];'
+    + '\nfloat user_y=user_destructured[1];'
+    + '\nkernelResult = (user_x+user_y);return;'
+    + '\n}');
+});
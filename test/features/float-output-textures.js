@@ -25,6 +25,12 @@ test("cpu", () => {
   });
 });
 
+test("wasm", () => {
+  assert.throws(() => {
+    floatTexturesKernel(null, 'wasm');
+  });
+});
+
 (GPU.isKernelMapSupported ? test : skip)("gpu", () => {
   floatTexturesKernel('gpu');
 });
@@ -20,6 +20,10 @@ test("cpu", () => {
   floatOutputKernel('cpu');
 });
 
+(GPU.isWasmSupported ? test : skip)("wasm", () => {
+  floatOutputKernel('wasm');
+});
+
 (GPU.isFloatOutputSupported ? test : skip)("gpu", () => {
   floatOutputKernel('gpu');
 });
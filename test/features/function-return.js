@@ -38,3 +38,7 @@ test("gpu", () => {
 test("cpu", () => {
   functionReturn("cpu");
 });
+
+(GPU.isWasmSupported ? test : skip)("wasm", () => {
+  functionReturn("wasm");
+});
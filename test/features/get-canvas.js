@@ -58,3 +58,7 @@ test('gpu', () => {
 test('cpu', () => {
   getCanvasTest('cpu');
 });
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  getCanvasTest('wasm');
+});
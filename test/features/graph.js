@@ -0,0 +1,147 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU, Texture } = require('../../src');
+
+describe('features: graph');
+function graph(mode) {
+  const gpu = new GPU({ mode });
+  const scale = gpu.createKernel(function(value) {
+    return value[this.thread.x] * 2;
+  }, { output: [5] });
+  const diamond = gpu.createGraph()
+    .addNode('sum', function(a, b) {
+      return a[this.thread.x] + b[this.thread.x];
+    }, { output: [5] })
+    .addNode('square', function(sum) {
+      return sum[this.thread.x] * sum[this.thread.x];
+    }, { output: [5] })
+    .addNode('scaled', scale, { inputs: ['sum'] })
+    .addNode('difference', function(left, right) {
+      return left[this.thread.x] - right[this.thread.x];
+    }, { output: [5], inputs: ['square', 'scaled'] });
+
+  const result = diamond.run({ a: [1, 2, 3, 4, 5], b: [0, 1, 2, 3, 4] });
+  assert.deepEqual(Object.keys(result), ['difference']);
+  assert.deepEqual(Array.from(result.difference), [-1, 3, 15, 35, 63]);
+
+  const again = diamond.run({ a: [1, 1, 1, 1, 1], b: [1, 1, 1, 1, 1] });
+  assert.deepEqual(Array.from(again.difference), [0, 0, 0, 0, 0]);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('auto', () => {
+  graph();
+});
+
+(GPU.isGPUSupported ? test : skip)('gpu', () => {
+  graph('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  graph('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  graph('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  graph('headlessgl');
+});
+
+test('cpu', () => {
+  graph('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  graph('wasm');
+});
+
+describe('features: graph outputs');
+function graphOutputs(mode) {
+  const gpu = new GPU({ mode });
+  const graph = gpu.createGraph()
+    .addNode('sum', function(a, b) {
+      return a[this.thread.x] + b[this.thread.x];
+    }, { output: [3] })
+    .addNode('product', function(sum, b) {
+      return sum[this.thread.x] * b[this.thread.x];
+    }, { output: [3] })
+    .addNode('negated', function(product) {
+      return -product[this.thread.x];
+    }, { output: [3], pipeline: true })
+    .setOutputs(['sum', 'negated']);
+
+  const result = graph.run({ a: [1, 2, 3], b: [4, 5, 6] });
+  assert.deepEqual(Object.keys(result).sort(), ['negated', 'sum']);
+  assert.deepEqual(Array.from(result.sum), [5, 7, 9]);
+  if (gpu.mode !== 'cpu' && gpu.mode !== 'wasm') {
+    assert.ok(result.negated instanceof Texture);
+  }
+  assert.deepEqual(Array.from(result.negated.toArray ? result.negated.toArray() : result.negated), [-20, -35, -54]);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('auto', () => {
+  graphOutputs();
+});
+
+(GPU.isGPUSupported ? test : skip)('gpu', () => {
+  graphOutputs('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  graphOutputs('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  graphOutputs('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  graphOutputs('headlessgl');
+});
+
+test('cpu', () => {
+  graphOutputs('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  graphOutputs('wasm');
+});
+
+describe('features: graph errors');
+test('cycle', () => {
+  const gpu = new GPU({ mode: 'cpu' });
+  const graph = gpu.createGraph()
+    .addNode('first', function(second) {
+      return second[this.thread.x];
+    }, { output: [1] })
+    .addNode('second', function(first) {
+      return first[this.thread.x];
+    }, { output: [1] })
+    .setOutputs(['second']);
+  assert.throws(() => graph.run(), /Graph has a cycle through node "first"/);
+  gpu.destroy();
+});
+
+test('missing input', () => {
+  const gpu = new GPU({ mode: 'cpu' });
+  const graph = gpu.createGraph()
+    .addNode('copy', function(value) {
+      return value[this.thread.x];
+    }, { output: [1] });
+  assert.throws(() => graph.run({}), /Graph input "value" of node "copy" is missing/);
+  gpu.destroy();
+});
+
+test('unknown output and duplicate node', () => {
+  const gpu = new GPU({ mode: 'cpu' });
+  const graph = gpu.createGraph()
+    .addNode('copy', function(value) {
+      return value[this.thread.x];
+    }, { output: [1] });
+  assert.throws(() => graph.addNode('copy', function() { return 1; }), /Graph node "copy" already added/);
+  graph.setOutputs(['paste']);
+  assert.throws(() => graph.run({ value: [1] }), /Graph output "paste" is not a node/);
+  gpu.destroy();
+});
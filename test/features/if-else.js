@@ -47,6 +47,10 @@ test('cpu', () => {
   ifElseBooleanTest('cpu');
 });
 
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  ifElseBooleanTest('wasm');
+});
+
 
 describe('if else lookup');
 function ifElseLookupTest( mode ) {
@@ -89,3 +93,7 @@ test('gpu', () => {
 test('cpu', () => {
   ifElseLookupTest('cpu');
 });
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  ifElseLookupTest('wasm');
+});
@@ -70,3 +70,7 @@ function imageArrayTest(mode, done) {
 (typeof Image !== 'undefined' ? test : skip)('image array cpu', t => {
   imageArrayTest('cpu', t.async());
 });
+
+(typeof Image !== 'undefined' && GPU.isWasmSupported ? test : skip)('image array wasm', t => {
+  imageArrayTest('wasm', t.async());
+});
@@ -40,3 +40,7 @@ function imageArgumentTest(mode, done) {
 (typeof Image !== 'undefined' ? test : skip)('image argument cpu', t => {
   imageArgumentTest('cpu', t.async());
 });
+
+(typeof Image !== 'undefined' && GPU.isWasmSupported ? test : skip)('image argument wasm', t => {
+  imageArgumentTest('wasm', t.async());
+});
@@ -21,6 +21,11 @@ test("Infinity cpu", () => {
   gpu.destroy();
 });
 
+(GPU.isWasmSupported ? test : skip)("Infinity wasm", () => {
+  assert.deepEqual(input('wasm')[0], Infinity);
+  gpu.destroy();
+});
+
 test("Infinity gpu", () => {
   assert.deepEqual(input('gpu')[0], NaN);
   gpu.destroy();
@@ -38,6 +38,10 @@ test("inputX cpu", () => {
   inputX('cpu');
 });
 
+(GPU.isWasmSupported ? test : skip)("inputX wasm", () => {
+  inputX('wasm');
+});
+
 
 function inputXY(mode) {
   const gpu = new GPU({ mode });
@@ -81,6 +85,10 @@ test("inputXY cpu", () => {
   inputXY('cpu');
 });
 
+(GPU.isWasmSupported ? test : skip)("inputXY wasm", () => {
+  inputXY('wasm');
+});
+
 function inputYX(mode) {
   const gpu = new GPU({ mode });
   const kernel = gpu.createKernel(function(a) {
@@ -120,6 +128,10 @@ test("inputYX cpu", () => {
   inputYX('cpu');
 });
 
+(GPU.isWasmSupported ? test : skip)("inputYX wasm", () => {
+  inputYX('wasm');
+});
+
 function inputYXOffset(mode) {
   const gpu = new GPU({ mode });
   const kernel = gpu.createKernel(function(a) {
@@ -159,6 +171,10 @@ test("inputYXOffset cpu", () => {
   inputYXOffset('cpu');
 });
 
+(GPU.isWasmSupported ? test : skip)("inputYXOffset wasm", () => {
+  inputYXOffset('wasm');
+});
+
 function inputYXOffsetPlus1(mode) {
   const gpu = new GPU({ mode });
   const kernel = gpu.createKernel(function(a) {
@@ -198,6 +214,10 @@ test("inputYXOffsetPlus1 cpu", () => {
   inputYXOffsetPlus1('cpu');
 });
 
+(GPU.isWasmSupported ? test : skip)("inputYXOffsetPlus1 wasm", () => {
+  inputYXOffsetPlus1('wasm');
+});
+
 function inputZYX(mode) {
   const gpu = new GPU({ mode });
   const kernel = gpu.createKernel(function(a) {
@@ -237,6 +257,10 @@ test("inputZYX cpu", () => {
   inputZYX('cpu');
 });
 
+(GPU.isWasmSupported ? test : skip)("inputZYX wasm", () => {
+  inputZYX('wasm');
+});
+
 
 function inputZYXVariables(mode) {
   const gpu = new GPU({ mode });
@@ -279,3 +303,7 @@ test("inputZYXVariables gpu", () => {
 test("inputZYXVariables cpu", () => {
   inputZYXVariables('cpu');
 });
+
+(GPU.isWasmSupported ? test : skip)("inputZYXVariables wasm", () => {
+  inputZYXVariables('wasm');
+});
@@ -42,3 +42,7 @@ test('gpu', () => {
 test('cpu', () => {
   testJSONSerialize('cpu');
 });
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  testJSONSerialize('wasm');
+});
@@ -0,0 +1,130 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU, WebGLFunctionNode } = require('../../src');
+
+describe('features: local arrays');
+
+function blurTest(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function(a) {
+    const weights = [1, 2, 1, 2, 4, 2, 1, 2, 1];
+    let sum = 0;
+    for (let i = 0; i < 9; i++) {
+      sum += a[this.thread.x] * weights[i];
+    }
+    return sum;
+  }, { output: [4] });
+  assert.deepEqual(Array.from(kernel([1, 2, 3, 4])), [16, 32, 48, 64]);
+  gpu.destroy();
+}
+
+test('array literal auto', () => {
+  blurTest();
+});
+
+test('array literal gpu', () => {
+  blurTest('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('array literal webgl', () => {
+  blurTest('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('array literal webgl2', () => {
+  blurTest('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('array literal headlessgl', () => {
+  blurTest('headlessgl');
+});
+
+test('array literal cpu', () => {
+  blurTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('array literal wasm', () => {
+  blurTest('wasm');
+});
+
+function scratchTest(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function(a) {
+    const scratch = new Float32Array(this.constants.size);
+    for (let i = 0; i < this.constants.size; i++) {
+      scratch[i] = a[this.thread.x] + i;
+    }
+    let sum = 0;
+    for (let i = 0; i < this.constants.size; i++) {
+      sum += scratch[i];
+    }
+    const unset = new Float32Array(3);
+    return sum + unset[0];
+  }, {
+    output: [3],
+    constants: { size: 6 }
+  });
+  assert.deepEqual(Array.from(kernel([0, 1, 2])), [15, 21, 27]);
+  gpu.destroy();
+}
+
+test('new Float32Array auto', () => {
+  scratchTest();
+});
+
+test('new Float32Array gpu', () => {
+  scratchTest('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('new Float32Array webgl', () => {
+  scratchTest('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('new Float32Array webgl2', () => {
+  scratchTest('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('new Float32Array headlessgl', () => {
+  scratchTest('headlessgl');
+});
+
+test('new Float32Array cpu', () => {
+  scratchTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('new Float32Array wasm', () => {
+  scratchTest('wasm');
+});
+
+function variableLengthTest(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function(length) {
+    const scratch = new Float32Array(length);
+    return scratch[0];
+  }, { output: [1] });
+  assert.throws(() => {
+    kernel(4);
+  }, /Float32Array length must be a literal or constant integer above 0/);
+  gpu.destroy();
+}
+
+test('variable length throws auto', () => {
+  variableLengthTest();
+});
+
+test('variable length throws cpu', () => {
+  variableLengthTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('variable length throws wasm', () => {
+  variableLengthTest('wasm');
+});
+
+test('glsl float arrays', () => {
+  const node = new WebGLFunctionNode(`function() {
+    const values = new Float32Array(8);
+    values[1] = 2;
+    return values[1];
+  }`, { output: [1], isRootKernel: true });
+  const glsl = node.toString();
+  assert.ok(glsl.indexOf('float user_values[8];') > -1);
+  assert.ok(glsl.indexOf('user_values[1]=2.0;') > -1);
+});
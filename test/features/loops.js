@@ -51,6 +51,10 @@ test('cpu', () => {
   forLoopTest('cpu');
 });
 
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  forLoopTest('wasm');
+});
+
 
 describe('loops - for with constant');
 function forWithConstantTest(mode) {
@@ -106,6 +110,10 @@ test('forConstantLoopTest cpu', () => {
   forWithConstantTest('cpu');
 });
 
+(GPU.isWasmSupported ? test : skip)('forConstantLoopTest wasm', () => {
+  forWithConstantTest('wasm');
+});
+
 
 describe('loops - while');
 function whileLoopTest(mode) {
@@ -156,6 +164,10 @@ test('cpu', () => {
   whileLoopTest('cpu');
 });
 
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  whileLoopTest('wasm');
+});
+
 
 
 describe('loops - while with constant');
@@ -210,6 +222,10 @@ test('cpu', () => {
   whileWithConstantTest('cpu');
 });
 
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  whileWithConstantTest('wasm');
+});
+
 
 describe('loops - evil while loop');
 function evilWhileLoopTest(mode ) {
@@ -276,6 +292,10 @@ test('cpu', () => {
   evilWhileLoopTest('cpu');
 });
 
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  evilWhileLoopTest('wasm');
+});
+
 describe('loops - do while');
 function doWhileLoopTest(mode) {
   const gpu = new GPU({ mode });
@@ -326,6 +346,10 @@ test('cpu', () => {
   doWhileLoopTest('cpu');
 });
 
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  doWhileLoopTest('wasm');
+});
+
 describe('loops - do while with constant');
 function doWhileWithConstantLoop(mode) {
   const gpu = new GPU({ mode });
@@ -376,3 +400,109 @@ test('gpu', () => {
 test('cpu', () => {
   doWhileWithConstantLoop('cpu');
 });
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  doWhileWithConstantLoop('wasm');
+});
+
+describe('loops - for with nested block');
+function forWithNestedBlockTest(mode) {
+  const gpu = new GPU({ mode });
+  const f = gpu.createKernel(function(a) {
+    let largest = 0;
+    let count = 0;
+    for (let i = 0; i < 6; i++) {
+      if (a[i] > largest) {
+        largest = a[i];
+        count++;
+      }
+    }
+    return largest * 10 + count;
+  }, {
+    output : [1]
+  });
+
+  assert.deepEqual(Array.from(f([1, 3, 2, 5, 4, 6])), [64]);
+  gpu.destroy();
+}
+
+test('auto', () => {
+  forWithNestedBlockTest(null);
+});
+
+test('gpu', () => {
+  forWithNestedBlockTest('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  forWithNestedBlockTest('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  forWithNestedBlockTest('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  forWithNestedBlockTest('headlessgl');
+});
+
+test('cpu', () => {
+  forWithNestedBlockTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  forWithNestedBlockTest('wasm');
+});
+
+describe('loops - block scope');
+function sameLetInLoopsTest(mode) {
+  const gpu = new GPU({ mode });
+  const f = gpu.createKernel(function(a) {
+    let sum = 0;
+    for (let i = 0; i < a; i++) {
+      sum += i;
+    }
+    for (let i = 0; i < a; i++) {
+      let sum2 = [i, 1];
+      sum += sum2[1];
+    }
+    {
+      let sum = [1, 2];
+      a = sum[0];
+    }
+    return sum;
+  }, {
+    output : [1]
+  });
+
+  assert.deepEqual(Array.from(f(4)), [10]);
+  gpu.destroy();
+}
+
+test('auto', () => {
+  sameLetInLoopsTest(null);
+});
+
+test('gpu', () => {
+  sameLetInLoopsTest('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  sameLetInLoopsTest('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  sameLetInLoopsTest('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  sameLetInLoopsTest('headlessgl');
+});
+
+test('cpu', () => {
+  sameLetInLoopsTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  sameLetInLoopsTest('wasm');
+});
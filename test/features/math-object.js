@@ -47,6 +47,10 @@ test('sqrtAB cpu', () => {
   sqrtABTest('cpu');
 });
 
+(GPU.isWasmSupported ? test : skip)('sqrtAB wasm', () => {
+  sqrtABTest('wasm');
+});
+
 
 function mathRandom(mode) {
   const gpu = new GPU({ mode });
@@ -81,3 +85,7 @@ test('random gpu', () => {
 test('random cpu', () => {
   mathRandom('cpu');
 });
+
+(GPU.isWasmSupported ? test : skip)('random wasm', () => {
+  mathRandom('wasm');
+});
@@ -0,0 +1,202 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU, WebGLFunctionNode } = require('../../src');
+
+describe('features: matrix');
+
+function argumentTest(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function(model, point) {
+    const result = model * [point[0], point[1], point[2], 1];
+    return result[this.thread.x];
+  }, {
+    output: [4],
+    argumentTypes: { model: 'Matrix(4)' }
+  });
+  const translate = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 10, 20, 30, 1];
+  assert.deepEqual(Array.from(kernel(translate, [1, 2, 3])), [11, 22, 33, 1]);
+  const columns = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [-1, -2, -3, 1]];
+  assert.deepEqual(Array.from(kernel(columns, [1, 2, 3])), [0, 0, 0, 1]);
+  gpu.destroy();
+}
+
+test('argument auto', () => {
+  argumentTest();
+});
+
+test('argument gpu', () => {
+  argumentTest('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('argument webgl', () => {
+  argumentTest('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('argument webgl2', () => {
+  argumentTest('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('argument headlessgl', () => {
+  argumentTest('headlessgl');
+});
+
+test('argument cpu', () => {
+  argumentTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('argument wasm', () => {
+  argumentTest('wasm');
+});
+
+function localTest(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function(scale) {
+    const a = [[1, 2], [3, 4]];
+    const b = [[scale, 0], [0, 1]];
+    const product = a * b + a - a / 2;
+    const row = [1, 1] * product;
+    return product[this.thread.x][this.thread.y] + row[this.thread.x] * 10;
+  }, {
+    output: [2, 2]
+  });
+  // a * b is [[2, 4], [3, 4]], plus a / 2 is [[2.5, 5], [4.5, 6]]
+  assert.deepEqual(kernel(2).map(row => Array.from(row)), [[77.5, 109.5], [80, 111]]);
+  gpu.destroy();
+}
+
+test('local auto', () => {
+  localTest();
+});
+
+test('local gpu', () => {
+  localTest('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('local webgl', () => {
+  localTest('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('local webgl2', () => {
+  localTest('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('local headlessgl', () => {
+  localTest('headlessgl');
+});
+
+test('local cpu', () => {
+  localTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('local wasm', () => {
+  localTest('wasm');
+});
+
+function constantTest(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function(v) {
+    const rotated = this.constants.rotate * [v, 0, 1];
+    const doubled = 2 * this.constants.rotate;
+    return rotated[this.thread.x] + doubled[2][this.thread.x];
+  }, {
+    output: [3],
+    constants: {
+      rotate: [[0, 1, 0], [-1, 0, 0], [0, 0, 1]]
+    },
+    constantTypes: { rotate: 'Matrix(3)' }
+  });
+  assert.deepEqual(Array.from(kernel(5)), [0, 5, 3]);
+  gpu.destroy();
+}
+
+test('constant auto', () => {
+  constantTest();
+});
+
+test('constant gpu', () => {
+  constantTest('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('constant webgl', () => {
+  constantTest('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('constant webgl2', () => {
+  constantTest('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('constant headlessgl', () => {
+  constantTest('headlessgl');
+});
+
+test('constant cpu', () => {
+  constantTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('constant wasm', () => {
+  constantTest('wasm');
+});
+
+function wrongSizeTest(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function(m) {
+    return m[0][0];
+  }, {
+    output: [1],
+    argumentTypes: ['Matrix(3)']
+  });
+  assert.throws(() => {
+    kernel([1, 2, 3, 4]);
+  }, /Argument m is not a Matrix\(3\)/);
+  gpu.destroy();
+}
+
+test('wrong size throws auto', () => {
+  wrongSizeTest();
+});
+
+test('wrong size throws cpu', () => {
+  wrongSizeTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wrong size throws wasm', () => {
+  wrongSizeTest('wasm');
+});
+
+function unsupportedOperatorTest(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function(m) {
+    const r = m * m - 1;
+    return r[0][0];
+  }, {
+    output: [1],
+    argumentTypes: ['Matrix(2)']
+  });
+  assert.throws(() => {
+    kernel([1, 2, 3, 4]);
+  }, /Unhandled matrix expression "Matrix\(2\) - LiteralInteger"/);
+  gpu.destroy();
+}
+
+test('unsupported operator throws auto', () => {
+  unsupportedOperatorTest();
+});
+
+test('unsupported operator throws cpu', () => {
+  unsupportedOperatorTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('unsupported operator throws wasm', () => {
+  unsupportedOperatorTest('wasm');
+});
+
+test('glsl matrices', () => {
+  const node = new WebGLFunctionNode(`function(m) {
+    const scale = [[2, 0], [0, 2]];
+    const v = scale * m * [1, this.thread.x];
+    return v[0] + m[1][0];
+  }`, { output: [1], isRootKernel: true, argumentTypes: ['Matrix(2)'] });
+  const glsl = node.toString();
+  assert.ok(glsl.indexOf('mat2 user_scale=mat2(vec2(2.0, 0.0), vec2(0.0, 2.0));') > -1);
+  assert.ok(glsl.indexOf('vec2 user_v=((user_scale*user_m)*vec2(1.0, threadId.x));') > -1);
+  assert.ok(glsl.indexOf('user_m[1][0]') > -1);
+});
@@ -50,3 +50,7 @@ test('nested_sum gpu', () => {
 test('nested_sum cpu', () => {
   nestedSumABTest('cpu');
 });
+
+(GPU.isWasmSupported ? test : skip)('nested_sum wasm', () => {
+  nestedSumABTest('wasm');
+});
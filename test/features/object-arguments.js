@@ -0,0 +1,214 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU, WebGLFunctionNode } = require('../../src');
+
+describe('features: object arguments');
+
+function argumentTest(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function(sphere, scale) {
+    return sphere.radius * scale + sphere.center[this.thread.x] + sphere.grid[1][this.thread.x];
+  }, {
+    output: [3]
+  });
+  const sphere = {
+    radius: 2,
+    center: [10, 20, 30],
+    grid: [[0, 0, 0], [1, 2, 3]],
+    name: 'ignored'
+  };
+  assert.deepEqual(Array.from(kernel(sphere, 3)), [17, 28, 39]);
+  sphere.radius = 0.5;
+  assert.deepEqual(Array.from(kernel(sphere, 2)), [12, 23, 34]);
+  gpu.destroy();
+}
+
+test('argument auto', () => {
+  argumentTest();
+});
+
+test('argument gpu', () => {
+  argumentTest('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('argument webgl', () => {
+  argumentTest('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('argument webgl2', () => {
+  argumentTest('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('argument headlessgl', () => {
+  argumentTest('headlessgl');
+});
+
+test('argument cpu', () => {
+  argumentTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('argument wasm', () => {
+  argumentTest('wasm');
+});
+
+function constantTest(mode) {
+  const gpu = new GPU({ mode });
+  gpu.addFunction(function zoom(value) {
+    return value * this.constants.camera.zoom;
+  });
+  const kernel = gpu.createKernel(function() {
+    return zoom(this.constants.camera.position[this.thread.x]) + this.constants.camera.near;
+  }, {
+    output: [3],
+    constants: {
+      camera: {
+        position: [1, 2, 3],
+        zoom: 2,
+        near: 0.5
+      }
+    }
+  });
+  assert.deepEqual(Array.from(kernel()), [2.5, 4.5, 6.5]);
+  gpu.destroy();
+}
+
+test('constant auto', () => {
+  constantTest();
+});
+
+test('constant gpu', () => {
+  constantTest('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('constant webgl', () => {
+  constantTest('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('constant webgl2', () => {
+  constantTest('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('constant headlessgl', () => {
+  constantTest('headlessgl');
+});
+
+test('constant cpu', () => {
+  constantTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('constant wasm', () => {
+  constantTest('wasm');
+});
+
+function unknownFieldTest(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function(sphere) {
+    return sphere.diameter;
+  }, {
+    output: [1]
+  });
+  assert.throws(() => {
+    kernel({ radius: 1, name: 'sphere' });
+  }, /Unknown field diameter of sphere/);
+  gpu.destroy();
+}
+
+test('unknown field throws auto', () => {
+  unknownFieldTest();
+});
+
+test('unknown field throws cpu', () => {
+  unknownFieldTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('unknown field throws wasm', () => {
+  unknownFieldTest('wasm');
+});
+
+function nestedFieldTest(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function(particle) {
+    return particle.position.x;
+  }, {
+    output: [1]
+  });
+  assert.throws(() => {
+    kernel({ position: { x: 1 } });
+  }, /Nested field position.x of particle is not supported, only fields of objects that are numbers, arrays or textures are on line 2, position 11:\n particle.position.x/);
+  gpu.destroy();
+}
+
+test('nested field throws auto', () => {
+  nestedFieldTest();
+});
+
+test('nested field throws cpu', () => {
+  nestedFieldTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('nested field throws wasm', () => {
+  nestedFieldTest('wasm');
+});
+
+function fieldNameCollisionTest(mode) {
+  const gpu = new GPU({ mode });
+  const argumentKernel = gpu.createKernel(function(p, p_x) {
+    return p.x + p_x;
+  }, {
+    output: [1]
+  });
+  assert.throws(() => {
+    argumentKernel({ x: 1 }, 2);
+  }, new Error('The field "x" of argument "p" is flattened into "p_x", which is already the name of the argument "p_x"'));
+
+  const variableKernel = gpu.createKernel(function(p) {
+    const p_x = 2;
+    return p.x + p_x;
+  }, {
+    output: [1]
+  });
+  assert.throws(() => {
+    variableKernel({ x: 1 });
+  }, /Field x of p is flattened into "p_x", which is already the name of a variable/);
+
+  const constantKernel = gpu.createKernel(function() {
+    return this.constants.c.x + this.constants.c_x;
+  }, {
+    output: [1],
+    constants: {
+      c: { x: 1 },
+      c_x: 2
+    }
+  });
+  assert.throws(() => {
+    constantKernel();
+  }, new Error('The field "x" of constant "c" is flattened into "c_x", which is already the name of the constant "c_x"'));
+  gpu.destroy();
+}
+
+test('field name collision throws auto', () => {
+  fieldNameCollisionTest();
+});
+
+test('field name collision throws cpu', () => {
+  fieldNameCollisionTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('field name collision throws wasm', () => {
+  fieldNameCollisionTest('wasm');
+});
+
+test('glsl object fields', () => {
+  const node = new WebGLFunctionNode(`function(sphere) {
+    return sphere.radius + sphere.center[this.thread.x] + this.constants.camera.zoom;
+  }`, {
+    output: [1],
+    isRootKernel: true,
+    argumentTypes: ['Object'],
+    argumentFieldTypes: { sphere: { radius: 'Number', center: 'Array' } },
+    constantTypes: { camera: 'Object' },
+    constantFieldTypes: { camera: { zoom: 'Number' } }
+  });
+  const glsl = node.toString();
+  assert.ok(glsl.indexOf('user_sphere_radius+get(user_sphere_center, user_sphere_centerSize, user_sphere_centerDim, user_sphere_centerBitRatio, 0, 0, threadId.x)') > -1);
+  assert.ok(glsl.indexOf('+constants_camera_zoom') > -1);
+});
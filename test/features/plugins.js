@@ -0,0 +1,141 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU, CPUFunctionNode, WebGLFunctionNode } = require('../../src');
+
+function createHalfPlugin(calls) {
+  return {
+    name: 'half',
+    functionMatch: 'half()',
+    functionReturnType: 'Number',
+    source: 'float pluginHalf(float value) { return value * 0.5; }',
+    functionReplace: (ast, functionNode) => `pluginHalf(${ functionNode.astGeneric(ast.arguments[0], []).join('') })`,
+    cpuSource: 'function pluginHalf(value) { return value * 0.5; }',
+    cpuFunctionReplace: (ast, functionNode) => `pluginHalf(${ functionNode.astGeneric(ast.arguments[0], []).join('') })`,
+    onBuild: () => calls.push('onBuild'),
+    onBeforeRun: () => calls.push('onBeforeRun'),
+    onAfterRun: (kernel, result) => calls.push(`onAfterRun ${ result.length }`),
+  };
+}
+
+describe('features: plugins addPlugin');
+function addPlugin(mode) {
+  const calls = [];
+  const gpu = new GPU({ mode });
+  gpu.addPlugin(createHalfPlugin(calls));
+  const kernel = gpu.createKernel(function() {
+    return half(this.thread.x + 1);
+  }, { output: [3] });
+  assert.deepEqual(Array.from(kernel()), [0.5, 1, 1.5]);
+  assert.deepEqual(Array.from(kernel()), [0.5, 1, 1.5]);
+  assert.deepEqual(calls, ['onBuild', 'onBeforeRun', 'onAfterRun 3', 'onBeforeRun', 'onAfterRun 3']);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('auto', () => {
+  addPlugin();
+});
+
+(GPU.isGPUSupported ? test : skip)('gpu', () => {
+  addPlugin('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  addPlugin('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  addPlugin('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  addPlugin('headlessgl');
+});
+
+test('cpu', () => {
+  addPlugin('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  addPlugin('wasm');
+});
+
+describe('features: plugins setting');
+function pluginsSetting(mode) {
+  const calls = [];
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function() {
+    return half(4);
+  }, {
+    output: [1],
+    plugins: [createHalfPlugin(calls)]
+  });
+  assert.deepEqual(Array.from(kernel()), [2]);
+  assert.equal(calls[0], 'onBuild');
+  const unusedKernel = gpu.createKernel(function() {
+    return 1;
+  }, {
+    output: [1],
+    plugins: [createHalfPlugin(calls)]
+  });
+  assert.equal(unusedKernel.plugins.length, 0);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('auto', () => {
+  pluginsSetting();
+});
+
+(GPU.isGPUSupported ? test : skip)('gpu', () => {
+  pluginsSetting('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  pluginsSetting('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  pluginsSetting('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  pluginsSetting('headlessgl');
+});
+
+test('cpu', () => {
+  pluginsSetting('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  pluginsSetting('wasm');
+});
+
+describe('features: plugins function replacement');
+test('string functionReplace WebGLFunctionNode', () => {
+  const node = new WebGLFunctionNode('function kernel() { return Math.random(); }', {
+    isRootKernel: true,
+    output: [1],
+    plugins: [{
+      name: 'random',
+      functionMatch: 'Math.random()',
+      functionReplace: 'pluginRandom()',
+    }]
+  });
+  assert.equal(node.toString(), 'void kernel() {\nkernelResult = pluginRandom();return;\n}');
+});
+
+test('function cpuFunctionReplace CPUFunctionNode', () => {
+  const node = new CPUFunctionNode('function kernel(a) { return half(a); }', {
+    isRootKernel: true,
+    argumentTypes: ['Number'],
+    output: [1],
+    plugins: [createHalfPlugin([])]
+  });
+  assert.equal(node.getType(node.getJsAST().body.body[0].argument), 'Number');
+  assert.ok(/pluginHalf\(user_a\)/.test(node.toString()));
+});
+
+test('addPlugin requires a name', () => {
+  const gpu = new GPU({ mode: 'cpu' });
+  assert.throws(() => {
+    gpu.addPlugin({ functionMatch: 'half()' });
+  }, new Error('plugin must have a name'));
+});
@@ -0,0 +1,189 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU, WebGLFunctionNode } = require('../../src');
+
+function assertClose(actual, expected, tolerance) {
+  assert.equal(actual.length, expected.length);
+  for (let i = 0; i < expected.length; i++) {
+    assert.ok(Math.abs(actual[i] - expected[i]) < tolerance, `${ actual[i] } is not close to ${ expected[i] }`);
+  }
+}
+
+describe('features: precision double arithmetic');
+function doubleArithmetic(mode, tolerance) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function(a, b) {
+    return a[this.thread.x] * b + 0.1;
+  }, {
+    output: [3],
+    precision: 'double'
+  });
+  const a = [1.0000001, 2.0000002, 3.0000003];
+  const b = 1 / 3;
+  const result = kernel(a, b);
+  assert.ok(result instanceof Float64Array);
+  assertClose(result, a.map(value => value * b + 0.1), tolerance);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('auto', () => {
+  doubleArithmetic(undefined, 1e-12);
+});
+
+(GPU.isGPUSupported ? test : skip)('gpu', () => {
+  doubleArithmetic('gpu', 1e-12);
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  doubleArithmetic('webgl', 1e-12);
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  doubleArithmetic('webgl2', 1e-12);
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  doubleArithmetic('headlessgl', 1e-12);
+});
+
+test('cpu', () => {
+  doubleArithmetic('cpu', Number.EPSILON);
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  doubleArithmetic('wasm', Number.EPSILON);
+});
+
+describe('features: precision double loops and Math');
+function doubleLoopsAndMath(mode, tolerance) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function() {
+    let sum = 0;
+    for (let i = 0; i < 1000; i++) {
+      sum += 0.1;
+    }
+    return Math.sqrt(sum + this.thread.x) + Math.floor(sum / 3);
+  }, {
+    output: [2],
+    precision: 'double'
+  });
+  let sum = 0;
+  for (let i = 0; i < 1000; i++) {
+    sum += 0.1;
+  }
+  assertClose(kernel(), [0, 1].map(x => Math.sqrt(sum + x) + Math.floor(sum / 3)), tolerance);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('auto', () => {
+  doubleLoopsAndMath(undefined, 1e-10);
+});
+
+(GPU.isGPUSupported ? test : skip)('gpu', () => {
+  doubleLoopsAndMath('gpu', 1e-10);
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  doubleLoopsAndMath('webgl', 1e-10);
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  doubleLoopsAndMath('webgl2', 1e-10);
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  doubleLoopsAndMath('headlessgl', 1e-10);
+});
+
+test('cpu', () => {
+  doubleLoopsAndMath('cpu', Number.EPSILON);
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  doubleLoopsAndMath('wasm', Number.EPSILON);
+});
+
+describe('features: precision settings');
+test('single is default and returns Float32Array cpu', () => {
+  const gpu = new GPU({ mode: 'cpu' });
+  const kernel = gpu.createKernel(function() {
+    return 0.1;
+  }, { output: [1] });
+  const result = kernel();
+  assert.equal(kernel.precision, 'single');
+  assert.ok(result instanceof Float32Array);
+  assert.equal(result[0], Math.fround(0.1));
+  kernel.setPrecision('double');
+  assert.equal(kernel.precision, 'double');
+  gpu.destroy();
+});
+
+(GPU.isWasmSupported ? test : skip)('single is default and returns Float32Array wasm', () => {
+  const gpu = new GPU({ mode: 'wasm' });
+  const kernel = gpu.createKernel(function() {
+    return 0.1;
+  }, { output: [1] });
+  const result = kernel();
+  assert.equal(kernel.precision, 'single');
+  assert.ok(result instanceof Float32Array);
+  assert.equal(result[0], Math.fround(0.1));
+  kernel.setPrecision('double');
+  assert.equal(kernel.precision, 'double');
+  gpu.destroy();
+});
+
+test('unsupported precision throws cpu', () => {
+  const gpu = new GPU({ mode: 'cpu' });
+  const kernel = gpu.createKernel(function() {
+    return 1;
+  }, {
+    output: [1],
+    precision: 'half'
+  });
+  assert.throws(() => {
+    kernel();
+  }, new Error('precision of "half" not supported, needs to be "single" or "double"'));
+  gpu.destroy();
+});
+
+(GPU.isWasmSupported ? test : skip)('unsupported precision throws wasm', () => {
+  const gpu = new GPU({ mode: 'wasm' });
+  const kernel = gpu.createKernel(function() {
+    return 1;
+  }, {
+    output: [1],
+    precision: 'half'
+  });
+  assert.throws(() => {
+    kernel();
+  }, new Error('precision of "half" not supported, needs to be "single" or "double"'));
+  gpu.destroy();
+});
+
+(GPU.isWebGLSupported ? test : skip)('graphical throws webgl', () => {
+  const gpu = new GPU({ mode: 'webgl' });
+  const kernel = gpu.createKernel(function() {
+    this.color(1, 1, 1, 1);
+  }, {
+    output: [1, 1],
+    graphical: true,
+    precision: 'double'
+  });
+  assert.throws(() => {
+    kernel();
+  }, new Error('precision of "double" cannot be used in graphical mode'));
+  gpu.destroy();
+});
+
+test('double-float glsl WebGLFunctionNode', () => {
+  const node = new WebGLFunctionNode('function kernel(a) { let i = 0; i++; return a[this.thread.x] % 2 + i; }', {
+    isRootKernel: true,
+    output: [1],
+    precision: 'double',
+    argumentTypes: ['Array']
+  });
+  assert.equal(node.toString(), 'void kernel() {\n' +
+    'vec2 user_i=vec2(0.0, 0.0);\n' +
+    '(user_i=df64Add(user_i, vec2(1.0, 0.0)));\n' +
+    'kernelResult = df64Add(df64Mod(getDouble(user_a, user_aSize, user_aDim, 0, 0, threadId.x), vec2(2.0, 0.0)), user_i);return;\n' +
+    '}');
+});
@@ -53,3 +53,45 @@ test('functionReturn gpu', t => {
 test('functionReturn cpu', t => {
   promiseApiFunctionReturn('cpu', t.async());
 });
+
+(GPU.isWasmSupported ? test : skip)('functionReturn wasm', t => {
+  promiseApiFunctionReturn('wasm', t.async());
+});
+
+function promiseApiAsyncRead(mode, done) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function(value) {
+    return this.thread.x + this.thread.y * 10 + value;
+  }, { output: [3, 2] });
+
+  const promise = kernel.exec(1);
+  const next = kernel.exec(2);
+  Promise.all([promise, next])
+    .then(([first, second]) => {
+      assert.deepEqual(first.map(row => Array.from(row)), [[1, 2, 3], [11, 12, 13]]);
+      assert.deepEqual(second.map(row => Array.from(row)), [[2, 3, 4], [12, 13, 14]]);
+      gpu.destroy();
+      done();
+    })
+    .catch((err) => {
+      throw err;
+    });
+}
+
+(GPU.isWebGL2Supported ? test : skip)('async read webgl2', t => {
+  const gpu = new GPU({ mode: 'webgl2' });
+  assert.equal(gpu.Kernel.features.isAsyncExec, true);
+  gpu.destroy();
+  promiseApiAsyncRead('webgl2', t.async());
+});
+
+(GPU.isWebGLSupported ? test : skip)('async read webgl', t => {
+  promiseApiAsyncRead('webgl', t.async());
+});
+
+test('async read cpu', t => {
+  const gpu = new GPU({ mode: 'cpu' });
+  assert.equal(gpu.Kernel.features.isAsyncExec, false);
+  gpu.destroy();
+  promiseApiAsyncRead('cpu', t.async());
+});
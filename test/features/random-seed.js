@@ -0,0 +1,185 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU, counterRandom } = require('../../src');
+
+describe('features: random seed setRandomSeed');
+
+function setRandomSeedRepeats(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function() {
+    return Math.random();
+  }, { output: [10] })
+    .setRandomSeed(1);
+  const firstRun = Array.from(kernel());
+  assert.deepEqual(Array.from(kernel()), firstRun);
+  kernel.setRandomSeed(2);
+  const otherRun = Array.from(kernel());
+  assert.notDeepEqual(otherRun, firstRun);
+  kernel.setRandomSeed(null);
+  assert.notDeepEqual(Array.from(kernel()), Array.from(kernel()));
+  kernel.setRandomSeed(1);
+  assert.deepEqual(Array.from(kernel()), firstRun);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('auto', () => {
+  setRandomSeedRepeats();
+});
+
+(GPU.isGPUSupported ? test : skip)('gpu', () => {
+  setRandomSeedRepeats('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  setRandomSeedRepeats('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  setRandomSeedRepeats('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  setRandomSeedRepeats('headlessgl');
+});
+
+test('cpu', () => {
+  setRandomSeedRepeats('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  setRandomSeedRepeats('wasm');
+});
+
+describe('features: random seed counterRandom');
+
+function counterRandomStatistics(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function() {
+    return Math.random();
+  }, {
+    output: [100, 100],
+    plugins: [counterRandom],
+    randomSeed: 1
+  });
+  const values = [];
+  const result = kernel();
+  for (let y = 0; y < result.length; y++) {
+    values.push.apply(values, Array.from(result[y]));
+  }
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / values.length;
+  assert.ok(Math.abs(mean - 0.5) < 0.02, `mean of ${ mean }`);
+  assert.ok(Math.abs(variance - 1 / 12) < 0.005, `variance of ${ variance }`);
+  assert.ok(values.every(value => value >= 0 && value < 1));
+  assert.ok(new Set(values).size > values.length * 0.99);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('distribution auto', () => {
+  counterRandomStatistics();
+});
+
+(GPU.isGPUSupported ? test : skip)('distribution gpu', () => {
+  counterRandomStatistics('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('distribution webgl', () => {
+  counterRandomStatistics('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('distribution webgl2', () => {
+  counterRandomStatistics('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('distribution headlessgl', () => {
+  counterRandomStatistics('headlessgl');
+});
+
+test('distribution cpu', () => {
+  counterRandomStatistics('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('distribution wasm', () => {
+  counterRandomStatistics('wasm');
+});
+
+function counterRandomKernel(gpu, seed) {
+  return gpu.createKernel(function() {
+    return Math.random() + Math.random() * 2;
+  }, {
+    output: [5, 5],
+    plugins: [counterRandom],
+    randomSeed: seed
+  });
+}
+
+function counterRandomMatchesCPU(mode) {
+  const gpu = new GPU({ mode });
+  const cpu = new GPU({ mode: 'cpu' });
+  const expected = counterRandomKernel(cpu, 3)();
+  const result = counterRandomKernel(gpu, 3)();
+  assert.deepEqual(result.map(row => Array.from(row)), expected.map(row => Array.from(row)));
+  gpu.destroy();
+  cpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('same values as cpu auto', () => {
+  counterRandomMatchesCPU();
+});
+
+(GPU.isGPUSupported ? test : skip)('same values as cpu gpu', () => {
+  counterRandomMatchesCPU('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('same values as cpu webgl', () => {
+  counterRandomMatchesCPU('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('same values as cpu webgl2', () => {
+  counterRandomMatchesCPU('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('same values as cpu headlessgl', () => {
+  counterRandomMatchesCPU('headlessgl');
+});
+
+test('each call and thread differs cpu', () => {
+  const gpu = new GPU({ mode: 'cpu' });
+  const kernel = gpu.createKernel(function() {
+    const first = Math.random();
+    const second = Math.random();
+    return first === second ? 1 : 0;
+  }, {
+    output: [10, 10],
+    plugins: [counterRandom],
+    randomSeed: 4
+  });
+  assert.ok(kernel().every(row => row.every(value => value === 0)));
+  const seeded = counterRandomKernel(gpu, 5);
+  const otherSeed = counterRandomKernel(gpu, 6);
+  const rows = seeded().map(row => Array.from(row));
+  assert.deepEqual(seeded().map(row => Array.from(row)), rows);
+  assert.notDeepEqual(otherSeed().map(row => Array.from(row)), rows);
+  assert.notDeepEqual(rows[0], rows[1]);
+  gpu.destroy();
+});
+
+(GPU.isWasmSupported ? test : skip)('each call and thread differs wasm', () => {
+  const gpu = new GPU({ mode: 'wasm' });
+  const kernel = gpu.createKernel(function() {
+    const first = Math.random();
+    const second = Math.random();
+    return first === second ? 1 : 0;
+  }, {
+    output: [10, 10],
+    plugins: [counterRandom],
+    randomSeed: 4
+  });
+  assert.ok(kernel().every(row => row.every(value => value === 0)));
+  const seeded = counterRandomKernel(gpu, 5);
+  const otherSeed = counterRandomKernel(gpu, 6);
+  const rows = seeded().map(row => Array.from(row));
+  assert.deepEqual(seeded().map(row => Array.from(row)), rows);
+  assert.notDeepEqual(otherSeed().map(row => Array.from(row)), rows);
+  assert.notDeepEqual(rows[0], rows[1]);
+  gpu.destroy();
+});
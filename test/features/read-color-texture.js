@@ -178,3 +178,9 @@ test('colorSyntaxTest (cpu) throws', () => {
     colorSyntaxTest('cpu');
   });
 });
+
+(GPU.isWasmSupported ? test : skip)('colorSyntaxTest (wasm) throws', () => {
+  assert.throws(() => {
+    colorSyntaxTest('wasm');
+  });
+});
@@ -0,0 +1,183 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU, input, Texture } = require('../../src');
+
+const values = [3, -7, 12, 0.5, 8, 12, -2, 4, 1, 6, 9, -3, 5, 2, 7, 11, 10, -1, 0];
+
+describe('features: reduce');
+function reduce(mode) {
+  const gpu = new GPU({ mode });
+  assert.equal(gpu.reduce(values, 'sum'), 77.5);
+  assert.equal(gpu.reduce(values, 'min'), -7);
+  assert.equal(gpu.reduce(values, 'max'), 12);
+  assert.equal(gpu.reduce(values, 'argmax'), 2);
+  assert.equal(gpu.reduce([1, 2, 3], 'sum'), 6);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('auto', () => {
+  reduce();
+});
+
+(GPU.isGPUSupported ? test : skip)('gpu', () => {
+  reduce('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  reduce('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  reduce('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  reduce('headlessgl');
+});
+
+test('cpu', () => {
+  reduce('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  reduce('wasm');
+});
+
+describe('features: reduce with function');
+function reduceFunction(mode) {
+  const gpu = new GPU({ mode });
+  const product = gpu.reduce([1, 2, 3, 4, 5, 6], function(a, b) {
+    return a * b;
+  });
+  assert.equal(product, 720);
+  assert.equal(gpu.reduce([1, 2, 3, 4], (a, b) => a - b), -8);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('auto', () => {
+  reduceFunction();
+});
+
+(GPU.isGPUSupported ? test : skip)('gpu', () => {
+  reduceFunction('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  reduceFunction('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  reduceFunction('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  reduceFunction('headlessgl');
+});
+
+test('cpu', () => {
+  reduceFunction('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  reduceFunction('wasm');
+});
+
+describe('features: reduce Input and 2d arrays');
+function reduceInput(mode) {
+  const gpu = new GPU({ mode });
+  assert.equal(gpu.reduce(input([5, 2, 8, 1, 9, 4], [3, 2]), 'max'), 9);
+  assert.equal(gpu.reduce([[1, 2, 3], [4, 5, 6]], 'sum'), 21);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('auto', () => {
+  reduceInput();
+});
+
+(GPU.isGPUSupported ? test : skip)('gpu', () => {
+  reduceInput('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  reduceInput('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  reduceInput('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  reduceInput('headlessgl');
+});
+
+test('cpu', () => {
+  reduceInput('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  reduceInput('wasm');
+});
+
+describe('features: reduce Texture');
+function reduceTexture(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function() {
+    return this.thread.x;
+  }, {
+    output: [100],
+    pipeline: true
+  });
+  const texture = kernel();
+  assert.equal(gpu.reduce(texture, 'sum'), 4950);
+  const sum = gpu.reduce(texture, 'sum', { pipeline: true });
+  assert.ok(sum instanceof Texture);
+  const double = gpu.createKernel(function(value) {
+    return value[0] * 2;
+  }, {
+    output: [1]
+  });
+  assert.equal(double(sum)[0], 9900);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('auto', () => {
+  reduceTexture();
+});
+
+(GPU.isGPUSupported ? test : skip)('gpu', () => {
+  reduceTexture('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  reduceTexture('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  reduceTexture('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  reduceTexture('headlessgl');
+});
+
+describe('features: reduce operation');
+test('unknown operation throws', () => {
+  const gpu = new GPU({ mode: 'cpu' });
+  assert.throws(() => {
+    gpu.reduce([1, 2], 'average');
+  }, new Error('Unknown reduce operation "average"'));
+  gpu.destroy();
+});
+
+test('empty values reduce to the identity of the operation', () => {
+  const gpu = new GPU({ mode: 'cpu' });
+  assert.equal(gpu.reduce([], 'sum'), 0);
+  assert.equal(gpu.reduce([], 'min'), Infinity);
+  assert.equal(gpu.reduce([], 'max'), -Infinity);
+  assert.throws(() => {
+    gpu.reduce([], 'argmax');
+  }, new Error('Cannot reduce empty values with "argmax", which has no identity value'));
+  assert.throws(() => {
+    gpu.reduce([], (a, b) => a * b);
+  }, new Error('Cannot reduce empty values with a function, which has no identity value'));
+  gpu.destroy();
+});
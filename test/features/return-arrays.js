@@ -0,0 +1,178 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU } = require('../../src');
+
+describe('features: return Array(2)');
+function returnArray2(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function() {
+    return [this.thread.x, this.thread.x * 2];
+  }, {
+    output: [3],
+    returnType: 'Array(2)'
+  });
+  const result = kernel();
+  assert.equal(result.length, 3);
+  assert.deepEqual(Array.from(result[0]), [0, 0]);
+  assert.deepEqual(Array.from(result[1]), [1, 2]);
+  assert.deepEqual(Array.from(result[2]), [2, 4]);
+  gpu.destroy();
+}
+
+(GPU.isFloatOutputSupported ? test : skip)('auto', () => {
+  returnArray2();
+});
+
+(GPU.isFloatOutputSupported ? test : skip)('gpu', () => {
+  returnArray2('gpu');
+});
+
+(GPU.isFloatOutputSupported && GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  returnArray2('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  returnArray2('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  returnArray2('headlessgl');
+});
+
+test('cpu', () => {
+  returnArray2('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  returnArray2('wasm');
+});
+
+describe('features: return Array(3) 2d');
+function returnArray3Matrix(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function(v) {
+    return [v[this.thread.y][this.thread.x], this.thread.x, this.thread.y];
+  }, {
+    output: [2, 2],
+    returnType: 'Array(3)'
+  });
+  const result = kernel([[1, 2], [3, 4]]);
+  assert.equal(result.length, 2);
+  assert.equal(result[0].length, 2);
+  assert.deepEqual(Array.from(result[0][0]), [1, 0, 0]);
+  assert.deepEqual(Array.from(result[0][1]), [2, 1, 0]);
+  assert.deepEqual(Array.from(result[1][0]), [3, 0, 1]);
+  assert.deepEqual(Array.from(result[1][1]), [4, 1, 1]);
+  gpu.destroy();
+}
+
+(GPU.isFloatOutputSupported ? test : skip)('auto', () => {
+  returnArray3Matrix();
+});
+
+(GPU.isFloatOutputSupported ? test : skip)('gpu', () => {
+  returnArray3Matrix('gpu');
+});
+
+(GPU.isFloatOutputSupported && GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  returnArray3Matrix('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  returnArray3Matrix('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  returnArray3Matrix('headlessgl');
+});
+
+test('cpu', () => {
+  returnArray3Matrix('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  returnArray3Matrix('wasm');
+});
+
+describe('features: return Array(4) 3d');
+function returnArray4Cube(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function() {
+    return [this.thread.x, this.thread.y, this.thread.z, 1];
+  }, {
+    output: [2, 2, 2],
+    returnType: 'Array(4)'
+  });
+  const result = kernel();
+  assert.equal(result.length, 2);
+  assert.deepEqual(Array.from(result[0][0][0]), [0, 0, 0, 1]);
+  assert.deepEqual(Array.from(result[0][1][1]), [1, 1, 0, 1]);
+  assert.deepEqual(Array.from(result[1][0][1]), [1, 0, 1, 1]);
+  assert.deepEqual(Array.from(result[1][1][0]), [0, 1, 1, 1]);
+  gpu.destroy();
+}
+
+(GPU.isFloatOutputSupported ? test : skip)('auto', () => {
+  returnArray4Cube();
+});
+
+(GPU.isFloatOutputSupported ? test : skip)('gpu', () => {
+  returnArray4Cube('gpu');
+});
+
+(GPU.isFloatOutputSupported && GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  returnArray4Cube('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  returnArray4Cube('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  returnArray4Cube('headlessgl');
+});
+
+test('cpu', () => {
+  returnArray4Cube('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  returnArray4Cube('wasm');
+});
+
+function returnNumberAsArray2(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function(a) {
+    return a[this.thread.x];
+  }, {
+    output: [2],
+    returnType: 'Array(2)'
+  });
+  assert.throws(() => {
+    kernel([1, 2]);
+  }, /Cannot return Number from function with returnType of Array\(2\)/);
+  gpu.destroy();
+}
+
+test('number with returnType Array(2) throws auto', () => {
+  returnNumberAsArray2();
+});
+
+(GPU.isWebGLSupported ? test : skip)('number with returnType Array(2) throws webgl', () => {
+  returnNumberAsArray2('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('number with returnType Array(2) throws webgl2', () => {
+  returnNumberAsArray2('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('number with returnType Array(2) throws headlessgl', () => {
+  returnNumberAsArray2('headlessgl');
+});
+
+test('number with returnType Array(2) throws cpu', () => {
+  returnNumberAsArray2('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('number with returnType Array(2) throws wasm', () => {
+  returnNumberAsArray2('wasm');
+});
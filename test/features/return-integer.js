@@ -0,0 +1,145 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU } = require('../../src');
+
+describe('features: return Integer');
+function returnInteger(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function(values) {
+    let count = 0;
+    for (let i = 0; i < 6; i++) {
+      if (values[i] > this.thread.x) {
+        count++;
+      }
+    }
+    return count - 2;
+  }, {
+    output: [4],
+    returnType: 'Integer'
+  });
+  const result = kernel([0, 1, 2, 3, 4, 5]);
+  assert.ok(result instanceof Int32Array);
+  assert.deepEqual(Array.from(result), [3, 2, 1, 0]);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('auto', () => {
+  returnInteger();
+});
+
+(GPU.isGPUSupported ? test : skip)('gpu', () => {
+  returnInteger('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  returnInteger('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  returnInteger('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  returnInteger('headlessgl');
+});
+
+test('cpu', () => {
+  returnInteger('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  returnInteger('wasm');
+});
+
+describe('features: return Integer above 2^24');
+function returnLargeInteger(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function() {
+    return 16777217 + this.thread.x;
+  }, {
+    output: [2],
+    returnType: 'Integer'
+  });
+  assert.deepEqual(Array.from(kernel()), [16777217, 16777218]);
+  gpu.destroy();
+}
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  returnLargeInteger('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  returnLargeInteger('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  returnLargeInteger('headlessgl');
+});
+
+test('cpu', () => {
+  returnLargeInteger('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  returnLargeInteger('wasm');
+});
+
+describe('features: return UnsignedInteger 2d');
+function returnUnsignedInteger(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function() {
+    return this.thread.x - this.thread.y;
+  }, {
+    output: [2, 2],
+    returnType: 'UnsignedInteger'
+  });
+  const result = kernel();
+  assert.equal(result.length, 2);
+  assert.ok(result[0] instanceof Uint32Array);
+  assert.deepEqual(Array.from(result[0]), [0, 1]);
+  assert.deepEqual(Array.from(result[1]), [4294967295, 0]);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('auto', () => {
+  returnUnsignedInteger();
+});
+
+(GPU.isGPUSupported ? test : skip)('gpu', () => {
+  returnUnsignedInteger('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  returnUnsignedInteger('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  returnUnsignedInteger('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  returnUnsignedInteger('headlessgl');
+});
+
+test('cpu', () => {
+  returnUnsignedInteger('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  returnUnsignedInteger('wasm');
+});
+
+describe('features: return Integer settings');
+(GPU.isWebGLSupported ? test : skip)('pipeline throws webgl', () => {
+  const gpu = new GPU({ mode: 'webgl' });
+  const kernel = gpu.createKernel(function() {
+    return 1;
+  }, {
+    output: [1],
+    pipeline: true,
+    returnType: 'Integer'
+  });
+  assert.throws(() => {
+    kernel();
+  }, new Error('returnType of "Integer" cannot be used with pipeline'));
+  gpu.destroy();
+});
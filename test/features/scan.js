@@ -0,0 +1,146 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU, input, Texture } = require('../../src');
+
+const values = [];
+for (let i = 0; i < 37; i++) {
+  values.push((i * 7) % 11 - 5);
+}
+
+function cpuScan(values, settings) {
+  const gpu = new GPU({ mode: 'cpu' });
+  const result = gpu.scan(values, settings);
+  gpu.destroy();
+  return Array.from(result);
+}
+
+describe('features: scan');
+function scan(mode) {
+  const gpu = new GPU({ mode });
+  assert.deepEqual(Array.from(gpu.scan([1, 2, 3, 4])), [1, 3, 6, 10]);
+  assert.deepEqual(Array.from(gpu.scan([1, 2, 3, 4], { inclusive: false })), [0, 1, 3, 6]);
+  assert.deepEqual(Array.from(gpu.scan([3, 1, 4, 1, 5], { op: 'max' })), [3, 3, 4, 4, 5]);
+  assert.deepEqual(Array.from(gpu.scan([3, 1, 4, 1, 5], { op: 'min' })), [3, 1, 1, 1, 1]);
+  assert.deepEqual(Array.from(gpu.scan([1, 2, 3, 4], { op: 'mul', inclusive: false })), [1, 1, 2, 6]);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('auto', () => {
+  scan();
+});
+
+(GPU.isGPUSupported ? test : skip)('gpu', () => {
+  scan('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  scan('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  scan('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  scan('headlessgl');
+});
+
+test('cpu', () => {
+  scan('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  scan('wasm');
+});
+
+describe('features: scan matches cpu');
+function scanMatchesCPU(mode) {
+  const gpu = new GPU({ mode });
+  const settings = [{}, { inclusive: false }, { op: 'max' }, { op: 'min' }];
+  for (let i = 0; i < settings.length; i++) {
+    assert.deepEqual(Array.from(gpu.scan(values, settings[i])), cpuScan(values, settings[i]));
+  }
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('auto', () => {
+  scanMatchesCPU();
+});
+
+(GPU.isGPUSupported ? test : skip)('gpu', () => {
+  scanMatchesCPU('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  scanMatchesCPU('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  scanMatchesCPU('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  scanMatchesCPU('headlessgl');
+});
+
+describe('features: scan Input and Texture');
+function scanTexture(mode) {
+  const gpu = new GPU({ mode });
+  assert.deepEqual(Array.from(gpu.scan(input([1, 2, 3, 4, 5, 6], [3, 2]))), [1, 3, 6, 10, 15, 21]);
+  const kernel = gpu.createKernel(function() {
+    return this.thread.x + 1;
+  }, {
+    output: [5],
+    pipeline: true
+  });
+  const scanned = gpu.scan(kernel(), { pipeline: true });
+  assert.ok(scanned instanceof Texture);
+  assert.deepEqual(Array.from(gpu.scan(scanned, { op: 'max' })), [1, 3, 6, 10, 15]);
+  assert.deepEqual(Array.from(gpu.scan([[1, 2], [3, 4]])), [1, 3, 6, 10]);
+  const kernel2d = gpu.createKernel(function() {
+    return this.thread.x + this.thread.y * 2 + 1;
+  }, {
+    output: [2, 2],
+    pipeline: true
+  });
+  assert.deepEqual(Array.from(gpu.scan(kernel2d())), [1, 3, 6, 10]);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('auto', () => {
+  scanTexture();
+});
+
+(GPU.isGPUSupported ? test : skip)('gpu', () => {
+  scanTexture('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  scanTexture('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  scanTexture('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  scanTexture('headlessgl');
+});
+
+test('cpu Input', () => {
+  const gpu = new GPU({ mode: 'cpu' });
+  assert.deepEqual(Array.from(gpu.scan(input([1, 2, 3, 4, 5, 6], [3, 2]))), [1, 3, 6, 10, 15, 21]);
+  assert.deepEqual(Array.from(gpu.scan([[1, 2], [3, 4]])), [1, 3, 6, 10]);
+  gpu.destroy();
+});
+
+describe('features: scan settings');
+test('exclusive scan without identity throws', () => {
+  const gpu = new GPU({ mode: 'cpu' });
+  assert.throws(() => {
+    gpu.scan([1, 2], { op: 'max', inclusive: false });
+  }, new Error('Exclusive scan with op "max" is not supported'));
+  assert.throws(() => {
+    gpu.scan([1, 2], { op: 'sub' });
+  }, new Error('Unknown scan op "sub"'));
+  gpu.destroy();
+});
@@ -0,0 +1,171 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU } = require('../../src');
+
+describe('features: scatter histogram');
+function scatterHistogram(mode) {
+  const gpu = new GPU({ mode });
+  const histogram = gpu.createScatterKernel(function(values) {
+    return [values[this.thread.x], 1];
+  }, {
+    threads: [8],
+    output: [4]
+  });
+  const result = histogram([0, 1, 1, 3, 3, 3, 1, 3]);
+  assert.ok(result instanceof Float32Array);
+  assert.deepEqual(Array.from(result), [1, 3, 0, 4]);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('auto', () => {
+  scatterHistogram();
+});
+
+(GPU.isGPUSupported ? test : skip)('gpu', () => {
+  scatterHistogram('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  scatterHistogram('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  scatterHistogram('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  scatterHistogram('headlessgl');
+});
+
+test('cpu', () => {
+  scatterHistogram('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  scatterHistogram('wasm');
+});
+
+describe('features: scatter skips indexes outside of output');
+function scatterOutside(mode) {
+  const gpu = new GPU({ mode });
+  const scatter = gpu.createScatterKernel(function(values) {
+    return [values[this.thread.y][this.thread.x], this.thread.x + 1];
+  }, {
+    threads: [2, 2],
+    output: [3]
+  });
+  const result = scatter([[-1, 2], [3, 0]]);
+  assert.deepEqual(Array.from(result), [2, 0, 2]);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('auto', () => {
+  scatterOutside();
+});
+
+(GPU.isGPUSupported ? test : skip)('gpu', () => {
+  scatterOutside('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  scatterOutside('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  scatterOutside('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  scatterOutside('headlessgl');
+});
+
+test('cpu', () => {
+  scatterOutside('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  scatterOutside('wasm');
+});
+
+describe('features: scatter 2d output');
+function scatter2D(mode) {
+  const gpu = new GPU({ mode });
+  const scatter = gpu.createScatterKernel(function() {
+    return [5 - this.thread.x, this.thread.x * 2];
+  }, {
+    threads: [6],
+    output: [3, 2]
+  });
+  const result = scatter();
+  assert.equal(result.length, 2);
+  assert.deepEqual(Array.from(result[0]), [10, 8, 6]);
+  assert.deepEqual(Array.from(result[1]), [4, 2, 0]);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('auto', () => {
+  scatter2D();
+});
+
+(GPU.isGPUSupported ? test : skip)('gpu', () => {
+  scatter2D('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  scatter2D('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  scatter2D('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  scatter2D('headlessgl');
+});
+
+test('cpu', () => {
+  scatter2D('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  scatter2D('wasm');
+});
+
+describe('features: scatter settings');
+test('threads are needed', () => {
+  const gpu = new GPU({ mode: 'cpu' });
+  assert.throws(() => {
+    gpu.createScatterKernel(function() {
+      return [0, 1];
+    }, {
+      output: [1]
+    });
+  }, new Error('createScatterKernel needs settings.threads'));
+  gpu.destroy();
+});
+
+describe('features: scatter restores the framebuffer binding');
+function scatterFramebuffer(mode) {
+  const gpu = new GPU({ mode });
+  const histogram = gpu.createScatterKernel(function(values) {
+    return [values[this.thread.x], 1];
+  }, {
+    threads: [4],
+    output: [2]
+  });
+  histogram([0, 1, 1, 0]);
+  const gl = gpu.context;
+  assert.equal(gl.getParameter(gl.FRAMEBUFFER_BINDING), null);
+  gpu.destroy();
+}
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  scatterFramebuffer('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  scatterFramebuffer('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  scatterFramebuffer('headlessgl');
+});
@@ -0,0 +1,126 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU, input, Texture } = require('../../src');
+
+describe('features: sort');
+function sort(mode) {
+  const gpu = new GPU({ mode });
+  assert.deepEqual(Array.from(gpu.sort([3, -1, 2.5, 0, 7, 2.5, -4])), [-4, -1, 0, 2.5, 2.5, 3, 7]);
+  assert.deepEqual(Array.from(gpu.sort([3, -1, 2.5, 0, 7, 2.5, -4], { descending: true })), [7, 3, 2.5, 2.5, 0, -1, -4]);
+  assert.deepEqual(Array.from(gpu.sort([5])), [5]);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('auto', () => {
+  sort();
+});
+
+(GPU.isGPUSupported ? test : skip)('gpu', () => {
+  sort('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  sort('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  sort('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  sort('headlessgl');
+});
+
+test('cpu', () => {
+  sort('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  sort('wasm');
+});
+
+describe('features: sort indices');
+function sortIndices(mode) {
+  const gpu = new GPU({ mode });
+  const ascending = gpu.sort([3, 1, 2, 1, 0], { keyOnly: false });
+  assert.deepEqual(Array.from(ascending.keys), [0, 1, 1, 2, 3]);
+  assert.ok(ascending.indices instanceof Int32Array);
+  assert.deepEqual(Array.from(ascending.indices), [4, 1, 3, 2, 0]);
+  const descending = gpu.sort(input([3, 1, 2, 1, 0, 4], [3, 2]), { keyOnly: false, descending: true });
+  assert.deepEqual(Array.from(descending.keys), [4, 3, 2, 1, 1, 0]);
+  assert.deepEqual(Array.from(descending.indices), [5, 0, 2, 1, 3, 4]);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('auto', () => {
+  sortIndices();
+});
+
+(GPU.isGPUSupported ? test : skip)('gpu', () => {
+  sortIndices('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  sortIndices('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  sortIndices('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  sortIndices('headlessgl');
+});
+
+test('cpu', () => {
+  sortIndices('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  sortIndices('wasm');
+});
+
+describe('features: sort Texture');
+function sortTexture(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function() {
+    return (this.thread.x * 37) % 100;
+  }, {
+    output: [100],
+    pipeline: true
+  });
+  const { keys, indices } = gpu.sort(kernel(), { keyOnly: false, pipeline: true });
+  assert.ok(keys instanceof Texture);
+  assert.ok(indices instanceof Texture);
+  const expected = [];
+  for (let i = 0; i < 100; i++) {
+    expected.push(i);
+  }
+  assert.deepEqual(Array.from(gpu.scan(keys, { op: 'max' })), expected);
+  const check = gpu.createKernel(function(indices) {
+    return (indices[this.thread.x] * 37) % 100;
+  }, {
+    output: [100]
+  });
+  assert.deepEqual(Array.from(check(indices)), expected);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('auto', () => {
+  sortTexture();
+});
+
+(GPU.isGPUSupported ? test : skip)('gpu', () => {
+  sortTexture('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('webgl', () => {
+  sortTexture('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('webgl2', () => {
+  sortTexture('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('headlessgl', () => {
+  sortTexture('headlessgl');
+});
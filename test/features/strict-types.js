@@ -0,0 +1,129 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU, CPUFunctionNode, WebGLFunctionNode, WebGL2FunctionNode } = require('../../src');
+
+describe('features: strict types');
+
+function strictTypesKnownTypes(mode) {
+  const gpu = new GPU({ mode });
+  gpu.addFunction(function add(a, b) {
+    return a + b;
+  });
+  const kernel = gpu.createKernel(function(a, b) {
+    const value = a[this.thread.x] + b[this.thread.x];
+    return add(value, 1);
+  }, {
+    output: [3],
+    strictTypes: true
+  });
+  assert.deepEqual(Array.from(kernel([1, 2, 3], [4, 5, 6])), [6, 8, 10]);
+  gpu.destroy();
+}
+
+(GPU.isWebGLSupported || GPU.isHeadlessGLSupported ? test : skip)('known types auto', () => {
+  strictTypesKnownTypes();
+});
+
+(GPU.isWebGLSupported || GPU.isHeadlessGLSupported ? test : skip)('known types gpu', () => {
+  strictTypesKnownTypes('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('known types webgl', () => {
+  strictTypesKnownTypes('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('known types webgl2', () => {
+  strictTypesKnownTypes('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('known types headlessgl', () => {
+  strictTypesKnownTypes('headlessgl');
+});
+
+test('known types cpu', () => {
+  strictTypesKnownTypes('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('known types wasm', () => {
+  strictTypesKnownTypes('wasm');
+});
+
+function strictTypesUnknownIdentifier(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function() {
+    let value = 1;
+    value = missing;
+    return value;
+  }, {
+    output: [1],
+    strictTypes: true
+  });
+  assert.throws(() => {
+    kernel();
+  }, /Unknown type for Identifier on line 3, position \d+:\n missing/);
+  gpu.destroy();
+}
+
+(GPU.isWebGLSupported || GPU.isHeadlessGLSupported ? test : skip)('unknown identifier auto', () => {
+  strictTypesUnknownIdentifier();
+});
+
+(GPU.isWebGLSupported || GPU.isHeadlessGLSupported ? test : skip)('unknown identifier gpu', () => {
+  strictTypesUnknownIdentifier('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('unknown identifier webgl', () => {
+  strictTypesUnknownIdentifier('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('unknown identifier webgl2', () => {
+  strictTypesUnknownIdentifier('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('unknown identifier headlessgl', () => {
+  strictTypesUnknownIdentifier('headlessgl');
+});
+
+test('unknown identifier cpu', () => {
+  strictTypesUnknownIdentifier('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('unknown identifier wasm', () => {
+  strictTypesUnknownIdentifier('wasm');
+});
+
+function strictTypesAmbiguousTernary(FunctionNode) {
+  const node = new FunctionNode('function kernel(a) {\n  const value = a > 1 ? [1, 2] : 3;\n  return a;\n}', {
+    isRootKernel: true,
+    argumentTypes: ['Number'],
+    output: [1],
+    strictTypes: true
+  });
+  assert.throws(() => {
+    node.toString();
+  }, new Error('Ambiguous type, "Array(2)" or "LiteralInteger" on line 2, position 16:\n a > 1 ? [1, 2] : 3'));
+}
+
+test('ambiguous ternary CPUFunctionNode', () => {
+  strictTypesAmbiguousTernary(CPUFunctionNode);
+});
+
+test('ambiguous ternary WebGLFunctionNode', () => {
+  strictTypesAmbiguousTernary(WebGLFunctionNode);
+});
+
+test('ambiguous ternary WebGL2FunctionNode', () => {
+  strictTypesAmbiguousTernary(WebGL2FunctionNode);
+});
+
+function strictTypesOff(FunctionNode) {
+  const node = new FunctionNode('function kernel(a) {\n  const value = a > 1 ? [1, 2] : 3;\n  return a;\n}', {
+    isRootKernel: true,
+    argumentTypes: ['Number'],
+    output: [1]
+  });
+  assert.ok(node.toString());
+}
+
+test('without strict types CPUFunctionNode', () => {
+  strictTypesOff(CPUFunctionNode);
+});
@@ -0,0 +1,272 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU, WebGLFunctionNode, WebGL2FunctionNode } = require('../../src');
+
+describe('features: switch');
+
+function numberTest(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function(states) {
+    let result = 0;
+    switch (states[this.thread.x]) {
+      case 0:
+        result = 10;
+        break;
+      case 1:
+      case 2: {
+        result = 20;
+        break;
+      }
+      default:
+        result = -1;
+        break;
+      case 3.5:
+        result = 30;
+    }
+    return result;
+  }, { output: [6] });
+  assert.deepEqual(Array.from(kernel([0, 1, 2, 3.5, 4, 1.5])), [10, 20, 20, 30, -1, -1]);
+  gpu.destroy();
+}
+
+test('number auto', () => {
+  numberTest();
+});
+
+test('number gpu', () => {
+  numberTest('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('number webgl', () => {
+  numberTest('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('number webgl2', () => {
+  numberTest('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('number headlessgl', () => {
+  numberTest('headlessgl');
+});
+
+test('number cpu', () => {
+  numberTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('number wasm', () => {
+  numberTest('wasm');
+});
+
+function integerTest(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function() {
+    let result = 0;
+    switch (this.thread.x) {
+      case 0:
+        result = 5;
+        break;
+      case 1:
+      case 3:
+        result = 6;
+        break;
+      default:
+        result = 7;
+    }
+    return result;
+  }, { output: [5] });
+  assert.deepEqual(Array.from(kernel()), [5, 6, 7, 6, 7]);
+  gpu.destroy();
+}
+
+test('integer auto', () => {
+  integerTest();
+});
+
+test('integer gpu', () => {
+  integerTest('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('integer webgl', () => {
+  integerTest('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('integer webgl2', () => {
+  integerTest('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('integer headlessgl', () => {
+  integerTest('headlessgl');
+});
+
+test('integer cpu', () => {
+  integerTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('integer wasm', () => {
+  integerTest('wasm');
+});
+
+function loopTest(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function() {
+    let sum = 0;
+    for (let i = 0; i < 6; i++) {
+      switch (i % 3) {
+        case 0:
+          for (let j = 0; j < 10; j++) {
+            if (j === 2) break;
+            sum += 1;
+          }
+          break;
+        case 1:
+          continue;
+        default:
+          sum += 10;
+      }
+      sum += 100;
+    }
+    return sum;
+  }, { output: [1] });
+  assert.deepEqual(Array.from(kernel()), [424]);
+  gpu.destroy();
+}
+
+test('in loop auto', () => {
+  loopTest();
+});
+
+test('in loop gpu', () => {
+  loopTest('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('in loop webgl', () => {
+  loopTest('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('in loop webgl2', () => {
+  loopTest('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('in loop headlessgl', () => {
+  loopTest('headlessgl');
+});
+
+test('in loop cpu', () => {
+  loopTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('in loop wasm', () => {
+  loopTest('wasm');
+});
+
+function rule(alive, neighbours) {
+  switch (neighbours) {
+    case 2:
+      return alive;
+    case 3:
+      return 1;
+  }
+  return 0;
+}
+
+function functionTest(mode) {
+  const gpu = new GPU({ mode, functions: [rule] });
+  const kernel = gpu.createKernel(function(cells, neighbours) {
+    return rule(cells[this.thread.x], neighbours[this.thread.x]);
+  }, { output: [5] });
+  assert.deepEqual(Array.from(kernel([1, 0, 1, 0, 1], [2, 3, 3, 2, 4])), [1, 1, 1, 0, 0]);
+  gpu.destroy();
+}
+
+test('in function auto', () => {
+  functionTest();
+});
+
+test('in function gpu', () => {
+  functionTest('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('in function webgl', () => {
+  functionTest('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('in function webgl2', () => {
+  functionTest('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('in function headlessgl', () => {
+  functionTest('headlessgl');
+});
+
+test('in function cpu', () => {
+  functionTest('cpu');
+});
+
+(GPU.isWasmSupported ? test : skip)('in function wasm', () => {
+  functionTest('wasm');
+});
+
+test('falling through throws', () => {
+  const node = new WebGLFunctionNode(`function(v) {
+    let result = 0;
+    switch (v) {
+      case 1:
+        result = 1;
+      case 2:
+        result += 2;
+    }
+    return result;
+  }`, { output: [1], isRootKernel: true, argumentTypes: ['Number'] });
+  assert.throws(() => {
+    node.toString();
+  }, /Falling through to the next case of a switch is not supported/);
+});
+
+test('breaking before the end of a case throws', () => {
+  const node = new WebGLFunctionNode(`function(v) {
+    let result = 0;
+    switch (v) {
+      case 1:
+        if (result === 0) break;
+        result = 1;
+        break;
+    }
+    return result;
+  }`, { output: [1], isRootKernel: true, argumentTypes: ['Number'] });
+  assert.throws(() => {
+    node.toString();
+  }, /Breaking before the end of a switch case is not supported/);
+});
+
+test('glsl if statements', () => {
+  const node = new WebGLFunctionNode(`function(v) {
+    let result = 0;
+    switch (v * 2) {
+      case 1:
+      case 2:
+        result = 1;
+        break;
+      default:
+        result = 3;
+    }
+    return result;
+  }`, { output: [1], isRootKernel: true, argumentTypes: ['Number'] });
+  const glsl = node.toString();
+  assert.ok(glsl.indexOf('float user_switchValue=(user_v*2.0);') > -1);
+  assert.ok(glsl.indexOf('if (((user_switchValue==1.0)||(user_switchValue==2.0))){\nuser_result=1.0;}\nelse {\nuser_result=3.0;}') > -1);
+});
+
+test('glsl switch of integers in webgl2', () => {
+  const node = new WebGL2FunctionNode(`function() {
+    let result = 0;
+    switch (this.thread.x) {
+      case -1:
+        result = 1;
+        break;
+      default:
+        result = 3;
+    }
+    return result;
+  }`, { output: [1], isRootKernel: true });
+  const glsl = node.toString();
+  assert.ok(glsl.indexOf('switch (threadId.x) {\ncase -1:\nuser_result=1.0;\nbreak;\ndefault:\nuser_result=3.0;\n}') > -1);
+});
@@ -39,3 +39,7 @@ test('gpu', () => {
 test('cpu', () => {
   ternaryTest('cpu');
 });
+
+(GPU.isWasmSupported ? test : skip)('wasm', () => {
+  ternaryTest('wasm');
+});
@@ -0,0 +1,126 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU, Texture } = require('../../src');
+
+describe('features: texture copy');
+function clone(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function(value) {
+    return this.thread.x * value;
+  }, { output: [4], pipeline: true });
+  const texture = kernel(1);
+  const copy = texture.clone();
+  assert.ok(copy instanceof Texture);
+  assert.notEqual(copy.texture, texture.texture);
+  assert.deepEqual(copy.output, [4]);
+  kernel(2);
+  assert.deepEqual(Array.from(texture.toArray()), [0, 2, 4, 6]);
+  assert.deepEqual(Array.from(copy.toArray()), [0, 1, 2, 3]);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('clone auto', () => {
+  clone();
+});
+
+(GPU.isGPUSupported ? test : skip)('clone gpu', () => {
+  clone('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('clone webgl', () => {
+  clone('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('clone webgl2', () => {
+  clone('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('clone headlessgl', () => {
+  clone('headlessgl');
+});
+
+function slice(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function() {
+    return this.thread.x + this.thread.y * 10;
+  }, { output: [4, 3], pipeline: true });
+  const texture = kernel();
+
+  const part = texture.slice([1, 1], [2, 2]);
+  assert.deepEqual(part.output, [2, 2]);
+  assert.deepEqual(part.toArray().map(row => Array.from(row)), [[11, 12], [21, 22]]);
+
+  const row = texture.slice([0, 2], [4]);
+  assert.deepEqual(row.output, [4]);
+  assert.deepEqual(Array.from(row.toArray()), [20, 21, 22, 23]);
+
+  const add = gpu.createKernel(function(a, b) {
+    return a[this.thread.y][this.thread.x] + b[this.thread.y][this.thread.x];
+  }, { output: [2, 2] });
+  assert.deepEqual(add(part, part).map(row => Array.from(row)), [[22, 24], [42, 44]]);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('slice auto', () => {
+  slice();
+});
+
+(GPU.isGPUSupported ? test : skip)('slice gpu', () => {
+  slice('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('slice webgl', () => {
+  slice('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('slice webgl2', () => {
+  slice('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('slice headlessgl', () => {
+  slice('headlessgl');
+});
+
+function reshape(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function() {
+    return this.thread.x;
+  }, { output: [6], pipeline: true });
+  const texture = kernel();
+
+  const matrix = texture.reshape([3, 2]);
+  assert.deepEqual(matrix.output, [3, 2]);
+  assert.deepEqual(matrix.dimensions, [3, 2, 1]);
+  assert.deepEqual(matrix.toArray().map(row => Array.from(row)), [[0, 1, 2], [3, 4, 5]]);
+
+  const cube = matrix.reshape([1, 2, 3]);
+  assert.deepEqual(cube.toArray().map(matrix => matrix.map(row => Array.from(row))), [[[0], [1]], [[2], [3]], [[4], [5]]]);
+  assert.deepEqual(Array.from(cube.reshape([6]).toArray()), [0, 1, 2, 3, 4, 5]);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('reshape auto', () => {
+  reshape();
+});
+
+(GPU.isGPUSupported ? test : skip)('reshape gpu', () => {
+  reshape('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('reshape webgl', () => {
+  reshape('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('reshape webgl2', () => {
+  reshape('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('reshape headlessgl', () => {
+  reshape('headlessgl');
+});
+
+test('errors', () => {
+  const texture = new Texture(null, [2, 2], [4, 2, 1], [4, 2], {});
+  assert.throws(() => texture.slice([3, 0], [2, 2]), /slice of size \[2,2\] at \[3,0\] is outside of the Texture output \[4,2\]/);
+  assert.throws(() => texture.reshape([3, 3]), /Cannot reshape Texture of output \[4,2\] to \[3,3\]/);
+  assert.throws(() => texture.clone(), /Texture was not output by a kernel, so cannot be copied/);
+});
@@ -0,0 +1,125 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU } = require('../../src');
+
+describe('features: texture memory');
+function immutablePipeline(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function(value) {
+    return value[this.thread.x] + 1;
+  }, {
+    output: [4],
+    pipeline: true,
+    immutable: true
+  });
+
+  let texture = kernel([0, 1, 2, 3]);
+  const stats = gpu.getMemoryStats();
+  assert.equal(stats.liveTextures, 1);
+  assert.equal(stats.pooledTextures, 0);
+
+  for (let i = 0; i < 5; i++) {
+    const next = kernel(texture);
+    texture.release();
+    texture = next;
+  }
+  const loopStats = gpu.getMemoryStats();
+  assert.equal(loopStats.liveTextures, 1);
+  assert.equal(loopStats.pooledTextures, 1);
+  assert.equal(loopStats.pooledBytes, stats.liveBytes);
+  assert.deepEqual(Array.from(texture.toArray()), [6, 7, 8, 9]);
+
+  texture.release();
+  texture.release();
+  const releasedStats = gpu.getMemoryStats();
+  assert.equal(releasedStats.liveTextures, 0);
+  assert.equal(releasedStats.pooledTextures, 2);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('immutable pipeline auto', () => {
+  immutablePipeline();
+});
+
+(GPU.isGPUSupported ? test : skip)('immutable pipeline gpu', () => {
+  immutablePipeline('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('immutable pipeline webgl', () => {
+  immutablePipeline('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('immutable pipeline webgl2', () => {
+  immutablePipeline('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('immutable pipeline headlessgl', () => {
+  immutablePipeline('headlessgl');
+});
+
+test('immutable pipeline cpu', () => {
+  const gpu = new GPU({ mode: 'cpu' });
+  gpu.createKernel(function() {
+    return 1;
+  }, { output: [4] })();
+  assert.deepEqual(gpu.getMemoryStats(), {
+    liveBytes: 0,
+    pooledBytes: 0,
+    liveTextures: 0,
+    pooledTextures: 0
+  });
+  gpu.destroy();
+});
+
+(GPU.isWasmSupported ? test : skip)('immutable pipeline wasm', () => {
+  const gpu = new GPU({ mode: 'wasm' });
+  gpu.createKernel(function() {
+    return 1;
+  }, { output: [4] })();
+  assert.deepEqual(gpu.getMemoryStats(), {
+    liveBytes: 0,
+    pooledBytes: 0,
+    liveTextures: 0,
+    pooledTextures: 0
+  });
+  gpu.destroy();
+});
+
+function mutablePipeline(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function() {
+    return this.thread.x;
+  }, {
+    output: [4],
+    pipeline: true
+  });
+  const first = kernel();
+  first.release();
+  const second = kernel();
+  assert.equal(second.texture, first.texture, 'a kernel keeps its texture while the Textures it returns are released');
+  assert.equal(gpu.getMemoryStats().pooledTextures, 0);
+
+  kernel.destroy();
+  second.release();
+  assert.equal(gpu.getMemoryStats().pooledTextures, 1);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('mutable pipeline auto', () => {
+  mutablePipeline();
+});
+
+(GPU.isGPUSupported ? test : skip)('mutable pipeline gpu', () => {
+  mutablePipeline('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('mutable pipeline webgl', () => {
+  mutablePipeline('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('mutable pipeline webgl2', () => {
+  mutablePipeline('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('mutable pipeline headlessgl', () => {
+  mutablePipeline('headlessgl');
+});
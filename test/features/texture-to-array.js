@@ -0,0 +1,150 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU, Texture } = require('../../src');
+
+describe('features: texture toArray');
+function toArrayDimensions(mode) {
+  const gpu = new GPU({ mode });
+  const kernel1D = gpu.createKernel(function() {
+    return this.thread.x;
+  }, { output: [5], pipeline: true });
+  assert.deepEqual(Array.from(kernel1D().toArray()), [0, 1, 2, 3, 4]);
+
+  const kernel2D = gpu.createKernel(function() {
+    return this.thread.x + this.thread.y * 10;
+  }, { output: [3, 2], pipeline: true });
+  const texture2D = kernel2D();
+  assert.deepEqual(texture2D.toArray().map(row => Array.from(row)), [[0, 1, 2], [10, 11, 12]]);
+  assert.deepEqual(Array.from(texture2D.toArray({ flat: true })), [0, 1, 2, 10, 11, 12]);
+
+  const kernel3D = gpu.createKernel(function() {
+    return this.thread.x + this.thread.y * 10 + this.thread.z * 100;
+  }, { output: [2, 2, 2], pipeline: true });
+  assert.deepEqual(kernel3D().toArray().map(matrix => matrix.map(row => Array.from(row))), [
+    [[0, 1], [10, 11]],
+    [[100, 101], [110, 111]]
+  ]);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('dimensions auto', () => {
+  toArrayDimensions();
+});
+
+(GPU.isGPUSupported ? test : skip)('dimensions gpu', () => {
+  toArrayDimensions('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('dimensions webgl', () => {
+  toArrayDimensions('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('dimensions webgl2', () => {
+  toArrayDimensions('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('dimensions headlessgl', () => {
+  toArrayDimensions('headlessgl');
+});
+
+function toArrayRegionAndTarget(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function() {
+    return this.thread.x + this.thread.y * 10;
+  }, { output: [4, 3], pipeline: true });
+  const texture = kernel();
+  assert.deepEqual(texture.toArray({ region: { x: 1, y: 1, width: 2, height: 2 } }).map(row => Array.from(row)), [
+    [11, 12],
+    [21, 22]
+  ]);
+
+  const target = new Float32Array(8);
+  const rows = texture.toArray({ target, region: { y: 2 } });
+  assert.deepEqual(Array.from(target), [20, 21, 22, 23, 0, 0, 0, 0]);
+  assert.equal(rows[0].buffer, target.buffer);
+  assert.throws(() => texture.toArray({ target: new Float32Array(2) }), /toArray target has a length of 2, but needs 12/);
+  assert.throws(() => texture.toArray({ region: { x: 3, width: 2 } }), /toArray region is outside of the Texture output/);
+  assert.deepEqual(texture.toArray({ region: { width: 0 } }).map(row => Array.from(row)), [[], [], []]);
+  assert.deepEqual(Array.from(texture.toArray({ region: { height: 0 }, flat: true })), []);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('region and target auto', () => {
+  toArrayRegionAndTarget();
+});
+
+(GPU.isGPUSupported ? test : skip)('region and target gpu', () => {
+  toArrayRegionAndTarget('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('region and target webgl', () => {
+  toArrayRegionAndTarget('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('region and target webgl2', () => {
+  toArrayRegionAndTarget('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('region and target headlessgl', () => {
+  toArrayRegionAndTarget('headlessgl');
+});
+
+function toArrayArrayTexture(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function() {
+    return [this.thread.x, this.thread.x * 2];
+  }, { output: [3], pipeline: true, returnType: 'Array(2)' });
+  const result = kernel().toArray();
+  assert.equal(result.length, 3);
+  assert.deepEqual(result.map(value => Array.from(value.subarray(0, 2))), [[0, 0], [1, 2], [2, 4]]);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('ArrayTexture auto', () => {
+  toArrayArrayTexture();
+});
+
+(GPU.isGPUSupported ? test : skip)('ArrayTexture gpu', () => {
+  toArrayArrayTexture('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('ArrayTexture webgl', () => {
+  toArrayArrayTexture('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('ArrayTexture webgl2', () => {
+  toArrayArrayTexture('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('ArrayTexture headlessgl', () => {
+  toArrayArrayTexture('headlessgl');
+});
+
+function toArrayUnknownFormat(mode) {
+  const gpu = new GPU({ mode });
+  gpu.createKernel(function() {
+    return 1;
+  }, { output: [1] })();
+  const texture = new Texture(gpu.context.createTexture(), [1, 1], [1, 1, 1], [1], gpu.context);
+  assert.throws(() => texture.toArray(), /Texture format is unknown, so toArray needs the GPU object to read it/);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('unknown format auto', () => {
+  toArrayUnknownFormat();
+});
+
+(GPU.isGPUSupported ? test : skip)('unknown format gpu', () => {
+  toArrayUnknownFormat('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('unknown format webgl', () => {
+  toArrayUnknownFormat('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('unknown format webgl2', () => {
+  toArrayUnknownFormat('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('unknown format headlessgl', () => {
+  toArrayUnknownFormat('headlessgl');
+});
@@ -57,6 +57,10 @@ test('toString sumAB cpu', () => {
   sumABTest('cpu');
 });
 
+(GPU.isWasmSupported ? test : skip)('toString sumAB wasm', () => {
+  sumABTest('wasm');
+});
+
 
 describe('features: toString Texture');
 function toStringTextureTest(mode) {
@@ -193,3 +197,7 @@ test('toString Input gpu', () => {
 test('toString Input cpu', () => {
   toStringInputTest('cpu');
 });
+
+(GPU.isWasmSupported ? test : skip)('toString Input wasm', () => {
+  toStringInputTest('wasm');
+});
@@ -0,0 +1,90 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU } = require('../../src');
+
+describe('features: update texture');
+function updateNumberTexture(mode) {
+  const gpu = new GPU({ mode });
+  const texture = gpu.createTexture(new Float32Array(15), { output: [5, 3] });
+  gpu.updateTexture(texture, [1, 2, 3, 4, 5, 6, 7], 3);
+  assert.deepEqual(Array.from(texture.toArray({ flat: true })), [0, 0, 0, 1, 2, 3, 4, 5, 6, 7, 0, 0, 0, 0, 0]);
+  gpu.updateTexture(texture, [[8, 9, 10, 11, 12]], [0, 2]);
+  assert.deepEqual(texture.toArray().map(row => Array.from(row)), [[0, 0, 0, 1, 2], [3, 4, 5, 6, 7], [8, 9, 10, 11, 12]]);
+
+  const double = gpu.createKernel(function(values) {
+    return values[this.thread.y][this.thread.x] * 2;
+  }, { output: [5, 3] });
+  assert.deepEqual(double(texture).map(row => Array.from(row)), [[0, 0, 0, 2, 4], [6, 8, 10, 12, 14], [16, 18, 20, 22, 24]]);
+  assert.throws(() => gpu.updateTexture(texture, [1, 2], 14), /update of 2 values at 14 is outside of the Texture output \[5,3\]/);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('number texture auto', () => {
+  updateNumberTexture();
+});
+
+(GPU.isGPUSupported ? test : skip)('number texture gpu', () => {
+  updateNumberTexture('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('number texture webgl', () => {
+  updateNumberTexture('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('number texture webgl2', () => {
+  updateNumberTexture('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('number texture headlessgl', () => {
+  updateNumberTexture('headlessgl');
+});
+
+function updateKernelTexture(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function() {
+    return this.thread.x;
+  }, { output: [6], pipeline: true });
+  const texture = kernel();
+  gpu.updateTexture(texture, new Float32Array([10, 20]), 2);
+  assert.deepEqual(Array.from(texture.toArray()), [0, 1, 10, 20, 4, 5]);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('kernel texture auto', () => {
+  updateKernelTexture();
+});
+
+(GPU.isGPUSupported ? test : skip)('kernel texture gpu', () => {
+  updateKernelTexture('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('kernel texture webgl', () => {
+  updateKernelTexture('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('kernel texture webgl2', () => {
+  updateKernelTexture('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('kernel texture headlessgl', () => {
+  updateKernelTexture('headlessgl');
+});
+
+test('cpu updates array', () => {
+  const gpu = new GPU({ mode: 'cpu' });
+  const values = gpu.createTexture([[0, 0, 0], [0, 0, 0]]);
+  gpu.updateTexture(values, [1, 2, 3], [1, 0]);
+  assert.deepEqual(values, [[0, 1, 2], [3, 0, 0]]);
+  const flat = gpu.createTexture(new Float32Array(4));
+  gpu.updateTexture(flat, [5, 6], 2);
+  assert.deepEqual(Array.from(flat), [0, 0, 5, 6]);
+  assert.throws(() => gpu.updateTexture(5, [1]), /updateTexture needs a Texture, or an array in cpu mode/);
+  gpu.destroy();
+});
+
+(GPU.isWasmSupported ? test : skip)('wasm updates array', () => {
+  const gpu = new GPU({ mode: 'wasm' });
+  const values = gpu.createTexture([[0, 0, 0], [0, 0, 0]]);
+  gpu.updateTexture(values, [1, 2, 3], [1, 0]);
+  assert.deepEqual(values, [[0, 1, 2], [3, 0, 0]]);
+  gpu.destroy();
+});
@@ -0,0 +1,289 @@
+const { assert, skip, test, module: describe } = require('qunit');
+const { GPU, input } = require('../../src');
+
+describe('features: wasm');
+
+function toArrays(value) {
+  if (ArrayBuffer.isView(value)) return Array.from(value);
+  if (Array.isArray(value)) return value.map(toArrays);
+  return value;
+}
+
+function wasmMatchesCPU(source, settings, args, isWasm) {
+  const wasm = new GPU({ mode: 'wasm' });
+  const cpu = new GPU({ mode: 'cpu' });
+  const wasmKernel = wasm.createKernel(source, settings);
+  const cpuKernel = cpu.createKernel(source, settings);
+  assert.deepEqual(toArrays(wasmKernel.apply(null, args)), toArrays(cpuKernel.apply(null, args)));
+  assert.equal(wasmKernel.kernel.wasm !== null, isWasm);
+  assert.equal(wasmKernel.wasmFallbackReason === null, isWasm);
+  wasm.destroy();
+  cpu.destroy();
+}
+
+(GPU.isWasmSupported ? test : skip)('1D array arguments wasm', () => {
+  wasmMatchesCPU(function(a, b) {
+    return a[this.thread.x] + b[this.thread.x];
+  }, { output: [6] }, [[1, 2, 3, 5, 6, 7], new Float32Array([4, 5, 6, 1, 2, 3])], true);
+});
+
+(GPU.isWasmSupported ? test : skip)('2D loop and number argument wasm', () => {
+  wasmMatchesCPU(function(a, v) {
+    let sum = 0;
+    for (let i = 0; i < 3; i++) {
+      sum += a[this.thread.y][i] * v;
+    }
+    return sum % 7 - this.thread.x;
+  }, { output: [3, 2] }, [[[1, 2, 3], [4, 5, 6]], 2.5], true);
+});
+
+(GPU.isWasmSupported ? test : skip)('3D constants wasm', () => {
+  wasmMatchesCPU(function() {
+    return this.thread.x * this.constants.k + this.constants.values[this.thread.z][this.thread.y][0];
+  }, {
+    output: [2, 2, 2],
+    constants: { k: 3, values: [[[1], [2]], [[3], [4]]] }
+  }, [], true);
+});
+
+(GPU.isWasmSupported ? test : skip)('Math functions wasm', () => {
+  wasmMatchesCPU(function(a) {
+    const v = a[this.thread.x];
+    return Math.sin(v) + Math.sqrt(v) * Math.floor(v / 2) + Math.max(v, 3) + Math.pow(v, 2) + Math.round(v);
+  }, { output: [4] }, [[0.5, 1.5, 2.5, 10]], true);
+});
+
+(GPU.isWasmSupported ? test : skip)('while, break and conditions wasm', () => {
+  wasmMatchesCPU(function(a) {
+    let i = 0;
+    while (i < a) {
+      i++;
+      if (i > 5) break;
+    }
+    return i > 3 && this.thread.x > 1 ? (i & 2) : -i;
+  }, { output: [4] }, [7], true);
+});
+
+(GPU.isWasmSupported ? test : skip)('switch wasm', () => {
+  wasmMatchesCPU(function(a) {
+    let result = 0;
+    for (let i = 0; i < 4; i++) {
+      switch (a[this.thread.x] + i) {
+        case 1:
+          result += 1;
+        case 2.5:
+          result += 10;
+          break;
+        case 3:
+          continue;
+        default:
+          result += 100;
+      }
+      result += 1000;
+    }
+    return result;
+  }, { output: [3] }, [[0, 1.5, 2]], true);
+});
+
+(GPU.isWasmSupported ? test : skip)('block scoped variables wasm', () => {
+  wasmMatchesCPU(function() {
+    let result = 0;
+    for (let i = 0; i < 10; i++) {
+      for (let i = 0; i < 20; i++) {
+        result += 1;
+      }
+    }
+    const j = 1;
+    {
+      const j = 5;
+      result += j;
+    }
+    return result + j;
+  }, { output: [1] }, [], true);
+});
+
+(GPU.isWasmSupported ? test : skip)('reads outside arrays wasm', () => {
+  wasmMatchesCPU(function(a) {
+    return a[this.thread.x + 2];
+  }, { output: [4] }, [[1, 2, 3, 4]], true);
+  wasmMatchesCPU(function(a) {
+    return a[this.thread.x * 65536 * 65536 + this.thread.x];
+  }, { output: [4] }, [[1, 2, 3, 4]], true);
+});
+
+(GPU.isWasmSupported ? test : skip)('loops reading outside arrays wasm', () => {
+  wasmMatchesCPU(function(a) {
+    let sum = 0;
+    for (let i = 0; i <= this.thread.x; i++) {
+      sum += a[i];
+    }
+    for (let j = 0; j < 2; j++) {
+      sum += a[this.thread.x + j];
+      j += a[0] - 1;
+    }
+    return sum;
+  }, { output: [4] }, [[1, 2, 3, 4]], true);
+  wasmMatchesCPU(function(a) {
+    let sum = 0;
+    for (let i = 0; i < this.output.x; i++) {
+      sum += a[i] * a[this.thread.x - i];
+    }
+    return sum;
+  }, { output: [4] }, [[1, 2, 3, 4]], true);
+});
+
+(GPU.isWasmSupported ? test : skip)('Input wasm', () => {
+  wasmMatchesCPU(function(a) {
+    return a[this.thread.z][this.thread.y][this.thread.x];
+  }, { output: [2, 2, 2] }, [input(new Float32Array([1, 2, 3, 4, 5, 6, 7, 8]), [2, 2, 2])], true);
+});
+
+(GPU.isWasmSupported ? test : skip)('custom functions wasm', () => {
+  const gpu = new GPU({ mode: 'wasm' });
+  function addOne(v) {
+    return v + 1;
+  }
+  gpu.addFunction(addOne);
+  const kernel = gpu.createKernel(function(a, b) {
+    return addOne(a[this.thread.x]) * b;
+  }, { output: [3] });
+  assert.deepEqual(Array.from(kernel([1, 2, 3], 2)), [4, 6, 8]);
+  assert.notEqual(kernel.kernel.wasm, null);
+  gpu.destroy();
+});
+
+(GPU.isWasmSupported ? test : skip)('custom functions given arrays wasm', () => {
+  const gpu = new GPU({ mode: 'wasm' });
+  function valueAt(values, i) {
+    return values[i];
+  }
+  function sumAt(a, b, i) {
+    return valueAt(a, i) + b[i] * this.constants.scale[0];
+  }
+  gpu.addFunction(valueAt);
+  gpu.addFunction(sumAt);
+  const kernel = gpu.createKernel(function(a, b) {
+    return sumAt(a, b, this.thread.x);
+  }, { output: [3], constants: { scale: [10] } });
+  assert.deepEqual(Array.from(kernel([1, 2, 3], [4, 5, 6])), [41, 52, 63]);
+  assert.notEqual(kernel.kernel.wasm, null);
+  gpu.destroy();
+});
+
+(GPU.isWasmSupported ? test : skip)('custom functions given different arrays wasm', () => {
+  const gpu = new GPU({ mode: 'wasm' });
+  function valueAt(values, i) {
+    return values[i];
+  }
+  gpu.addFunction(valueAt);
+  const kernel = gpu.createKernel(function(a, b) {
+    return valueAt(a, this.thread.x) - valueAt(b, this.thread.x);
+  }, { output: [3] });
+  kernel([1, 2, 3], [4, 6, 8]);
+  assert.equal(kernel.kernel.wasm, null);
+  assert.ok(/^Calling valueAt with different arrays not supported by wasm/.test(kernel.wasmFallbackReason));
+  gpu.destroy();
+});
+
+(GPU.isWasmSupported ? test : skip)('native functions wasm', () => {
+  const gpu = new GPU({ mode: 'wasm' });
+  gpu.addNativeFunction('divide', `function divide(a, b) {
+  return a / b;
+}`);
+  const kernel = gpu.createKernel(function(a) {
+    return divide(a[this.thread.x], 2);
+  }, { output: [3] });
+  assert.deepEqual(Array.from(kernel([1, 2, 3])), [0.5, 1, 1.5]);
+  assert.notEqual(kernel.kernel.wasm, null);
+  gpu.destroy();
+});
+
+(GPU.isWasmSupported ? test : skip)('rebuilds for other sizes wasm', () => {
+  const gpu = new GPU({ mode: 'wasm' });
+  const kernel = gpu.createKernel(function(a) {
+    return a[this.thread.x] * 2;
+  }, { output: [3] });
+  assert.deepEqual(Array.from(kernel([1, 2, 3])), [2, 4, 6]);
+  assert.deepEqual(Array.from(kernel([4, 5, 6, 7])), [8, 10, 12]);
+  assert.notEqual(kernel.kernel.wasm, null);
+  gpu.destroy();
+});
+
+(GPU.isWasmSupported ? test : skip)('double precision wasm', () => {
+  const gpu = new GPU({ mode: 'wasm' });
+  const kernel = gpu.createKernel(function(a) {
+    return a[this.thread.x] / 3;
+  }, { output: [3], precision: 'double' });
+  const result = kernel([1, 2, 3]);
+  assert.ok(result instanceof Float64Array);
+  assert.deepEqual(Array.from(result), [1 / 3, 2 / 3, 1]);
+  gpu.destroy();
+});
+
+(GPU.isWasmSupported ? test : skip)('Array(2) to Array(4) returns wasm', () => {
+  wasmMatchesCPU(function(a) {
+    const v = [a[this.thread.x], this.thread.y, 0];
+    v[2] = v[0] * 3 + v[1];
+    return v;
+  }, { output: [3, 2], returnType: 'Array(3)' }, [[1, 5, 7]], true);
+  wasmMatchesCPU(function(a) {
+    return [a[this.thread.x], -a[this.thread.x]];
+  }, { output: [2, 2, 2], returnType: 'Array(2)' }, [[1.5, 2]], true);
+  wasmMatchesCPU(function(a) {
+    const v = [1, 2, 3, 4];
+    const w = [5, 6];
+    return [v[3], v[2], v[1] + a[this.thread.x], v[0] + w[2]];
+  }, { output: [2], returnType: 'Array(4)' }, [[1, 2]], true);
+});
+
+(GPU.isWasmSupported ? test : skip)('Array(4) math wasm', () => {
+  const gpu = new GPU({ mode: 'wasm' });
+  const kernel = gpu.createKernel(function(a) {
+    let v = [a[this.thread.x], 2, 3, 4];
+    v *= 2;
+    v = Math.min(v + [1, 1, 1, 1], 8) / [1, 2, 1, 2];
+    return this.thread.x > 0 ? -Math.sqrt(v) : v;
+  }, { output: [2], returnType: 'Array(4)' });
+  const result = kernel([1, 8]);
+  assert.deepEqual(Array.from(result[0]), [3, 2.5, 7, 4]);
+  assert.deepEqual(Array.from(result[1]), [-Math.fround(Math.sqrt(8)), -Math.fround(Math.sqrt(2.5)), -Math.fround(Math.sqrt(7)), -2]);
+  assert.notEqual(kernel.kernel.wasm, null);
+  gpu.destroy();
+});
+
+(GPU.isWasmSupported ? test : skip)('runs as javascript otherwise wasm', () => {
+  wasmMatchesCPU(function() {
+    return [this.thread.x, 1, 2, 3];
+  }, { output: [2], returnType: 'Array(4)', precision: 'double' }, [], false);
+  wasmMatchesCPU(function(a) {
+    return a[this.thread.x] + Math.random() * 0;
+  }, { output: [2] }, [[1, 2]], false);
+});
+
+(GPU.isWasmSupported ? test : skip)('wasmFallbackReason wasm', () => {
+  const gpu = new GPU({ mode: 'wasm' });
+  const kernel = gpu.createKernel(function(a) {
+    return a[this.thread.x];
+  }, { output: [2] });
+  kernel([1, 2]);
+  assert.equal(kernel.wasmFallbackReason, null);
+  kernel({ value: 1 });
+  assert.equal(kernel.wasmFallbackReason, 'argument "a" of type "Object" not supported by wasm');
+  const plugin = gpu.createKernel(function() {
+    return Math.random();
+  }, { output: [2] });
+  plugin();
+  assert.ok(/^Plugin not supported by wasm/.test(plugin.wasmFallbackReason));
+  gpu.destroy();
+});
+
+(GPU.isWasmSupported ? test : skip)('toString wasm', () => {
+  const gpu = new GPU({ mode: 'wasm' });
+  const kernel = gpu.createKernel(function(a) {
+    return a[this.thread.x] + 1;
+  }, { output: [3] });
+  assert.deepEqual(Array.from(kernel([1, 2, 3])), [2, 3, 4]);
+  const newKernel = new Function('return ' + kernel.toString())()();
+  assert.deepEqual(Array.from(newKernel([1, 2, 3])), [2, 3, 4]);
+  gpu.destroy();
+});
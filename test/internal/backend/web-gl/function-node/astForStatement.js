@@ -61,6 +61,7 @@ test('with safe loop with no test', () => {
 
   assert.equal(node.toString(), 'float kernel() {'
     + '\nfloat user_sum=0.0;'
+    + '\n{'
     + '\nint user_i=0;'
     + '\nfor (int safeI=0;safeI<LOOP_MAX;safeI++){'
     + '\nif ((user_i>100)) {'
@@ -68,6 +69,7 @@ test('with safe loop with no test', () => {
     + '\n}'
     + '\nuser_sum++;'
     + '\nuser_i++;}'
+    + '\n}'
     + '\n'
     + '\nreturn user_sum;'
     + '\n}');
@@ -87,11 +89,13 @@ test('with unsafe loop with init', () => {
 
   assert.equal(node.toString(), 'float kernel(float user_arg1) {'
     + '\nfloat user_sum=0.0;'
+    + '\n{'
     + '\nint user_i=(0+int(user_arg1));'
     + '\nfor (int safeI=0;safeI<LOOP_MAX;safeI++){'
     + '\nif (!(user_i<100)) break;'
     + '\nuser_sum++;'
     + '\nuser_i++;}'
+    + '\n}'
     + '\n'
     + '\nreturn user_sum;'
     + '\n}');
@@ -188,16 +192,20 @@ test('nested unsafe loop', () => {
 
   assert.equal(node.toString(), 'float kernel(float user_arg1, float user_arg2) {'
     + '\nfloat user_sum=0.0;'
+    + '\n{'
     + '\nint user_i=int(user_arg1);'
     + '\nfor (int safeI2=0;safeI2<LOOP_MAX;safeI2++){'
     + '\nif (!(user_i<100)) break;'
+    + '\n{'
     + '\nint user_j=int(user_arg2);'
     + '\nfor (int safeI=0;safeI<LOOP_MAX;safeI++){'
     + '\nif (!(user_j<100)) break;'
     + '\nuser_sum++;'
     + '\nuser_j++;}'
+    + '\n}'
     + '\n'
     + '\nuser_i++;}'
+    + '\n}'
     + '\n'
     + '\nreturn user_sum;'
     + '\n}');
@@ -0,0 +1,30 @@
+const { assert, test, module: describe } = require('qunit');
+const { WebGLScatterKernel } = require(process.cwd() + '/src/backend/web-gl/scatter-kernel');
+
+describe('WebGLScatterKernel.enableFloatBlend()');
+
+function mockScatterKernel(extensions) {
+  const threadKernel = {
+    context: {
+      getExtension: (name) => extensions.indexOf(name) > -1 ? {} : null
+    },
+    setPipeline: () => {}
+  };
+  return new WebGLScatterKernel(threadKernel, { output: [4] });
+}
+
+test('with EXT_float_blend', () => {
+  mockScatterKernel(['EXT_float_blend']).enableFloatBlend();
+  assert.ok(true);
+});
+
+test('with WEBGL_color_buffer_float', () => {
+  mockScatterKernel(['WEBGL_color_buffer_float']).enableFloatBlend();
+  assert.ok(true);
+});
+
+test('without either throws', () => {
+  assert.throws(() => {
+    mockScatterKernel([]).enableFloatBlend();
+  }, new Error('Scatter kernels need EXT_float_blend or WEBGL_color_buffer_float, which are not supported'));
+});
@@ -0,0 +1,34 @@
+const { assert, test, module: describe } = require('qunit');
+const { KernelCache } = require('../../src/kernel-cache');
+
+describe('internal: kernel cache');
+
+function mockKernel(name) {
+  const kernel = function() {};
+  kernel.kernelName = name;
+  kernel.destroyed = false;
+  kernel.destroy = () => {
+    kernel.destroyed = true;
+  };
+  return kernel;
+}
+
+test('only the most recently used kernels are kept', () => {
+  const gpu = { kernels: [] };
+  const cache = new KernelCache(gpu, 2);
+  const create = (name) => () => {
+    const kernel = mockKernel(name);
+    gpu.kernels.push(kernel);
+    return kernel;
+  };
+  const a = cache.get('a', create('a'));
+  const b = cache.get('b', create('b'));
+  assert.equal(cache.get('a', create('a again')), a, 'kernels are created once');
+  const c = cache.get('c', create('c'));
+  assert.ok(b.destroyed, 'the least recently used kernel is destroyed');
+  assert.notOk(a.destroyed);
+  assert.notOk(c.destroyed);
+  assert.deepEqual(gpu.kernels.map(kernel => kernel.kernelName), ['a', 'c'], 'destroyed kernels are removed from the gpu');
+  assert.deepEqual(Array.from(cache.kernels.keys()), ['a', 'c']);
+  assert.notEqual(cache.get('b', create('b again')), b, 'destroyed kernels are created again');
+});
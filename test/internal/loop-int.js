@@ -223,11 +223,13 @@ test('loop int parameter output webgl', () => {
     functionNode.toString(),
     'void kernel() {' +
     '\nfloat user_sum=0.0;' +
+    '\n{' +
     '\nint user_i=0;' +
     '\nfor (int safeI=0;safeI<LOOP_MAX;safeI++){' +
     '\nif (!(user_i<int(user_a))) break;' +
     '\nuser_sum+=get(user_b, user_bSize, user_bDim, user_bBitRatio, 0, threadId.x, user_i);' +
     '\nuser_i++;}' +
+    '\n}' +
     '\n' +
     '\nkernelResult = user_sum;return;' +
     '\n}');
@@ -250,11 +252,13 @@ test('loop int parameter output webgl2', () => {
     functionNode.toString(),
     'void kernel() {' +
     '\nfloat user_sum=0.0;' +
+    '\n{' +
     '\nint user_i=0;' +
     '\nfor (int safeI=0;safeI<LOOP_MAX;safeI++){' +
     '\nif (!(user_i<int(user_a))) break;' +
     '\nuser_sum+=get(user_b, user_bSize, user_bDim, user_bBitRatio, 0, threadId.x, user_i);' +
     '\nuser_i++;}' +
+    '\n}' +
     '\n' +
     '\nkernelResult = user_sum;return;' +
     '\n}');
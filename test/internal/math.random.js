@@ -1,5 +1,5 @@
 const { assert, skip, test, module: describe, only } = require('qunit');
-const { GPU } = require('../../src');
+const { GPU, triangleNoise } = require('../../src');
 
 describe('Math.random() unique');
 
@@ -102,3 +102,96 @@ test('never above 1 every time  gpu', () => {
 test('never above 1 every time  cpu', () => {
   mathRandomNeverAboveOne('cpu');
 });
+
+describe('Math.random() seeded');
+
+function mathRandomStatistics(mode) {
+  const gpu = new GPU({ mode });
+  const kernel = gpu.createKernel(function() {
+    return Math.random();
+  }, {
+    output: [100, 100],
+    plugins: [triangleNoise.seeded(1)]
+  });
+  const values = [];
+  const result = kernel();
+  for (let y = 0; y < result.length; y++) {
+    values.push.apply(values, Array.from(result[y]));
+  }
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / values.length;
+  // average of 4 uniform values
+  assert.ok(Math.abs(mean - 0.5) < 0.02, `mean of ${ mean }`);
+  assert.ok(Math.abs(variance - 1 / 48) < 0.005, `variance of ${ variance }`);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('same distribution auto', () => {
+  mathRandomStatistics();
+});
+
+(GPU.isGPUSupported ? test : skip)('same distribution gpu', () => {
+  mathRandomStatistics('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('same distribution webgl', () => {
+  mathRandomStatistics('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('same distribution webgl2', () => {
+  mathRandomStatistics('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('same distribution headlessgl', () => {
+  mathRandomStatistics('headlessgl');
+});
+
+test('same distribution cpu', () => {
+  mathRandomStatistics('cpu');
+});
+
+function mathRandomSeededRepeats(mode) {
+  const gpu = new GPU({ mode });
+  function createKernel(seed) {
+    return gpu.createKernel(function() {
+      return Math.random();
+    }, {
+      output: [10],
+      plugins: [triangleNoise.seeded(seed)]
+    });
+  }
+  const kernel1 = createKernel(1);
+  const kernel2 = createKernel(1);
+  const otherKernel = createKernel(2);
+  const firstRun = Array.from(kernel1());
+  const secondRun = Array.from(kernel1());
+  assert.notDeepEqual(firstRun, secondRun);
+  assert.deepEqual(Array.from(kernel2()), firstRun);
+  assert.deepEqual(Array.from(kernel2()), secondRun);
+  assert.notDeepEqual(Array.from(otherKernel()), firstRun);
+  gpu.destroy();
+}
+
+(GPU.isGPUSupported ? test : skip)('same seed repeats auto', () => {
+  mathRandomSeededRepeats();
+});
+
+(GPU.isGPUSupported ? test : skip)('same seed repeats gpu', () => {
+  mathRandomSeededRepeats('gpu');
+});
+
+(GPU.isWebGLSupported ? test : skip)('same seed repeats webgl', () => {
+  mathRandomSeededRepeats('webgl');
+});
+
+(GPU.isWebGL2Supported ? test : skip)('same seed repeats webgl2', () => {
+  mathRandomSeededRepeats('webgl2');
+});
+
+(GPU.isHeadlessGLSupported ? test : skip)('same seed repeats headlessgl', () => {
+  mathRandomSeededRepeats('headlessgl');
+});
+
+test('same seed repeats cpu', () => {
+  mathRandomSeededRepeats('cpu');
+});
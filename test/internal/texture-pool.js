@@ -0,0 +1,105 @@
+const { assert, test, module: describe } = require('qunit');
+const { TexturePool } = require('../../src/backend/web-gl/texture-pool');
+
+describe('internal: texture pool');
+
+function mockContext() {
+  return {
+    TEXTURE_2D: 1,
+    TEXTURE_WRAP_S: 2,
+    TEXTURE_WRAP_T: 3,
+    TEXTURE_MIN_FILTER: 4,
+    TEXTURE_MAG_FILTER: 5,
+    CLAMP_TO_EDGE: 6,
+    NEAREST: 7,
+    RGBA: 8,
+    FLOAT: 9,
+    UNSIGNED_BYTE: 10,
+    created: 0,
+    deleted: 0,
+    createTexture() {
+      this.created++;
+      return {};
+    },
+    deleteTexture() {
+      this.deleted++;
+    },
+    bindTexture() {},
+    texParameteri() {},
+    texImage2D() {}
+  };
+}
+
+test('released textures are used again for the same size and format', () => {
+  const gl = mockContext();
+  const pool = TexturePool.fromContext(gl);
+  assert.equal(TexturePool.fromContext(gl), pool);
+
+  const texture = pool.acquire(2, 2, gl.RGBA, gl.RGBA, gl.FLOAT);
+  assert.deepEqual(pool.getStats(), { liveBytes: 64, pooledBytes: 0, liveTextures: 1, pooledTextures: 0 });
+  pool.release(texture);
+  assert.deepEqual(pool.getStats(), { liveBytes: 0, pooledBytes: 64, liveTextures: 0, pooledTextures: 1 });
+
+  assert.notEqual(pool.acquire(2, 2, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE), texture);
+  assert.equal(pool.acquire(2, 2, gl.RGBA, gl.RGBA, gl.FLOAT), texture);
+  assert.equal(gl.created, 2);
+  assert.deepEqual(pool.getStats(), { liveBytes: 80, pooledBytes: 0, liveTextures: 2, pooledTextures: 0 });
+});
+
+test('textures are released once they have no references', () => {
+  const gl = mockContext();
+  const pool = TexturePool.fromContext(gl);
+  const texture = pool.acquire(1, 1, gl.RGBA, gl.RGBA, gl.FLOAT);
+  pool.retain(texture);
+  pool.release(texture);
+  assert.equal(pool.getStats().pooledTextures, 0);
+  pool.release(texture);
+  pool.release(texture);
+  assert.equal(pool.getStats().pooledTextures, 1);
+  pool.retain(texture);
+  assert.equal(pool.getStats().liveTextures, 0, 'released textures are not retained');
+});
+
+test('delete and clear', () => {
+  const gl = mockContext();
+  const pool = TexturePool.fromContext(gl);
+  const live = pool.acquire(1, 1, gl.RGBA, gl.RGBA, gl.FLOAT);
+  const released = pool.acquire(1, 1, gl.RGBA, gl.RGBA, gl.FLOAT);
+  const cleared = pool.acquire(1, 1, gl.RGBA, gl.RGBA, gl.FLOAT);
+  pool.release(released);
+  pool.release(cleared);
+  pool.delete(live);
+  pool.delete(released);
+  assert.deepEqual(pool.getStats(), { liveBytes: 0, pooledBytes: 16, liveTextures: 0, pooledTextures: 1 });
+  pool.clear();
+  assert.deepEqual(pool.getStats(), { liveBytes: 0, pooledBytes: 0, liveTextures: 0, pooledTextures: 0 });
+  assert.equal(gl.deleted, 3);
+});
+
+test('textures of an owner are deleted, unless acquired again by another', () => {
+  const gl = mockContext();
+  const pool = TexturePool.fromContext(gl);
+  const kernel = {};
+  const other = {};
+  const referenced = pool.acquire(1, 1, gl.RGBA, gl.RGBA, gl.FLOAT, kernel);
+  pool.retain(referenced);
+  pool.release(referenced);
+  const reused = pool.acquire(2, 2, gl.RGBA, gl.RGBA, gl.FLOAT, kernel);
+  pool.release(reused);
+  assert.equal(pool.acquire(2, 2, gl.RGBA, gl.RGBA, gl.FLOAT, other), reused);
+  const released = pool.acquire(1, 1, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, kernel);
+  pool.release(released);
+  pool.deleteOwnedBy(kernel);
+  assert.equal(gl.deleted, 2);
+  assert.equal(pool.getFormat(referenced), null);
+  assert.equal(pool.getFormat(released), null);
+  assert.deepEqual(pool.getStats(), { liveBytes: 64, pooledBytes: 0, liveTextures: 1, pooledTextures: 0 });
+});
+
+test('pool without a context', () => {
+  const pool = TexturePool.fromContext(null);
+  assert.equal(pool.getFormat({}), null);
+  pool.release({});
+  pool.delete({});
+  assert.deepEqual(pool.getStats(), { liveBytes: 0, pooledBytes: 0, liveTextures: 0, pooledTextures: 0 });
+});
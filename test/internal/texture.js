@@ -0,0 +1,35 @@
+const { assert, test, module: describe } = require('qunit');
+const { Texture } = require('../../src/texture');
+
+describe('internal: texture');
+
+test('copy kernels are destroyed with their context', () => {
+  const created = [];
+  class MockKernel {
+    constructor(source, settings) {
+      this.settings = settings;
+      this.destroyed = false;
+      created.push(this);
+    }
+    run() {
+      return null;
+    }
+    destroy() {
+      this.destroyed = true;
+    }
+  }
+  const context = {};
+  const kernel = new MockKernel(null, {});
+  const texture = new Texture({}, [2, 1], [2, 1, 1], [2], context, 'NumberTexture', kernel);
+  texture.clone();
+  texture.clone();
+  texture.reshape([1, 2]);
+  assert.equal(created.length, 3, 'copy kernels are built once for each output');
+  assert.equal(created[1].settings.context, context);
+
+  Texture.destroyCopyKernels(context);
+  assert.deepEqual(created.map(copyKernel => copyKernel.destroyed), [false, true, true]);
+  texture.clone();
+  assert.equal(created.length, 4, 'copy kernels are built again after being destroyed');
+  Texture.destroyCopyKernels(null);
+});
@@ -1,5 +1,5 @@
 const { assert, skip, test, module: describe } = require('qunit');
-const { utils } = require('../../src');
+const { utils, input } = require('../../src');
 
 describe('internal: utils');
 
@@ -16,6 +16,9 @@ test("utils: isFunction", () => {
 test("utils: isFunctionString", () => {
 	assert.ok(utils.isFunctionString("function() { }"));
 	assert.notOk(utils.isFunctionString({}));
+	assert.ok(utils.isFunctionString("(a, b) => a + b"));
+	assert.ok(utils.isFunctionString("a => { return a; }"));
+	assert.notOk(utils.isFunctionString("a + b"));
 });
 
 test("utils: getFunctionName_fromString", () => {
@@ -25,3 +28,18 @@ test("utils: getFunctionName_fromString", () => {
 test("utils: getParamNames_fromString", () => {
 	assert.deepEqual(["a","b","c"], utils.getArgumentNamesFromString("function test(a,b,c) { }"));
 });
+
+test("utils: arrow functions fromString", () => {
+	assert.equal(null, utils.getFunctionNameFromString("(a) => a"));
+	assert.deepEqual(["a","b"], utils.getArgumentNamesFromString("(a, b) => a + b"));
+	assert.deepEqual(["a"], utils.getArgumentNamesFromString("a => (a + 1)"));
+	assert.equal("return a * 2;", utils.getFunctionBodyFromString("a => a * 2"));
+	assert.equal(" return a; ", utils.getFunctionBodyFromString("(a) => { return a; }"));
+});
+
+test("utils: flattenValues", () => {
+	const values = [1, 2, 3];
+	assert.equal(utils.flattenValues(values), values);
+	assert.deepEqual(Array.from(utils.flattenValues([[1, 2], [3, 4]])), [1, 2, 3, 4]);
+	assert.deepEqual(Array.from(utils.flattenValues(input([1, 2, 3, 4, 5, 6], [3, 2]))), [1, 2, 3, 4, 5, 6]);
+});